@@ -2,9 +2,19 @@ import express from 'express';
 import cors from 'cors';
 import seedRouter from './routes/seedRoutes.js';
 import productRouter from './routes/productRoutes.js';
+import categoryRouter from './routes/categoryRoutes.js';
+import brandRouter from './routes/brandRoutes.js';
 import userRouter from './routes/userRoutes.js';
 import orderRouter from './routes/orderRoutes.js';
 import cartRouter from './routes/cartRoutes.js';
+import returnRouter from './routes/returnRoutes.js';
+import couponRouter from './routes/couponRoutes.js';
+import taxRuleRouter from './routes/taxRuleRoutes.js';
+import shippingRouter from './routes/shippingRoutes.js';
+import currencyRouter from './routes/currencyRoutes.js';
+import paymentRouter, { paymentMethodRouter } from './routes/paymentRoutes.js';
+import uploadRouter from './routes/uploadRoutes.js';
+import { UPLOAD_URL, uploadDir } from './services/storage/local.js';
 
 const createApp = () => {
   const app = express();
@@ -33,13 +43,26 @@ const createApp = () => {
   // API Routes
   app.use('/api/seed', seedRouter);
   app.use('/api/products', productRouter);
+  app.use('/api/categories', categoryRouter);
+  app.use('/api/brands', brandRouter);
   app.use('/api/users', userRouter);
   app.use('/api/orders', orderRouter);
   app.use('/api/cart', cartRouter);
+  app.use('/api/returns', returnRouter);
+  app.use('/api/coupons', couponRouter);
+  app.use('/api/tax-rules', taxRuleRouter);
+  app.use('/api/shipping', shippingRouter);
+  app.use('/api/currencies', currencyRouter);
+  app.use('/api/payments', paymentRouter);
+  app.use('/api/payment-methods', paymentMethodRouter);
+  app.use('/api/upload', uploadRouter);
+
+  // Files of the local disk storage
+  app.use(UPLOAD_URL, express.static(uploadDir()));
 
   // Error handling middleware
   app.use((err, req, res, next) => {
-    res.status(500).send({ message: err.message });
+    res.status(err.status || 500).send({ message: err.message, ...err.details });
   });
 
   return app;
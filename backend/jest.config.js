@@ -7,6 +7,7 @@ export default {
   collectCoverageFrom: [
     'models/**/*.js',
     'routes/**/*.js',
+    'services/**/*.js',
     'utils.js',
     '!**/node_modules/**',
   ],
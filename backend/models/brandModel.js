@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+const brandSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    slug: { type: String, required: true, unique: true },
+    logo: { type: String, default: '' },
+    description: { type: String, default: '' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Brand = mongoose.model('Brand', brandSchema);
+export default Brand;
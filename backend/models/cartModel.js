@@ -17,6 +17,10 @@ const cartSchema = new mongoose.Schema(
         price: { type: Number, required: true },
         quantity: { type: Number, required: true },
         countInStock: { type: Number, required: true },
+        variant: { type: String },
+        sku: { type: String },
+        size: { type: String },
+        color: { type: String },
       },
     ],
     shippingAddress: {
@@ -25,6 +29,7 @@ const cartSchema = new mongoose.Schema(
       city: { type: String, default: '' },
       postalCode: { type: String, default: '' },
       country: { type: String, default: '' },
+      region: { type: String, default: '' },
     },
     paymentMethod: { type: String, default: '' },
   },
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// A node of the category tree. Top level categories have no parent; siblings
+// are listed by sortOrder, then by name.
+const categorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    slug: { type: String, required: true, unique: true },
+    description: { type: String, default: '' },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    sortOrder: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Category = mongoose.model('Category', categorySchema);
+export default Category;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+export const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String, default: '' },
+    type: { type: String, enum: COUPON_TYPES, required: true },
+    // Percent off for percentage coupons, amount off for fixed ones
+    value: { type: Number, default: 0 },
+    minOrderValue: { type: Number, default: 0 },
+    expiresAt: { type: Date },
+    // Unset limits mean unlimited
+    usageLimit: { type: Number },
+    perUserLimit: { type: Number },
+    usedCount: { type: Number, default: 0 },
+    // When set, only items of these categories / brands are discounted
+    categories: [{ type: String }],
+    brands: [{ type: String }],
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+export default Coupon;
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Units of `currency` worth one unit of the base currency (see
+// services/currency.js), e.g. 25000 for VND against USD.
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: { type: String, required: true, unique: true, uppercase: true },
+    rate: { type: Number, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+export default ExchangeRate;
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// First response sent for an Idempotency-Key, replayed when a client retries
+// the same request. Documents expire after 24 hours.
+const idempotencyKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  key: { type: String, required: true },
+  // Hash of method, URL and body, to detect a key reused for another request
+  requestHash: { type: String, required: true },
+  // Status and body are set once the first request has been answered
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 },
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+export default IdempotencyKey;
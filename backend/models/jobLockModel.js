@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Lease on a scheduled job, so only one server instance runs it at a time.
+// _id is the job name; the lease expires on its own if the holder dies.
+const jobLockSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    lockedBy: { type: String, required: true },
+    lockedUntil: { type: Date, required: true },
+    lastRunAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+export default JobLock;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { PAYMENT_KINDS, summarizePayments } from '../services/payments.js';
+import { BASE_CURRENCY } from '../services/currency.js';
 
 const orderSchema = new mongoose.Schema(
   {
@@ -14,6 +16,11 @@ const orderSchema = new mongoose.Schema(
           ref: 'Product',
           required: true,
         },
+        // The size / color bought, for products with variants
+        variant: { type: mongoose.Schema.Types.ObjectId },
+        sku: { type: String },
+        size: { type: String },
+        color: { type: String },
       },
     ],
     shippingAddress: {
@@ -22,6 +29,8 @@ const orderSchema = new mongoose.Schema(
       city: { type: String, required: true },
       postalCode: { type: String, required: true },
       country: { type: String, required: true },
+      // State / province, used to pick the tax rule
+      region: { type: String },
     },
     paymentMethod: { type: String, required: true },
     paymentResult: {
@@ -30,10 +39,56 @@ const orderSchema = new mongoose.Schema(
       update_time: String,
       email_address: String,
     },
+    // Ledger of every money movement on the order; paymentResult only keeps
+    // the latest provider snapshot.
+    payments: [
+      {
+        kind: { type: String, enum: PAYMENT_KINDS, required: true },
+        amount: { type: Number, required: true },
+        method: { type: String },
+        providerReference: { type: String },
+        note: { type: String },
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
     itemsPrice: { type: Number, required: true },
+    // Coupon applied at checkout and the amount it took off itemsPrice
+    coupon: {
+      code: { type: String },
+      type: { type: String },
+      value: { type: Number },
+    },
+    discountPrice: { type: Number, default: 0 },
+    shippingMethod: {
+      code: { type: String },
+      name: { type: String },
+      estimatedDays: { type: String },
+    },
     shippingPrice: { type: Number, required: true },
     taxPrice: { type: Number, required: true },
+    // Tax per applied rule; inclusive taxes are part of itemsPrice already
+    taxBreakdown: [
+      {
+        name: { type: String },
+        rate: { type: Number },
+        inclusive: { type: Boolean },
+        taxableAmount: { type: Number },
+        amount: { type: Number },
+      },
+    ],
     totalPrice: { type: Number, required: true },
+    // The prices above are in the base currency, for reporting. The customer
+    // is charged the same amounts converted to `currency` at `exchangeRate`.
+    currency: { type: String, default: BASE_CURRENCY },
+    exchangeRate: { type: Number, default: 1 },
+    charged: {
+      itemsPrice: { type: Number },
+      discountPrice: { type: Number },
+      shippingPrice: { type: Number },
+      taxPrice: { type: Number },
+      totalPrice: { type: Number },
+    },
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     isPaid: { type: Boolean, default: false },
     paidAt: { type: Date },
@@ -44,11 +99,38 @@ const orderSchema = new mongoose.Schema(
       enum: ['Pending', 'Processing', 'Shipping', 'Delivered', 'Cancelled'],
       default: 'Pending',
     },
+    statusHistory: [
+      {
+        status: { type: String, required: true },
+        from: { type: String },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        changedByName: { type: String },
+        note: { type: String },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    cancelReason: { type: String },
+    cancelledAt: { type: Date },
+    // True while the order holds its items' stock (set on creation, cleared on restock)
+    stockReserved: { type: Boolean, default: false },
   },
   {
     timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
+orderSchema.virtual('amountPaid').get(function () {
+  return summarizePayments(this.payments).amountPaid;
+});
+orderSchema.virtual('amountRefunded').get(function () {
+  return summarizePayments(this.payments).amountRefunded;
+});
+orderSchema.virtual('balance').get(function () {
+  return summarizePayments(this.payments).balance;
+});
+
 const Order = mongoose.model('Order', orderSchema);
 export default Order;
\ No newline at end of file
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const importFailureSchema = new mongoose.Schema(
+  {
+    row: { type: Number, required: true },
+    slug: { type: String, default: '' },
+    message: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// A bulk product import uploaded by an admin. The import-products job works
+// through the queued ones and records its progress here for the admin to
+// follow. A dry run only reports what the import would do.
+const productImportSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    fileName: { type: String, required: true },
+    dryRun: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: ['Queued', 'Running', 'Completed', 'Failed'],
+      default: 'Queued',
+    },
+    // Parsed rows of the file, cleared once the import is done
+    rows: { type: [mongoose.Schema.Types.Mixed], select: false },
+    total: { type: Number, required: true },
+    processed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failures: [importFailureSchema],
+    // Why a Failed import stopped
+    message: { type: String },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ProductImport = mongoose.model('ProductImport', productImportSchema);
+export default ProductImport;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { PRODUCT_STATUSES } from '../services/productStatus.js';
+import { srcsetOf } from '../services/imagePipeline.js';
+import { softDeletePlugin } from '../services/softDelete.js';
 
 const reviewSchema = new mongoose.Schema(
   {
@@ -11,24 +14,92 @@ const reviewSchema = new mongoose.Schema(
   }
 );
 
+// A size / color combination of a product with its own stock. Its price and
+// image replace the product's when set.
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true },
+  size: { type: String, default: '' },
+  color: { type: String, default: '' },
+  price: { type: Number },
+  countInStock: { type: Number, required: true, default: 0 },
+  image: { type: String, default: '' },
+});
+
+// One of the resized copies of an uploaded image, see services/imagePipeline.js
+const imageSizeSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    format: { type: String, required: true },
+    width: { type: Number, required: true },
+    url: { type: String, required: true },
+    publicId: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+// A gallery image. publicId identifies the stored asset so it can be
+// removed when the image is deleted; it is empty for static images.
+// Uploaded images also have sizes, sent to clients as a srcset per format.
+const imageSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    alt: { type: String, default: '' },
+    publicId: { type: String, default: '' },
+    sizes: [imageSizeSchema],
+  },
+  { toJSON: { virtuals: true }, id: false }
+);
+
+imageSchema.virtual('srcset').get(function () {
+  return srcsetOf(this.sizes);
+});
+
 const productSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, unique: true },
     slug: { type: String, required: true, unique: true },
+    // Slugs the product had before, their links redirect to the current one
+    previousSlugs: { type: [String], index: true },
+    // Main image, the first of the gallery when there is one
     image: { type: String, required: true },
+    images: [imageSchema],
+    // Name of the linked brand, kept in sync with it for coupons that match
+    // brands by name
     brand: { type: String, required: true },
+    brandId: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand' },
+    // Name of the linked category, kept in sync with it for tax rules,
+    // coupons and reports that match categories by name
     category: { type: String, required: true },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
     description: { type: String, required: true },
     price: { type: Number, required: true },
+    // Total stock; for products with variants it is the sum of their stock
     countInStock: { type: Number, required: true },
+    variants: [variantSchema],
+    // Shipping weight in kg, 0 when unknown
+    weight: { type: Number, default: 0 },
     rating: { type: Number, required: true },
     numReviews: { type: Number, required: true },
     reviews: [reviewSchema],
+    status: { type: String, enum: PRODUCT_STATUSES, default: 'Published' },
+    // Published products stay hidden from customers until this date
+    publishAt: { type: Date, default: null },
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    id: false,
   }
 );
 
+// srcset of the main image, for product cards
+productSchema.virtual('srcset').get(function () {
+  const main = (this.images || []).find((x) => x.url === this.image);
+  return main ? main.srcset : null;
+});
+
+// Deleted products go to the trash, orders keep pointing to them
+productSchema.plugin(softDeletePlugin);
+
 const Product = mongoose.model('Product', productSchema);
 export default Product;
\ No newline at end of file
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// A refund that has to be issued with the payment provider, e.g. when a paid
+// PayPal order is cancelled. Admins process it outside of the checkout flow.
+const refundRequestSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    // Set when the refund comes from a received return rather than a cancellation
+    return: { type: mongoose.Schema.Types.ObjectId, ref: 'Return' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true },
+    paymentMethod: { type: String, required: true },
+    providerReference: { type: String },
+    reason: { type: String },
+    status: {
+      type: String,
+      enum: ['Requested', 'Processed', 'Rejected'],
+      default: 'Requested',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const RefundRequest = mongoose.model('RefundRequest', refundRequestSchema);
+export default RefundRequest;
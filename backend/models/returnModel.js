@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Return merchandise authorization (RMA) for lines of a delivered order.
+const returnSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    items: [
+      {
+        orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true,
+        },
+        variant: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String, required: true },
+        price: { type: Number, required: true },
+        quantity: { type: Number, required: true },
+        reason: { type: String, required: true },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['Requested', 'Approved', 'Rejected', 'Received'],
+      default: 'Requested',
+    },
+    refundAmount: { type: Number, required: true },
+    adminNote: { type: String },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    receivedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Return = mongoose.model('Return', returnSchema);
+export default Return;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+export const SHIPPING_METHOD_CODES = ['standard', 'express', 'pickup'];
+
+// Price of a method for parcels up to maxWeight kg (no maxWeight: any weight).
+const rateSchema = new mongoose.Schema(
+  {
+    maxWeight: { type: Number },
+    price: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const methodSchema = new mongoose.Schema(
+  {
+    code: { type: String, enum: SHIPPING_METHOD_CODES, required: true },
+    name: { type: String, required: true },
+    estimatedDays: { type: String, default: '' },
+    // Orders above this amount ship for free with this method
+    freeOver: { type: Number },
+    rates: [rateSchema],
+  },
+  { _id: false }
+);
+
+// Destinations sharing the same shipping methods and rate tables. A zone
+// covers whole countries unless it lists cities.
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    countries: [{ type: String }],
+    cities: [{ type: String }],
+    methods: [methodSchema],
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+export default ShippingZone;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Tax rate for a country, optionally narrowed to a region, a city and/or a
+// product category. The most specific active rule wins (see matchTaxRule).
+const taxRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    country: { type: String, required: true },
+    region: { type: String, default: '' },
+    city: { type: String, default: '' },
+    category: { type: String, default: '' },
+    // Percent, e.g. 10 for 10%
+    rate: { type: Number, required: true },
+    // Inclusive rates are already part of the product prices: the tax is
+    // reported but not added to the order total.
+    inclusive: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+export default TaxRule;
@@ -1,5 +1,6 @@
 // import Mongoose library, Object Data Modeling (ODM) library for MongoDB and Node.js that provides a higher-level, schema-based abstraction over MongoDB.
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '../services/softDelete.js';
 
 // Defining the User Schema- sets up a Mongoose schema and model for a user.
 // mongoose.Schema constructor define the structure of the user document in MongoDB collection.
@@ -17,6 +18,10 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Deleted users go to the trash with their orders still pointing to them,
+// adds deletedAt / deletedBy and hides them from queries (services/softDelete.js)
+userSchema.plugin(softDeletePlugin);
+
 // The mongoose.model function creates a Mongoose model based on the defined schema.
 // The first argument is the name of the model, second argument is the schema that defines the structure of the documents.
 const User = mongoose.model('User', userSchema);
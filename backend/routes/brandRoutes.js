@@ -0,0 +1,94 @@
+import express from 'express';
+import expressAsyncHandler from 'express-async-handler';
+import Brand from '../models/brandModel.js';
+import Product from '../models/productModel.js';
+import { HttpError, isAuth, isAdmin } from '../utils.js';
+import { brandFields } from '../services/brands.js';
+
+const brandRouter = express.Router();
+
+const checkUnique = async ({ name, slug }, id = null) => {
+  if (await Brand.exists({ name, _id: { $ne: id } })) {
+    throw new HttpError(400, `Brand ${name} already exists`);
+  }
+  if (await Brand.exists({ slug, _id: { $ne: id } })) {
+    throw new HttpError(400, `Slug ${slug} is already used`);
+  }
+};
+
+brandRouter.get(
+  '/',
+  expressAsyncHandler(async (req, res) => {
+    const brands = await Brand.find().sort({ name: 1 });
+    res.send(brands);
+  })
+);
+
+brandRouter.get(
+  '/slug/:slug',
+  expressAsyncHandler(async (req, res) => {
+    const brand = await Brand.findOne({ slug: req.params.slug });
+    if (brand) {
+      res.send(brand);
+    } else {
+      res.status(404).send({ message: 'Brand Not Found' });
+    }
+  })
+);
+
+brandRouter.post(
+  '/',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const fields = brandFields(req.body);
+    await checkUnique(fields);
+    const brand = await Brand.create(fields);
+    res.status(201).send({ message: 'Brand Created', brand });
+  })
+);
+
+brandRouter.put(
+  '/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) {
+      return res.status(404).send({ message: 'Brand Not Found' });
+    }
+    const fields = brandFields(req.body);
+    await checkUnique(fields, brand._id);
+    const renamed = fields.name !== brand.name;
+    brand.set(fields);
+    const updatedBrand = await brand.save();
+    if (renamed) {
+      await Product.updateMany({ brandId: brand._id }, { brand: brand.name });
+    }
+    res.send({ message: 'Brand Updated', brand: updatedBrand });
+  })
+);
+
+brandRouter.delete(
+  '/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) {
+      return res.status(404).send({ message: 'Brand Not Found' });
+    }
+    // Deleted products still reference it and may be restored
+    if (
+      await Product.exists({ brandId: brand._id }).setOptions({
+        withDeleted: true,
+      })
+    ) {
+      throw new HttpError(400, 'Move the products of this brand first');
+    }
+    await brand.deleteOne();
+    res.send({ message: 'Brand Deleted' });
+  })
+);
+
+export default brandRouter;
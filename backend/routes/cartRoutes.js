@@ -2,6 +2,9 @@ import express from 'express';
 import expressAsyncHandler from 'express-async-handler';
 import Cart from '../models/cartModel.js';
 import { isAuth } from '../utils.js';
+import { quoteOrder } from '../services/pricing.js';
+import { chargeQuoteIn } from '../services/currency.js';
+import { applyCoupon } from '../services/coupons.js';
 
 const cartRouter = express.Router();
 
@@ -54,6 +57,36 @@ cartRouter.post(
   })
 );
 
+// POST - Check a coupon against the given items and address (or the saved
+// cart's) and return the discounted quote. The coupon is only used once the
+// order is placed.
+cartRouter.post(
+  '/apply-coupon',
+  isAuth,
+  expressAsyncHandler(async (req, res) => {
+    if (!req.body.code) {
+      return res.status(400).send({ message: 'Coupon code is required' });
+    }
+    let { orderItems, shippingAddress } = req.body;
+    if (!orderItems || !shippingAddress) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      orderItems = orderItems || (cart ? cart.cartItems : []);
+      shippingAddress = shippingAddress || (cart && cart.shippingAddress);
+    }
+    const quote = await applyCoupon(
+      await quoteOrder(orderItems, {
+        shippingAddress,
+        shippingMethod: req.body.shippingMethod,
+      }),
+      { code: req.body.code, user: req.user, shippingAddress }
+    );
+    res.send({
+      message: 'Coupon Applied',
+      ...(await chargeQuoteIn(quote, req.body.currency)),
+    });
+  })
+);
+
 // DELETE - Clear cart
 cartRouter.delete(
   '/',
@@ -0,0 +1,89 @@
+import express from 'express';
+import expressAsyncHandler from 'express-async-handler';
+import Category from '../models/categoryModel.js';
+import Product from '../models/productModel.js';
+import { HttpError, isAuth, isAdmin } from '../utils.js';
+import { buildCategoryTree, categoryFields } from '../services/categories.js';
+
+const categoryRouter = express.Router();
+
+const checkSlug = async (slug, id = null) => {
+  if (await Category.exists({ slug, _id: { $ne: id } })) {
+    throw new HttpError(400, `Slug ${slug} is already used`);
+  }
+};
+
+// The whole category tree. Public: it drives the storefront sidebar,
+// search filters and breadcrumbs.
+categoryRouter.get(
+  '/',
+  expressAsyncHandler(async (req, res) => {
+    const categories = await Category.find().lean();
+    res.send(buildCategoryTree(categories));
+  })
+);
+
+categoryRouter.post(
+  '/',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const categories = await Category.find().lean();
+    const fields = categoryFields(req.body, categories);
+    await checkSlug(fields.slug);
+    const category = await Category.create(fields);
+    res.status(201).send({ message: 'Category Created', category });
+  })
+);
+
+categoryRouter.put(
+  '/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).send({ message: 'Category Not Found' });
+    }
+    const categories = await Category.find().lean();
+    const fields = categoryFields(req.body, categories, category._id);
+    await checkSlug(fields.slug, category._id);
+    const renamed = fields.name !== category.name;
+    category.set(fields);
+    const updatedCategory = await category.save();
+    if (renamed) {
+      await Product.updateMany(
+        { categoryId: category._id },
+        { category: category.name }
+      );
+    }
+    res.send({ message: 'Category Updated', category: updatedCategory });
+  })
+);
+
+categoryRouter.delete(
+  '/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).send({ message: 'Category Not Found' });
+    }
+    if (await Category.exists({ parent: category._id })) {
+      throw new HttpError(400, 'Move or delete the subcategories first');
+    }
+    // Deleted products still reference it and may be restored
+    if (
+      await Product.exists({ categoryId: category._id }).setOptions({
+        withDeleted: true,
+      })
+    ) {
+      throw new HttpError(400, 'Move the products of this category first');
+    }
+    await category.deleteOne();
+    res.send({ message: 'Category Deleted' });
+  })
+);
+
+export default categoryRouter;
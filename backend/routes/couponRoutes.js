@@ -0,0 +1,103 @@
+import express from 'express';
+import expressAsyncHandler from 'express-async-handler';
+import Coupon from '../models/couponModel.js';
+import { isAuth, isAdmin } from '../utils.js';
+import { normalizeCode, validateCouponFields } from '../services/coupons.js';
+
+const couponRouter = express.Router();
+
+const optionalNumber = (value) =>
+  value === '' || value === null || value === undefined ? undefined : Number(value);
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+couponRouter.get(
+  '/',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.send(coupons);
+  })
+);
+
+// Creates an inactive sample coupon for the admin to edit, like products.
+couponRouter.post(
+  '/',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const coupon = await Coupon.create({
+      code: 'SAMPLE' + Date.now(),
+      description: 'sample coupon',
+      type: 'percentage',
+      value: 10,
+      isActive: false,
+    });
+    res.send({ message: 'Coupon Created', coupon });
+  })
+);
+
+couponRouter.get(
+  '/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+    if (coupon) {
+      res.send(coupon);
+    } else {
+      res.status(404).send({ message: 'Coupon Not Found' });
+    }
+  })
+);
+
+couponRouter.put(
+  '/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).send({ message: 'Coupon Not Found' });
+    }
+    validateCouponFields(req.body);
+    const code = normalizeCode(req.body.code);
+    if (await Coupon.exists({ code, _id: { $ne: coupon._id } })) {
+      return res.status(409).send({ message: 'Coupon code already exists' });
+    }
+    coupon.code = code;
+    coupon.description = req.body.description || '';
+    coupon.type = req.body.type;
+    coupon.value = req.body.type === 'free_shipping' ? 0 : Number(req.body.value);
+    coupon.minOrderValue = Number(req.body.minOrderValue) || 0;
+    coupon.expiresAt = req.body.expiresAt || undefined;
+    coupon.usageLimit = optionalNumber(req.body.usageLimit);
+    coupon.perUserLimit = optionalNumber(req.body.perUserLimit);
+    coupon.categories = toList(req.body.categories);
+    coupon.brands = toList(req.body.brands);
+    coupon.isActive = !!req.body.isActive;
+    const updatedCoupon = await coupon.save();
+    res.send({ message: 'Coupon Updated', coupon: updatedCoupon });
+  })
+);
+
+couponRouter.delete(
+  '/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+    if (coupon) {
+      await coupon.deleteOne();
+      res.send({ message: 'Coupon Deleted' });
+    } else {
+      res.status(404).send({ message: 'Coupon Not Found' });
+    }
+  })
+);
+
+export default couponRouter;
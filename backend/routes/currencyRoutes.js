@@ -0,0 +1,118 @@
+import express from 'express';
+import expressAsyncHandler from 'express-async-handler';
+import multer from 'multer';
+import ExchangeRate from '../models/exchangeRateModel.js';
+import { HttpError, isAuth, isAdmin } from '../utils.js';
+import {
+  BASE_CURRENCY,
+  currencyDecimals,
+  exchangeRateFields,
+  normalizeCurrency,
+  parseExchangeRates,
+} from '../services/currency.js';
+
+const currencyRouter = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+});
+
+const describe = ({ currency, rate, updatedAt }) => ({
+  currency,
+  rate,
+  decimals: currencyDecimals(currency),
+  updatedAt,
+});
+
+// Currencies customers can pick, the base currency first. Public: the
+// storefront converts catalog prices with these rates for display.
+currencyRouter.get(
+  '/',
+  expressAsyncHandler(async (req, res) => {
+    const rates = await ExchangeRate.find().sort({ currency: 1 }).lean();
+    res.send({
+      base: BASE_CURRENCY,
+      currencies: [{ currency: BASE_CURRENCY, rate: 1 }, ...rates].map(describe),
+    });
+  })
+);
+
+// Replaces the rates listed in a JSON or CSV file, other currencies are kept.
+currencyRouter.post(
+  '/import',
+  isAuth,
+  isAdmin,
+  upload.single('file'),
+  expressAsyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new HttpError(400, 'An exchange rate file is required');
+    }
+    const name = req.file.originalname.toLowerCase();
+    const format = name.endsWith('.csv')
+      ? 'csv'
+      : name.endsWith('.json')
+      ? 'json'
+      : req.file.mimetype.includes('csv')
+      ? 'csv'
+      : req.file.mimetype.includes('json')
+      ? 'json'
+      : '';
+    const rates = parseExchangeRates(req.file.buffer.toString('utf8'), format);
+    await ExchangeRate.bulkWrite(
+      rates.map(({ currency, rate }) => ({
+        updateOne: {
+          filter: { currency },
+          update: { $set: { rate } },
+          upsert: true,
+        },
+      }))
+    );
+    res.send({
+      message: `${rates.length} Exchange Rates Imported`,
+      currencies: rates.map((x) => x.currency),
+    });
+  })
+);
+
+currencyRouter.put(
+  '/:currency',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const { currency, rate } = exchangeRateFields({
+      currency: req.params.currency,
+      rate: req.body.rate,
+    });
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: { rate } },
+      { new: true, upsert: true }
+    );
+    res.send({ message: 'Exchange Rate Updated', exchangeRate });
+  })
+);
+
+currencyRouter.delete(
+  '/:currency',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const exchangeRate = await ExchangeRate.findOne({
+      currency: normalizeCurrency(req.params.currency),
+    });
+    if (exchangeRate) {
+      await exchangeRate.deleteOne();
+      res.send({ message: 'Exchange Rate Deleted' });
+    } else {
+      res.status(404).send({ message: 'Exchange Rate Not Found' });
+    }
+  })
+);
+
+// A rates file that is too large is the client's mistake, not a server error
+currencyRouter.use((err, req, res, next) => {
+  next(err instanceof multer.MulterError ? new HttpError(400, err.message) : err);
+});
+
+export default currencyRouter;
@@ -3,8 +3,25 @@ import expressAsyncHandler from 'express-async-handler';
 import Order from '../models/orderModel.js';
 import User from '../models/userModel.js';
 import Product from '../models/productModel.js';
-import Cart from '../models/cartModel.js';
 import { isAuth, isAdmin } from '../utils.js';
+import { quoteOrder, findPriceMismatches } from '../services/pricing.js';
+import { reserveStock, releaseStock } from '../services/stock.js';
+import { transitionOrder } from '../services/orderStatus.js';
+import { cancelOrder } from '../services/orderCancellation.js';
+import { markOrderPaid, refundOrder } from '../services/payments.js';
+import {
+  chargeCurrencyFor,
+  getPaymentProvider,
+  requirePaymentProvider,
+} from '../services/paymentProviders/index.js';
+import { idempotent } from '../services/idempotency.js';
+import {
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+} from '../services/coupons.js';
+import RefundRequest from '../models/refundRequestModel.js';
+import { chargeQuoteIn } from '../services/currency.js';
 
 const orderRouter = express.Router();
 
@@ -13,28 +30,117 @@ orderRouter.get(
   isAuth,
   isAdmin,
   expressAsyncHandler(async (req, res) => {
-    const orders = await Order.find().populate('user', 'name');
+    // Deleted customers still show on their orders
+    const orders = await Order.find().populate({
+      path: 'user',
+      select: 'name deletedAt',
+      options: { withDeleted: true },
+    });
     res.send(orders);
   })
 );
 
+// Prices the given items from the current catalog without creating an order.
+orderRouter.post(
+  '/quote',
+  isAuth,
+  expressAsyncHandler(async (req, res) => {
+    const { shippingAddress, shippingMethod } = req.body;
+    let quote = await quoteOrder(req.body.orderItems, {
+      shippingAddress,
+      shippingMethod,
+    });
+    if (req.body.couponCode) {
+      quote = await applyCoupon(quote, {
+        code: req.body.couponCode,
+        user: req.user,
+        shippingAddress,
+      });
+    }
+    res.send(
+      await chargeQuoteIn(
+        quote,
+        chargeCurrencyFor(req.body.paymentMethod, req.body.currency)
+      )
+    );
+  })
+);
+
 orderRouter.post(
   '/',
   isAuth,
+  idempotent,
   expressAsyncHandler(async (req, res) => {
+    // Never trust client totals: the order is re-quoted and the client is told
+    // when the prices it displayed were out of date.
+    const { shippingAddress, shippingMethod } = req.body;
+    let quote = await quoteOrder(req.body.orderItems, {
+      shippingAddress,
+      shippingMethod,
+    });
+    if (req.body.couponCode) {
+      quote = await applyCoupon(quote, {
+        code: req.body.couponCode,
+        user: req.user,
+        shippingAddress,
+      });
+    }
+    requirePaymentProvider(req.body.paymentMethod);
+    // Providers that settle in one currency only, like VNPay in VND, charge
+    // the order in it whatever currency the customer browsed in
+    quote = await chargeQuoteIn(
+      quote,
+      chargeCurrencyFor(req.body.paymentMethod, req.body.currency)
+    );
+    const mismatches = findPriceMismatches(req.body, quote);
+
+    await reserveStock(quote.orderItems);
+    if (quote.coupon) {
+      try {
+        await redeemCoupon(quote.coupon.code);
+      } catch (err) {
+        await releaseStock(quote.orderItems);
+        throw err;
+      }
+    }
+
     const newOrder = new Order({
-      orderItems: req.body.orderItems.map((x) => ({ ...x, product: x._id })),
-      shippingAddress: req.body.shippingAddress,
+      orderItems: quote.orderItems,
+      shippingAddress,
       paymentMethod: req.body.paymentMethod,
-      itemsPrice: req.body.itemsPrice,
-      shippingPrice: req.body.shippingPrice,
-      taxPrice: req.body.taxPrice,
-      totalPrice: req.body.totalPrice,
+      itemsPrice: quote.itemsPrice,
+      coupon: quote.coupon,
+      discountPrice: quote.discountPrice,
+      shippingMethod: quote.shippingMethod,
+      shippingPrice: quote.shippingPrice,
+      taxPrice: quote.taxPrice,
+      taxBreakdown: quote.taxBreakdown,
+      totalPrice: quote.totalPrice,
+      currency: quote.currency,
+      exchangeRate: quote.exchangeRate,
+      charged: quote.charged,
       user: req.user._id,
+      stockReserved: true,
+      statusHistory: [
+        { status: 'Pending', changedBy: req.user._id, changedByName: req.user.name },
+      ],
     });
 
-    const order = await newOrder.save();
-    res.status(201).send({ message: 'New Order Created', order });
+    let order;
+    try {
+      order = await newOrder.save();
+    } catch (err) {
+      await releaseStock(quote.orderItems);
+      if (quote.coupon) {
+        await releaseCoupon(quote.coupon.code);
+      }
+      throw err;
+    }
+    res.status(201).send({
+      message: 'New Order Created',
+      order,
+      repriced: mismatches.length > 0,
+    });
   })
 );
 
@@ -48,7 +154,6 @@ orderRouter.get(
         $group: {
           _id: null,
           numOrders: { $sum: 1 },
-          totalSales: { $sum: '$totalPrice' },
         },
       },
     ]);
@@ -65,7 +170,44 @@ orderRouter.get(
         $group: {
           _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
           orders: { $sum: 1 },
-          sales: { $sum: '$totalPrice' },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+    // Revenue comes from the payments ledger, net of refunds
+    const signedAmount = {
+      $cond: [
+        { $eq: ['$payments.kind', 'refund'] },
+        { $multiply: ['$payments.amount', -1] },
+        '$payments.amount',
+      ],
+    };
+    const revenue = await Order.aggregate([
+      { $unwind: '$payments' },
+      {
+        $group: {
+          _id: null,
+          grossRevenue: {
+            $sum: {
+              $cond: [
+                { $eq: ['$payments.kind', 'refund'] },
+                0,
+                '$payments.amount',
+              ],
+            },
+          },
+          netRevenue: { $sum: signedAmount },
+        },
+      },
+    ]);
+    const dailySales = await Order.aggregate([
+      { $unwind: '$payments' },
+      {
+        $group: {
+          _id: {
+            $dateToString: { format: '%Y-%m-%d', date: '$payments.createdAt' },
+          },
+          sales: { $sum: signedAmount },
         },
       },
       { $sort: { _id: 1 } },
@@ -78,7 +220,14 @@ orderRouter.get(
         },
       },
     ]);
-    res.send({ users, orders, dailyOrders, productCategories });
+    res.send({
+      users,
+      orders,
+      revenue,
+      dailyOrders,
+      dailySales,
+      productCategories,
+    });
   })
 );
 
@@ -95,7 +244,11 @@ orderRouter.get(
   '/:id',
   isAuth,
   expressAsyncHandler(async (req, res) => {
-    const order = await Order.findById(req.params.id).populate('user', 'name');
+    const order = await Order.findById(req.params.id).populate({
+      path: 'user',
+      select: 'name deletedAt',
+      options: { withDeleted: true },
+    });
     if (order) {
       res.send(order);
     } else {
@@ -104,26 +257,53 @@ orderRouter.get(
   })
 );
 
+// Tells the owner how to pay the order with its payment method, e.g. the
+// PayPal client id or a signed gateway URL to redirect to.
+orderRouter.post(
+  '/:id/payment',
+  isAuth,
+  expressAsyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      res.status(404).send({ message: 'Order Not Found' });
+      return;
+    }
+    if (order.user.toString() !== req.user._id) {
+      res.status(403).send({ message: 'You can only pay your own orders' });
+      return;
+    }
+    if (order.isPaid || order.status === 'Cancelled') {
+      res.status(400).send({ message: 'Order cannot be paid' });
+      return;
+    }
+    const provider = requirePaymentProvider(order.paymentMethod);
+    res.send(await provider.initiate(order, { ip: req.ip }));
+  })
+);
+
 orderRouter.put(
   '/:id/pay',
   isAuth,
+  idempotent,
   expressAsyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id);
     if (order) {
-      order.isPaid = true;
-      order.paidAt = Date.now();
-      order.paymentResult = {
-        id: req.body.id,
-        status: req.body.status,
-        update_time: req.body.update_time,
-        email_address: req.body.email_address,
-      };
-
-      const updatedOrder = await order.save();
-      
-      // Clear cart after successful payment
-      await Cart.findOneAndDelete({ user: order.user });
-      
+      if (order.isPaid) {
+        res.status(400).send({ message: 'Order is already paid' });
+        return;
+      }
+      if (order.status === 'Cancelled') {
+        res.status(409).send({ message: 'Cancelled orders cannot be paid' });
+        return;
+      }
+      // Never trust the payment details posted by the browser, the provider
+      // checks them with the gateway or verifies their signature
+      const provider = requirePaymentProvider(order.paymentMethod);
+      const payment = await provider.handleReturn(order, req.body);
+      const updatedOrder = await markOrderPaid(order, {
+        ...payment,
+        user: req.user,
+      });
       res.send({ message: 'Order Paid', order: updatedOrder });
     } else {
       res.status(404).send({ message: 'Order Not Found' });
@@ -139,24 +319,29 @@ orderRouter.put(
     const order = await Order.findById(req.params.id);
     if (order) {
       const newStatus = req.body.status;
-      order.status = newStatus;
+      if (newStatus === 'Cancelled') {
+        const cancelled = await cancelOrder(order, {
+          user: req.user,
+          reason: req.body.note,
+        });
+        res.send({ message: 'Order Status Updated', ...cancelled });
+        return;
+      }
+      transitionOrder(order, newStatus, { user: req.user, note: req.body.note });
       if (newStatus === 'Delivered') {
         order.isDelivered = true;
         order.deliveredAt = Date.now();
-        if (order.paymentMethod === 'COD' && !order.isPaid) {
-          order.isPaid = true;
-          order.paidAt = Date.now();
-          order.paymentResult = {
-            id: 'COD',
-            status: 'PAID',
-            update_time: Date.now().toString(),
-            email_address: order.shippingAddress.email || '',
-          };
-          // Clear cart after COD payment is marked as paid
-          await Cart.findOneAndDelete({ user: order.user });
+        // Cash on delivery is collected together with the goods
+        const provider = getPaymentProvider(order.paymentMethod);
+        if (!order.isPaid && provider && provider.handleDelivery) {
+          await order.save();
+          const updatedOrder = await markOrderPaid(order, {
+            ...provider.handleDelivery(order),
+            user: req.user,
+          });
+          res.send({ message: 'Order Status Updated', order: updatedOrder });
+          return;
         }
-      } else if (newStatus === 'Cancelled') {
-        // Handle cancellation logic if needed
       }
       const updatedOrder = await order.save();
       res.send({ message: 'Order Status Updated', order: updatedOrder });
@@ -166,4 +351,64 @@ orderRouter.put(
   })
 );
 
+// GET refund requests raised for an order - Admin only
+orderRouter.get(
+  '/:id/refunds',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const refundRequests = await RefundRequest.find({
+      order: req.params.id,
+    }).sort({ createdAt: -1 });
+    res.send(refundRequests);
+  })
+);
+
+// Admin records a full or partial refund in the order's payments ledger
+orderRouter.post(
+  '/:id/refunds',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      res.status(404).send({ message: 'Order Not Found' });
+      return;
+    }
+    const refunded = await refundOrder(order, {
+      amount: req.body.amount,
+      refundRequest: req.body.refundRequest,
+      providerReference: req.body.providerReference,
+      note: req.body.note,
+      user: req.user,
+      provider: getPaymentProvider(order.paymentMethod),
+    });
+    res.status(201).send({ message: 'Refund Recorded', ...refunded });
+  })
+);
+
+// Lets the owner cancel their own order while it has not shipped yet.
+orderRouter.post(
+  '/:id/cancel',
+  isAuth,
+  expressAsyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      res.status(404).send({ message: 'Order Not Found' });
+      return;
+    }
+    if (order.user.toString() !== req.user._id) {
+      res.status(403).send({ message: 'You can only cancel your own orders' });
+      return;
+    }
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      res.status(400).send({ message: 'Cancellation reason is required' });
+      return;
+    }
+    const cancelled = await cancelOrder(order, { user: req.user, reason });
+    res.send({ message: 'Order Cancelled', ...cancelled });
+  })
+);
+
 export default orderRouter;
\ No newline at end of file
@@ -0,0 +1,38 @@
+import express from 'express';
+import expressAsyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Order from '../models/orderModel.js';
+import {
+  getPaymentProvider,
+  listPaymentMethods,
+} from '../services/paymentProviders/index.js';
+
+export const paymentMethodRouter = express.Router();
+
+// GET payment methods customers can choose at checkout
+paymentMethodRouter.get('/', (req, res) => {
+  res.send(listPaymentMethods());
+});
+
+const paymentRouter = express.Router();
+
+// Server-to-server payment notifications (IPN) from redirect gateways.
+// No auth: the provider verifies the gateway's signature instead.
+paymentRouter.all(
+  '/:code/ipn',
+  expressAsyncHandler(async (req, res) => {
+    const provider = getPaymentProvider(req.params.code);
+    if (!provider || !provider.handleIpn || !provider.isEnabled()) {
+      res.status(404).send({ message: 'Payment Provider Not Found' });
+      return;
+    }
+    const params = { ...req.query, ...req.body };
+    const orderId = provider.orderIdOf(params);
+    const order = mongoose.isValidObjectId(orderId)
+      ? await Order.findById(orderId)
+      : null;
+    res.send(await provider.handleIpn(order, params));
+  })
+);
+
+export default paymentRouter;
@@ -1,12 +1,53 @@
 import express from 'express';
 import expressAsyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import multer from 'multer';
 import Product from '../models/productModel.js';
-import { isAdmin, isAuth } from '../utils.js';
+import ProductImport from '../models/productImportModel.js';
+import Category from '../models/categoryModel.js';
+import Brand from '../models/brandModel.js';
+import Order from '../models/orderModel.js';
+import { HttpError, isAdmin, isAuth, optionalAuth } from '../utils.js';
+import { totalVariantStock, variantFields } from '../services/variants.js';
+import {
+  deleteImages,
+  imageFields,
+  removedImages,
+} from '../services/productImages.js';
+import { productCategoryFilter } from '../services/categories.js';
+import { brandFacet, productBrandFilter } from '../services/brands.js';
+import {
+  importProductsJob,
+  parseProductRows,
+} from '../services/productImport.js';
+import {
+  EXPORT_FIELDS,
+  csvRow,
+  exportFilter,
+  exportRecord,
+  feedFooter,
+  feedHeader,
+  feedItem,
+  streamProducts,
+} from '../services/productExport.js';
+import { runJob } from '../services/scheduler.js';
+import { productSlug, slugFields } from '../services/productSlugs.js';
+import {
+  isPublished,
+  productStatusFields,
+  publishedFilter,
+  statusFilter,
+} from '../services/productStatus.js';
 
 const productRouter = express.Router();
 
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
 productRouter.get('/', async (req, res) => {
-  const products = await Product.find();
+  const products = await Product.find(publishedFilter());
   res.send(products);
 });
 
@@ -22,10 +63,12 @@ productRouter.get(
     const page = query.page || 1;
     const pageSize = query.pageSize || ADMIN_PAGE_SIZE;
 
-    const products = await Product.find()
+    const filter = statusFilter(query.status);
+
+    const products = await Product.find(filter)
       .skip(pageSize * (page - 1))
       .limit(pageSize);
-    const countProducts = await Product.countDocuments();
+    const countProducts = await Product.countDocuments(filter);
     res.send({
       products,
       countProducts,
@@ -35,6 +78,151 @@ productRouter.get(
   })
 );
 
+// Products in the trash, last deleted first
+productRouter.get(
+  '/trash',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const products = await Product.find()
+      .setOptions({ onlyDeleted: true })
+      .select('name slug image price category brand deletedAt deletedBy')
+      .populate({
+        path: 'deletedBy',
+        select: 'name',
+        options: { withDeleted: true },
+      })
+      .sort({ deletedAt: -1 });
+    res.send(products);
+  })
+);
+
+// Sends a streamed export. Once the first bytes are out an error can no
+// longer become an error response, the download is cut short instead.
+const sendStream = async (res, write) => {
+  try {
+    await write();
+    res.end();
+  } catch (err) {
+    if (!res.headersSent) {
+      throw err;
+    }
+    console.error('Product export failed:', err);
+    res.destroy(err);
+  }
+};
+
+// Products matching the search filters as a CSV or JSON download, in the
+// columns the import reads back
+productRouter.get(
+  '/export',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!['csv', 'json'].includes(format)) {
+      throw new HttpError(400, 'Export format must be csv or json');
+    }
+    const filter = await exportFilter(req.query);
+    const cursor = Product.find(filter).sort({ slug: 1 }).lean().cursor();
+    const date = new Date().toISOString().substring(0, 10);
+    res.attachment(`products-${date}.${format}`);
+    await sendStream(res, async () => {
+      if (format === 'csv') {
+        // The byte order mark makes spreadsheets read the file as UTF-8
+        res.write(`\uFEFF${csvRow(EXPORT_FIELDS)}`);
+        await streamProducts(res, cursor, (product) =>
+          csvRow(Object.values(exportRecord(product)))
+        );
+      } else {
+        res.write('[\n');
+        await streamProducts(
+          res,
+          cursor,
+          (product, index) =>
+            `${index > 0 ? ',\n' : ''}${JSON.stringify(exportRecord(product))}`
+        );
+        res.write('\n]\n');
+      }
+    });
+  })
+);
+
+// Public product feed for marketplace listings, in the RSS format of
+// merchant feeds. Takes the export filters, e.g. a feed per category.
+productRouter.get(
+  '/feed.xml',
+  expressAsyncHandler(async (req, res) => {
+    const siteUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const filter = {
+      ...(await exportFilter(req.query)),
+      ...publishedFilter(),
+    };
+    const cursor = Product.find(filter).sort({ slug: 1 }).lean().cursor();
+    res.type('application/xml');
+    await sendStream(res, async () => {
+      res.write(feedHeader(siteUrl));
+      await streamProducts(res, cursor, (product) => feedItem(product, siteUrl));
+      res.write(feedFooter);
+    });
+  })
+);
+
+// Queues a bulk import of the products in a JSON or CSV file and starts it
+// in the background. The admin follows it with GET /import/:id; a dry run
+// reports what the import would do without saving anything.
+productRouter.post(
+  '/import',
+  isAuth,
+  isAdmin,
+  importUpload.single('file'),
+  expressAsyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new HttpError(400, 'A product file is required');
+    }
+    const name = req.file.originalname.toLowerCase();
+    const format = name.endsWith('.csv')
+      ? 'csv'
+      : name.endsWith('.json')
+      ? 'json'
+      : req.file.mimetype.includes('csv')
+      ? 'csv'
+      : req.file.mimetype.includes('json')
+      ? 'json'
+      : '';
+    const rows = parseProductRows(req.file.buffer.toString('utf8'), format);
+    const productImport = await ProductImport.create({
+      user: req.user._id,
+      fileName: req.file.originalname,
+      dryRun: ['true', '1', 'on'].includes(String(req.body.dryRun)),
+      rows,
+      total: rows.length,
+    });
+    runJob(importProductsJob).catch((err) =>
+      console.error(`Job ${importProductsJob.name} failed:`, err)
+    );
+    const queued = productImport.toObject();
+    delete queued.rows;
+    res.status(202).send({ message: 'Product Import Queued', import: queued });
+  })
+);
+
+productRouter.get(
+  '/import/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const productImport = mongoose.isValidObjectId(req.params.id)
+      ? await ProductImport.findById(req.params.id)
+      : null;
+    if (productImport) {
+      res.send(productImport);
+    } else {
+      res.status(404).send({ message: 'Product Import Not Found' });
+    }
+  })
+);
+
 productRouter.get(
   '/search',
   expressAsyncHandler(async (req, res) => {
@@ -42,6 +230,7 @@ productRouter.get(
     const pageSize = query.pageSize || PAGE_SIZE;
     const page = query.page || 1;
     const category = query.category || '';
+    const brand = query.brand || '';
     const price = query.price || '';
     const rating = query.rating || '';
     const order = query.order || '';
@@ -56,7 +245,8 @@ productRouter.get(
             },
           }
         : {};
-    const categoryFilter = category && category !== 'all' ? { category } : {};
+    const categoryFilter = await productCategoryFilter(category);
+    const brandFilter = await productBrandFilter(brand);
     const ratingFilter =
       rating && rating !== 'all'
         ? {
@@ -88,27 +278,31 @@ productRouter.get(
         ? { createdAt: -1 }
         : { _id: -1 };
 
-    const products = await Product.find({
+    // Every filter but the brand, so the brand facet lists the other brands
+    // the customer can switch to
+    const otherFilters = {
+      ...publishedFilter(),
       ...queryFilter,
       ...categoryFilter,
       ...priceFilter,
       ...ratingFilter,
-    })
+    };
+
+    const products = await Product.find({ ...otherFilters, ...brandFilter })
       .sort(sortOrder)
       .skip(pageSize * (page - 1))
       .limit(pageSize);
 
     const countProducts = await Product.countDocuments({
-      ...queryFilter,
-      ...categoryFilter,
-      ...priceFilter,
-      ...ratingFilter,
+      ...otherFilters,
+      ...brandFilter,
     });
     res.send({
       products,
       countProducts,
       page,
       pages: Math.ceil(countProducts / pageSize),
+      brands: await brandFacet(otherFilters),
     });
   })
 );
@@ -116,23 +310,31 @@ productRouter.get(
 productRouter.get(
   '/categories',
   expressAsyncHandler(async (req, res) => {
-    const categories = await Product.find().distinct('category');
+    const categories = await Product.find(publishedFilter()).distinct('category');
     res.send(categories);
   })
 );
 
-productRouter.get('/slug/:slug', async (req, res) => {
-  const product = await Product.findOne({ slug: req.params.slug });
-  if (product) {
+// Admins also get drafts, archived and scheduled products, to preview them.
+// A previous slug of a product gets the slug to redirect to instead.
+productRouter.get('/slug/:slug', optionalAuth, async (req, res) => {
+  const { slug } = req.params;
+  const product =
+    (await Product.findOne({ slug })) ||
+    (await Product.findOne({ previousSlugs: slug }));
+  if (product && (isPublished(product) || (req.user && req.user.isAdmin))) {
+    if (product.slug !== slug) {
+      return res.send({ redirect: product.slug });
+    }
     res.send(product);
   } else {
     res.status(404).send({ message: 'Product Not Found' });
   }
 });
 
-productRouter.get('/:id', async (req, res) => {
+productRouter.get('/:id', optionalAuth, async (req, res) => {
   const product = await Product.findById(req.params.id);
-  if (product) {
+  if (product && (isPublished(product) || (req.user && req.user.isAdmin))) {
     res.send(product);
   } else {
     res.status(404).send({ message: 'Product Not Found' });
@@ -144,9 +346,10 @@ productRouter.post(
   isAuth,
   isAdmin,
   expressAsyncHandler(async (req, res) => {
+    const name = 'sample name ' + Date.now();
     const newProduct = new Product({
-      name: 'sample name ' + Date.now(),
-      slug: 'sample-slug-' + Date.now(),
+      name,
+      slug: await productSlug(name),
       image: '/images/p1.jpg',
       price: 0,
       category: 'sample category',
@@ -155,6 +358,8 @@ productRouter.post(
       rating: 0,
       numReviews: 0,
       description: 'sample description',
+      // Hidden from customers until the admin has filled it in
+      status: 'Draft',
     });
     const product = await newProduct.save();
     res.send({ message: 'Product Created', product });
@@ -169,15 +374,73 @@ productRouter.put(
     const productId = req.params.id;
     const product = await Product.findById(productId);
     if (product) {
+      // Products in the trash keep their name until they are purged
+      const nameTaken = await Product.exists({
+        _id: { $ne: product._id },
+        name: req.body.name,
+      }).setOptions({ withDeleted: true });
+      if (nameTaken) {
+        throw new HttpError(
+          400,
+          `A product named ${req.body.name} already exists`
+        );
+      }
       product.name = req.body.name;
-      product.slug = req.body.slug;
+      // An empty slug is made from the name
+      product.set(
+        slugFields(
+          product,
+          await productSlug(req.body.name, req.body.slug, product._id)
+        )
+      );
       product.price = req.body.price;
-      product.image = req.body.image;
-      product.category = req.body.category;
-      product.brand = req.body.brand;
-      product.countInStock = req.body.countInStock;
+      const previousImages = [...product.images];
+      product.images = imageFields(req.body.images);
+      product.image =
+        product.images.length > 0 ? product.images[0].url : req.body.image;
+      // Products are linked to a category of the tree; a category name
+      // alone is still accepted from clients that do not send the id
+      if (req.body.categoryId) {
+        const category = mongoose.isValidObjectId(req.body.categoryId)
+          ? await Category.findById(req.body.categoryId)
+          : null;
+        if (!category) {
+          throw new HttpError(400, 'Category not found');
+        }
+        product.categoryId = category._id;
+        product.category = category.name;
+      } else {
+        product.categoryId = undefined;
+        product.category = req.body.category;
+      }
+      if (req.body.brandId) {
+        const brand = mongoose.isValidObjectId(req.body.brandId)
+          ? await Brand.findById(req.body.brandId)
+          : null;
+        if (!brand) {
+          throw new HttpError(400, 'Brand not found');
+        }
+        product.brandId = brand._id;
+        product.brand = brand.name;
+      } else {
+        product.brandId = undefined;
+        product.brand = req.body.brand;
+      }
+      product.variants = variantFields(req.body.variants);
+      product.countInStock =
+        product.variants.length > 0
+          ? totalVariantStock(product.variants)
+          : req.body.countInStock;
+      product.weight = Number(req.body.weight) || 0;
       product.description = req.body.description;
+      product.set(productStatusFields(req.body, product));
       await product.save();
+      // The main image may still point to a removed gallery image
+      await deleteImages(
+        removedImages(previousImages, product.images).filter(
+          (x) => x.url !== product.image
+        )
+      );
       res.send({ message: 'Product Updated' });
     } else {
       res.status(404).send({ message: 'Product Not Found' });
@@ -185,6 +448,8 @@ productRouter.put(
   })
 );
 
+// Deleted products go to the trash: hidden from the store and admin lists
+// but still there for the orders that reference them
 productRouter.delete(
   '/:id',
   isAuth,
@@ -192,7 +457,7 @@ productRouter.delete(
   expressAsyncHandler(async (req, res) => {
     const product = await Product.findById(req.params.id);
     if (product) {
-      await product.remove();
+      await product.softDelete(req.user);
       res.send({ message: 'Product Deleted' });
     } else {
       res.status(404).send({ message: 'Product Not Found' });
@@ -200,6 +465,46 @@ productRouter.delete(
   })
 );
 
+productRouter.post(
+  '/:id/restore',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id).setOptions({
+      onlyDeleted: true,
+    });
+    if (product) {
+      await product.restore();
+      res.send({ message: 'Product Restored', product });
+    } else {
+      res.status(404).send({ message: 'Product Not Found' });
+    }
+  })
+);
+
+// Removes a product of the trash for good. Ordered products stay, their
+// orders still point to them.
+productRouter.delete(
+  '/:id/purge',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id).setOptions({
+      onlyDeleted: true,
+    });
+    if (product) {
+      if (await Order.exists({ 'orderItems.product': product._id })) {
+        throw new HttpError(400, 'Ordered products can not be purged');
+      }
+      await product.deleteOne();
+      await deleteImages(product.images);
+      res.send({ message: 'Product Purged' });
+    } else {
+      res.status(404).send({ message: 'Product Not Found' });
+    }
+  })
+);
+
 productRouter.post(
   '/:id/reviews',
   isAuth,
@@ -237,4 +542,9 @@ productRouter.post(
   })
 );
 
+// An import file that is too large is the client's mistake, not a server error
+productRouter.use((err, req, res, next) => {
+  next(err instanceof multer.MulterError ? new HttpError(400, err.message) : err);
+});
+
 export default productRouter;
\ No newline at end of file
@@ -0,0 +1,134 @@
+import express from 'express';
+import expressAsyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Return from '../models/returnModel.js';
+import Order from '../models/orderModel.js';
+import { isAuth, isAdmin } from '../utils.js';
+import {
+  assertReturnable,
+  buildReturnItems,
+  calculateRefundAmount,
+  receiveReturn,
+  transitionReturn,
+} from '../services/returns.js';
+
+const returnRouter = express.Router();
+
+// GET all returns - Admin only, optionally filtered by status
+returnRouter.get(
+  '/',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const filter =
+      typeof req.query.status === 'string' ? { status: req.query.status } : {};
+    const returns = await Return.find(filter)
+      .populate({
+        path: 'user',
+        select: 'name deletedAt',
+        options: { withDeleted: true },
+      })
+      .sort({ createdAt: -1 });
+    res.send(returns);
+  })
+);
+
+// POST - Customer requests a return for lines of a delivered order
+returnRouter.post(
+  '/',
+  isAuth,
+  expressAsyncHandler(async (req, res) => {
+    const order = mongoose.isValidObjectId(req.body.order)
+      ? await Order.findById(req.body.order)
+      : null;
+    if (!order) {
+      res.status(404).send({ message: 'Order Not Found' });
+      return;
+    }
+    if (order.user.toString() !== req.user._id) {
+      res.status(403).send({ message: 'You can only return your own orders' });
+      return;
+    }
+    assertReturnable(order);
+
+    const previousReturns = await Return.find({ order: order._id });
+    const items = buildReturnItems(order, req.body.items, previousReturns);
+    const ret = await Return.create({
+      order: order._id,
+      user: order.user,
+      items,
+      refundAmount: calculateRefundAmount(order, items),
+    });
+    res.status(201).send({ message: 'Return Requested', return: ret });
+  })
+);
+
+// GET returns of the logged in user
+returnRouter.get(
+  '/mine',
+  isAuth,
+  expressAsyncHandler(async (req, res) => {
+    const returns = await Return.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+    res.send(returns);
+  })
+);
+
+// GET returns of one order - owner or admin
+returnRouter.get(
+  '/order/:orderId',
+  isAuth,
+  expressAsyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      res.status(404).send({ message: 'Order Not Found' });
+      return;
+    }
+    if (order.user.toString() !== req.user._id && !req.user.isAdmin) {
+      res.status(403).send({ message: 'Not allowed to view these returns' });
+      return;
+    }
+    const returns = await Return.find({ order: order._id }).sort({
+      createdAt: -1,
+    });
+    res.send(returns);
+  })
+);
+
+const resolveReturn = (status) =>
+  expressAsyncHandler(async (req, res) => {
+    const ret = await Return.findById(req.params.id);
+    if (!ret) {
+      res.status(404).send({ message: 'Return Not Found' });
+      return;
+    }
+    transitionReturn(ret, status, { user: req.user, note: req.body.note });
+    const updatedReturn = await ret.save();
+    res.send({ message: `Return ${status}`, return: updatedReturn });
+  });
+
+returnRouter.put('/:id/approve', isAuth, isAdmin, resolveReturn('Approved'));
+returnRouter.put('/:id/reject', isAuth, isAdmin, resolveReturn('Rejected'));
+
+// PUT - Admin confirms the goods came back: restock and request the refund
+returnRouter.put(
+  '/:id/receive',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const ret = await Return.findById(req.params.id);
+    if (!ret) {
+      res.status(404).send({ message: 'Return Not Found' });
+      return;
+    }
+    const order = await Order.findById(ret.order);
+    const received = await receiveReturn(ret, order, {
+      user: req.user,
+      note: req.body.note,
+    });
+    res.send({ message: 'Return Received', ...received });
+  })
+);
+
+export default returnRouter;
@@ -2,6 +2,8 @@ import express from 'express';
 import data from '../data.js';
 import Product from '../models/productModel.js';
 import User from '../models/userModel.js';
+import { linkProductCategories } from '../services/categories.js';
+import { linkProductBrands } from '../services/brands.js';
 import axios from 'axios';
 import cheerio from 'cheerio';
 import { createObjectCsvWriter as createCsvWriter } from 'csv-writer';
@@ -17,6 +19,8 @@ const seedRouter = express.Router();
 seedRouter.get('/', async (req, res) => {
   await Product.remove({});
   const createdProducts = await Product.insertMany (data.products);
+  await linkProductCategories();
+  await linkProductBrands();
   await User.remove({});
   const createdUsers = await User.insertMany (data.users);  
   res.send({ createdProducts, createdUsers });  // response to client with info about the created products and users.
@@ -0,0 +1,180 @@
+import express from 'express';
+import expressAsyncHandler from 'express-async-handler';
+import ShippingZone, {
+  SHIPPING_METHOD_CODES,
+} from '../models/shippingZoneModel.js';
+import { HttpError, isAuth, isAdmin } from '../utils.js';
+import {
+  buildOrderItems,
+  discountedItemsPrice,
+} from '../services/pricing.js';
+import { orderWeight, shippingOptions } from '../services/shipping.js';
+import { findCouponDiscount } from '../services/coupons.js';
+
+const shippingRouter = express.Router();
+
+const METHOD_NAMES = {
+  standard: 'Standard',
+  express: 'Express',
+  pickup: 'In-store pickup',
+};
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((x) => String(x).trim())
+    .filter(Boolean);
+
+const optionalNumber = (value) =>
+  value === '' || value === null || value === undefined ? undefined : Number(value);
+
+// Fields of a shipping zone from the admin form. Throws 400 when invalid.
+const zoneFields = (body) => {
+  const name = String(body.name || '').trim();
+  if (!name) {
+    throw new HttpError(400, 'Zone name is required');
+  }
+  const countries = toList(body.countries);
+  if (countries.length === 0) {
+    throw new HttpError(400, 'A zone needs at least one country');
+  }
+  const methods = (body.methods || []).map((method) => {
+    if (!SHIPPING_METHOD_CODES.includes(method.code)) {
+      throw new HttpError(400, `Invalid shipping method: ${method.code}`);
+    }
+    const rates = (method.rates || []).map((rate) => ({
+      maxWeight: optionalNumber(rate.maxWeight),
+      price: Number(rate.price),
+    }));
+    if (
+      rates.length === 0 ||
+      rates.some(
+        (rate) =>
+          !(rate.price >= 0) ||
+          (rate.maxWeight !== undefined && !(rate.maxWeight > 0))
+      )
+    ) {
+      throw new HttpError(400, `Invalid rates for ${method.code} shipping`);
+    }
+    return {
+      code: method.code,
+      name: String(method.name || '').trim() || METHOD_NAMES[method.code],
+      estimatedDays: method.estimatedDays || '',
+      freeOver: optionalNumber(method.freeOver),
+      rates,
+    };
+  });
+  const codes = methods.map((method) => method.code);
+  if (new Set(codes).size !== codes.length) {
+    throw new HttpError(400, 'Each shipping method can only be listed once');
+  }
+  return {
+    name,
+    countries,
+    cities: toList(body.cities),
+    methods,
+    isActive: body.isActive === undefined ? true : !!body.isActive,
+  };
+};
+
+// Shipping methods and prices for the given items and address, shown in the
+// checkout before the order is quoted. With a coupon, prices are the ones
+// the order will be charged, see calculatePrices.
+shippingRouter.post(
+  '/quote',
+  isAuth,
+  expressAsyncHandler(async (req, res) => {
+    const orderItems = await buildOrderItems(req.body.orderItems);
+    const zones = await ShippingZone.find({ isActive: true }).lean();
+    const { discount, freeShipping } = req.body.couponCode
+      ? await findCouponDiscount(req.body.couponCode, {
+          user: req.user,
+          orderItems,
+        })
+      : {};
+    const methods = shippingOptions(orderItems, {
+      zones,
+      shippingAddress: req.body.shippingAddress,
+      itemsPrice: discountedItemsPrice(orderItems, discount),
+    });
+    res.send({
+      weight: orderWeight(orderItems),
+      methods: freeShipping
+        ? methods.map((method) => ({ ...method, price: 0 }))
+        : methods,
+    });
+  })
+);
+
+shippingRouter.get(
+  '/zones',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const zones = await ShippingZone.find().sort({ name: 1 });
+    res.send(zones);
+  })
+);
+
+// Creates an inactive sample zone for the admin to edit, like products.
+shippingRouter.post(
+  '/zones',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const zone = await ShippingZone.create({
+      name: 'sample zone ' + Date.now(),
+      countries: ['sample country'],
+      methods: [
+        { code: 'standard', name: METHOD_NAMES.standard, rates: [{ price: 0 }] },
+      ],
+      isActive: false,
+    });
+    res.send({ message: 'Shipping Zone Created', zone });
+  })
+);
+
+shippingRouter.get(
+  '/zones/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (zone) {
+      res.send(zone);
+    } else {
+      res.status(404).send({ message: 'Shipping Zone Not Found' });
+    }
+  })
+);
+
+shippingRouter.put(
+  '/zones/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).send({ message: 'Shipping Zone Not Found' });
+    }
+    zone.set(zoneFields(req.body));
+    const updatedZone = await zone.save();
+    res.send({ message: 'Shipping Zone Updated', zone: updatedZone });
+  })
+);
+
+shippingRouter.delete(
+  '/zones/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (zone) {
+      await zone.deleteOne();
+      res.send({ message: 'Shipping Zone Deleted' });
+    } else {
+      res.status(404).send({ message: 'Shipping Zone Not Found' });
+    }
+  })
+);
+
+export default shippingRouter;
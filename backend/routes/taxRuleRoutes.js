@@ -0,0 +1,82 @@
+import express from 'express';
+import expressAsyncHandler from 'express-async-handler';
+import TaxRule from '../models/taxRuleModel.js';
+import { HttpError, isAuth, isAdmin } from '../utils.js';
+
+const taxRuleRouter = express.Router();
+
+const trim = (value) => String(value || '').trim();
+
+// Fields of a tax rule from the admin form. Throws 400 when invalid.
+const taxRuleFields = (body) => {
+  const country = trim(body.country);
+  if (!country) {
+    throw new HttpError(400, 'Country is required');
+  }
+  const rate = Number(body.rate);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+    throw new HttpError(400, 'Tax rate must be between 0 and 100');
+  }
+  return {
+    name: trim(body.name) || `${country} tax`,
+    country,
+    region: trim(body.region),
+    city: trim(body.city),
+    category: trim(body.category),
+    rate,
+    inclusive: !!body.inclusive,
+    isActive: body.isActive === undefined ? true : !!body.isActive,
+  };
+};
+
+taxRuleRouter.get(
+  '/',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const taxRules = await TaxRule.find().sort({ country: 1, region: 1, city: 1 });
+    res.send(taxRules);
+  })
+);
+
+taxRuleRouter.post(
+  '/',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const taxRule = await TaxRule.create(taxRuleFields(req.body));
+    res.status(201).send({ message: 'Tax Rule Created', taxRule });
+  })
+);
+
+taxRuleRouter.put(
+  '/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const taxRule = await TaxRule.findById(req.params.id);
+    if (!taxRule) {
+      return res.status(404).send({ message: 'Tax Rule Not Found' });
+    }
+    taxRule.set(taxRuleFields(req.body));
+    const updatedTaxRule = await taxRule.save();
+    res.send({ message: 'Tax Rule Updated', taxRule: updatedTaxRule });
+  })
+);
+
+taxRuleRouter.delete(
+  '/:id',
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const taxRule = await TaxRule.findById(req.params.id);
+    if (taxRule) {
+      await taxRule.deleteOne();
+      res.send({ message: 'Tax Rule Deleted' });
+    } else {
+      res.status(404).send({ message: 'Tax Rule Not Found' });
+    }
+  })
+);
+
+export default taxRuleRouter;
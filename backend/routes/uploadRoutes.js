@@ -0,0 +1,57 @@
+import express from 'express';
+import expressAsyncHandler from 'express-async-handler';
+import multer from 'multer';
+import { HttpError, isAuth, isAdmin } from '../utils.js';
+import { MAX_UPLOAD_SIZE, imageTypeOf } from '../services/storage/index.js';
+import { storeImage } from '../services/imagePipeline.js';
+
+const uploadRouter = express.Router();
+
+const MAX_FILES = 10;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: MAX_FILES },
+});
+
+// Single image, kept for the clients that still upload one file at a time
+uploadRouter.post(
+  '/',
+  isAuth,
+  isAdmin,
+  upload.single('file'),
+  expressAsyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new HttpError(400, 'No file uploaded');
+    }
+    const { url, publicId, sizes } = await storeImage(req.file);
+    res.send({ secure_url: url, publicId, sizes });
+  })
+);
+
+// Several gallery images at once, returned in the order they were sent with
+// their sizes. Every file is checked before any is stored.
+uploadRouter.post(
+  '/images',
+  isAuth,
+  isAdmin,
+  upload.array('files', MAX_FILES),
+  expressAsyncHandler(async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      throw new HttpError(400, 'No file uploaded');
+    }
+    req.files.forEach(imageTypeOf);
+    const images = [];
+    for (const file of req.files) {
+      images.push(await storeImage(file));
+    }
+    res.send({ images });
+  })
+);
+
+// Too large or too many files are the client's mistake, not a server error
+uploadRouter.use((err, req, res, next) => {
+  next(err instanceof multer.MulterError ? new HttpError(400, err.message) : err);
+});
+
+export default uploadRouter;
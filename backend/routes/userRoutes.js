@@ -86,6 +86,7 @@ import express from "express";
 import bcrypt from "bcryptjs";
 import expressAsyncHandler from "express-async-handler";
 import User from "../models/userModel.js";
+import Order from "../models/orderModel.js";
 import { generateToken, isAuth, isAdmin } from "../utils.js";
 
 const userRouter = express.Router();
@@ -113,6 +114,15 @@ userRouter.post(
 userRouter.post(
   "/signup",
   expressAsyncHandler(async (req, res) => {
+    // Deleted users keep their email until they are purged
+    if (
+      await User.exists({ email: req.body.email }).setOptions({
+        withDeleted: true,
+      })
+    ) {
+      res.status(400).send({ message: "Email is already registered" });
+      return;
+    }
     const newUser = new User({
       name: req.body.name,
       email: req.body.email,
@@ -166,6 +176,25 @@ userRouter.get(
   })
 );
 
+// GET users in the trash, last deleted first - Admin only
+userRouter.get(
+  "/trash",
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const users = await User.find()
+      .setOptions({ onlyDeleted: true })
+      .select("-password")
+      .populate({
+        path: "deletedBy",
+        select: "name",
+        options: { withDeleted: true },
+      })
+      .sort({ deletedAt: -1 });
+    res.send(users);
+  })
+);
+
 // GET single user by ID - Admin only
 userRouter.get(
   "/:id",
@@ -206,7 +235,8 @@ userRouter.put(
   })
 );
 
-// DELETE user - Admin only
+// DELETE user - Admin only. The user goes to the trash and can no longer
+// sign in; their orders still show who placed them.
 userRouter.delete(
   "/:id",
   isAuth,
@@ -218,7 +248,7 @@ userRouter.delete(
         res.status(400).send({ message: "Can Not Delete Admin User" });
         return;
       }
-      await user.deleteOne();
+      await user.softDelete(req.user);
       res.send({ message: "User Deleted" });
     } else {
       res.status(404).send({ message: "User Not Found" });
@@ -226,4 +256,45 @@ userRouter.delete(
   })
 );
 
+// RESTORE a user of the trash - Admin only
+userRouter.post(
+  "/:id/restore",
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id).setOptions({
+      onlyDeleted: true,
+    });
+    if (user) {
+      await user.restore();
+      res.send({ message: "User Restored" });
+    } else {
+      res.status(404).send({ message: "User Not Found" });
+    }
+  })
+);
+
+// PURGE a user of the trash for good - Admin only. Users with orders stay,
+// their orders still point to them.
+userRouter.delete(
+  "/:id/purge",
+  isAuth,
+  isAdmin,
+  expressAsyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id).setOptions({
+      onlyDeleted: true,
+    });
+    if (user) {
+      if (await Order.exists({ user: user._id })) {
+        res.status(400).send({ message: "Users with orders can not be purged" });
+        return;
+      }
+      await user.deleteOne();
+      res.send({ message: "User Purged" });
+    } else {
+      res.status(404).send({ message: "User Not Found" });
+    }
+  })
+);
+
 export default userRouter;
@@ -0,0 +1,45 @@
+// Runs one scheduled job once and exits, e.g.
+//   npm run job -- expire-unpaid-orders
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { runJob } from './services/scheduler.js';
+import { expireUnpaidOrdersJob } from './services/orderExpiry.js';
+import { processProductImagesJob } from './services/productImages.js';
+import { linkProductCategoriesJob } from './services/categories.js';
+import { linkProductBrandsJob } from './services/brands.js';
+import { importProductsJob } from './services/productImport.js';
+import { regenerateProductSlugsJob } from './services/productSlugs.js';
+
+dotenv.config();
+
+const jobs = [
+  expireUnpaidOrdersJob,
+  processProductImagesJob,
+  linkProductCategoriesJob,
+  linkProductBrandsJob,
+  importProductsJob,
+  regenerateProductSlugsJob,
+];
+
+const name = process.argv[2];
+const job = jobs.find((x) => x.name === name);
+if (!job) {
+  console.error(`Usage: node runJob.js <${jobs.map((x) => x.name).join('|')}>`);
+  process.exit(1);
+}
+
+mongoose.set('strictQuery', true);
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const { skipped, result } = await runJob(job);
+  if (skipped) {
+    console.log(`${name} is already running on another instance`);
+  } else {
+    console.log(`${name} done:`, result);
+  }
+  await mongoose.disconnect();
+} catch (err) {
+  console.error(`${name} failed:`, err);
+  process.exit(1);
+}
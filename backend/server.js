@@ -3,13 +3,24 @@ import dotenv from "dotenv";
 import mongoose from "mongoose";
 import seedRouter from "./routes/seedRoutes.js";
 import productRouter from "./routes/productRoutes.js";
+import categoryRouter from "./routes/categoryRoutes.js";
+import brandRouter from "./routes/brandRoutes.js";
 import userRouter from "./routes/userRoutes.js";
 import orderRouter from "./routes/orderRoutes.js";
 import cartRouter from "./routes/cartRoutes.js";
+import returnRouter from "./routes/returnRoutes.js";
+import couponRouter from "./routes/couponRoutes.js";
+import taxRuleRouter from "./routes/taxRuleRoutes.js";
+import shippingRouter from "./routes/shippingRoutes.js";
+import currencyRouter from "./routes/currencyRoutes.js";
+import paymentRouter, { paymentMethodRouter } from "./routes/paymentRoutes.js";
+import uploadRouter from "./routes/uploadRoutes.js";
+import { UPLOAD_URL, uploadDir } from "./services/storage/local.js";
 import path from "path";
-import multer from "multer";
-import cloudinary from "./cloudinary.js";
 import cors from "cors";
+import { startScheduler } from "./services/scheduler.js";
+import { expireUnpaidOrdersJob } from "./services/orderExpiry.js";
+import { importProductsJob } from "./services/productImport.js";
 
 dotenv.config();
 
@@ -38,25 +49,6 @@ app.use(
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Multer setup for image uploads
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
-
-// API endpoint for uploading images to Cloudinary
-app.post("/api/upload", upload.single("file"), async (req, res) => {
-  try {
-    const result = await cloudinary.uploader.upload(
-      `data:${req.file.mimetype};base64,${req.file.buffer.toString("base64")}`
-    );
-    res.send({ secure_url: result.secure_url });
-  } catch (err) {
-    console.error("Upload error:", err);
-    res
-      .status(500)
-      .send({ message: "Image upload failed", error: err.message });
-  }
-});
-
 // Set Mongoose options
 mongoose.set("strictQuery", true);
 
@@ -71,6 +63,11 @@ mongoose
   })
   .then(() => {
     console.log("✅ Connected to MongoDB Atlas successfully!");
+    // Background jobs; every instance runs the scheduler, the job locks make
+    // sure each run happens on one of them only.
+    if (process.env.DISABLE_SCHEDULER !== "true") {
+      startScheduler([expireUnpaidOrdersJob, importProductsJob]);
+    }
   })
   .catch((err) => {
     console.error("❌ MongoDB connection error:", err.message);
@@ -89,14 +86,27 @@ app.get("/api/keys/paypal", (req, res) => {
 // API Routes
 app.use("/api/seed", seedRouter);
 app.use("/api/products", productRouter);
+app.use("/api/categories", categoryRouter);
+app.use("/api/brands", brandRouter);
 app.use("/api/users", userRouter);
 app.use("/api/orders", orderRouter);
 app.use("/api/cart", cartRouter);
+app.use("/api/returns", returnRouter);
+app.use("/api/coupons", couponRouter);
+app.use("/api/tax-rules", taxRuleRouter);
+app.use("/api/shipping", shippingRouter);
+app.use("/api/currencies", currencyRouter);
+app.use("/api/payments", paymentRouter);
+app.use("/api/payment-methods", paymentMethodRouter);
+app.use("/api/upload", uploadRouter);
+
+// Files of the local disk storage
+app.use(UPLOAD_URL, express.static(uploadDir()));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error("Error:", err);
-  res.status(500).send({ message: err.message });
+  res.status(err.status || 500).send({ message: err.message, ...err.details });
 });
 
 const port = process.env.PORT || 5000;
@@ -0,0 +1,96 @@
+import Brand from '../models/brandModel.js';
+import Product from '../models/productModel.js';
+import { HttpError } from '../utils.js';
+import { slugify, uniqueSlug } from './slugs.js';
+
+const trim = (value) => String(value || '').trim();
+
+// Fields of a brand from the admin form. Throws 400 when invalid.
+export const brandFields = (body) => {
+  const name = trim(body.name);
+  if (!name) {
+    throw new HttpError(400, 'Name is required');
+  }
+  const slug = slugify(body.slug || name);
+  if (!slug) {
+    throw new HttpError(400, 'Slug is required');
+  }
+  return {
+    name,
+    slug,
+    logo: trim(body.logo),
+    description: trim(body.description),
+  };
+};
+
+// Product filter for the brand of a search, given by slug. Names that match
+// no brand are compared with the product's brand name, for products not
+// linked yet.
+export const productBrandFilter = async (value) => {
+  if (!value || value === 'all') {
+    return {};
+  }
+  const brand = await Brand.findOne({ $or: [{ slug: value }, { name: value }] });
+  return brand ? { brandId: brand._id } : { brand: value };
+};
+
+// Brands of the products matching a search, with how many products each
+// has, for the brand filter of the search page. Products not linked to a
+// brand are listed under their brand name.
+export const brandFacet = async (filter) => {
+  const groups = await Product.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: { brandId: '$brandId', brand: '$brand' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  const brands = await Brand.find({
+    _id: { $in: groups.map((x) => x._id.brandId).filter(Boolean) },
+  }).lean();
+  const facet = new Map();
+  groups.forEach(({ _id, count }) => {
+    const brand = brands.find((x) => _id.brandId && x._id.equals(_id.brandId));
+    const slug = brand ? brand.slug : _id.brand;
+    const entry = facet.get(slug) || {
+      slug,
+      name: brand ? brand.name : _id.brand,
+      count: 0,
+    };
+    entry.count += count;
+    facet.set(slug, entry);
+  });
+  return [...facet.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Links the products that only have a brand name to the brand of that name,
+// creating the brands that do not exist yet.
+export const linkProductBrands = async () => {
+  const names = await Product.find({ brandId: null }).distinct('brand');
+  let created = 0;
+  let linked = 0;
+  for (const name of names) {
+    let brand = await Brand.findOne({ name });
+    if (!brand) {
+      const slug = await uniqueSlug(Brand, name, 'brand');
+      brand = await Brand.create({ name, slug });
+      created += 1;
+    }
+    const { modifiedCount } = await Product.updateMany(
+      { brand: name, brandId: null },
+      { brandId: brand._id }
+    );
+    linked += modifiedCount;
+  }
+  return { created, linked };
+};
+
+// Not scheduled: run it once with `npm run job -- link-product-brands`
+// after upgrading a catalog that has brand names only.
+export const linkProductBrandsJob = {
+  name: 'link-product-brands',
+  lockTtlMs: 10 * 60 * 1000,
+  run: linkProductBrands,
+};
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import Category from '../models/categoryModel.js';
+import Product from '../models/productModel.js';
+import { HttpError } from '../utils.js';
+import { slugify, uniqueSlug } from './slugs.js';
+
+const trim = (value) => String(value || '').trim();
+
+const idOf = (value) => (value ? value.toString() : null);
+
+// Fields of a category from the admin form. categories are all the existing
+// ones, used to check the parent; id is the category being edited.
+// Throws 400 when invalid.
+export const categoryFields = (body, categories, id = null) => {
+  const name = trim(body.name);
+  if (!name) {
+    throw new HttpError(400, 'Name is required');
+  }
+  const slug = slugify(body.slug || name);
+  if (!slug) {
+    throw new HttpError(400, 'Slug is required');
+  }
+  const sortOrder =
+    body.sortOrder === undefined || body.sortOrder === ''
+      ? 0
+      : Number(body.sortOrder);
+  if (!Number.isInteger(sortOrder)) {
+    throw new HttpError(400, 'Sort order must be a whole number');
+  }
+  let parent = null;
+  if (body.parent) {
+    if (
+      !mongoose.isValidObjectId(body.parent) ||
+      !categories.some((x) => idOf(x._id) === String(body.parent))
+    ) {
+      throw new HttpError(400, 'Parent category not found');
+    }
+    if (id && descendantIds(categories, id).includes(String(body.parent))) {
+      throw new HttpError(400, 'A category cannot be moved under itself');
+    }
+    parent = body.parent;
+  }
+  return { name, slug, description: trim(body.description), parent, sortOrder };
+};
+
+const bySortOrder = (a, b) =>
+  a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Nested tree of plain categories, each with its children, in display order.
+export const buildCategoryTree = (categories) => {
+  const childrenOf = (parentId) =>
+    categories
+      .filter((x) => idOf(x.parent) === parentId)
+      .sort(bySortOrder)
+      .map((x) => ({ ...x, children: childrenOf(idOf(x._id)) }));
+  return childrenOf(null);
+};
+
+// Ids of a category and of everything below it
+export const descendantIds = (categories, id) => {
+  const ids = [String(id)];
+  for (let i = 0; i < ids.length; i += 1) {
+    categories
+      .filter((x) => idOf(x.parent) === ids[i])
+      .forEach((x) => ids.push(idOf(x._id)));
+  }
+  return ids;
+};
+
+// The category and its ancestors from the top of the tree down, e.g. for
+// breadcrumbs. Empty when the category does not exist.
+export const categoryPath = (categories, id) => {
+  const path = [];
+  let category = categories.find((x) => idOf(x._id) === idOf(id));
+  while (category && !path.includes(category)) {
+    path.unshift(category);
+    const parentId = idOf(category.parent);
+    category = categories.find((x) => idOf(x._id) === parentId);
+  }
+  return path;
+};
+
+// Product filter for the category of a search, given by slug. It includes
+// the products of every subcategory. Names that match no category are
+// compared with the product's category name, for products not linked yet.
+export const productCategoryFilter = async (value) => {
+  if (!value || value === 'all') {
+    return {};
+  }
+  const categories = await Category.find().lean();
+  const category =
+    categories.find((x) => x.slug === value) ||
+    categories.find((x) => x.name === value);
+  if (!category) {
+    return { category: value };
+  }
+  // ObjectIds rather than strings so the filter also works in aggregations
+  return {
+    categoryId: {
+      $in: descendantIds(categories, category._id).map(
+        (id) => new mongoose.Types.ObjectId(id)
+      ),
+    },
+  };
+};
+
+// Links the products that only have a category name to a category of that
+// name, creating top level categories for names that have none.
+export const linkProductCategories = async () => {
+  const names = await Product.find({ categoryId: null }).distinct('category');
+  let created = 0;
+  let linked = 0;
+  for (const name of names) {
+    let category = await Category.findOne({ name });
+    if (!category) {
+      const slug = await uniqueSlug(Category, name, 'category');
+      category = await Category.create({ name, slug });
+      created += 1;
+    }
+    const { modifiedCount } = await Product.updateMany(
+      { category: name, categoryId: null },
+      { categoryId: category._id }
+    );
+    linked += modifiedCount;
+  }
+  return { created, linked };
+};
+
+// Not scheduled: run it once with `npm run job -- link-product-categories`
+// after upgrading a catalog that has category names only.
+export const linkProductCategoriesJob = {
+  name: 'link-product-categories',
+  lockTtlMs: 10 * 60 * 1000,
+  run: linkProductCategories,
+};
@@ -0,0 +1,142 @@
+import Coupon, { COUPON_TYPES } from '../models/couponModel.js';
+import Order from '../models/orderModel.js';
+import { HttpError } from '../utils.js';
+import { priceOrder, itemsTotal, round2 } from './pricing.js';
+
+export const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Order lines a coupon applies to: every line unless the coupon is limited to
+// some categories and/or brands.
+export const eligibleItems = (coupon, orderItems) =>
+  orderItems.filter(
+    (item) =>
+      (!coupon.categories || coupon.categories.length === 0 ||
+        coupon.categories.includes(item.category)) &&
+      (!coupon.brands || coupon.brands.length === 0 ||
+        coupon.brands.includes(item.brand))
+  );
+
+// Amount taken off the eligible lines; free shipping coupons take nothing off
+// the items and waive the shipping fee instead.
+export const couponDiscount = (coupon, orderItems) => {
+  const eligiblePrice = itemsTotal(eligibleItems(coupon, orderItems));
+  let discount = 0;
+  if (coupon.type === 'percentage') {
+    discount = round2((eligiblePrice * coupon.value) / 100);
+  } else if (coupon.type === 'fixed') {
+    discount = Math.min(coupon.value, eligiblePrice);
+  }
+  return { discount, freeShipping: coupon.type === 'free_shipping' };
+};
+
+// Checks the fields an admin submits for a coupon, throws 400 when invalid.
+export const validateCouponFields = ({ code, type, value }) => {
+  if (!normalizeCode(code)) {
+    throw new HttpError(400, 'Coupon code is required');
+  }
+  if (!COUPON_TYPES.includes(type)) {
+    throw new HttpError(400, 'Invalid coupon type');
+  }
+  const amount = Number(value);
+  if (type === 'percentage' && !(amount > 0 && amount <= 100)) {
+    throw new HttpError(400, 'Percentage must be between 0 and 100');
+  }
+  if (type === 'fixed' && !(amount > 0)) {
+    throw new HttpError(400, 'Discount amount must be greater than 0');
+  }
+};
+
+const usesBy = (coupon, user) =>
+  Order.countDocuments({
+    user: user._id,
+    'coupon.code': coupon.code,
+    status: { $ne: 'Cancelled' },
+  });
+
+// Throws 400 when the user can not use the coupon on these order lines.
+export const assertCouponApplicable = async (
+  coupon,
+  { user, orderItems, now = new Date() }
+) => {
+  if (!coupon.isActive) {
+    throw new HttpError(400, 'Coupon is not active');
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw new HttpError(400, 'Coupon has expired');
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw new HttpError(400, 'Coupon usage limit reached');
+  }
+  if (coupon.perUserLimit != null && (await usesBy(coupon, user)) >= coupon.perUserLimit) {
+    throw new HttpError(400, 'You have already used this coupon');
+  }
+  if (itemsTotal(orderItems) < coupon.minOrderValue) {
+    throw new HttpError(
+      400,
+      `Order must be at least ${coupon.minOrderValue} to use this coupon`
+    );
+  }
+  if (eligibleItems(coupon, orderItems).length === 0) {
+    throw new HttpError(400, 'Coupon does not apply to any item in the order');
+  }
+};
+
+// The coupon of the given code with its discount on the order lines (see
+// couponDiscount). Throws 404 or, when it does not apply, 400.
+export const findCouponDiscount = async (code, { user, orderItems }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon) {
+    throw new HttpError(404, 'Coupon Not Found');
+  }
+  await assertCouponApplicable(coupon, { user, orderItems });
+  return { coupon, ...couponDiscount(coupon, orderItems) };
+};
+
+// Re-prices a quote (see quoteOrder) with the coupon of the given code.
+export const applyCoupon = async (quote, { code, user, shippingAddress }) => {
+  const { coupon, discount, freeShipping } = await findCouponDiscount(code, {
+    user,
+    orderItems: quote.orderItems,
+  });
+  return {
+    ...quote,
+    ...(await priceOrder(quote.orderItems, {
+      discount,
+      freeShipping,
+      shippingAddress,
+      shippingMethod: quote.shippingMethod.code,
+    })),
+    coupon: {
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      description: coupon.description,
+    },
+  };
+};
+
+// Counts one use of the coupon. Like reserveStock the increment is
+// conditional, so concurrent orders can not go past the usage limit.
+export const redeemCoupon = async (code) => {
+  const result = await Coupon.updateOne(
+    {
+      code,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (result.modifiedCount !== 1) {
+    throw new HttpError(409, 'Coupon usage limit reached');
+  }
+};
+
+// Gives back the use taken by an order, e.g. when it is cancelled.
+export const releaseCoupon = async (code) => {
+  await Coupon.updateOne(
+    { code, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
@@ -0,0 +1,137 @@
+import ExchangeRate from '../models/exchangeRateModel.js';
+import { HttpError } from '../utils.js';
+
+// Catalog prices and every amount used for reporting are in the base currency.
+// Orders may be charged in another currency at the rate of the day.
+export const BASE_CURRENCY = 'USD';
+
+// Currencies without minor units: amounts are rounded to whole numbers.
+export const ZERO_DECIMAL_CURRENCIES = ['VND', 'JPY', 'KRW'];
+
+export const currencyDecimals = (currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+
+export const roundCurrency = (amount, currency) => {
+  const factor = 10 ** currencyDecimals(currency);
+  return Math.round(amount * factor + Number.EPSILON) / factor;
+};
+
+export const normalizeCurrency = (code) =>
+  String(code || '')
+    .trim()
+    .toUpperCase();
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// Validated { currency, rate } of an imported or edited exchange rate.
+export const exchangeRateFields = ({ currency, rate }) => {
+  const code = normalizeCurrency(currency);
+  if (!CURRENCY_CODE.test(code)) {
+    throw new HttpError(400, `Invalid currency code: ${currency}`);
+  }
+  if (code === BASE_CURRENCY) {
+    throw new HttpError(400, `${BASE_CURRENCY} is the base currency`);
+  }
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new HttpError(400, `Invalid exchange rate for ${code}`);
+  }
+  return { currency: code, rate: value };
+};
+
+// Exchange rates from an uploaded file. JSON files hold either an array of
+// { currency, rate } or an object like { "VND": 25000 }; CSV files have a
+// `currency,rate` header. Errors name the offending entry.
+export const parseExchangeRates = (text, format) => {
+  let entries;
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new HttpError(400, 'Invalid JSON file');
+    }
+    entries = Array.isArray(data)
+      ? data
+      : Object.entries(data || {}).map(([currency, rate]) => ({ currency, rate }));
+  } else if (format === 'csv') {
+    const [header, ...lines] = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+    const columns = (header || '').split(',').map((x) => x.trim().toLowerCase());
+    const currencyColumn = columns.indexOf('currency');
+    const rateColumn = columns.indexOf('rate');
+    if (currencyColumn === -1 || rateColumn === -1) {
+      throw new HttpError(400, 'CSV file needs a currency,rate header');
+    }
+    entries = lines.map((line) => {
+      const values = line.split(',').map((x) => x.trim());
+      return { currency: values[currencyColumn], rate: values[rateColumn] };
+    });
+  } else {
+    throw new HttpError(400, 'Exchange rates must be a JSON or CSV file');
+  }
+  if (entries.length === 0) {
+    throw new HttpError(400, 'The file has no exchange rates');
+  }
+  return entries.map((entry, index) => {
+    try {
+      return exchangeRateFields(entry || {});
+    } catch (err) {
+      throw new HttpError(400, `Entry ${index + 1}: ${err.message}`);
+    }
+  });
+};
+
+// The rate to charge `currency` at; the base currency when none is given.
+export const findExchangeRate = async (currency) => {
+  const code = normalizeCurrency(currency) || BASE_CURRENCY;
+  if (code === BASE_CURRENCY) {
+    return { currency: BASE_CURRENCY, rate: 1 };
+  }
+  const exchangeRate = await ExchangeRate.findOne({ currency: code }).lean();
+  if (!exchangeRate) {
+    throw new HttpError(400, `Unsupported currency: ${code}`);
+  }
+  return { currency: code, rate: exchangeRate.rate };
+};
+
+// The quote's amounts converted to the charged currency. Each amount is
+// rounded on its own and the total is their sum, so the lines the customer
+// sees always add up.
+export const convertPrices = (prices, { currency, rate }) => {
+  const convert = (amount) => roundCurrency((amount || 0) * rate, currency);
+  const charged = {
+    itemsPrice: convert(prices.itemsPrice),
+    discountPrice: convert(prices.discountPrice),
+    shippingPrice: convert(prices.shippingPrice),
+    taxPrice: convert(prices.taxPrice),
+  };
+  charged.totalPrice = roundCurrency(
+    charged.itemsPrice -
+      charged.discountPrice +
+      charged.shippingPrice +
+      charged.taxPrice,
+    currency
+  );
+  return charged;
+};
+
+// Adds the charged currency, its rate and the converted amounts to a quote.
+// The quote's own amounts stay in the base currency.
+export const chargeQuoteIn = async (quote, currency) => {
+  const exchangeRate = await findExchangeRate(currency);
+  return {
+    ...quote,
+    currency: exchangeRate.currency,
+    exchangeRate: exchangeRate.rate,
+    charged: convertPrices(quote, exchangeRate),
+  };
+};
+
+// An amount of the order (base currency) in the currency it was charged in.
+export const toChargedCurrency = (order, amount) =>
+  order.currency && order.currency !== BASE_CURRENCY
+    ? roundCurrency(amount * order.exchangeRate, order.currency)
+    : amount;
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/idempotencyKeyModel.js';
+
+export const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+export const hashRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body]))
+    .digest('hex');
+
+// Claims the key for this request. Resolves to the stored record when the key
+// was already used by the same user (expired records are dropped first).
+const claimKey = async (user, key, requestHash) => {
+  try {
+    await IdempotencyKey.create({ user, key, requestHash });
+    return null;
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+  const existing = await IdempotencyKey.findOne({ user, key });
+  if (existing && Date.now() - existing.createdAt.getTime() > IDEMPOTENCY_TTL_MS) {
+    await existing.deleteOne();
+    return claimKey(user, key, requestHash);
+  }
+  return existing;
+};
+
+// Middleware for requests that must not run twice, e.g. placing an order.
+// With an Idempotency-Key header the first response is stored per user+key and
+// replayed for retries; reusing the key for a different request is a conflict.
+// Must run after isAuth.
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    next();
+    return;
+  }
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    res.status(400).send({ message: 'Invalid Idempotency-Key' });
+    return;
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const existing = await claimKey(req.user._id, key, requestHash);
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        res.status(409).send({
+          message: 'Idempotency-Key was already used for a different request',
+        });
+      } else if (existing.responseStatus === undefined) {
+        res.status(409).send({
+          message: 'A request with this Idempotency-Key is still in progress',
+        });
+      } else {
+        res.set('Idempotent-Replayed', 'true');
+        res.status(existing.responseStatus).send(existing.responseBody);
+      }
+      return;
+    }
+
+    // Store the response before it goes out, so a retry never sees the key
+    // half-done. Server errors release the key so the client can retry for real.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const stored =
+        res.statusCode >= 500
+          ? IdempotencyKey.deleteOne({ user: req.user._id, key })
+          : IdempotencyKey.updateOne(
+              { user: req.user._id, key },
+              {
+                responseStatus: res.statusCode,
+                responseBody: JSON.parse(JSON.stringify(body)),
+              }
+            );
+      stored
+        .catch((err) => console.error('Could not store idempotent response', err))
+        .then(() => json(body));
+      return res;
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
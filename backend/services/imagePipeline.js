@@ -0,0 +1,88 @@
+import sharp from 'sharp';
+import { HttpError } from '../utils.js';
+import { contentHash, getStorage, imageTypeOf } from './storage/index.js';
+
+// Widths generated for every uploaded image. Images smaller than a width are
+// not enlarged, so a size can be narrower than its name says.
+export const IMAGE_SIZES = [
+  { name: 'thumbnail', width: 150 },
+  { name: 'card', width: 400 },
+  { name: 'detail', width: 1000 },
+];
+
+export const IMAGE_FORMATS = [
+  { format: 'webp', mimetype: 'image/webp', extension: 'webp' },
+  { format: 'jpeg', mimetype: 'image/jpeg', extension: 'jpg' },
+];
+
+// Every size in every format. The EXIF orientation is applied to the pixels
+// first; sharp drops EXIF and other metadata from its output.
+export const resizeImage = async (buffer) => {
+  const renditions = [];
+  for (const size of IMAGE_SIZES) {
+    for (const format of IMAGE_FORMATS) {
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ width: size.width, withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .toFormat(format.format, { quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      renditions.push({ ...format, name: size.name, width: info.width, buffer: data });
+    }
+  }
+  return renditions;
+};
+
+// Validates an uploaded image, resizes it and stores every size. The detail
+// JPEG is the image's url for clients that do not use the sizes.
+export const storeImage = async (file) => {
+  imageTypeOf(file);
+  const hash = contentHash(file.buffer);
+  let renditions;
+  try {
+    renditions = await resizeImage(file.buffer);
+  } catch (err) {
+    // The first bytes looked right but the image itself is damaged
+    throw new HttpError(400, `${file.originalname} could not be read as an image`);
+  }
+  const storage = getStorage();
+  const sizes = [];
+  for (const rendition of renditions) {
+    // Storages keep the first file saved under an id, every size and format
+    // needs its own
+    const { url, publicId } = await storage.save({
+      buffer: rendition.buffer,
+      hash: `${hash}-${rendition.name}-${rendition.format}`,
+      extension: rendition.extension,
+      mimetype: rendition.mimetype,
+    });
+    sizes.push({
+      name: rendition.name,
+      format: rendition.format,
+      width: rendition.width,
+      url,
+      publicId,
+    });
+  }
+  const { url, publicId } = sizes.find(
+    (x) => x.name === 'detail' && x.format === 'jpeg'
+  );
+  return { url, publicId, sizes };
+};
+
+// srcset attribute values of an image's sizes, one per format, or null for
+// images that were not processed
+export const srcsetOf = (sizes = []) => {
+  if (sizes.length === 0) {
+    return null;
+  }
+  return Object.fromEntries(
+    IMAGE_FORMATS.map(({ format }) => [
+      format,
+      sizes
+        .filter((x) => x.format === format)
+        .map((x) => `${x.url} ${x.width}w`)
+        .join(', '),
+    ])
+  );
+};
@@ -0,0 +1,58 @@
+import Order from '../models/orderModel.js';
+import RefundRequest from '../models/refundRequestModel.js';
+import { HttpError } from '../utils.js';
+import { transitionOrder } from './orderStatus.js';
+import { restockOrder } from './stock.js';
+import { releaseCoupon } from './coupons.js';
+
+// Cancels an order: moves it to Cancelled (throws 409 once it has shipped),
+// restocks its items, gives back its coupon use and saves it. Paid online
+// orders also get a refund request so the money can be returned through the
+// payment provider.
+//
+// The customer, the admins and the expiry job may cancel the same order at
+// once. The change is saved with a conditional update on the status that was
+// read (and the extra conditions of `match`), so only one of them cancels
+// the order; the others get a 409 and change nothing.
+export const cancelOrder = async (order, { user, reason, match = {} } = {}) => {
+  const from = order.status;
+  transitionOrder(order, 'Cancelled', { user, note: reason });
+  const change = order.statusHistory[order.statusHistory.length - 1];
+  const cancelledOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: from, ...match },
+    {
+      $set: {
+        status: 'Cancelled',
+        cancelReason: reason,
+        cancelledAt: Date.now(),
+      },
+      $push: { statusHistory: change.toObject() },
+    },
+    { new: true }
+  );
+  if (!cancelledOrder) {
+    throw new HttpError(
+      409,
+      'Order was changed in the meantime, reload it and try again'
+    );
+  }
+  await restockOrder(cancelledOrder);
+  if (cancelledOrder.coupon && cancelledOrder.coupon.code) {
+    await releaseCoupon(cancelledOrder.coupon.code);
+  }
+
+  let refundRequest = null;
+  // Read after the update, a payment may have come in since the order was loaded
+  if (cancelledOrder.isPaid && cancelledOrder.paymentMethod !== 'COD') {
+    refundRequest = await RefundRequest.create({
+      order: cancelledOrder._id,
+      user: cancelledOrder.user,
+      amount: cancelledOrder.totalPrice,
+      paymentMethod: cancelledOrder.paymentMethod,
+      providerReference:
+        cancelledOrder.paymentResult && cancelledOrder.paymentResult.id,
+      reason,
+    });
+  }
+  return { order: cancelledOrder, refundRequest };
+};
@@ -0,0 +1,52 @@
+import Order from '../models/orderModel.js';
+import { cancelOrder } from './orderCancellation.js';
+
+const minutes = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// How long an online payment may stay pending before the order is cancelled.
+export const unpaidOrderWindowMinutes = () =>
+  minutes(process.env.UNPAID_ORDER_EXPIRY_MINUTES, 60);
+
+// Cancels Pending orders that were never paid online within the window and
+// puts their stock back. COD orders are paid on delivery, so they never expire.
+// Resolves to the ids of the cancelled orders.
+export const expireUnpaidOrders = async ({
+  now = new Date(),
+  windowMinutes = unpaidOrderWindowMinutes(),
+} = {}) => {
+  const cutoff = new Date(now.getTime() - windowMinutes * 60 * 1000);
+  const orders = await Order.find({
+    status: 'Pending',
+    isPaid: false,
+    paymentMethod: { $ne: 'COD' },
+    createdAt: { $lte: cutoff },
+  });
+
+  const expired = [];
+  for (const order of orders) {
+    // A payment may complete while the job runs: the order is only cancelled
+    // if it is still pending and unpaid when the cancellation is saved
+    try {
+      await cancelOrder(order, {
+        reason: `Payment not received within ${windowMinutes} minutes`,
+        match: { isPaid: false },
+      });
+      expired.push(order._id);
+    } catch (err) {
+      if (err.status !== 409) {
+        throw err;
+      }
+    }
+  }
+  return expired;
+};
+
+export const expireUnpaidOrdersJob = {
+  name: 'expire-unpaid-orders',
+  intervalMs: minutes(process.env.UNPAID_ORDER_CHECK_MINUTES, 5) * 60 * 1000,
+  lockTtlMs: 10 * 60 * 1000,
+  run: expireUnpaidOrders,
+};
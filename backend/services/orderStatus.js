@@ -0,0 +1,40 @@
+import { HttpError } from '../utils.js';
+
+// Declared transition graph over orderSchema.status. An order moves forward one
+// step at a time and can only be cancelled before it leaves the warehouse.
+export const ORDER_STATUS_TRANSITIONS = {
+  Pending: ['Processing', 'Cancelled'],
+  Processing: ['Shipping', 'Cancelled'],
+  Shipping: ['Delivered'],
+  Delivered: [],
+  Cancelled: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+export const canTransition = (from, to) =>
+  (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Moves the order to `status` and records the change in its statusHistory.
+// Throws 400 for an unknown status and 409 for a transition the graph forbids.
+// The caller is responsible for saving the order.
+export const transitionOrder = (order, status, { user, note } = {}) => {
+  if (typeof status !== 'string' || !ORDER_STATUSES.includes(status)) {
+    throw new HttpError(400, 'Invalid order status');
+  }
+  if (!canTransition(order.status, status)) {
+    throw new HttpError(
+      409,
+      `Cannot change order status from ${order.status} to ${status}`,
+      { allowed: ORDER_STATUS_TRANSITIONS[order.status] || [] }
+    );
+  }
+  order.statusHistory.push({
+    status,
+    from: order.status,
+    changedBy: user ? user._id : undefined,
+    changedByName: user ? user.name : 'System',
+    note,
+  });
+  order.status = status;
+};
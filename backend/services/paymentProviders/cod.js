@@ -0,0 +1,31 @@
+import { HttpError } from '../../utils.js';
+
+// Cash on delivery: nothing to do online, the money is collected by the
+// courier and recorded when the order is delivered.
+const codProvider = {
+  code: 'COD',
+  name: 'Cash On Delivery',
+  description: 'Pay in cash when your order arrives',
+  isEnabled: () => true,
+
+  initiate: async () => ({ flow: 'offline' }),
+
+  handleReturn: async () => {
+    throw new HttpError(400, 'Cash on delivery orders are paid on delivery');
+  },
+
+  handleDelivery: (order) => ({
+    kind: 'cod_collection',
+    paymentResult: {
+      id: 'COD',
+      status: 'PAID',
+      update_time: Date.now().toString(),
+      email_address: order.shippingAddress.email || '',
+    },
+  }),
+
+  // Cash is handed back outside of the shop, there is no provider to call
+  refund: async () => ({ providerReference: undefined }),
+};
+
+export default codProvider;
@@ -0,0 +1,45 @@
+import { HttpError } from '../../utils.js';
+import paypalProvider from './paypal.js';
+import codProvider from './cod.js';
+import vnpayProvider from './vnpay.js';
+
+// Every payment provider implements:
+//   code, name, description       what GET /api/payment-methods lists
+//   isEnabled()                   whether the provider is configured
+//   initiate(order, { ip })       tells the client how to pay: { flow, ... }
+//   handleReturn(order, params)   verifies the payment the customer came back
+//                                 with and returns { kind, paymentResult,
+//                                 providerReference } for the ledger
+//   refund(order, { amount, payment, user })  refunds with the provider and
+//                                 returns { providerReference }
+// Optional:
+//   currency                      the only currency the provider charges in;
+//                                 orders paid with it are charged in it
+//   handleDelivery(order)         payment collected when the order is delivered
+//   orderIdOf(params), handleIpn(order, params)  server-to-server callbacks
+//   verifySignature(params)       checks a callback was signed by the gateway
+const providers = [paypalProvider, codProvider, vnpayProvider];
+
+export const getPaymentProvider = (code) =>
+  providers.find((provider) => provider.code === code);
+
+// Like getPaymentProvider but only for providers customers may choose now.
+export const requirePaymentProvider = (code) => {
+  const provider = getPaymentProvider(code);
+  if (!provider || !provider.isEnabled()) {
+    throw new HttpError(400, 'Unsupported payment method');
+  }
+  return provider;
+};
+
+// Currency an order paid with `code` is charged in: the provider's own when
+// it has one, else the one the customer picked.
+export const chargeCurrencyFor = (code, currency) => {
+  const provider = getPaymentProvider(code);
+  return (provider && provider.currency) || currency;
+};
+
+export const listPaymentMethods = () =>
+  providers
+    .filter((provider) => provider.isEnabled())
+    .map(({ code, name, description }) => ({ code, name, description }));
@@ -0,0 +1,152 @@
+import axios from 'axios';
+import { HttpError } from '../../utils.js';
+import { round2 } from '../pricing.js';
+import { BASE_CURRENCY } from '../currency.js';
+
+const DEFAULT_BASE_URL = 'https://api-m.sandbox.paypal.com';
+
+// Minimal client for the PayPal REST API. Settings are read when the client is
+// created so tests can point PAYPAL_API_URL at a local mock server.
+export const createPayPalClient = ({
+  baseUrl = process.env.PAYPAL_API_URL || DEFAULT_BASE_URL,
+  clientId = process.env.PAYPAL_CLIENT_ID || 'sb',
+  clientSecret = process.env.PAYPAL_CLIENT_SECRET || '',
+} = {}) => {
+  const getAccessToken = async () => {
+    const { data } = await axios.post(
+      `${baseUrl}/v1/oauth2/token`,
+      'grant_type=client_credentials',
+      {
+        auth: { username: clientId, password: clientSecret },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      }
+    );
+    return data.access_token;
+  };
+
+  const getOrder = async (paypalOrderId) => {
+    const token = await getAccessToken();
+    const { data } = await axios.get(
+      `${baseUrl}/v2/checkout/orders/${encodeURIComponent(paypalOrderId)}`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return data;
+  };
+
+  const refundCapture = async (captureId, { value, currency }) => {
+    const token = await getAccessToken();
+    const { data } = await axios.post(
+      `${baseUrl}/v2/payments/captures/${encodeURIComponent(captureId)}/refund`,
+      { amount: { value, currency_code: currency } },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return data;
+  };
+
+  return { getAccessToken, getOrder, refundCapture };
+};
+
+// PayPal charges the base currency totals of the order. Orders paid with it
+// are placed in the base currency, see chargeCurrencyFor.
+const requireBaseCurrencyOrder = (order) => {
+  if (order.currency && order.currency !== BASE_CURRENCY) {
+    throw new HttpError(
+      409,
+      `PayPal can only charge orders placed in ${BASE_CURRENCY}`
+    );
+  }
+};
+
+// Looks the PayPal order up with PayPal itself and checks that it is a completed
+// capture of this order for its full total. Returns the verified payment result.
+export const verifyPayPalCapture = async (
+  order,
+  paypalOrderId,
+  client = createPayPalClient()
+) => {
+  if (typeof paypalOrderId !== 'string' || !paypalOrderId) {
+    throw new HttpError(400, 'PayPal order id is required');
+  }
+  requireBaseCurrencyOrder(order);
+
+  let paypalOrder;
+  try {
+    paypalOrder = await client.getOrder(paypalOrderId);
+  } catch (err) {
+    if (err.response && err.response.status === 404) {
+      throw new HttpError(400, 'PayPal order not found');
+    }
+    throw new HttpError(502, 'Could not verify the PayPal payment');
+  }
+
+  const unit = (paypalOrder.purchase_units || [])[0] || {};
+  const capture =
+    ((unit.payments && unit.payments.captures) || []).find(
+      (x) => x.status === 'COMPLETED'
+    ) || null;
+  if (paypalOrder.status !== 'COMPLETED' || !capture) {
+    throw new HttpError(400, 'PayPal payment is not completed');
+  }
+  if (unit.custom_id !== order._id.toString()) {
+    throw new HttpError(400, 'PayPal payment does not belong to this order');
+  }
+  const amount = capture.amount || unit.amount || {};
+  if (amount.currency_code !== BASE_CURRENCY) {
+    throw new HttpError(400, 'Payment currency does not match the order');
+  }
+  if (round2(Number(amount.value)) !== round2(order.totalPrice)) {
+    throw new HttpError(400, 'Payment amount does not match the order total');
+  }
+
+  return {
+    id: paypalOrder.id,
+    captureId: capture.id,
+    status: paypalOrder.status,
+    update_time: capture.update_time || paypalOrder.update_time,
+    email_address: paypalOrder.payer && paypalOrder.payer.email_address,
+  };
+};
+
+const paypalProvider = {
+  code: 'PayPal',
+  name: 'PayPal',
+  description: 'Pay with your PayPal account or a card',
+  isEnabled: () => true,
+  currency: BASE_CURRENCY,
+
+  // The browser renders the PayPal buttons and captures the payment itself
+  initiate: async (order) => {
+    requireBaseCurrencyOrder(order);
+    return {
+      flow: 'paypal',
+      clientId: process.env.PAYPAL_CLIENT_ID || 'sb',
+      currency: BASE_CURRENCY,
+    };
+  },
+
+  handleReturn: async (order, params) => {
+    const paymentResult = await verifyPayPalCapture(order, params.id);
+    return {
+      kind: 'capture',
+      providerReference: paymentResult.captureId,
+      paymentResult,
+    };
+  },
+
+  refund: async (order, { amount, payment }, client = createPayPalClient()) => {
+    if (!payment || !payment.providerReference) {
+      throw new HttpError(409, 'No PayPal capture to refund');
+    }
+    try {
+      const refund = await client.refundCapture(payment.providerReference, {
+        value: round2(amount).toFixed(2),
+        currency: BASE_CURRENCY,
+      });
+      return { providerReference: refund.id };
+    } catch (err) {
+      throw new HttpError(502, 'PayPal refund failed');
+    }
+  },
+};
+
+export default paypalProvider;
@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { HttpError } from '../../utils.js';
+import { round2 } from '../pricing.js';
+import { markOrderPaid } from '../payments.js';
+import { toChargedCurrency } from '../currency.js';
+
+const VNP_VERSION = '2.1.0';
+const DEFAULT_PAYMENT_URL = 'https://sandbox.vnpayment.vn/paymentv2/vpcpay.html';
+const DEFAULT_API_URL =
+  'https://sandbox.vnpayment.vn/merchant_webapi/api/transaction';
+
+const config = () => ({
+  tmnCode: process.env.VNPAY_TMN_CODE,
+  hashSecret: process.env.VNPAY_HASH_SECRET,
+  paymentUrl: process.env.VNPAY_URL || DEFAULT_PAYMENT_URL,
+  apiUrl: process.env.VNPAY_API_URL || DEFAULT_API_URL,
+  returnUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+});
+
+// VNPay timestamps are yyyyMMddHHmmss in Vietnam time (GMT+7)
+export const formatVnpDate = (date = new Date()) =>
+  new Date(date.getTime() + 7 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-:T]/g, '')
+    .slice(0, 14);
+
+// Query string VNPay signs: keys sorted, values URL-encoded with spaces as '+',
+// the hash fields themselves left out.
+export const canonicalQuery = (params) =>
+  Object.keys(params)
+    .filter((key) => key !== 'vnp_SecureHash' && key !== 'vnp_SecureHashType')
+    .map((key) => [encodeURIComponent(key), params[key]])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(
+      ([key, value]) =>
+        `${key}=${encodeURIComponent(value).replace(/%20/g, '+')}`
+    )
+    .join('&');
+
+const hmac = (data, secret) =>
+  crypto.createHmac('sha512', secret).update(Buffer.from(data, 'utf-8')).digest('hex');
+
+export const signParams = (params, secret = config().hashSecret) =>
+  hmac(canonicalQuery(params), secret);
+
+export const verifySignature = (params, secret = config().hashSecret) => {
+  if (!secret || typeof params.vnp_SecureHash !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(signParams(params, secret));
+  const actual = Buffer.from(params.vnp_SecureHash.toLowerCase());
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// VNPay only settles in VND, so orders paid with it are charged in VND when
+// they are placed (see `currency` below). Amounts of the order are in the
+// base currency and are converted at the order's rate.
+const isVndOrder = (order) => order.currency === 'VND';
+
+const requireVndOrder = (order) => {
+  if (!isVndOrder(order)) {
+    throw new HttpError(409, 'VNPay can only charge orders placed in VND');
+  }
+};
+
+const vndTotal = (order) => {
+  requireVndOrder(order);
+  return order.charged.totalPrice;
+};
+
+const vndAmount = (order, amount) => {
+  requireVndOrder(order);
+  return toChargedCurrency(order, amount);
+};
+
+export const buildPaymentUrl = (order, { ip = '127.0.0.1', now = new Date() } = {}) => {
+  const { tmnCode, hashSecret, paymentUrl, returnUrl } = config();
+  const params = {
+    vnp_Version: VNP_VERSION,
+    vnp_Command: 'pay',
+    vnp_TmnCode: tmnCode,
+    vnp_Locale: 'vn',
+    vnp_CurrCode: 'VND',
+    vnp_TxnRef: order._id.toString(),
+    vnp_OrderInfo: `Thanh toan don hang ${order._id}`,
+    vnp_OrderType: 'other',
+    // Amounts are sent without decimals, multiplied by 100
+    vnp_Amount: Math.round(vndTotal(order) * 100),
+    vnp_ReturnUrl: `${returnUrl}/order/${order._id}`,
+    vnp_IpAddr: ip,
+    vnp_CreateDate: formatVnpDate(now),
+  };
+  const query = canonicalQuery(params);
+  return `${paymentUrl}?${query}&vnp_SecureHash=${hmac(query, hashSecret)}`;
+};
+
+const amountMatches = (order, params) =>
+  isVndOrder(order) &&
+  Number(params.vnp_Amount) === Math.round(order.charged.totalPrice * 100);
+
+const isSuccessful = (params) =>
+  params.vnp_ResponseCode === '00' &&
+  (params.vnp_TransactionStatus === undefined ||
+    params.vnp_TransactionStatus === '00');
+
+const paymentOf = (params) => ({
+  kind: 'capture',
+  providerReference: params.vnp_TransactionNo,
+  paymentResult: {
+    id: params.vnp_TransactionNo,
+    status: 'COMPLETED',
+    update_time: params.vnp_PayDate,
+  },
+});
+
+const vnpayProvider = {
+  code: 'VNPay',
+  name: 'VNPay',
+  description: 'Pay with a Vietnamese bank card, QR code or e-wallet',
+  currency: 'VND',
+  isEnabled: () => Boolean(config().tmnCode && config().hashSecret),
+
+  // The customer is sent to VNPay and comes back to the order page
+  initiate: async (order, { ip } = {}) => ({
+    flow: 'redirect',
+    url: buildPaymentUrl(order, { ip }),
+  }),
+
+  verifySignature,
+
+  // Checks the parameters VNPay appended to the return URL
+  handleReturn: async (order, params) => {
+    if (!verifySignature(params)) {
+      throw new HttpError(400, 'Invalid payment signature');
+    }
+    if (params.vnp_TxnRef !== order._id.toString()) {
+      throw new HttpError(400, 'Payment does not belong to this order');
+    }
+    if (!isSuccessful(params)) {
+      throw new HttpError(400, 'VNPay payment failed');
+    }
+    if (!amountMatches(order, params)) {
+      throw new HttpError(400, 'Payment amount does not match the order total');
+    }
+    return paymentOf(params);
+  },
+
+  orderIdOf: (params) => params.vnp_TxnRef,
+
+  // Server-to-server notification. VNPay expects a 200 with RspCode/Message
+  // whatever happened, and retries until it gets RspCode 00 or 02.
+  handleIpn: async (order, params) => {
+    if (!verifySignature(params)) {
+      return { RspCode: '97', Message: 'Invalid signature' };
+    }
+    if (!order) {
+      return { RspCode: '01', Message: 'Order not found' };
+    }
+    if (!amountMatches(order, params)) {
+      return { RspCode: '04', Message: 'Invalid amount' };
+    }
+    if (order.isPaid) {
+      return { RspCode: '02', Message: 'Order already confirmed' };
+    }
+    if (isSuccessful(params)) {
+      // A cancelled order is still marked paid, the payment gets refunded.
+      // The return URL may have confirmed it since the order was loaded.
+      try {
+        await markOrderPaid(order, paymentOf(params));
+      } catch (err) {
+        if (err.status !== 409) {
+          throw err;
+        }
+        return { RspCode: '02', Message: 'Order already confirmed' };
+      }
+    }
+    return { RspCode: '00', Message: 'Confirm Success' };
+  },
+
+  refund: async (order, { amount, payment, user }) => {
+    const { tmnCode, hashSecret, apiUrl } = config();
+    if (!payment || !payment.providerReference) {
+      throw new HttpError(409, 'No VNPay transaction to refund');
+    }
+    const now = formatVnpDate();
+    const isPartial = round2(amount) < round2(order.totalPrice);
+    const body = {
+      vnp_RequestId: crypto.randomBytes(16).toString('hex'),
+      vnp_Version: VNP_VERSION,
+      vnp_Command: 'refund',
+      vnp_TmnCode: tmnCode,
+      // 02 = full refund, 03 = partial refund
+      vnp_TransactionType: isPartial ? '03' : '02',
+      vnp_TxnRef: order._id.toString(),
+      vnp_Amount: Math.round(
+        (isPartial ? vndAmount(order, amount) : vndTotal(order)) * 100
+      ),
+      vnp_TransactionNo: payment.providerReference,
+      vnp_TransactionDate: order.paymentResult.update_time,
+      vnp_CreateBy: user ? user.name : 'System',
+      vnp_CreateDate: now,
+      vnp_IpAddr: '127.0.0.1',
+      vnp_OrderInfo: `Hoan tien don hang ${order._id}`,
+    };
+    body.vnp_SecureHash = hmac(
+      [
+        body.vnp_RequestId,
+        body.vnp_Version,
+        body.vnp_Command,
+        body.vnp_TmnCode,
+        body.vnp_TransactionType,
+        body.vnp_TxnRef,
+        body.vnp_Amount,
+        body.vnp_TransactionNo,
+        body.vnp_TransactionDate,
+        body.vnp_CreateBy,
+        body.vnp_CreateDate,
+        body.vnp_IpAddr,
+        body.vnp_OrderInfo,
+      ].join('|'),
+      hashSecret
+    );
+
+    let data;
+    try {
+      ({ data } = await axios.post(apiUrl, body));
+    } catch (err) {
+      throw new HttpError(502, 'VNPay refund failed');
+    }
+    if (data.vnp_ResponseCode !== '00') {
+      throw new HttpError(502, `VNPay refund failed: ${data.vnp_Message}`);
+    }
+    return { providerReference: data.vnp_TransactionNo };
+  },
+};
+
+export default vnpayProvider;
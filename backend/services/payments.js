@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import RefundRequest from '../models/refundRequestModel.js';
+import Cart from '../models/cartModel.js';
+import { HttpError } from '../utils.js';
+import { round2 } from './pricing.js';
+
+// Kinds of ledger entries. Captures and COD collections bring money in,
+// refunds (full or partial) send it back.
+export const PAYMENT_KINDS = ['capture', 'cod_collection', 'refund'];
+
+const isIncoming = (payment) => payment.kind !== 'refund';
+
+// Derived totals of an order's payments ledger. balance is the money the shop
+// currently holds for the order, i.e. the most that can still be refunded.
+export const summarizePayments = (payments = []) => {
+  const amountPaid = round2(
+    payments.filter(isIncoming).reduce((a, c) => a + c.amount, 0)
+  );
+  const amountRefunded = round2(
+    payments.filter((x) => !isIncoming(x)).reduce((a, c) => a + c.amount, 0)
+  );
+  return {
+    amountPaid,
+    amountRefunded,
+    balance: round2(amountPaid - amountRefunded),
+  };
+};
+
+export const recordPayment = (
+  order,
+  { kind, amount, method, providerReference, note, user }
+) => {
+  if (!PAYMENT_KINDS.includes(kind)) {
+    throw new HttpError(400, 'Invalid payment kind');
+  }
+  order.payments.push({
+    kind,
+    amount: round2(amount),
+    method: method || order.paymentMethod,
+    providerReference,
+    note,
+    recordedBy: user ? user._id : undefined,
+  });
+};
+
+// Marks the order paid with a payment verified by its provider, records it in
+// the ledger and clears the customer's cart. The payment is saved with a
+// conditional update, so a payment confirmed twice at once (return URL and
+// IPN) is only recorded once; the second gets a 409. An order cancelled
+// while the customer was paying keeps the payment and gets a refund request,
+// its stock is already back on sale.
+export const markOrderPaid = async (
+  order,
+  { kind, paymentResult, providerReference, user }
+) => {
+  recordPayment(order, {
+    kind,
+    amount: order.totalPrice,
+    providerReference,
+    user,
+  });
+  // Looked up by name, the order model imports this module
+  const paidOrder = await mongoose.model('Order').findOneAndUpdate(
+    { _id: order._id, isPaid: false },
+    {
+      $set: {
+        isPaid: true,
+        paidAt: Date.now(),
+        paymentResult: {
+          id: paymentResult.id,
+          status: paymentResult.status,
+          update_time: paymentResult.update_time,
+          email_address: paymentResult.email_address,
+        },
+      },
+      $push: { payments: order.payments[order.payments.length - 1].toObject() },
+    },
+    { new: true }
+  );
+  if (!paidOrder) {
+    throw new HttpError(409, 'Order is already paid');
+  }
+  if (paidOrder.status === 'Cancelled') {
+    await RefundRequest.create({
+      order: paidOrder._id,
+      user: paidOrder.user,
+      amount: paidOrder.totalPrice,
+      paymentMethod: paidOrder.paymentMethod,
+      providerReference: paidOrder.paymentResult.id,
+      reason: 'Paid after the order was cancelled',
+    });
+  } else {
+    await Cart.findOneAndDelete({ user: paidOrder.user });
+  }
+  return paidOrder;
+};
+
+// Records a full or partial refund. When it settles a pending RefundRequest
+// (raised by a cancellation or a received return) that request is marked
+// as processed and its amount is used unless another one is given.
+// The money is sent back through the payment provider, unless a
+// providerReference shows the refund was already made outside of the shop.
+export const refundOrder = async (
+  order,
+  { amount, refundRequest, providerReference, note, user, provider } = {}
+) => {
+  let request = null;
+  if (refundRequest) {
+    if (!mongoose.isValidObjectId(refundRequest)) {
+      throw new HttpError(400, 'Invalid refund request id');
+    }
+    request = await RefundRequest.findOne({
+      _id: refundRequest,
+      order: order._id,
+    });
+    if (!request) {
+      throw new HttpError(404, 'Refund Request Not Found');
+    }
+    if (request.status !== 'Requested') {
+      throw new HttpError(409, `Refund request is already ${request.status}`);
+    }
+  }
+
+  const refundAmount = Number(
+    amount === undefined && request ? request.amount : amount
+  );
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw new HttpError(400, 'Refund amount must be greater than 0');
+  }
+  const { balance } = summarizePayments(order.payments);
+  if (round2(refundAmount) > balance) {
+    throw new HttpError(400, `Refund amount exceeds the paid balance of ${balance}`);
+  }
+
+  // The refund goes in the ledger before any money is sent, with a
+  // conditional update on the ledger as it was read. Of two refunds made at
+  // once only one passes the balance check, the other gets a 409.
+  const payment = [...order.payments].reverse().find(isIncoming);
+  const entries = order.payments.length;
+  recordPayment(order, {
+    kind: 'refund',
+    amount: refundAmount,
+    providerReference,
+    note: note || (request && request.reason),
+    user,
+  });
+  const refund = order.payments[entries];
+  // Looked up by name, the order model imports this module
+  const Order = mongoose.model('Order');
+  let updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, payments: { $size: entries } },
+    { $push: { payments: refund.toObject() } },
+    { new: true }
+  );
+  if (!updatedOrder) {
+    throw new HttpError(
+      409,
+      'Order payments changed in the meantime, reload it and try again'
+    );
+  }
+
+  if (!providerReference && provider) {
+    let reference;
+    try {
+      ({ providerReference: reference } = await provider.refund(order, {
+        amount: refundAmount,
+        payment,
+        user,
+      }));
+    } catch (err) {
+      await Order.updateOne(
+        { _id: order._id },
+        { $pull: { payments: { _id: refund._id } } }
+      );
+      throw err;
+    }
+    updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, 'payments._id': refund._id },
+      { $set: { 'payments.$.providerReference': reference } },
+      { new: true }
+    );
+  }
+
+  if (request) {
+    request.status = 'Processed';
+    await request.save();
+  }
+  return { order: updatedOrder, refundRequest: request };
+};
@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import Product from '../models/productModel.js';
+import TaxRule from '../models/taxRuleModel.js';
+import ShippingZone from '../models/shippingZoneModel.js';
+import { HttpError, sameText } from '../utils.js';
+import { chooseShippingOption, shippingOptions } from './shipping.js';
+import { findVariant } from './variants.js';
+import { isPublished } from './productStatus.js';
+
+export { FREE_SHIPPING_THRESHOLD, SHIPPING_FEE } from './shipping.js';
+
+// Pricing rules for an order. Prices are always computed on the server from the
+// current Product documents, the client only displays the returned quote.
+// Applied to items no tax rule matches
+export const TAX_RATE = 0.15;
+const DEFAULT_TAX_RULE = { name: 'Tax', rate: TAX_RATE * 100, inclusive: false };
+
+export const round2 = (num) => Math.round(num * 100 + Number.EPSILON) / 100;
+
+// Cart items carry the product id in `_id`, order items in `product`.
+const productIdOf = (item) => (item.product || item._id || '').toString();
+
+export const itemsTotal = (orderItems) =>
+  round2(orderItems.reduce((a, c) => a + c.quantity * c.price, 0));
+
+// The tax rule for an item shipped to `address`: rules must match the country
+// and every narrower field they set. Category beats city, city beats region.
+export const matchTaxRule = (taxRules, address = {}, item = {}) => {
+  const specificity = (rule) =>
+    (rule.category ? 4 : 0) + (rule.city ? 2 : 0) + (rule.region ? 1 : 0);
+  return taxRules
+    .filter(
+      (rule) =>
+        sameText(rule.country, address.country) &&
+        (!rule.region || sameText(rule.region, address.region)) &&
+        (!rule.city || sameText(rule.city, address.city)) &&
+        (!rule.category || sameText(rule.category, item.category))
+    )
+    .reduce(
+      (best, rule) =>
+        !best || specificity(rule) > specificity(best) ? rule : best,
+      null
+    );
+};
+
+// Tax per rule on the discounted items. The discount is spread over the lines
+// in proportion to their amount. Only exclusive taxes add to taxPrice.
+export const calculateTax = (
+  orderItems,
+  { taxRules = [], shippingAddress, discount = 0 } = {}
+) => {
+  const itemsPrice = itemsTotal(orderItems);
+  const ratio = itemsPrice > 0 ? (itemsPrice - discount) / itemsPrice : 0;
+
+  const groups = new Map();
+  orderItems.forEach((item) => {
+    const rule =
+      matchTaxRule(taxRules, shippingAddress, item) || DEFAULT_TAX_RULE;
+    const group = groups.get(rule) || { rule, amount: 0 };
+    group.amount += item.price * item.quantity * ratio;
+    groups.set(rule, group);
+  });
+
+  const taxBreakdown = [...groups.values()].map(({ rule, amount }) => {
+    const taxableAmount = round2(amount);
+    const rate = rule.rate / 100;
+    return {
+      name: rule.name,
+      rate: rule.rate,
+      inclusive: !!rule.inclusive,
+      taxableAmount,
+      amount: round2(
+        rule.inclusive
+          ? taxableAmount - taxableAmount / (1 + rate)
+          : rate * taxableAmount
+      ),
+    };
+  });
+  const taxPrice = round2(
+    taxBreakdown.filter((x) => !x.inclusive).reduce((a, c) => a + c.amount, 0)
+  );
+  return { taxPrice, taxBreakdown };
+};
+
+// Items price after a discount, which never takes it below 0. Free shipping
+// thresholds are checked against it.
+export const discountedItemsPrice = (orderItems, discount = 0) => {
+  const itemsPrice = itemsTotal(orderItems);
+  return round2(itemsPrice - Math.min(discount, itemsPrice));
+};
+
+// A discount (from a coupon) is taken off the items before the free shipping
+// threshold and the tax are applied. Shipping uses the chosen method of the
+// zone the order ships to (see services/shipping.js).
+export const calculatePrices = (
+  orderItems,
+  {
+    discount = 0,
+    freeShipping = false,
+    taxRules,
+    shippingZones,
+    shippingAddress,
+    shippingMethod,
+  } = {}
+) => {
+  const itemsPrice = itemsTotal(orderItems);
+  const discountPrice = round2(Math.min(discount, itemsPrice));
+  const discountedPrice = discountedItemsPrice(orderItems, discount);
+  const shipping = chooseShippingOption(
+    shippingOptions(orderItems, {
+      zones: shippingZones,
+      shippingAddress,
+      itemsPrice: discountedPrice,
+    }),
+    shippingMethod
+  );
+  const shippingPrice = freeShipping ? round2(0) : round2(shipping.price);
+  const { taxPrice, taxBreakdown } = calculateTax(orderItems, {
+    taxRules,
+    shippingAddress,
+    discount: discountPrice,
+  });
+  const totalPrice = round2(discountedPrice + shippingPrice + taxPrice);
+  return {
+    itemsPrice,
+    discountPrice,
+    shippingMethod: {
+      code: shipping.code,
+      name: shipping.name,
+      estimatedDays: shipping.estimatedDays,
+    },
+    shippingPrice,
+    taxPrice,
+    taxBreakdown,
+    totalPrice,
+  };
+};
+
+// calculatePrices with the tax rules and shipping zones currently configured
+// by admins.
+export const priceOrder = async (orderItems, options = {}) => {
+  const taxRules = await TaxRule.find({ isActive: true }).lean();
+  const shippingZones = await ShippingZone.find({ isActive: true }).lean();
+  return calculatePrices(orderItems, { ...options, taxRules, shippingZones });
+};
+
+// Order lines for the requested items. Every line is re-read from the Product
+// collection so name, image and price can not be tampered with. Items of
+// products with variants must name one; its price and image are used.
+export const buildOrderItems = async (requestedItems) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw new HttpError(400, 'Order has no items');
+  }
+
+  const ids = requestedItems.map(productIdOf);
+  const invalidId = ids.find((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalidId !== undefined) {
+    throw new HttpError(400, `Invalid product id: ${invalidId}`);
+  }
+
+  const products = await Product.find({ _id: { $in: ids } });
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  return requestedItems.map((item) => {
+    const productId = productIdOf(item);
+    const product = productMap.get(productId);
+    if (!product) {
+      throw new HttpError(400, `Product Not Found: ${productId}`);
+    }
+    if (!isPublished(product)) {
+      throw new HttpError(400, `${product.name} is not available`);
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new HttpError(400, `Invalid quantity for ${product.name}`);
+    }
+    const variant = findVariant(product, item.variant);
+    return {
+      slug: product.slug,
+      name: product.name,
+      image: (variant && variant.image) || product.image,
+      price: variant && variant.price != null ? variant.price : product.price,
+      quantity,
+      product: product._id,
+      ...(variant && {
+        variant: variant._id,
+        sku: variant.sku,
+        size: variant.size,
+        color: variant.color,
+      }),
+      // Only used for coupon, tax and shipping rules, not stored on the order
+      category: product.category,
+      brand: product.brand,
+      weight: product.weight,
+    };
+  });
+};
+
+// Builds a priced quote for the requested items. Taxes and shipping depend on
+// where the order is shipped and on the shipping method.
+export const quoteOrder = async (
+  requestedItems,
+  { shippingAddress, shippingMethod } = {}
+) => {
+  const orderItems = await buildOrderItems(requestedItems);
+  return {
+    orderItems,
+    ...(await priceOrder(orderItems, { shippingAddress, shippingMethod })),
+  };
+};
+
+// Returns the names of the price fields the client sent that differ from the quote.
+export const findPriceMismatches = (clientPrices, quote) =>
+  ['itemsPrice', 'discountPrice', 'shippingPrice', 'taxPrice', 'totalPrice'].filter(
+    (field) =>
+      clientPrices[field] !== undefined &&
+      round2(Number(clientPrices[field])) !== quote[field]
+  );
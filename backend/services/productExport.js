@@ -0,0 +1,119 @@
+import { productCategoryFilter } from './categories.js';
+import { productBrandFilter } from './brands.js';
+import { BASE_CURRENCY } from './currency.js';
+import { statusFilter } from './productStatus.js';
+
+// Columns of an export, the fields the product import reads back
+export const EXPORT_FIELDS = [
+  'name',
+  'slug',
+  'image',
+  'brand',
+  'category',
+  'description',
+  'price',
+  'countInStock',
+  'weight',
+];
+
+// Products to export, filtered like the search page: name, category (with
+// its subcategories) and brand. `stock` keeps the products in or out of
+// stock only, `status` the products of one lifecycle status.
+export const exportFilter = async ({
+  query,
+  category,
+  brand,
+  stock,
+  status,
+} = {}) => ({
+  ...(query && query !== 'all'
+    ? { name: { $regex: query, $options: 'i' } }
+    : {}),
+  ...(await productCategoryFilter(category)),
+  ...(await productBrandFilter(brand)),
+  ...(stock === 'in'
+    ? { countInStock: { $gt: 0 } }
+    : stock === 'out'
+    ? { countInStock: { $lte: 0 } }
+    : {}),
+  ...statusFilter(status),
+});
+
+export const exportRecord = (product) =>
+  Object.fromEntries(EXPORT_FIELDS.map((field) => [field, product[field] ?? '']));
+
+// A CSV line; values with commas, quotes or line breaks are quoted
+export const csvRow = (values) =>
+  `${values
+    .map((value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',')}\n`;
+
+export const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Merchant feed entry of a product. Links and uploaded images are made
+// absolute with the storefront URL, marketplaces fetch them from outside.
+export const feedItem = (product, siteUrl) => {
+  const fields = [
+    ['g:id', product.slug],
+    ['g:title', product.name],
+    ['g:description', product.description],
+    ['g:link', new URL(`/product/${product.slug}`, siteUrl).href],
+    ['g:image_link', new URL(product.image, siteUrl).href],
+    ['g:availability', product.countInStock > 0 ? 'in_stock' : 'out_of_stock'],
+    ['g:price', `${product.price.toFixed(2)} ${BASE_CURRENCY}`],
+    ['g:brand', product.brand],
+    ['g:product_type', product.category],
+    ['g:condition', 'new'],
+  ];
+  return `<item>\n${fields
+    .map(([tag, value]) => `  <${tag}>${escapeXml(value)}</${tag}>\n`)
+    .join('')}</item>\n`;
+};
+
+export const feedHeader = (siteUrl) =>
+  '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n' +
+  '<channel>\n' +
+  '<title>Products</title>\n' +
+  `<link>${escapeXml(siteUrl)}</link>\n` +
+  '<description>Product feed</description>\n';
+
+export const feedFooter = '</channel>\n</rss>\n';
+
+// Resolves once the response can take more data, or is closed
+const drained = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+// Writes each product of the cursor to the response as it is read, waiting
+// for the client when it falls behind, so large catalogs are never held in
+// memory. `format(product, index)` gives the text of a product. Stops when
+// the client goes away.
+export const streamProducts = async (res, cursor, format) => {
+  let index = 0;
+  for await (const product of cursor) {
+    if (!res.write(format(product, index))) {
+      await drained(res);
+    }
+    if (res.destroyed) {
+      break;
+    }
+    index += 1;
+  }
+};
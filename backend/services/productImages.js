@@ -0,0 +1,129 @@
+import axios from 'axios';
+import Product from '../models/productModel.js';
+import { HttpError } from '../utils.js';
+import { removeFile } from './storage/index.js';
+import { storeImage } from './imagePipeline.js';
+
+const trim = (value) => String(value || '').trim();
+
+// Removes the stored assets of images that are no longer used. Uploads are
+// deduplicated by content, so an asset is kept while another product still
+// shows it, also one in the trash that may be restored. A failed removal
+// only leaves an orphan file behind, so it does not fail the request.
+export const deleteImages = async (images) => {
+  const results = await Promise.allSettled(
+    images
+      .filter((image) => image.publicId)
+      .map(async (image) => {
+        const inUse = await Product.exists({
+          $or: [{ 'images.publicId': image.publicId }, { image: image.url }],
+        }).setOptions({ withDeleted: true });
+        if (!inUse) {
+          const publicIds = new Set([
+            image.publicId,
+            ...(image.sizes || []).map((x) => x.publicId).filter(Boolean),
+          ]);
+          for (const publicId of publicIds) {
+            await removeFile(publicId);
+          }
+        }
+      })
+  );
+  results
+    .filter((x) => x.status === 'rejected')
+    .forEach((x) => console.error('Image delete error:', x.reason));
+};
+
+// Sizes of an uploaded image as the upload endpoint returned them
+const sizeFields = (sizes = []) =>
+  (Array.isArray(sizes) ? sizes : [])
+    .filter((x) => x && x.url && x.name && x.format && Number(x.width) > 0)
+    .map(({ name, format, width, url, publicId }) => ({
+      name: trim(name),
+      format: trim(format),
+      width: Number(width),
+      url: trim(url),
+      publicId: trim(publicId),
+    }));
+
+// Validated gallery from the admin product form, in display order.
+// Throws 400 when invalid.
+export const imageFields = (images = []) => {
+  if (!Array.isArray(images)) {
+    throw new HttpError(400, 'Images must be a list');
+  }
+  const fields = images.map((image, index) => {
+    const url = trim(image.url);
+    if (!url) {
+      throw new HttpError(400, `Image ${index + 1} has no url`);
+    }
+    return {
+      url,
+      alt: trim(image.alt),
+      publicId: trim(image.publicId),
+      sizes: sizeFields(image.sizes),
+    };
+  });
+  const urls = fields.map((x) => x.url);
+  if (new Set(urls).size !== urls.length) {
+    throw new HttpError(400, 'Each image can only be listed once');
+  }
+  return fields;
+};
+
+// Images of the previous gallery that are not in the new one
+export const removedImages = (previous, images) =>
+  previous.filter((x) => !images.some((y) => y.url === x.url));
+
+const PROCESS_BATCH_SIZE = 20;
+
+// Downloads and resizes the main image of products that only have a remote
+// full size image, like the scraped H&M catalog. The image then joins the
+// gallery in place of the remote one.
+export const processProductImages = async ({ limit = PROCESS_BATCH_SIZE } = {}) => {
+  const products = await Product.find({
+    image: /^https?:\/\//,
+    'images.sizes.0': { $exists: false },
+  }).limit(limit);
+
+  let processed = 0;
+  let failed = 0;
+  for (const product of products) {
+    try {
+      const { data } = await axios.get(product.image, {
+        responseType: 'arraybuffer',
+        timeout: 20 * 1000,
+      });
+      const buffer = Buffer.from(data);
+      const stored = await storeImage({
+        buffer,
+        originalname: product.image,
+        size: buffer.length,
+      });
+      const previous = product.images.find((x) => x.url === product.image);
+      const image = {
+        ...stored,
+        alt: (previous && previous.alt) || product.name,
+      };
+      product.images = [
+        image,
+        ...product.images.filter((x) => x.url !== product.image),
+      ];
+      product.image = stored.url;
+      await product.save();
+      processed += 1;
+    } catch (err) {
+      console.error(`Image of product ${product._id} failed:`, err.message);
+      failed += 1;
+    }
+  }
+  return { processed, failed };
+};
+
+// Not scheduled: run it with `npm run job -- process-product-images` until
+// nothing is left to process.
+export const processProductImagesJob = {
+  name: 'process-product-images',
+  lockTtlMs: 30 * 60 * 1000,
+  run: processProductImages,
+};
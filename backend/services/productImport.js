@@ -0,0 +1,367 @@
+import { parse } from 'csv-parse/sync';
+import Product from '../models/productModel.js';
+import ProductImport from '../models/productImportModel.js';
+import Category from '../models/categoryModel.js';
+import Brand from '../models/brandModel.js';
+import { HttpError } from '../utils.js';
+import { deleteImages, removedImages } from './productImages.js';
+import { slugify } from './slugs.js';
+
+const trim = (value) => String(value || '').trim();
+
+const IMPORT_BATCH_SIZE = 100;
+
+// Rows of a product import file. JSON files hold a list of products shaped
+// like cloths.json, or an object with such a `products` list; CSV files have
+// a header row naming the same fields.
+export const parseProductRows = (text, format) => {
+  let rows;
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new HttpError(400, 'Invalid JSON file');
+    }
+    rows = Array.isArray(data) ? data : data && data.products;
+    if (!Array.isArray(rows)) {
+      throw new HttpError(400, 'The JSON file must hold a list of products');
+    }
+  } else if (format === 'csv') {
+    try {
+      rows = parse(text, {
+        bom: true,
+        columns: (header) => header.map((x) => x.trim()),
+        skip_empty_lines: true,
+        trim: true,
+      });
+    } catch (err) {
+      throw new HttpError(400, `Invalid CSV file: ${err.message}`);
+    }
+    if (rows.length > 0 && !('name' in rows[0])) {
+      throw new HttpError(400, 'CSV file needs a header row with a name column');
+    }
+  } else {
+    throw new HttpError(400, 'Products must be a JSON or CSV file');
+  }
+  if (rows.length === 0) {
+    throw new HttpError(400, 'The file has no products');
+  }
+  return rows;
+};
+
+// Fields of one import row. The slug is made from the name when the row has
+// none. Ratings and reviews of the file are ignored, they come from the
+// customers. Throws 400 when invalid.
+export const productImportFields = (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    throw new HttpError(400, 'Row is not a product');
+  }
+  const name = trim(row.name);
+  if (!name) {
+    throw new HttpError(400, 'Name is required');
+  }
+  const slug = slugify(row.slug || name);
+  if (!slug) {
+    throw new HttpError(400, 'Slug is required');
+  }
+  const fields = {
+    name,
+    slug,
+    image: trim(row.image),
+    brand: trim(row.brand),
+    category: trim(row.category),
+    description: trim(row.description),
+  };
+  for (const [field, label] of [
+    ['image', 'Image'],
+    ['brand', 'Brand'],
+    ['category', 'Category'],
+    ['description', 'Description'],
+  ]) {
+    if (!fields[field]) {
+      throw new HttpError(400, `${label} is required`);
+    }
+  }
+
+  const price = Number(row.price);
+  if (trim(row.price) === '' || !Number.isFinite(price) || price < 0) {
+    throw new HttpError(400, 'Price must be a number of 0 or more');
+  }
+  const countInStock = Number(row.countInStock);
+  if (
+    trim(row.countInStock) === '' ||
+    !Number.isInteger(countInStock) ||
+    countInStock < 0
+  ) {
+    throw new HttpError(400, 'Count in stock must be a whole number of 0 or more');
+  }
+  fields.price = price;
+  fields.countInStock = countInStock;
+
+  if (trim(row.weight) !== '') {
+    const weight = Number(row.weight);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new HttpError(400, 'Weight must be a number of 0 or more');
+    }
+    fields.weight = weight;
+  }
+  return fields;
+};
+
+// Finds a category or brand by its name or slug
+const byNameOrSlug = (items) => {
+  const index = new Map();
+  items.forEach((item) => {
+    index.set(item.slug, item);
+    index.set(item.name, item);
+  });
+  return (value) => index.get(value) || index.get(slugify(value));
+};
+
+// The bulk write of one valid row, linked to its category and brand when
+// they exist. Products with variants keep the stock of their variants. A new
+// main image goes first in the gallery, in place of the previous one.
+const upsertOperation = (fields, existing, findCategory, findBrand) => {
+  const category = findCategory(fields.category);
+  const brand = findBrand(fields.brand);
+  const set = {
+    name: fields.name,
+    image: fields.image,
+    brand: brand ? brand.name : fields.brand,
+    category: category ? category.name : fields.category,
+    description: fields.description,
+    price: fields.price,
+  };
+  const unset = {};
+  if (category) {
+    set.categoryId = category._id;
+  } else {
+    unset.categoryId = '';
+  }
+  if (brand) {
+    set.brandId = brand._id;
+  } else {
+    unset.brandId = '';
+  }
+  if (fields.weight !== undefined) {
+    set.weight = fields.weight;
+  }
+  if (!existing || existing.variants.length === 0) {
+    set.countInStock = fields.countInStock;
+  }
+  if (existing && existing.image !== fields.image) {
+    set.images = [
+      { url: fields.image, alt: fields.name },
+      ...existing.images.filter(
+        (x) => x.url !== existing.image && x.url !== fields.image
+      ),
+    ];
+  }
+  return {
+    updateOne: {
+      filter: { slug: fields.slug },
+      update: {
+        $set: set,
+        ...(Object.keys(unset).length > 0 ? { $unset: unset } : {}),
+        $setOnInsert: {
+          // Never both set and set on insert, MongoDB rejects the conflict
+          ...(set.images
+            ? {}
+            : { images: [{ url: fields.image, alt: fields.name }] }),
+          variants: [],
+          reviews: [],
+          rating: 0,
+          numReviews: 0,
+          status: 'Published',
+        },
+      },
+      upsert: true,
+    },
+  };
+};
+
+// Validates and, unless it is a dry run, upserts the rows of an import by
+// slug, one batch at a time. Rows that fail are listed with their error and
+// do not stop the others.
+export const importProducts = async (productImport) => {
+  const [categories, brands] = await Promise.all([
+    Category.find().lean(),
+    Brand.find().lean(),
+  ]);
+  const findCategory = byNameOrSlug(categories);
+  const findBrand = byNameOrSlug(brands);
+  const { rows } = productImport;
+  // First row of each slug and name, to reject rows listing them again
+  const seenSlugs = new Map();
+  const seenNames = new Map();
+
+  Object.assign(productImport, {
+    processed: 0,
+    created: 0,
+    updated: 0,
+    failures: [],
+  });
+
+  for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+    const batch = [];
+    rows.slice(start, start + IMPORT_BATCH_SIZE).forEach((row, i) => {
+      const rowNumber = start + i + 1;
+      try {
+        const fields = productImportFields(row);
+        if (seenSlugs.has(fields.slug)) {
+          throw new HttpError(
+            400,
+            `Slug ${fields.slug} is already used by row ${seenSlugs.get(fields.slug)}`
+          );
+        }
+        if (seenNames.has(fields.name)) {
+          throw new HttpError(
+            400,
+            `Name ${fields.name} is already used by row ${seenNames.get(fields.name)}`
+          );
+        }
+        seenSlugs.set(fields.slug, rowNumber);
+        seenNames.set(fields.name, rowNumber);
+        batch.push({ row: rowNumber, fields });
+      } catch (err) {
+        productImport.failures.push({
+          row: rowNumber,
+          slug: trim(row && row.slug),
+          message: err.message,
+        });
+      }
+    });
+
+    const products = await Product.find({
+      $or: [
+        { slug: { $in: batch.map((x) => x.fields.slug) } },
+        { name: { $in: batch.map((x) => x.fields.name) } },
+      ],
+    })
+      .setOptions({ withDeleted: true })
+      .select('name slug image images variants deletedAt')
+      .lean();
+
+    const writes = [];
+    batch.forEach(({ row, fields }) => {
+      const existing = products.find((x) => x.slug === fields.slug);
+      // Product names are unique as well
+      const sameName = products.find(
+        (x) => x.name === fields.name && x.slug !== fields.slug
+      );
+      if (sameName) {
+        productImport.failures.push({
+          row,
+          slug: fields.slug,
+          message: `Name ${fields.name} is already used by product ${sameName.slug}`,
+        });
+        return;
+      }
+      // Importing does not bring deleted products back behind the admin's back
+      if (existing && existing.deletedAt) {
+        productImport.failures.push({
+          row,
+          slug: fields.slug,
+          message: `Product ${fields.slug} is in the trash, restore it first`,
+        });
+        return;
+      }
+      writes.push({
+        row,
+        fields,
+        existing,
+        operation: upsertOperation(fields, existing, findCategory, findBrand),
+      });
+    });
+
+    let failedWrites = [];
+    if (!productImport.dryRun && writes.length > 0) {
+      try {
+        await Product.bulkWrite(
+          writes.map((x) => x.operation),
+          { ordered: false }
+        );
+      } catch (err) {
+        if (!err.writeErrors) {
+          throw err;
+        }
+        const writeErrors = [].concat(err.writeErrors);
+        failedWrites = writeErrors.map((x) => x.index);
+        writeErrors.forEach(({ index, errmsg }) => {
+          productImport.failures.push({
+            row: writes[index].row,
+            slug: writes[index].fields.slug,
+            message: `The product could not be saved: ${errmsg}`,
+          });
+        });
+      }
+      await deleteImages(
+        writes
+          .filter((x, index) => x.existing && !failedWrites.includes(index))
+          .flatMap((x) =>
+            removedImages(
+              x.existing.images,
+              x.operation.updateOne.update.$set.images || x.existing.images
+            )
+          )
+      );
+    }
+
+    writes.forEach(({ existing }, index) => {
+      if (!failedWrites.includes(index)) {
+        if (existing) {
+          productImport.updated += 1;
+        } else {
+          productImport.created += 1;
+        }
+      }
+    });
+    productImport.failures.sort((a, b) => a.row - b.row);
+    productImport.processed = Math.min(start + IMPORT_BATCH_SIZE, rows.length);
+    await productImport.save();
+  }
+  return productImport;
+};
+
+// Runs the queued imports, oldest first. Only one instance holds the job
+// lock, so imports still marked as running were cut short by a restart and
+// are started over; upserting by slug makes that safe.
+export const runProductImports = async () => {
+  await ProductImport.updateMany({ status: 'Running' }, { status: 'Queued' });
+  let completed = 0;
+  let failed = 0;
+  for (;;) {
+    const productImport = await ProductImport.findOneAndUpdate(
+      { status: 'Queued' },
+      { status: 'Running', startedAt: new Date() },
+      { sort: { createdAt: 1 }, new: true }
+    ).select('+rows');
+    if (!productImport) {
+      break;
+    }
+    try {
+      await importProducts(productImport);
+      productImport.status = 'Completed';
+      completed += 1;
+    } catch (err) {
+      console.error(`Product import ${productImport._id} failed:`, err);
+      productImport.status = 'Failed';
+      productImport.message = err.message;
+      failed += 1;
+    }
+    productImport.rows = [];
+    productImport.finishedAt = new Date();
+    await productImport.save();
+  }
+  return { completed, failed };
+};
+
+// Started right after each upload; the schedule picks up imports queued
+// while another one was running or interrupted by a restart.
+export const importProductsJob = {
+  name: 'import-products',
+  intervalMs: 60 * 1000,
+  lockTtlMs: 30 * 60 * 1000,
+  run: runProductImports,
+};
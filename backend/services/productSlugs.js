@@ -0,0 +1,59 @@
+import Product from '../models/productModel.js';
+import { availableSlug, isSlugOf, slugify } from './slugs.js';
+
+// Whether a product other than `productId` has the slug, now or as one of
+// its previous slugs. Products in the trash count, they may be restored.
+const slugTaken = (slug, productId) =>
+  Product.exists({
+    ...(productId ? { _id: { $ne: productId } } : {}),
+    $or: [{ slug }, { previousSlugs: slug }],
+  }).setOptions({ withDeleted: true });
+
+// Slug for a product: the requested one or, when empty, one made from the
+// name, with -2, -3... appended while another product has it.
+export const productSlug = (name, requested, productId) =>
+  availableSlug(slugify(requested) || slugify(name) || 'product', (slug) =>
+    slugTaken(slug, productId)
+  );
+
+// Slug fields of a product moving to `slug`. The current slug is kept with
+// the previous ones, so links to it still lead to the product.
+export const slugFields = (product, slug) => {
+  const previousSlugs = (product.previousSlugs || []).filter(
+    (x) => x !== slug && x !== product.slug
+  );
+  if (product.slug && product.slug !== slug) {
+    previousSlugs.push(product.slug);
+  }
+  return { slug, previousSlugs };
+};
+
+// Gives the products whose slug was not made from their name, like the
+// random slugs of cloths.json, one that is.
+export const regenerateProductSlugs = async () => {
+  const cursor = Product.find()
+    .setOptions({ withDeleted: true })
+    .select('name slug previousSlugs')
+    .lean()
+    .cursor();
+  let renamed = 0;
+  for await (const product of cursor) {
+    if (slugify(product.name) && !isSlugOf(product.slug, product.name)) {
+      const slug = await productSlug(product.name, '', product._id);
+      await Product.updateOne(
+        { _id: product._id },
+        slugFields(product, slug)
+      );
+      renamed += 1;
+    }
+  }
+  return { renamed };
+};
+
+// Not scheduled: run it once with `npm run job -- regenerate-product-slugs`.
+// Slugs typed by admins that do not follow the name are replaced as well.
+export const regenerateProductSlugsJob = {
+  name: 'regenerate-product-slugs',
+  lockTtlMs: 10 * 60 * 1000,
+  run: regenerateProductSlugs,
+};
@@ -0,0 +1,46 @@
+import { HttpError } from '../utils.js';
+
+// Lifecycle of a product. Drafts are being prepared and archived products
+// are kept for the orders that reference them; customers only see published
+// products, and only once their publishAt date has come.
+export const PRODUCT_STATUSES = ['Draft', 'Published', 'Archived'];
+
+// Products saved before statuses existed have none and count as published.
+export const isPublished = (product, now = new Date()) =>
+  !['Draft', 'Archived'].includes(product.status) &&
+  !(product.publishAt && new Date(product.publishAt) > now);
+
+// Query for the products customers can see, the counterpart of isPublished
+export const publishedFilter = (now = new Date()) => ({
+  status: { $nin: ['Draft', 'Archived'] },
+  publishAt: { $not: { $gt: now } },
+});
+
+// Query for the products of one status in admin lists and exports
+export const statusFilter = (status) =>
+  !status || status === 'all'
+    ? {}
+    : status === 'Published'
+    ? { status: { $nin: ['Draft', 'Archived'] } }
+    : { status };
+
+// Status and scheduled publish date from the admin product form; fields it
+// leaves out keep the product's current values. An empty date publishes
+// right away. Throws 400 when invalid.
+export const productStatusFields = (body, product = {}) => {
+  const status = body.status || product.status || 'Published';
+  if (!PRODUCT_STATUSES.includes(status)) {
+    throw new HttpError(400, 'Invalid product status');
+  }
+  if (body.publishAt === undefined) {
+    return { status, publishAt: product.publishAt || null };
+  }
+  if (!body.publishAt) {
+    return { status, publishAt: null };
+  }
+  const publishAt = new Date(body.publishAt);
+  if (Number.isNaN(publishAt.getTime())) {
+    throw new HttpError(400, 'Invalid publish date');
+  }
+  return { status, publishAt };
+};
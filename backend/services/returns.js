@@ -0,0 +1,157 @@
+import RefundRequest from '../models/refundRequestModel.js';
+import Return from '../models/returnModel.js';
+import { HttpError } from '../utils.js';
+import { round2 } from './pricing.js';
+import { releaseStock } from './stock.js';
+
+// Days after delivery during which a customer may ask for a return.
+export const RETURN_WINDOW_DAYS = 30;
+
+export const RETURN_STATUS_TRANSITIONS = {
+  Requested: ['Approved', 'Rejected'],
+  Approved: ['Received'],
+  Rejected: [],
+  Received: [],
+};
+
+export const assertReturnable = (order, now = Date.now()) => {
+  if (order.status !== 'Delivered') {
+    throw new HttpError(409, 'Only delivered orders can be returned');
+  }
+  const deadline =
+    new Date(order.deliveredAt).getTime() +
+    RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  if (!order.deliveredAt || now > deadline) {
+    throw new HttpError(
+      409,
+      `Returns are only accepted within ${RETURN_WINDOW_DAYS} days of delivery`
+    );
+  }
+};
+
+// Quantity of each order line already covered by returns that were not rejected.
+export const returnedQuantities = (returns) => {
+  const quantities = new Map();
+  returns
+    .filter((ret) => ret.status !== 'Rejected')
+    .forEach((ret) =>
+      ret.items.forEach((item) => {
+        const id = item.orderItem.toString();
+        quantities.set(id, (quantities.get(id) || 0) + item.quantity);
+      })
+    );
+  return quantities;
+};
+
+// Validates the requested lines against the order and the previous returns and
+// snapshots name and price from the order so later catalog changes don't matter.
+export const buildReturnItems = (order, requestedItems, previousReturns = []) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw new HttpError(400, 'Return has no items');
+  }
+  const returned = returnedQuantities(previousReturns);
+
+  return requestedItems.map((item) => {
+    const line = order.orderItems.find(
+      (x) => x._id.toString() === String(item.orderItem)
+    );
+    if (!line) {
+      throw new HttpError(400, `Order item not found: ${item.orderItem}`);
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new HttpError(400, `Invalid quantity for ${line.name}`);
+    }
+    const id = line._id.toString();
+    const remaining = line.quantity - (returned.get(id) || 0);
+    if (quantity > remaining) {
+      throw new HttpError(
+        400,
+        `Only ${remaining} of ${line.name} can be returned`
+      );
+    }
+    const reason = typeof item.reason === 'string' ? item.reason.trim() : '';
+    if (!reason) {
+      throw new HttpError(400, `Return reason is required for ${line.name}`);
+    }
+    returned.set(id, (returned.get(id) || 0) + quantity);
+    return {
+      orderItem: line._id,
+      product: line.product,
+      variant: line.variant,
+      name: line.name,
+      price: line.price,
+      quantity,
+      reason,
+    };
+  });
+};
+
+// The refund covers what was paid for the returned lines, after the order's
+// discount spread over its lines as calculateTax does, and their share of
+// the order's tax. Shipping is not refunded.
+export const calculateRefundAmount = (order, items) => {
+  const itemsTotal = items.reduce((a, c) => a + c.price * c.quantity, 0);
+  if (!(order.itemsPrice > 0)) {
+    return round2(itemsTotal);
+  }
+  const share = itemsTotal / order.itemsPrice;
+  const discountShare = (order.discountPrice || 0) * share;
+  return round2(itemsTotal - discountShare + order.taxPrice * share);
+};
+
+export const transitionReturn = (ret, status, { user, note } = {}) => {
+  if (!(RETURN_STATUS_TRANSITIONS[ret.status] || []).includes(status)) {
+    throw new HttpError(
+      409,
+      `Cannot change return status from ${ret.status} to ${status}`
+    );
+  }
+  ret.status = status;
+  ret.resolvedBy = user ? user._id : undefined;
+  if (note !== undefined) {
+    ret.adminNote = note;
+  }
+};
+
+// Marks the returned goods as received: restocks them and, for paid orders,
+// raises the refund request for the computed amount. The status is claimed
+// with a conditional update first, so a return received twice at once is
+// only restocked and refunded once; the other call gets a 409.
+export const receiveReturn = async (ret, order, { user, note } = {}) => {
+  const from = ret.status;
+  transitionReturn(ret, 'Received', { user, note });
+  const updatedReturn = await Return.findOneAndUpdate(
+    { _id: ret._id, status: from },
+    {
+      $set: {
+        status: ret.status,
+        resolvedBy: ret.resolvedBy,
+        adminNote: ret.adminNote,
+        receivedAt: Date.now(),
+      },
+    },
+    { new: true }
+  );
+  if (!updatedReturn) {
+    throw new HttpError(
+      409,
+      'Return was changed in the meantime, reload it and try again'
+    );
+  }
+  await releaseStock(updatedReturn.items);
+
+  let refundRequest = null;
+  if (order.isPaid) {
+    refundRequest = await RefundRequest.create({
+      order: order._id,
+      return: updatedReturn._id,
+      user: order.user,
+      amount: updatedReturn.refundAmount,
+      paymentMethod: order.paymentMethod,
+      providerReference: order.paymentResult && order.paymentResult.id,
+      reason: 'Return received',
+    });
+  }
+  return { return: updatedReturn, refundRequest };
+};
@@ -0,0 +1,57 @@
+import os from 'os';
+import JobLock from '../models/jobLockModel.js';
+
+// Identifies this process as a lock holder.
+export const instanceId = `${os.hostname()}:${process.pid}`;
+
+// Takes the job's lease unless another instance holds an unexpired one.
+// The upsert races on the unique _id, so only one contender can win.
+export const acquireLock = async (name, ttlMs, owner = instanceId) => {
+  const now = new Date();
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      { lockedBy: owner, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+    return !!lock;
+  } catch (err) {
+    if (err.code === 11000) {
+      return false;
+    }
+    throw err;
+  }
+};
+
+export const releaseLock = (name, owner = instanceId) =>
+  JobLock.updateOne(
+    { _id: name, lockedBy: owner },
+    { lockedUntil: new Date(), lastRunAt: new Date() }
+  );
+
+// Runs a job under its lock. Resolves to { skipped: true } when another
+// instance is running it, otherwise to { skipped: false, result }.
+export const runJob = async (job, { owner = instanceId } = {}) => {
+  const acquired = await acquireLock(job.name, job.lockTtlMs, owner);
+  if (!acquired) {
+    return { skipped: true };
+  }
+  try {
+    return { skipped: false, result: await job.run() };
+  } finally {
+    await releaseLock(job.name, owner);
+  }
+};
+
+// Runs each job every job.intervalMs in this process. Failures are logged and
+// the job is tried again on its next tick. Returns a function that stops them.
+export const startScheduler = (jobs) => {
+  const timers = jobs.map((job) => {
+    const tick = () =>
+      runJob(job).catch((err) => console.error(`Job ${job.name} failed:`, err));
+    const timer = setInterval(tick, job.intervalMs);
+    timer.unref();
+    return timer;
+  });
+  return () => timers.forEach((timer) => clearInterval(timer));
+};
@@ -0,0 +1,77 @@
+import { HttpError, sameText } from '../utils.js';
+
+// Used wherever no admin-defined zone covers the shipping address
+export const FREE_SHIPPING_THRESHOLD = 100;
+export const SHIPPING_FEE = 10;
+export const DEFAULT_SHIPPING_METHODS = [
+  {
+    code: 'standard',
+    name: 'Standard',
+    estimatedDays: '3-5 days',
+    freeOver: FREE_SHIPPING_THRESHOLD,
+    rates: [{ price: SHIPPING_FEE }],
+  },
+];
+
+// Weight (kg) assumed for products that have none yet
+export const DEFAULT_ITEM_WEIGHT = 0.5;
+
+export const orderWeight = (orderItems) =>
+  orderItems.reduce(
+    (a, c) => a + c.quantity * (c.weight || DEFAULT_ITEM_WEIGHT),
+    0
+  );
+
+// The zone of the address; zones listing the city win over whole countries.
+export const matchShippingZone = (zones, address = {}) => {
+  const matching = zones.filter(
+    (zone) =>
+      zone.countries.some((country) => sameText(country, address.country)) &&
+      (zone.cities.length === 0 ||
+        zone.cities.some((city) => sameText(city, address.city)))
+  );
+  return matching.find((zone) => zone.cities.length > 0) || matching[0] || null;
+};
+
+// Price of a method for the parcel, or null when no rate covers its weight.
+export const methodPrice = (method, weight, itemsPrice) => {
+  if (method.freeOver != null && itemsPrice > method.freeOver) {
+    return 0;
+  }
+  const rate = [...method.rates]
+    .sort((a, b) => (a.maxWeight ?? Infinity) - (b.maxWeight ?? Infinity))
+    .find((x) => x.maxWeight == null || weight <= x.maxWeight);
+  return rate ? rate.price : null;
+};
+
+// Shipping methods available for the items sent to the address, with prices.
+export const shippingOptions = (
+  orderItems,
+  { zones = [], shippingAddress, itemsPrice }
+) => {
+  const zone = matchShippingZone(zones, shippingAddress);
+  const weight = orderWeight(orderItems);
+  return (zone ? zone.methods : DEFAULT_SHIPPING_METHODS)
+    .map((method) => ({
+      code: method.code,
+      name: method.name,
+      estimatedDays: method.estimatedDays,
+      price: methodPrice(method, weight, itemsPrice),
+    }))
+    .filter((option) => option.price !== null);
+};
+
+// The option of the chosen method, the first one when none was chosen.
+export const chooseShippingOption = (options, code) => {
+  if (options.length === 0) {
+    throw new HttpError(400, 'No shipping method is available for this address');
+  }
+  if (!code) {
+    return options[0];
+  }
+  const option = options.find((x) => x.code === code);
+  if (!option) {
+    throw new HttpError(400, 'Shipping method is not available for this order');
+  }
+  return option;
+};
@@ -0,0 +1,31 @@
+// URL friendly form of a name: lowercase ASCII words joined by dashes.
+// Accents are dropped and đ, which has none to drop, becomes d, so
+// "Áo sơ mi đỏ" gives "ao-so-mi-do".
+export const slugify = (text) =>
+  String(text || '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Whether the slug was made from the text, with or without a -2, -3... suffix
+export const isSlugOf = (slug, text) => {
+  const base = slugify(text);
+  return Boolean(base) && new RegExp(`^${base}(-\\d+)?$`).test(slug);
+};
+
+// base, with -2, -3... appended until `isTaken(slug)` resolves to false
+export const availableSlug = async (base, isTaken) => {
+  let slug = base;
+  for (let i = 2; await isTaken(slug); i += 1) {
+    slug = `${base}-${i}`;
+  }
+  return slug;
+};
+
+// slugify(text), with -2, -3... appended until no document of Model uses it
+export const uniqueSlug = (Model, text, fallback = 'item') =>
+  availableSlug(slugify(text) || fallback, (slug) => Model.exists({ slug }));
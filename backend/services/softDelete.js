@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Query methods that only see records that are not deleted
+const SCOPED_QUERIES = [
+  'count',
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+];
+
+// Condition added to a query of a soft deleted model. The `withDeleted`
+// query option includes deleted records and `onlyDeleted` selects them only;
+// a query that filters on deletedAt itself is left as it is.
+export const deletedScope = (filter = {}, options = {}) => {
+  if (options.onlyDeleted) {
+    return { deletedAt: { $ne: null } };
+  }
+  if (options.withDeleted || 'deletedAt' in filter) {
+    return {};
+  }
+  return { deletedAt: null };
+};
+
+// Mongoose plugin for records that are moved to the trash instead of being
+// removed, so that orders keep pointing to them. Deleted records are hidden
+// from queries and aggregations; pass the withDeleted option to reach them:
+//
+//   Product.findById(id).setOptions({ withDeleted: true })
+//   Order.find().populate({ path: 'user', options: { withDeleted: true } })
+//
+// Updates are not scoped, renames of brands and categories also apply to
+// deleted products so they are right when restored.
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  });
+
+  schema.pre(SCOPED_QUERIES, function () {
+    this.where(deletedScope(this.getFilter(), this.getOptions()));
+  });
+
+  schema.pre('aggregate', function () {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.softDelete = function (user) {
+    this.deletedAt = new Date();
+    this.deletedBy = user ? user._id : null;
+    return this.save();
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+};
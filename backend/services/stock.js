@@ -0,0 +1,112 @@
+import Order from '../models/orderModel.js';
+import Product from '../models/productModel.js';
+import { HttpError } from '../utils.js';
+import { variantLabel } from './variants.js';
+
+// Update taking `quantity` (negative to put back) out of the line's product
+// and, for products with variants, out of the chosen variant too. The
+// variant's stock is updated through the positional operator.
+const stockUpdate = (item, quantity) =>
+  item.variant
+    ? {
+        $inc: {
+          countInStock: -quantity,
+          'variants.$.countInStock': -quantity,
+        },
+      }
+    : { $inc: { countInStock: -quantity } };
+
+const lineName = (item) =>
+  item.variant ? `${item.name} (${variantLabel(item)})` : item.name;
+
+const lineFilter = (item) =>
+  item.variant
+    ? { _id: item.product, 'variants._id': item.variant }
+    : { _id: item.product };
+
+// Puts the quantities of the given order lines back into stock.
+export const releaseStock = async (orderItems) => {
+  if (orderItems.length === 0) {
+    return;
+  }
+  await Product.bulkWrite(
+    orderItems.map((item) => ({
+      updateOne: {
+        filter: lineFilter(item),
+        update: stockUpdate(item, -item.quantity),
+      },
+    }))
+  );
+};
+
+// Takes the quantities of the given order lines out of stock. Each line is a
+// conditional $inc, so concurrent orders can never take the same unit twice.
+// When any line can not be served, the lines already taken are released and a
+// 409 listing every short line is thrown.
+export const reserveStock = async (orderItems) => {
+  const reserved = [];
+  const shortItems = [];
+
+  for (const item of orderItems) {
+    const result = await Product.updateOne(
+      item.variant
+        ? {
+            _id: item.product,
+            variants: {
+              $elemMatch: {
+                _id: item.variant,
+                countInStock: { $gte: item.quantity },
+              },
+            },
+          }
+        : { _id: item.product, countInStock: { $gte: item.quantity } },
+      stockUpdate(item, item.quantity)
+    );
+    if (result.modifiedCount === 1) {
+      reserved.push(item);
+    } else {
+      shortItems.push(item);
+    }
+  }
+
+  if (shortItems.length > 0) {
+    await releaseStock(reserved);
+    const products = await Product.find(
+      { _id: { $in: shortItems.map((item) => item.product) } },
+      'countInStock variants'
+    );
+    const available = new Map();
+    products.forEach((p) => {
+      available.set(p._id.toString(), p.countInStock);
+      p.variants.forEach((v) => available.set(v._id.toString(), v.countInStock));
+    });
+    throw new HttpError(
+      409,
+      `Insufficient stock for ${shortItems.map(lineName).join(', ')}`,
+      {
+        errors: shortItems.map((item) => ({
+          product: item.product,
+          variant: item.variant,
+          name: item.name,
+          requested: item.quantity,
+          available:
+            available.get((item.variant || item.product).toString()) || 0,
+        })),
+      }
+    );
+  }
+};
+
+// Returns the stock held by an order, at most once per order: stockReserved
+// is cleared with a conditional update and only the call that cleared it
+// puts the items back, even when several run at once.
+export const restockOrder = async (order) => {
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, stockReserved: true },
+    { stockReserved: false }
+  );
+  order.stockReserved = false;
+  if (modifiedCount === 1) {
+    await releaseStock(order.orderItems);
+  }
+};
@@ -0,0 +1,22 @@
+import cloudinary from '../../cloudinary.js';
+
+// Cloudinary hosted storage. The content hash is used as the asset id, so
+// uploading the same file again returns the asset that is already there.
+const cloudinaryStorage = {
+  code: 'cloudinary',
+  isEnabled: () => Boolean(process.env.CLOUDINARY_CLOUD_NAME),
+
+  save: async ({ buffer, hash, mimetype }) => {
+    const result = await cloudinary.uploader.upload(
+      `data:${mimetype};base64,${buffer.toString('base64')}`,
+      { public_id: hash, overwrite: false }
+    );
+    return { url: result.secure_url, publicId: result.public_id };
+  },
+
+  remove: async (publicId) => {
+    await cloudinary.uploader.destroy(publicId);
+  },
+};
+
+export default cloudinaryStorage;
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { HttpError } from '../../utils.js';
+import localStorage from './local.js';
+import cloudinaryStorage from './cloudinary.js';
+
+// Every storage implements:
+//   code, isEnabled()        name used by STORAGE_DRIVER, whether it is configured
+//   save({ buffer, hash, extension, mimetype })  stores a validated file and
+//                            returns { url, publicId }; storing the same
+//                            content twice returns the same file
+//   remove(publicId)         deletes a stored file, missing files are ignored
+const storages = [localStorage, cloudinaryStorage];
+
+// Largest accepted upload, in bytes
+export const MAX_UPLOAD_SIZE =
+  Number(process.env.MAX_UPLOAD_SIZE) || 5 * 1024 * 1024;
+
+// Accepted image types, recognized by the first bytes of the file rather than
+// by the type the client claims
+const IMAGE_TYPES = [
+  { mimetype: 'image/jpeg', extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+  { mimetype: 'image/png', extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  { mimetype: 'image/gif', extension: 'gif', signature: [0x47, 0x49, 0x46, 0x38] },
+  {
+    mimetype: 'image/webp',
+    extension: 'webp',
+    signature: [0x52, 0x49, 0x46, 0x46],
+    // RIFF container holding a WEBP image
+    matches: (buffer) => buffer.toString('ascii', 8, 12) === 'WEBP',
+  },
+];
+
+// STORAGE_DRIVER picks the storage; without it Cloudinary is used when it is
+// configured and the local disk otherwise.
+export const getStorage = () => {
+  const code = process.env.STORAGE_DRIVER;
+  if (!code) {
+    return cloudinaryStorage.isEnabled() ? cloudinaryStorage : localStorage;
+  }
+  const storage = storages.find((x) => x.code === code);
+  if (!storage) {
+    throw new Error(`Unknown storage driver: ${code}`);
+  }
+  return storage;
+};
+
+// Type of an uploaded image kept in memory by multer. Throws 400 when the
+// file is not an accepted image or is too large.
+export const imageTypeOf = (file) => {
+  if (file.size > MAX_UPLOAD_SIZE) {
+    throw new HttpError(
+      400,
+      `${file.originalname} is larger than ${MAX_UPLOAD_SIZE / (1024 * 1024)} MB`
+    );
+  }
+  const type = IMAGE_TYPES.find(
+    (x) =>
+      x.signature.every((byte, i) => file.buffer[i] === byte) &&
+      (!x.matches || x.matches(file.buffer))
+  );
+  if (!type) {
+    throw new HttpError(
+      400,
+      `${file.originalname} is not a JPEG, PNG, GIF or WebP image`
+    );
+  }
+  return type;
+};
+
+export const contentHash = (buffer) =>
+  crypto.createHash('sha256').update(buffer).digest('hex');
+
+export const removeFile = (publicId) => getStorage().remove(publicId);
@@ -0,0 +1,45 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// URL prefix the stored files are served from, see app.js
+export const UPLOAD_URL = '/uploads';
+
+// Read on every call so tests can point UPLOAD_DIR at a temporary directory.
+export const uploadDir = () =>
+  path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+
+// Files on the server's disk, named after their content hash. Works without
+// network, which makes it the storage of local development and tests.
+const localStorage = {
+  code: 'local',
+  isEnabled: () => true,
+
+  save: async ({ buffer, hash, extension }) => {
+    const name = `${hash}.${extension}`;
+    const dir = uploadDir();
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      // wx fails when the file exists: the same content is already stored
+      await fs.writeFile(path.join(dir, name), buffer, { flag: 'wx' });
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+    }
+    return { url: `${UPLOAD_URL}/${name}`, publicId: name };
+  },
+
+  remove: async (publicId) => {
+    // publicId comes from the database, never let it leave the directory
+    const name = path.basename(publicId);
+    try {
+      await fs.unlink(path.join(uploadDir(), name));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  },
+};
+
+export default localStorage;
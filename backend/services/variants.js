@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { HttpError } from '../utils.js';
+
+const trim = (value) => String(value || '').trim();
+
+// "M / Red" style label of a variant, for order lines and messages.
+export const variantLabel = (variant) =>
+  [variant.size, variant.color].filter(Boolean).join(' / ');
+
+// Validated variants from the admin variant matrix. Throws 400 when invalid.
+export const variantFields = (variants = []) => {
+  if (!Array.isArray(variants)) {
+    throw new HttpError(400, 'Variants must be a list');
+  }
+  const fields = variants.map((variant) => {
+    const sku = trim(variant.sku);
+    const size = trim(variant.size);
+    const color = trim(variant.color);
+    const label = variantLabel({ size, color }) || sku;
+    if (!sku) {
+      throw new HttpError(400, `SKU is required for variant ${label}`);
+    }
+    if (!size && !color) {
+      throw new HttpError(400, `Variant ${sku} needs a size or a color`);
+    }
+    const countInStock = Number(variant.countInStock);
+    if (!Number.isInteger(countInStock) || countInStock < 0) {
+      throw new HttpError(400, `Invalid stock for variant ${label}`);
+    }
+    const hasPrice =
+      variant.price !== undefined && variant.price !== null && variant.price !== '';
+    const price = hasPrice ? Number(variant.price) : undefined;
+    if (hasPrice && !(price >= 0)) {
+      throw new HttpError(400, `Invalid price for variant ${label}`);
+    }
+    return {
+      ...(mongoose.isValidObjectId(variant._id) ? { _id: variant._id } : {}),
+      sku,
+      size,
+      color,
+      price,
+      countInStock,
+      image: trim(variant.image),
+    };
+  });
+
+  const skus = fields.map((x) => x.sku.toLowerCase());
+  if (new Set(skus).size !== skus.length) {
+    throw new HttpError(400, 'Each variant needs its own SKU');
+  }
+  const options = fields.map((x) => `${x.size}|${x.color}`.toLowerCase());
+  if (new Set(options).size !== options.length) {
+    throw new HttpError(400, 'Each size and color combination can only be listed once');
+  }
+  return fields;
+};
+
+export const totalVariantStock = (variants) =>
+  variants.reduce((a, c) => a + c.countInStock, 0);
+
+// The variant an item refers to. Products with variants can only be bought
+// as one of them.
+export const findVariant = (product, variantId) => {
+  if (!product.variants || product.variants.length === 0) {
+    if (variantId) {
+      throw new HttpError(400, `${product.name} has no variants`);
+    }
+    return null;
+  }
+  if (!variantId) {
+    throw new HttpError(400, `Please choose a size or color for ${product.name}`);
+  }
+  const variant = product.variants.find((x) => x._id.toString() === String(variantId));
+  if (!variant) {
+    throw new HttpError(400, `Variant Not Found for ${product.name}`);
+  }
+  return variant;
+};
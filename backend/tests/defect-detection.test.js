@@ -19,6 +19,7 @@ import {
   createTestProduct,
   createTestOrder,
 } from './integration/setup.js';
+import { mockPayPalCapture } from './mocks/paypalServer.js';
 
 const app = createApp();
 setupIntegrationDB();
@@ -148,12 +149,7 @@ describe('Order API Tests - PASS', () => {
       const res = await request(app)
         .put(`/api/orders/${order._id}/pay`)
         .set('Authorization', `Bearer ${userToken}`)
-        .send({
-          id: 'PAYPAL_TXN_123',
-          status: 'COMPLETED',
-          update_time: new Date().toISOString(),
-          email_address: 'buyer@paypal.com',
-        });
+        .send(mockPayPalCapture(order, { id: 'PAYPAL_TXN_123' }));
 
       expect(res.status).toBe(200);
       expect(res.body.order.isPaid).toBe(true);
@@ -202,6 +198,7 @@ describe('Order API Tests - PASS', () => {
 
     it('TC-STATUS-003: COD tu dong paid khi Delivered', async () => {
       const order = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'COD',
         isPaid: false,
       });
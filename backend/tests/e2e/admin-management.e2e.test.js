@@ -17,6 +17,7 @@ import {
   createProduct,
   createProducts,
 } from './setup.js';
+import { mockPayPalCapture } from '../mocks/paypalServer.js';
 
 const app = createApp();
 
@@ -103,12 +104,7 @@ describe('E2E: Admin Order Management', () => {
       await request(app)
         .put(`/api/orders/${order1Id}/pay`)
         .set('Authorization', `Bearer ${user1Token}`)
-        .send({
-          id: 'PAYPAL-ADMIN-TEST-001',
-          status: 'COMPLETED',
-          update_time: new Date().toISOString(),
-          email_address: 'user1@test.com',
-        });
+        .send(mockPayPalCapture(order1Res.body.order, { id: 'PAYPAL-ADMIN-TEST-001' }));
 
       // Admin processes Order 1 (PayPal - already paid)
       await request(app)
@@ -190,12 +186,7 @@ describe('E2E: Admin Order Management', () => {
         await request(app)
           .put(`/api/orders/${orderRes.body.order._id}/pay`)
           .set('Authorization', `Bearer ${userToken}`)
-          .send({
-            id: `STATS-PAY-${i}`,
-            status: 'COMPLETED',
-            update_time: new Date().toISOString(),
-            email_address: 'stats@test.com',
-          });
+          .send(mockPayPalCapture(orderRes.body.order, { id: `STATS-PAY-${i}` }));
       }
 
       // Admin checks summary
@@ -312,8 +303,8 @@ describe('E2E: Admin Order Management', () => {
           paymentMethod: 'PayPal',
           itemsPrice: 500000,
           shippingPrice: 0,
-          taxPrice: 50000,
-          totalPrice: 550000,
+          taxPrice: 75000,
+          totalPrice: 575000,
         });
 
       const orderId = orderRes.body.order._id;
@@ -322,12 +313,7 @@ describe('E2E: Admin Order Management', () => {
       await request(app)
         .put(`/api/orders/${orderId}/pay`)
         .set('Authorization', `Bearer ${userToken}`)
-        .send({
-          id: 'DETAIL-PAY-001',
-          status: 'COMPLETED',
-          update_time: new Date().toISOString(),
-          email_address: 'detail@test.com',
-        });
+        .send(mockPayPalCapture(orderRes.body.order, { id: 'DETAIL-PAY-001' }));
 
       // Admin views order detail
       const detailRes = await request(app)
@@ -339,7 +325,7 @@ describe('E2E: Admin Order Management', () => {
       expect(detailRes.body.orderItems[0].quantity).toBe(2);
       expect(detailRes.body.shippingAddress.fullName).toBe('Detail Test User');
       expect(detailRes.body.paymentMethod).toBe('PayPal');
-      expect(detailRes.body.totalPrice).toBe(550000);
+      expect(detailRes.body.totalPrice).toBe(575000);
       expect(detailRes.body.isPaid).toBe(true);
       expect(detailRes.body.paymentResult.id).toBe('DETAIL-PAY-001');
       expect(detailRes.body.user).toBeDefined();
@@ -22,6 +22,7 @@ import {
   createProduct,
   createProducts,
 } from './setup.js';
+import { mockPayPalCapture } from '../mocks/paypalServer.js';
 
 const app = createApp();
 
@@ -102,8 +103,8 @@ describe('E2E: Complete Checkout Flow', () => {
 
       // ========== STEP 5: Place Order ==========
       const itemsPrice = products[0].price * 2 + products[1].price; // 200000 + 200000 = 400000
-      const shippingPrice = 30000;
-      const taxPrice = Math.round(itemsPrice * 0.1); // 10% tax
+      const shippingPrice = 0; // Free shipping for large orders
+      const taxPrice = Math.round(itemsPrice * 0.15); // 15% tax
       const totalPrice = itemsPrice + shippingPrice + taxPrice;
 
       const orderPayload = {
@@ -132,12 +133,9 @@ describe('E2E: Complete Checkout Flow', () => {
       const orderId = orderRes.body.order._id;
 
       // ========== STEP 6: Process PayPal Payment ==========
-      const paypalPayment = {
+      const paypalPayment = mockPayPalCapture(orderRes.body.order, {
         id: 'PAYPAL-E2E-TXN-001',
-        status: 'COMPLETED',
-        update_time: new Date().toISOString(),
-        email_address: 'buyer@paypal.com',
-      };
+      });
 
       const payRes = await request(app)
         .put(`/api/orders/${orderId}/pay`)
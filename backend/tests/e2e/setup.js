@@ -13,11 +13,14 @@ import User from '../../models/userModel.js';
 import Product from '../../models/productModel.js';
 import Order from '../../models/orderModel.js';
 import Cart from '../../models/cartModel.js';
+import { setupPayPalMock } from '../mocks/paypalServer.js';
 
 let mongoServer;
 
 // Setup E2E test database
 export const setupE2EDB = () => {
+  setupPayPalMock();
+
   beforeAll(async () => {
     mongoServer = await MongoMemoryServer.create();
     const mongoUri = mongoServer.getUri();
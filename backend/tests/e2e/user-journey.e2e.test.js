@@ -17,6 +17,7 @@ import {
   createProduct,
   createProducts,
 } from './setup.js';
+import { mockPayPalCapture } from '../mocks/paypalServer.js';
 
 const app = createApp();
 
@@ -102,12 +103,7 @@ describe('E2E: User Journey Scenarios', () => {
       await request(app)
         .put(`/api/orders/${orderId}/pay`)
         .set('Authorization', `Bearer ${token}`)
-        .send({
-          id: 'FIRST-TIME-PAY-001',
-          status: 'COMPLETED',
-          update_time: new Date().toISOString(),
-          email_address: 'firsttime@test.com',
-        });
+        .send(mockPayPalCapture(orderRes.body.order, { id: 'FIRST-TIME-PAY-001' }));
 
       // Step 5: Check order history (should have 1 order)
       const historyRes = await request(app)
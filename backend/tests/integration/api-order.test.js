@@ -9,6 +9,7 @@ import {
   createTestOrder,
   createTestCart,
 } from './setup.js';
+import { mockPayPalCapture } from '../mocks/paypalServer.js';
 
 const app = createApp();
 setupIntegrationDB();
@@ -78,7 +79,7 @@ describe('API Order Tests', () => {
   test('TC_API_009: Pay order', async () => {
     const order = await createTestOrder(regularUser._id, testProduct._id);
     await createTestCart(regularUser._id, testProduct._id);
-    const paymentResult = { id: 'PAY123', status: 'COMPLETED', update_time: new Date().toISOString(), email_address: 'test@test.com' };
+    const paymentResult = mockPayPalCapture(order, { id: 'PAY123' });
     const res = await request(app).put(`/api/orders/${order._id}/pay`).set('Authorization', `Bearer ${userToken}`).send(paymentResult);
     expect(res.status).toBe(200);
     expect(res.body.order.isPaid).toBe(true);
@@ -92,7 +93,7 @@ describe('API Order Tests', () => {
   });
 
   test('TC_API_011: Deliver COD order marks as paid', async () => {
-    const codOrder = await createTestOrder(regularUser._id, testProduct._id, { paymentMethod: 'COD' });
+    const codOrder = await createTestOrder(regularUser._id, testProduct._id, { status: 'Shipping', paymentMethod: 'COD' });
     await createTestCart(regularUser._id, testProduct._id);
     const res = await request(app).put(`/api/orders/${codOrder._id}/status`).set('Authorization', `Bearer ${adminToken}`).send({ status: 'Delivered' });
     expect(res.status).toBe(200);
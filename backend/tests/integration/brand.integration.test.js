@@ -0,0 +1,166 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Brand from '../../models/brandModel.js';
+import Product from '../../models/productModel.js';
+import { linkProductBrands } from '../../services/brands.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Brand Integration Tests', () => {
+  let userToken;
+  let adminToken;
+  let nike;
+  let adidas;
+
+  beforeEach(async () => {
+    userToken = generateTestToken(await createTestUser());
+    adminToken = generateTestToken(await createAdminUser());
+    nike = await Brand.create({ name: 'Nike', slug: 'nike' });
+    adidas = await Brand.create({ name: 'Adidas', slug: 'adidas' });
+    await createTestProduct({ name: 'Nike Shirt', slug: 'nike-shirt', brand: 'Nike', brandId: nike._id });
+    await createTestProduct({ name: 'Nike Pants', slug: 'nike-pants', brand: 'Nike', brandId: nike._id });
+    await createTestProduct({ name: 'Adidas Shirt', slug: 'adidas-shirt', brand: 'Adidas', brandId: adidas._id });
+  });
+
+  describe('GET /api/brands - Danh sách thương hiệu', () => {
+    it('TC-INT-BRD-001: Trả về thương hiệu theo tên', async () => {
+      const res = await request(app).get('/api/brands');
+
+      expect(res.status).toBe(200);
+      expect(res.body.map((x) => x.slug)).toEqual(['adidas', 'nike']);
+    });
+
+    it('TC-INT-BRD-002: Trả về 404 khi không có slug', async () => {
+      const res = await request(app).get('/api/brands/slug/puma');
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe('Brand Not Found');
+    });
+  });
+
+  describe('GET /api/products/search - Lọc theo thương hiệu', () => {
+    it('TC-INT-BRD-003: Chỉ trả về sản phẩm của thương hiệu', async () => {
+      const res = await request(app).get('/api/products/search?brand=nike&pageSize=10');
+
+      expect(res.status).toBe(200);
+      expect(res.body.products.map((x) => x.slug).sort()).toEqual(['nike-pants', 'nike-shirt']);
+    });
+
+    it('TC-INT-BRD-004: Bộ lọc thương hiệu đếm sản phẩm của mọi thương hiệu', async () => {
+      const res = await request(app).get('/api/products/search?brand=nike&pageSize=10');
+
+      expect(res.body.brands).toEqual([
+        { slug: 'adidas', name: 'Adidas', count: 1 },
+        { slug: 'nike', name: 'Nike', count: 2 },
+      ]);
+    });
+  });
+
+  describe('Admin quản lý thương hiệu', () => {
+    it('TC-INT-BRD-005: Tạo thương hiệu với slug tự sinh', async () => {
+      const res = await request(app)
+        .post('/api/brands')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Việt Tiến', description: 'Sơ mi' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.brand.slug).toBe('viet-tien');
+    });
+
+    it('TC-INT-BRD-006: Không cho tạo thương hiệu trùng tên hoặc khi không phải admin', async () => {
+      const duplicate = await request(app)
+        .post('/api/brands')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Nike', slug: 'nike-2' });
+      expect(duplicate.status).toBe(400);
+      expect(duplicate.body.message).toBe('Brand Nike already exists');
+
+      const notAdmin = await request(app)
+        .post('/api/brands')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Puma' });
+      expect(notAdmin.status).toBe(401);
+    });
+
+    it('TC-INT-BRD-007: Đổi tên thương hiệu thì cập nhật tên trên sản phẩm', async () => {
+      const res = await request(app)
+        .put(`/api/brands/${nike._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Nike Inc', slug: 'nike' });
+
+      expect(res.status).toBe(200);
+      const product = await Product.findOne({ slug: 'nike-shirt' });
+      expect(product.brand).toBe('Nike Inc');
+    });
+
+    it('TC-INT-BRD-008: Không xóa thương hiệu còn sản phẩm', async () => {
+      const res = await request(app)
+        .delete(`/api/brands/${adidas._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Move the products of this brand first');
+    });
+
+    it('TC-INT-BRD-011: Không xóa thương hiệu còn sản phẩm trong thùng rác', async () => {
+      const shirt = await Product.findOne({ slug: 'adidas-shirt' });
+      await shirt.softDelete();
+
+      const res = await request(app)
+        .delete(`/api/brands/${adidas._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+      expect(await Brand.exists({ _id: adidas._id })).toBeTruthy();
+    });
+  });
+
+  describe('PUT /api/products/:id - Gắn sản phẩm vào thương hiệu', () => {
+    it('TC-INT-BRD-009: Lưu id và tên thương hiệu', async () => {
+      const product = await Product.findOne({ slug: 'adidas-shirt' });
+      const res = await request(app)
+        .put(`/api/products/${product._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: product.name,
+          slug: product.slug,
+          price: product.price,
+          image: product.image,
+          category: product.category,
+          brandId: nike._id,
+          countInStock: product.countInStock,
+          description: product.description,
+        });
+
+      expect(res.status).toBe(200);
+      const updated = await Product.findById(product._id);
+      expect(updated.brandId.toString()).toBe(nike._id.toString());
+      expect(updated.brand).toBe('Nike');
+    });
+  });
+
+  describe('link-product-brands - Chuyển tên thương hiệu sang thương hiệu', () => {
+    it('TC-INT-BRD-010: Tạo thương hiệu còn thiếu và gắn sản phẩm', async () => {
+      await createTestProduct({ name: 'Puma Shoes', slug: 'puma-shoes', brand: 'Puma' });
+      await createTestProduct({ name: 'Nike Cap', slug: 'nike-cap', brand: 'Nike' });
+
+      const result = await linkProductBrands();
+
+      expect(result).toEqual({ created: 1, linked: 2 });
+      const puma = await Brand.findOne({ name: 'Puma' });
+      expect(puma.slug).toBe('puma');
+      const cap = await Product.findOne({ slug: 'nike-cap' });
+      expect(cap.brandId.toString()).toBe(nike._id.toString());
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Category from '../../models/categoryModel.js';
+import Product from '../../models/productModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Category Integration Tests', () => {
+  let userToken;
+  let adminToken;
+  let men;
+  let shirts;
+  let women;
+
+  beforeEach(async () => {
+    userToken = generateTestToken(await createTestUser());
+    adminToken = generateTestToken(await createAdminUser());
+    men = await Category.create({ name: 'Men', slug: 'men' });
+    shirts = await Category.create({ name: 'Shirts', slug: 'shirts', parent: men._id });
+    women = await Category.create({ name: 'Women', slug: 'women' });
+    await createTestProduct({ name: 'Men Jacket', slug: 'men-jacket', category: 'Men', categoryId: men._id });
+    await createTestProduct({ name: 'Men Shirt', slug: 'men-shirt', category: 'Shirts', categoryId: shirts._id });
+    await createTestProduct({ name: 'Dress', slug: 'dress', category: 'Women', categoryId: women._id });
+  });
+
+  describe('GET /api/categories - Cây danh mục', () => {
+    it('TC-INT-CAT-001: Trả về danh mục con lồng trong danh mục cha', async () => {
+      const res = await request(app).get('/api/categories');
+
+      expect(res.status).toBe(200);
+      expect(res.body.map((x) => x.slug)).toEqual(['men', 'women']);
+      expect(res.body[0].children.map((x) => x.slug)).toEqual(['shirts']);
+    });
+  });
+
+  describe('GET /api/products/search - Lọc theo danh mục', () => {
+    it('TC-INT-CAT-002: Danh mục cha gồm cả sản phẩm của danh mục con', async () => {
+      const res = await request(app).get('/api/products/search?category=men&pageSize=10');
+
+      expect(res.status).toBe(200);
+      expect(res.body.products.map((x) => x.slug).sort()).toEqual(['men-jacket', 'men-shirt']);
+    });
+
+    it('TC-INT-CAT-003: Danh mục con chỉ gồm sản phẩm của nó', async () => {
+      const res = await request(app).get('/api/products/search?category=shirts&pageSize=10');
+
+      expect(res.body.products.map((x) => x.slug)).toEqual(['men-shirt']);
+    });
+  });
+
+  describe('Admin quản lý danh mục', () => {
+    it('TC-INT-CAT-004: Tạo danh mục con với slug tự sinh', async () => {
+      const res = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Áo Khoác', parent: men._id });
+
+      expect(res.status).toBe(201);
+      expect(res.body.category.slug).toBe('ao-khoac');
+      expect(res.body.category.parent).toBe(men._id.toString());
+    });
+
+    it('TC-INT-CAT-005: Không cho tạo danh mục khi không phải admin', async () => {
+      const res = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Kids' });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('TC-INT-CAT-006: Không cho chuyển danh mục vào danh mục con của nó', async () => {
+      const res = await request(app)
+        .put(`/api/categories/${men._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Men', slug: 'men', parent: shirts._id });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('A category cannot be moved under itself');
+    });
+
+    it('TC-INT-CAT-007: Đổi tên danh mục thì cập nhật tên trên sản phẩm', async () => {
+      const res = await request(app)
+        .put(`/api/categories/${shirts._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Men Shirts', slug: 'shirts', parent: men._id });
+
+      expect(res.status).toBe(200);
+      const product = await Product.findOne({ slug: 'men-shirt' });
+      expect(product.category).toBe('Men Shirts');
+    });
+
+    it('TC-INT-CAT-008: Không xóa danh mục còn danh mục con hoặc sản phẩm', async () => {
+      const withChildren = await request(app)
+        .delete(`/api/categories/${men._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(withChildren.status).toBe(400);
+      expect(withChildren.body.message).toBe('Move or delete the subcategories first');
+
+      const withProducts = await request(app)
+        .delete(`/api/categories/${women._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(withProducts.status).toBe(400);
+      expect(withProducts.body.message).toBe('Move the products of this category first');
+    });
+
+    it('TC-INT-CAT-010: Không xóa danh mục còn sản phẩm trong thùng rác', async () => {
+      const dress = await Product.findOne({ slug: 'dress' });
+      await dress.softDelete();
+
+      const res = await request(app)
+        .delete(`/api/categories/${women._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+      expect(await Category.exists({ _id: women._id })).toBeTruthy();
+    });
+  });
+
+  describe('PUT /api/products/:id - Gắn sản phẩm vào danh mục', () => {
+    it('TC-INT-CAT-009: Lưu id và tên danh mục', async () => {
+      const product = await Product.findOne({ slug: 'dress' });
+      const res = await request(app)
+        .put(`/api/products/${product._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: product.name,
+          slug: product.slug,
+          price: product.price,
+          image: product.image,
+          categoryId: shirts._id,
+          brand: product.brand,
+          countInStock: product.countInStock,
+          description: product.description,
+        });
+
+      expect(res.status).toBe(200);
+      const updated = await Product.findById(product._id);
+      expect(updated.categoryId.toString()).toBe(shirts._id.toString());
+      expect(updated.category).toBe('Shirts');
+    });
+  });
+});
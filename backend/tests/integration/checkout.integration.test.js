@@ -2,6 +2,7 @@ import request from 'supertest';
 import createApp from '../../app.js';
 import Cart from '../../models/cartModel.js';
 import Order from '../../models/orderModel.js';
+import Product from '../../models/productModel.js';
 import {
   setupIntegrationDB,
   generateTestToken,
@@ -11,6 +12,7 @@ import {
   createTestCart,
   createTestOrder,
 } from './setup.js';
+import { mockPayPalCapture } from '../mocks/paypalServer.js';
 
 const app = createApp();
 
@@ -87,12 +89,9 @@ describe('Checkout Flow Integration Tests', () => {
       const orderId = orderRes.body.order._id;
 
       // Step 3: Process PayPal payment
-      const paymentResult = {
+      const paymentResult = mockPayPalCapture(orderRes.body.order, {
         id: 'PAYPAL_TXN_CHECKOUT_001',
-        status: 'COMPLETED',
-        update_time: new Date().toISOString(),
-        email_address: 'buyer@example.com',
-      };
+      });
 
       const payRes = await request(app)
         .put(`/api/orders/${orderId}/pay`)
@@ -259,8 +258,8 @@ describe('Checkout Flow Integration Tests', () => {
         paymentMethod: 'PayPal',
         itemsPrice: 600000, // 100000 + 300000 + 200000
         shippingPrice: 0, // Free shipping for large orders
-        taxPrice: 60000,
-        totalPrice: 660000,
+        taxPrice: 90000,
+        totalPrice: 690000,
       };
 
       const orderRes = await request(app)
@@ -270,19 +269,20 @@ describe('Checkout Flow Integration Tests', () => {
 
       expect(orderRes.status).toBe(201);
       expect(orderRes.body.order.orderItems).toHaveLength(3);
-      expect(orderRes.body.order.totalPrice).toBe(660000);
+      expect(orderRes.body.order.totalPrice).toBe(690000);
     });
 
     it('TC-INT-CHECKOUT-005: Checkout với số lượng lớn', async () => {
+      const bulkProduct = await createTestProduct({ name: 'Bulk Product', slug: 'bulk-product', countInStock: 100 });
       const orderPayload = {
         orderItems: [
           {
-            _id: testProduct._id.toString(),
-            slug: testProduct.slug,
-            name: testProduct.name,
+            _id: bulkProduct._id.toString(),
+            slug: bulkProduct.slug,
+            name: bulkProduct.name,
             quantity: 50,
-            image: testProduct.image,
-            price: testProduct.price,
+            image: bulkProduct.image,
+            price: bulkProduct.price,
           },
         ],
         shippingAddress: {
@@ -306,6 +306,9 @@ describe('Checkout Flow Integration Tests', () => {
 
       expect(orderRes.status).toBe(201);
       expect(orderRes.body.order.orderItems[0].quantity).toBe(50);
+
+      const productAfter = await Product.findById(bulkProduct._id);
+      expect(productAfter.countInStock).toBe(50);
     });
 
     it('TC-INT-CHECKOUT-006: Nhiều đơn hàng từ cùng một user', async () => {
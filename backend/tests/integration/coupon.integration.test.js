@@ -0,0 +1,203 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Coupon from '../../models/couponModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+  createTestCart,
+  mockOrderPayload,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Coupon API Integration Tests', () => {
+  let testUser;
+  let adminUser;
+  let testProduct;
+  let userToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    adminUser = await createAdminUser();
+    testProduct = await createTestProduct();
+    userToken = generateTestToken(testUser);
+    adminToken = generateTestToken(adminUser);
+  });
+
+  const createCoupon = (overrides = {}) =>
+    Coupon.create({ code: 'SALE10', type: 'percentage', value: 10, ...overrides });
+
+  const applyCoupon = (code, token = userToken) =>
+    request(app)
+      .post('/api/cart/apply-coupon')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code, orderItems: mockOrderPayload(testProduct._id).orderItems });
+
+  const placeOrder = (couponCode, token = userToken) =>
+    request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...mockOrderPayload(testProduct._id), couponCode });
+
+  describe('POST /api/cart/apply-coupon - Áp dụng mã giảm giá', () => {
+    it('TC-INT-CPN-001: Áp dụng mã giảm theo phần trăm', async () => {
+      await createCoupon();
+
+      const res = await applyCoupon('sale10');
+
+      expect(res.status).toBe(200);
+      expect(res.body.coupon).toMatchObject({ code: 'SALE10', type: 'percentage', value: 10 });
+      expect(res.body.itemsPrice).toBe(200000);
+      expect(res.body.discountPrice).toBe(20000);
+      expect(res.body.taxPrice).toBe(27000);
+      expect(res.body.totalPrice).toBe(207000);
+    });
+
+    it('TC-INT-CPN-002: Dùng giỏ hàng đã lưu khi không gửi sản phẩm', async () => {
+      await createCoupon({ code: 'FIXED', type: 'fixed', value: 50000 });
+      await createTestCart(testUser._id, testProduct._id);
+
+      const res = await request(app)
+        .post('/api/cart/apply-coupon')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: 'FIXED' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.discountPrice).toBe(50000);
+    });
+
+    it('TC-INT-CPN-003: Từ chối mã không tồn tại, hết hạn hoặc chưa đủ giá trị đơn', async () => {
+      await createCoupon({ code: 'OLD', expiresAt: new Date(Date.now() - 1000) });
+      await createCoupon({ code: 'BIG', minOrderValue: 500000 });
+
+      const missing = await applyCoupon('NOPE');
+      const expired = await applyCoupon('OLD');
+      const small = await applyCoupon('BIG');
+
+      expect(missing.status).toBe(404);
+      expect(expired.status).toBe(400);
+      expect(expired.body.message).toBe('Coupon has expired');
+      expect(small.status).toBe(400);
+      expect(small.body.message).toBe('Order must be at least 500000 to use this coupon');
+    });
+
+    it('TC-INT-CPN-004: Mã giới hạn danh mục không áp dụng cho sản phẩm khác', async () => {
+      await createCoupon({ categories: ['Other Category'] });
+
+      const res = await applyCoupon('SALE10');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Coupon does not apply to any item in the order');
+    });
+  });
+
+  describe('POST /api/orders - Đơn hàng có mã giảm giá', () => {
+    it('TC-INT-CPN-005: Lưu mã và số tiền giảm vào đơn hàng', async () => {
+      await createCoupon({ code: 'SHIPFREE', type: 'free_shipping', value: 0 });
+      await createCoupon();
+
+      const res = await placeOrder('SALE10');
+
+      expect(res.status).toBe(201);
+      expect(res.body.order.coupon).toEqual({ code: 'SALE10', type: 'percentage', value: 10 });
+      expect(res.body.order.discountPrice).toBe(20000);
+      expect(res.body.order.totalPrice).toBe(207000);
+      expect(res.body.repriced).toBe(true);
+      expect((await Coupon.findOne({ code: 'SALE10' })).usedCount).toBe(1);
+    });
+
+    it('TC-INT-CPN-006: Không vượt quá giới hạn sử dụng của mã', async () => {
+      await createCoupon({ usageLimit: 1 });
+      const otherUser = await createTestUser({ email: 'other@example.com' });
+
+      const first = await placeOrder('SALE10');
+      const second = await placeOrder('SALE10', generateTestToken(otherUser));
+
+      expect(first.status).toBe(201);
+      expect(second.status).toBe(400);
+      expect(second.body.message).toBe('Coupon usage limit reached');
+    });
+
+    it('TC-INT-CPN-007: Giới hạn số lần dùng của mỗi user, hủy đơn trả lại lượt dùng', async () => {
+      await createCoupon({ perUserLimit: 1, usageLimit: 5 });
+
+      const first = await placeOrder('SALE10');
+      const second = await placeOrder('SALE10');
+      expect(second.status).toBe(400);
+      expect(second.body.message).toBe('You have already used this coupon');
+
+      await request(app)
+        .post(`/api/orders/${first.body.order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Changed my mind' });
+
+      expect((await Coupon.findOne({ code: 'SALE10' })).usedCount).toBe(0);
+      const third = await placeOrder('SALE10');
+      expect(third.status).toBe(201);
+    });
+  });
+
+  describe('/api/coupons - Admin quản lý mã giảm giá', () => {
+    it('TC-INT-CPN-008: Admin tạo và cập nhật mã giảm giá', async () => {
+      const createRes = await request(app)
+        .post('/api/coupons')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(createRes.body.coupon.isActive).toBe(false);
+
+      const res = await request(app)
+        .put(`/api/coupons/${createRes.body.coupon._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          code: 'summer',
+          type: 'fixed',
+          value: 30000,
+          minOrderValue: 100000,
+          usageLimit: '',
+          categories: 'Shirts, Pants',
+          isActive: true,
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.coupon).toMatchObject({
+        code: 'SUMMER',
+        type: 'fixed',
+        value: 30000,
+        categories: ['Shirts', 'Pants'],
+        isActive: true,
+      });
+      expect(res.body.coupon.usageLimit).toBeUndefined();
+    });
+
+    it('TC-INT-CPN-009: Từ chối giá trị không hợp lệ và mã trùng', async () => {
+      await createCoupon();
+      const coupon = await createCoupon({ code: 'OTHER' });
+
+      const invalid = await request(app)
+        .put(`/api/coupons/${coupon._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'OTHER', type: 'percentage', value: 120 });
+      const duplicate = await request(app)
+        .put(`/api/coupons/${coupon._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'sale10', type: 'percentage', value: 5 });
+
+      expect(invalid.status).toBe(400);
+      expect(duplicate.status).toBe(409);
+    });
+
+    it('TC-INT-CPN-010: User thường không thể quản lý mã giảm giá', async () => {
+      const res = await request(app)
+        .get('/api/coupons')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import ExchangeRate from '../../models/exchangeRateModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+  mockOrderPayload,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Currency API Integration Tests', () => {
+  let testUser;
+  let adminUser;
+  let testProduct;
+  let userToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    adminUser = await createAdminUser();
+    testProduct = await createTestProduct({ price: 10.5 });
+    userToken = generateTestToken(testUser);
+    adminToken = generateTestToken(adminUser);
+  });
+
+  const importRates = (content, filename, token = adminToken) =>
+    request(app)
+      .post('/api/currencies/import')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', Buffer.from(content), filename);
+
+  describe('POST /api/currencies/import - Admin nhập tỷ giá', () => {
+    it('TC-INT-CUR-001: Nhập tỷ giá từ file CSV và cập nhật tỷ giá cũ', async () => {
+      await ExchangeRate.create({ currency: 'VND', rate: 24000 });
+
+      const res = await importRates('currency,rate\nVND,25000\nEUR,0.92\n', 'rates.csv');
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('2 Exchange Rates Imported');
+      const listRes = await request(app).get('/api/currencies');
+      expect(listRes.body.base).toBe('USD');
+      expect(listRes.body.currencies.map((x) => [x.currency, x.rate, x.decimals])).toEqual([
+        ['USD', 1, 2],
+        ['EUR', 0.92, 2],
+        ['VND', 25000, 0],
+      ]);
+    });
+
+    it('TC-INT-CUR-002: Nhập tỷ giá từ file JSON', async () => {
+      const res = await importRates(JSON.stringify({ VND: 25000 }), 'rates.json');
+
+      expect(res.status).toBe(200);
+      const rate = await ExchangeRate.findOne({ currency: 'VND' });
+      expect(rate.rate).toBe(25000);
+    });
+
+    it('TC-INT-CUR-003: Từ chối file có tỷ giá không hợp lệ và không lưu gì', async () => {
+      const res = await importRates('currency,rate\nVND,25000\nEUR,-1\n', 'rates.csv');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Entry 2: Invalid exchange rate for EUR');
+      expect(await ExchangeRate.countDocuments()).toBe(0);
+    });
+
+    it('TC-INT-CUR-009: File tỷ giá quá 1MB trả về 400', async () => {
+      const res = await importRates('x'.repeat(1024 * 1024 + 1), 'rates.csv');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('File too large');
+    });
+
+    it('TC-INT-CUR-004: User thường không thể nhập tỷ giá', async () => {
+      const res = await importRates('currency,rate\nVND,25000\n', 'rates.csv', userToken);
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('Đặt hàng bằng ngoại tệ', () => {
+    beforeEach(async () => {
+      await ExchangeRate.create({ currency: 'VND', rate: 25000 });
+    });
+
+    it('TC-INT-CUR-005: Báo giá quy đổi sang VND và làm tròn đến đồng', async () => {
+      const { orderItems, shippingAddress } = mockOrderPayload(testProduct._id);
+
+      const res = await request(app)
+        .post('/api/orders/quote')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderItems, shippingAddress, currency: 'vnd' });
+
+      expect(res.status).toBe(200);
+      // 21 USD + 10 phí vận chuyển + 3.15 thuế
+      expect(res.body.totalPrice).toBe(34.15);
+      expect(res.body.currency).toBe('VND');
+      expect(res.body.charged).toEqual({
+        itemsPrice: 525000,
+        discountPrice: 0,
+        shippingPrice: 250000,
+        taxPrice: 78750,
+        totalPrice: 853750,
+      });
+    });
+
+    it('TC-INT-CUR-006: Đơn hàng lưu tiền tệ thanh toán và số tiền theo tiền tệ gốc', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          ...mockOrderPayload(testProduct._id),
+          paymentMethod: 'COD',
+          currency: 'VND',
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.order).toMatchObject({
+        currency: 'VND',
+        exchangeRate: 25000,
+        totalPrice: 34.15,
+        charged: { totalPrice: 853750 },
+      });
+    });
+
+    it('TC-INT-CUR-007: Từ chối tiền tệ chưa có tỷ giá', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          ...mockOrderPayload(testProduct._id),
+          paymentMethod: 'COD',
+          currency: 'JPY',
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Unsupported currency: JPY');
+    });
+
+    it('TC-INT-CUR-008: Đơn PayPal luôn thanh toán bằng USD', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ ...mockOrderPayload(testProduct._id), currency: 'VND' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.order).toMatchObject({
+        paymentMethod: 'PayPal',
+        currency: 'USD',
+        totalPrice: 34.15,
+        charged: { totalPrice: 34.15 },
+      });
+    });
+  });
+});
@@ -1,5 +1,8 @@
 import request from 'supertest';
 import createApp from '../../app.js';
+import Order from '../../models/orderModel.js';
+import Product from '../../models/productModel.js';
+import RefundRequest from '../../models/refundRequestModel.js';
 import {
   setupIntegrationDB,
   generateTestToken,
@@ -9,6 +12,7 @@ import {
   createTestOrder,
   mockOrderPayload,
 } from './setup.js';
+import { createPayPalOrder, mockPayPalCapture } from '../mocks/paypalServer.js';
 
 const app = createApp();
 
@@ -42,7 +46,7 @@ describe('Order API Integration Tests', () => {
       expect(res.status).toBe(201);
       expect(res.body.message).toBe('New Order Created');
       expect(res.body.order).toBeDefined();
-      expect(res.body.order.totalPrice).toBe(250000);
+      expect(res.body.order.totalPrice).toBe(230000);
       expect(res.body.order.isPaid).toBe(false);
       expect(res.body.order.status).toBe('Pending');
     });
@@ -118,9 +122,9 @@ describe('Order API Integration Tests', () => {
         },
         paymentMethod: 'PayPal',
         itemsPrice: 300000,
-        shippingPrice: 30000,
-        taxPrice: 30000,
-        totalPrice: 360000,
+        shippingPrice: 0,
+        taxPrice: 45000,
+        totalPrice: 345000,
       };
 
       const res = await request(app)
@@ -130,7 +134,7 @@ describe('Order API Integration Tests', () => {
 
       expect(res.status).toBe(201);
       expect(res.body.order.orderItems).toHaveLength(2);
-      expect(res.body.order.totalPrice).toBe(360000);
+      expect(res.body.order.totalPrice).toBe(345000);
     });
   });
 
@@ -232,12 +236,7 @@ describe('Order API Integration Tests', () => {
     it('TC-INT-ORD-014: Thanh toán PayPal thành công', async () => {
       const order = await createTestOrder(testUser._id, testProduct._id);
 
-      const paymentResult = {
-        id: 'PAYPAL_TXN_123456',
-        status: 'COMPLETED',
-        update_time: new Date().toISOString(),
-        email_address: 'buyer@example.com',
-      };
+      const paymentResult = mockPayPalCapture(order, { id: 'PAYPAL_TXN_123456' });
 
       const res = await request(app)
         .put(`/api/orders/${order._id}/pay`)
@@ -261,6 +260,78 @@ describe('Order API Integration Tests', () => {
       expect(res.status).toBe(404);
       expect(res.body.message).toBe('Order Not Found');
     });
+
+    const pay = (order, body) =>
+      request(app)
+        .put(`/api/orders/${order._id}/pay`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(body);
+
+    it('TC-INT-ORD-048: Lấy email người trả từ PayPal, không tin dữ liệu từ trình duyệt', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id);
+      const capture = mockPayPalCapture(order, { email: 'payer@paypal.test' });
+
+      const res = await pay(order, { ...capture, email_address: 'fake@evil.test' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.order.paymentResult.email_address).toBe('payer@paypal.test');
+    });
+
+    it('TC-INT-ORD-049: Từ chối khi số tiền PayPal không khớp tổng đơn hàng', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id);
+
+      const res = await pay(order, mockPayPalCapture(order, { amount: 1 }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Payment amount does not match the order total');
+      const updated = await request(app)
+        .get(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(updated.body.isPaid).toBe(false);
+    });
+
+    it('TC-INT-ORD-050: Từ chối khi đơn PayPal chưa hoàn tất hoặc khác tiền tệ', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id);
+
+      const pendingRes = await pay(order, mockPayPalCapture(order, { status: 'APPROVED' }));
+      expect(pendingRes.status).toBe(400);
+      expect(pendingRes.body.message).toBe('PayPal payment is not completed');
+
+      const currencyRes = await pay(order, mockPayPalCapture(order, { currency: 'EUR' }));
+      expect(currencyRes.status).toBe(400);
+      expect(currencyRes.body.message).toBe('Payment currency does not match the order');
+    });
+
+    it('TC-INT-ORD-051: Không dùng thanh toán của đơn khác hoặc mã PayPal không tồn tại', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id);
+      const otherOrder = await createTestOrder(testUser._id, testProduct._id);
+
+      const otherRes = await pay(order, mockPayPalCapture(otherOrder));
+      expect(otherRes.status).toBe(400);
+      expect(otherRes.body.message).toBe('PayPal payment does not belong to this order');
+
+      const unknownRes = await pay(order, { id: 'PAYPAL-DOES-NOT-EXIST' });
+      expect(unknownRes.status).toBe(400);
+      expect(unknownRes.body.message).toBe('PayPal order not found');
+    });
+
+    it('TC-INT-ORD-052: Không thanh toán hai lần cho cùng một đơn hàng', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id);
+      await pay(order, mockPayPalCapture(order));
+
+      const res = await pay(
+        order,
+        {
+          id: createPayPalOrder({
+            customId: order._id.toString(),
+            amount: order.totalPrice,
+          }),
+        }
+      );
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Order is already paid');
+    });
   });
 
 
@@ -278,7 +349,7 @@ describe('Order API Integration Tests', () => {
     });
 
     it('TC-INT-ORD-017: Admin cập nhật trạng thái sang Shipping', async () => {
-      const order = await createTestOrder(testUser._id, testProduct._id);
+      const order = await createTestOrder(testUser._id, testProduct._id, { status: 'Processing' });
 
       const res = await request(app)
         .put(`/api/orders/${order._id}/status`)
@@ -291,6 +362,7 @@ describe('Order API Integration Tests', () => {
 
     it('TC-INT-ORD-018: Admin cập nhật trạng thái sang Delivered', async () => {
       const order = await createTestOrder(testUser._id, testProduct._id, {
+        status: 'Shipping',
         isPaid: true,
         paidAt: Date.now(),
       });
@@ -319,6 +391,7 @@ describe('Order API Integration Tests', () => {
 
     it('TC-INT-ORD-020: COD được đánh dấu đã thanh toán khi Delivered', async () => {
       const order = await createTestOrder(testUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'COD',
         isPaid: false,
       });
@@ -359,6 +432,547 @@ describe('Order API Integration Tests', () => {
     });
   });
 
+  describe('POST /api/orders - Tính giá trên server', () => {
+    it('TC-INT-ORD-025: Báo giá đơn hàng từ giá sản phẩm hiện tại', async () => {
+      const res = await request(app)
+        .post('/api/orders/quote')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderItems: [{ _id: testProduct._id.toString(), quantity: 2, price: 1 }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.orderItems[0].price).toBe(100000);
+      expect(res.body.itemsPrice).toBe(200000);
+      expect(res.body.shippingPrice).toBe(0);
+      expect(res.body.taxPrice).toBe(30000);
+      expect(res.body.totalPrice).toBe(230000);
+    });
+
+    it('TC-INT-ORD-026: Tính lại giá khi client gửi giá sai', async () => {
+      const orderPayload = {
+        ...mockOrderPayload(testProduct._id),
+        itemsPrice: 2,
+        shippingPrice: 0,
+        taxPrice: 0,
+        totalPrice: 2,
+      };
+      orderPayload.orderItems[0].price = 1;
+
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderPayload);
+
+      expect(res.status).toBe(201);
+      expect(res.body.repriced).toBe(true);
+      expect(res.body.order.orderItems[0].price).toBe(100000);
+      expect(res.body.order.totalPrice).toBe(230000);
+    });
+
+    it('TC-INT-ORD-027: Không đánh dấu repriced khi giá khớp', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(mockOrderPayload(testProduct._id));
+
+      expect(res.status).toBe(201);
+      expect(res.body.repriced).toBe(false);
+    });
+
+    it('TC-INT-ORD-028: Từ chối sản phẩm không tồn tại', async () => {
+      const fakeId = '507f1f77bcf86cd799439011';
+
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(mockOrderPayload(fakeId));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(`Product Not Found: ${fakeId}`);
+    });
+
+    it('TC-INT-ORD-029: Từ chối đơn hàng không có sản phẩm', async () => {
+      const res = await request(app)
+        .post('/api/orders/quote')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderItems: [] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Order has no items');
+    });
+  });
+
+  describe('POST /api/orders - Giữ hàng trong kho', () => {
+    it('TC-INT-ORD-030: Trừ tồn kho khi tạo đơn hàng', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(mockOrderPayload(testProduct._id));
+
+      expect(res.status).toBe(201);
+      expect(res.body.order.stockReserved).toBe(true);
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(8);
+    });
+
+    it('TC-INT-ORD-031: Từ chối khi không đủ hàng và không trừ kho một phần', async () => {
+      const product2 = await createTestProduct({ name: 'Product 2', slug: 'product-2', countInStock: 1 });
+      const orderPayload = {
+        ...mockOrderPayload(testProduct._id),
+        orderItems: [
+          { _id: testProduct._id.toString(), quantity: 2 },
+          { _id: product2._id.toString(), quantity: 3 },
+        ],
+      };
+
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderPayload);
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Insufficient stock for Product 2');
+      expect(res.body.errors).toEqual([
+        {
+          product: product2._id.toString(),
+          name: 'Product 2',
+          requested: 3,
+          available: 1,
+        },
+      ]);
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(10);
+    });
+
+    it('TC-INT-ORD-032: Không bán vượt tồn kho khi đặt hàng đồng thời', async () => {
+      const orderPayload = {
+        ...mockOrderPayload(testProduct._id),
+        orderItems: [{ _id: testProduct._id.toString(), quantity: 4 }],
+      };
+
+      const responses = await Promise.all(
+        [1, 2, 3].map(() =>
+          request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send(orderPayload)
+        )
+      );
+
+      const created = responses.filter((res) => res.status === 201);
+      expect(created).toHaveLength(2);
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(2);
+    });
+
+    it('TC-INT-ORD-033: Hoàn lại tồn kho khi đơn hàng bị hủy', async () => {
+      const createRes = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(mockOrderPayload(testProduct._id));
+
+      const res = await request(app)
+        .put(`/api/orders/${createRes.body.order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Cancelled' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.order.stockReserved).toBe(false);
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(10);
+    });
+  });
+
+  describe('PUT /api/orders/:id/status - Luồng trạng thái', () => {
+    it('TC-INT-ORD-034: Từ chối chuyển trạng thái không hợp lệ với 409', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id, { status: 'Delivered' });
+
+      const res = await request(app)
+        .put(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Pending' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Cannot change order status from Delivered to Pending');
+      expect(res.body.allowed).toEqual([]);
+    });
+
+    it('TC-INT-ORD-035: Không cho hủy đơn hàng đang giao', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id, { status: 'Shipping' });
+
+      const res = await request(app)
+        .put(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Cancelled' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.allowed).toEqual(['Delivered']);
+    });
+
+    it('TC-INT-ORD-036: Ghi lại lịch sử trạng thái', async () => {
+      const createRes = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(mockOrderPayload(testProduct._id));
+      const orderId = createRes.body.order._id;
+
+      await request(app)
+        .put(`/api/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Processing', note: 'Đang đóng gói' });
+
+      const res = await request(app)
+        .get(`/api/orders/${orderId}`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.body.statusHistory).toHaveLength(2);
+      expect(res.body.statusHistory[0].status).toBe('Pending');
+      expect(res.body.statusHistory[1]).toMatchObject({
+        status: 'Processing',
+        from: 'Pending',
+        changedBy: adminUser._id.toString(),
+        changedByName: 'Admin User',
+        note: 'Đang đóng gói',
+      });
+    });
+  });
+
+  describe('POST /api/orders/:id/cancel - Khách hàng hủy đơn', () => {
+    const placeOrder = async (overrides = {}) => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ ...mockOrderPayload(testProduct._id), ...overrides });
+      return res.body.order;
+    };
+
+    it('TC-INT-ORD-037: Khách hàng hủy đơn hàng Pending và hoàn kho', async () => {
+      const order = await placeOrder();
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Đặt nhầm size' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Order Cancelled');
+      expect(res.body.order.status).toBe('Cancelled');
+      expect(res.body.order.cancelReason).toBe('Đặt nhầm size');
+      expect(res.body.order.cancelledAt).toBeDefined();
+      expect(res.body.refundRequest).toBeNull();
+
+      const history = res.body.order.statusHistory;
+      expect(history[history.length - 1]).toMatchObject({
+        status: 'Cancelled',
+        note: 'Đặt nhầm size',
+      });
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(10);
+    });
+
+    it('TC-INT-ORD-038: Tạo yêu cầu hoàn tiền khi hủy đơn PayPal đã thanh toán', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id, {
+        status: 'Processing',
+        isPaid: true,
+        paidAt: Date.now(),
+        paymentResult: { id: 'PAYPAL-CAPTURE-1', status: 'COMPLETED' },
+      });
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Không cần nữa' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.refundRequest).toMatchObject({
+        order: order._id.toString(),
+        amount: order.totalPrice,
+        paymentMethod: 'PayPal',
+        providerReference: 'PAYPAL-CAPTURE-1',
+        status: 'Requested',
+      });
+      expect(await RefundRequest.countDocuments()).toBe(1);
+    });
+
+    it('TC-INT-ORD-039: Không thể hủy đơn hàng đang giao', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id, { status: 'Shipping' });
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Quá lâu' });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('TC-INT-ORD-040: Không thể hủy đơn hàng của người khác', async () => {
+      const order = await createTestOrder(adminUser._id, testProduct._id);
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Hack' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('TC-INT-ORD-041: Bắt buộc nhập lý do hủy', async () => {
+      const order = await placeOrder();
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: '   ' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Cancellation reason is required');
+    });
+
+    it('TC-INT-ORD-059: Hủy đồng thời chỉ hoàn kho và hoàn tiền một lần', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id, {
+        status: 'Processing',
+        isPaid: true,
+        paidAt: Date.now(),
+        stockReserved: true,
+        paymentResult: { id: 'PAYPAL-CAPTURE-2', status: 'COMPLETED' },
+      });
+
+      const [customer, admin] = await Promise.all([
+        request(app)
+          .post(`/api/orders/${order._id}/cancel`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ reason: 'Không cần nữa' }),
+        request(app)
+          .put(`/api/orders/${order._id}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status: 'Cancelled', note: 'Hết hàng' }),
+      ]);
+
+      expect([customer.status, admin.status].sort()).toEqual([200, 409]);
+      expect(await RefundRequest.countDocuments()).toBe(1);
+      const saved = await Order.findById(order._id);
+      expect(saved.statusHistory.filter((x) => x.status === 'Cancelled')).toHaveLength(1);
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(testProduct.countInStock + 2);
+    });
+  });
+
+  describe('POST /api/orders/:id/refunds - Sổ thanh toán', () => {
+    const payOrder = async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id);
+      await request(app)
+        .put(`/api/orders/${order._id}/pay`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(mockPayPalCapture(order, { id: 'PAYPAL-CAPTURE-2' }));
+      return order;
+    };
+
+    it('TC-INT-ORD-042: Ghi nhận khoản thanh toán vào sổ khi thanh toán', async () => {
+      const order = await payOrder();
+
+      const res = await request(app)
+        .get(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.body.payments).toHaveLength(1);
+      expect(res.body.payments[0]).toMatchObject({
+        kind: 'capture',
+        amount: 250000,
+        providerReference: 'CAPTURE-PAYPAL-CAPTURE-2',
+      });
+      expect(res.body.amountPaid).toBe(250000);
+      expect(res.body.balance).toBe(250000);
+    });
+
+    it('TC-INT-ORD-043: Admin hoàn tiền một phần', async () => {
+      const order = await payOrder();
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 50000, note: 'Giao trễ' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.message).toBe('Refund Recorded');
+      expect(res.body.order.amountRefunded).toBe(50000);
+      expect(res.body.order.balance).toBe(200000);
+    });
+
+    it('TC-INT-ORD-044: Không thể hoàn nhiều hơn số đã thanh toán', async () => {
+      const order = await payOrder();
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 300000 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Refund amount exceeds the paid balance of 250000');
+    });
+
+    it('TC-INT-ORD-060: Hoàn tiền đồng thời không vượt quá số đã thanh toán', async () => {
+      const order = await payOrder();
+
+      const refund = (providerReference) =>
+        request(app)
+          .post(`/api/orders/${order._id}/refunds`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ amount: 150000, providerReference });
+      const results = await Promise.all([refund('BANK-1'), refund('BANK-2')]);
+
+      expect(results.filter((x) => x.status === 201)).toHaveLength(1);
+      const saved = await Order.findById(order._id);
+      expect(saved.payments.filter((x) => x.kind === 'refund')).toHaveLength(1);
+      expect(saved.balance).toBe(100000);
+    });
+
+    it('TC-INT-ORD-045: Hoàn tiền theo yêu cầu hoàn tiền khi hủy đơn', async () => {
+      const order = await payOrder();
+      const cancelRes = await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Không cần nữa' });
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ refundRequest: cancelRes.body.refundRequest._id });
+
+      expect(res.status).toBe(201);
+      expect(res.body.order.balance).toBe(0);
+      expect(res.body.refundRequest.status).toBe('Processed');
+    });
+
+    it('TC-INT-ORD-046: User thường không thể hoàn tiền', async () => {
+      const order = await payOrder();
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ amount: 1000 });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('TC-INT-ORD-047: Doanh thu thuần trên dashboard trừ tiền hoàn', async () => {
+      const order = await payOrder();
+      await request(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 50000 });
+
+      const res = await request(app)
+        .get('/api/orders/summary')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.body.revenue[0]).toMatchObject({
+        grossRevenue: 250000,
+        netRevenue: 200000,
+      });
+      expect(res.body.dailySales[0].sales).toBe(200000);
+    });
+  });
+
+  describe('Idempotency-Key - Chống tạo đơn / thanh toán trùng', () => {
+    const placeOrder = (key, payload = mockOrderPayload(testProduct._id), token = userToken) =>
+      request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Idempotency-Key', key)
+        .send(payload);
+
+    it('TC-INT-ORD-053: Gửi lại cùng key trả về đơn đã tạo, không tạo đơn mới', async () => {
+      const first = await placeOrder('checkout-1');
+      const retry = await placeOrder('checkout-1');
+
+      expect(first.status).toBe(201);
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.order._id).toBe(first.body.order._id);
+      expect(await Order.countDocuments({ user: testUser._id })).toBe(1);
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(8);
+    });
+
+    it('TC-INT-ORD-054: Dùng lại key với nội dung khác bị từ chối', async () => {
+      await placeOrder('checkout-2');
+
+      const res = await placeOrder('checkout-2', {
+        ...mockOrderPayload(testProduct._id),
+        orderItems: [{ _id: testProduct._id.toString(), quantity: 1 }],
+      });
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe(
+        'Idempotency-Key was already used for a different request'
+      );
+      expect(await Order.countDocuments({ user: testUser._id })).toBe(1);
+    });
+
+    it('TC-INT-ORD-055: Key được tính riêng cho từng user', async () => {
+      const otherUser = await createTestUser({ email: 'other@example.com' });
+
+      const first = await placeOrder('checkout-3');
+      const other = await placeOrder(
+        'checkout-3',
+        mockOrderPayload(testProduct._id),
+        generateTestToken(otherUser)
+      );
+
+      expect(other.status).toBe(201);
+      expect(other.headers['idempotent-replayed']).toBeUndefined();
+      expect(other.body.order._id).not.toBe(first.body.order._id);
+    });
+
+    it('TC-INT-ORD-056: Lỗi của lần đầu cũng được trả lại khi gửi lại', async () => {
+      const payload = {
+        ...mockOrderPayload(testProduct._id),
+        orderItems: [{ _id: testProduct._id.toString(), quantity: 20 }],
+      };
+
+      const first = await placeOrder('checkout-4', payload);
+      await Product.updateOne({ _id: testProduct._id }, { countInStock: 50 });
+      const retry = await placeOrder('checkout-4', payload);
+
+      expect(first.status).toBe(409);
+      expect(retry.status).toBe(409);
+      expect(retry.body).toEqual(first.body);
+    });
+
+    it('TC-INT-ORD-057: Xác nhận thanh toán lặp lại chỉ ghi sổ một lần', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id);
+      const capture = mockPayPalCapture(order, { id: 'PAYPAL-IDEMPOTENT' });
+      const pay = () =>
+        request(app)
+          .put(`/api/orders/${order._id}/pay`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('Idempotency-Key', 'pay-PAYPAL-IDEMPOTENT')
+          .send(capture);
+
+      const first = await pay();
+      const retry = await pay();
+
+      expect(first.status).toBe(200);
+      expect(retry.status).toBe(200);
+      expect(retry.body).toEqual(first.body);
+
+      const saved = await Order.findById(order._id);
+      expect(saved.payments).toHaveLength(1);
+    });
+
+    it('TC-INT-ORD-058: Key rỗng không hợp lệ', async () => {
+      const res = await placeOrder('');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid Idempotency-Key');
+    });
+  });
+
   describe('GET /api/orders/summary - Admin xem thống kê', () => {
     it('TC-INT-ORD-023: Admin xem thống kê đơn hàng thành công', async () => {
       await createTestOrder(testUser._id, testProduct._id);
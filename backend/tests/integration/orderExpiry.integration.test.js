@@ -0,0 +1,121 @@
+import Order from '../../models/orderModel.js';
+import Product from '../../models/productModel.js';
+import JobLock from '../../models/jobLockModel.js';
+import {
+  expireUnpaidOrders,
+  expireUnpaidOrdersJob,
+} from '../../services/orderExpiry.js';
+import { cancelOrder } from '../../services/orderCancellation.js';
+import { acquireLock, runJob } from '../../services/scheduler.js';
+import {
+  setupIntegrationDB,
+  createTestUser,
+  createTestProduct,
+  createTestOrder,
+} from './setup.js';
+
+// Setup test database
+setupIntegrationDB();
+
+const HOUR = 60 * 60 * 1000;
+const later = (ms) => new Date(Date.now() + ms);
+
+describe('Order Expiry Job Integration Tests', () => {
+  let testUser;
+  let testProduct;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    testProduct = await createTestProduct();
+  });
+
+  describe('expireUnpaidOrders - Hủy đơn chưa thanh toán', () => {
+    it('TC-INT-JOB-001: Hủy đơn PayPal quá hạn, nhập lại kho và ghi lịch sử', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id, {
+        stockReserved: true,
+      });
+
+      const expired = await expireUnpaidOrders({ now: later(2 * HOUR), windowMinutes: 60 });
+
+      expect(expired.map(String)).toEqual([order._id.toString()]);
+      const saved = await Order.findById(order._id);
+      expect(saved.status).toBe('Cancelled');
+      expect(saved.stockReserved).toBe(false);
+      expect(saved.statusHistory.at(-1)).toMatchObject({
+        status: 'Cancelled',
+        from: 'Pending',
+        changedByName: 'System',
+        note: 'Payment not received within 60 minutes',
+      });
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(12);
+    });
+
+    it('TC-INT-JOB-002: Không hủy đơn còn trong thời hạn', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id);
+
+      const expired = await expireUnpaidOrders({ now: later(30 * 60 * 1000), windowMinutes: 60 });
+
+      expect(expired).toHaveLength(0);
+      expect((await Order.findById(order._id)).status).toBe('Pending');
+    });
+
+    it('TC-INT-JOB-003: Không hủy đơn COD, đơn đã thanh toán hoặc đã xử lý', async () => {
+      await createTestOrder(testUser._id, testProduct._id, { paymentMethod: 'COD' });
+      await createTestOrder(testUser._id, testProduct._id, { isPaid: true, paidAt: Date.now() });
+      await createTestOrder(testUser._id, testProduct._id, { status: 'Processing' });
+
+      const expired = await expireUnpaidOrders({ now: later(2 * HOUR), windowMinutes: 60 });
+
+      expect(expired).toHaveLength(0);
+      expect(await Order.countDocuments({ status: 'Cancelled' })).toBe(0);
+    });
+
+    it('TC-INT-JOB-007: Không hủy đơn được thanh toán trong lúc job chạy', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id, {
+        stockReserved: true,
+      });
+      // The job loaded the order before the payment was saved
+      await Order.updateOne({ _id: order._id }, { isPaid: true, paidAt: Date.now() });
+
+      await expect(
+        cancelOrder(order, { reason: 'Expired', match: { isPaid: false } })
+      ).rejects.toMatchObject({ status: 409 });
+
+      const saved = await Order.findById(order._id);
+      expect(saved.status).toBe('Pending');
+      expect(saved.stockReserved).toBe(true);
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(10);
+    });
+  });
+
+  describe('runJob - Khóa job trên Mongo', () => {
+    it('TC-INT-JOB-004: Bỏ qua khi instance khác đang giữ khóa', async () => {
+      await createTestOrder(testUser._id, testProduct._id);
+      expect(await acquireLock(expireUnpaidOrdersJob.name, HOUR, 'other-instance')).toBe(true);
+
+      const res = await runJob(expireUnpaidOrdersJob);
+
+      expect(res).toEqual({ skipped: true });
+    });
+
+    it('TC-INT-JOB-005: Chỉ một instance lấy được khóa khi chạy đồng thời', async () => {
+      const results = await Promise.all(
+        ['a', 'b', 'c'].map((owner) => acquireLock('concurrent-job', HOUR, owner))
+      );
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('TC-INT-JOB-006: Nhả khóa sau khi chạy xong để lần sau chạy tiếp', async () => {
+      const job = { name: 'test-job', lockTtlMs: HOUR, run: async () => 'done' };
+
+      expect(await runJob(job)).toEqual({ skipped: false, result: 'done' });
+      expect(await runJob(job)).toEqual({ skipped: false, result: 'done' });
+
+      const lock = await JobLock.findById('test-job');
+      expect(lock.lastRunAt).toBeDefined();
+    });
+  });
+});
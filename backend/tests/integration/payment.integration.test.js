@@ -0,0 +1,279 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Order from '../../models/orderModel.js';
+import ExchangeRate from '../../models/exchangeRateModel.js';
+import RefundRequest from '../../models/refundRequestModel.js';
+import { signParams } from '../../services/paymentProviders/vnpay.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+  createTestOrder,
+  mockOrderPayload,
+} from './setup.js';
+import { mockPayPalCapture, paypalRefunds } from '../mocks/paypalServer.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+const VNPAY_SECRET = 'VNPAYTESTSECRET';
+
+// VNPay orders are charged in VND at the rate of the day
+const vndOrder = {
+  paymentMethod: 'VNPay',
+  totalPrice: 10,
+  currency: 'VND',
+  exchangeRate: 25000,
+  charged: { totalPrice: 250000 },
+};
+
+// Parameters VNPay sends back for a payment of the given order
+const vnpayParams = (order, overrides = {}) => {
+  const params = {
+    vnp_Amount: String(Math.round(order.charged.totalPrice * 100)),
+    vnp_PayDate: '20240102030405',
+    vnp_ResponseCode: '00',
+    vnp_TmnCode: 'TESTTMN',
+    vnp_TransactionNo: '14000001',
+    vnp_TransactionStatus: '00',
+    vnp_TxnRef: order._id.toString(),
+    ...overrides,
+  };
+  return { ...params, vnp_SecureHash: signParams(params, VNPAY_SECRET) };
+};
+
+describe('Payment Provider Integration Tests', () => {
+  let testUser;
+  let adminUser;
+  let testProduct;
+  let userToken;
+  let adminToken;
+
+  beforeAll(() => {
+    process.env.VNPAY_TMN_CODE = 'TESTTMN';
+    process.env.VNPAY_HASH_SECRET = VNPAY_SECRET;
+  });
+
+  afterAll(() => {
+    delete process.env.VNPAY_TMN_CODE;
+    delete process.env.VNPAY_HASH_SECRET;
+  });
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    adminUser = await createAdminUser();
+    testProduct = await createTestProduct();
+    userToken = generateTestToken(testUser);
+    adminToken = generateTestToken(adminUser);
+  });
+
+  describe('GET /api/payment-methods', () => {
+    it('TC-INT-PAY-001: Liệt kê các phương thức thanh toán đang bật', async () => {
+      const res = await request(app).get('/api/payment-methods');
+
+      expect(res.status).toBe(200);
+      expect(res.body.map((x) => x.code)).toEqual(['PayPal', 'COD', 'VNPay']);
+      expect(res.body[0]).toHaveProperty('name');
+    });
+
+    it('TC-INT-PAY-002: Từ chối đặt hàng với phương thức không hỗ trợ', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ ...mockOrderPayload(testProduct._id), paymentMethod: 'Bitcoin' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Unsupported payment method');
+    });
+  });
+
+  describe('POST /api/orders/:id/payment - Khởi tạo thanh toán', () => {
+    it('TC-INT-PAY-003: PayPal trả về client id', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id);
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/payment`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ flow: 'paypal', currency: 'USD' });
+    });
+
+    it('TC-INT-PAY-004: VNPay trả về URL thanh toán đã ký', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id, vndOrder);
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/payment`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.flow).toBe('redirect');
+      const url = new URL(res.body.url);
+      expect(url.searchParams.get('vnp_TxnRef')).toBe(order._id.toString());
+      expect(url.searchParams.get('vnp_SecureHash')).toBeTruthy();
+      expect(url.searchParams.get('vnp_Amount')).toBe('25000000');
+    });
+
+    it('TC-INT-PAY-012: Đơn đặt bằng USD trả qua VNPay được tính bằng VND', async () => {
+      await ExchangeRate.create({ currency: 'VND', rate: 25000 });
+      const placed = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ ...mockOrderPayload(testProduct._id), paymentMethod: 'VNPay', currency: 'USD' });
+      const { order } = placed.body;
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/payment`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(placed.status).toBe(201);
+      expect(order.currency).toBe('VND');
+      expect(order.charged.totalPrice).toBe(Math.round(order.totalPrice * 25000));
+      const amount = new URL(res.body.url).searchParams.get('vnp_Amount');
+      expect(Number(amount)).toBe(order.charged.totalPrice * 100);
+
+      const underpaid = await request(app)
+        .put(`/api/orders/${order._id}/pay`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(vnpayParams({ ...order, charged: { totalPrice: order.totalPrice } }));
+      expect(underpaid.status).toBe(400);
+      expect((await Order.findById(order._id)).isPaid).toBe(false);
+    });
+
+    it('TC-INT-PAY-005: Không khởi tạo thanh toán cho đơn của người khác', async () => {
+      const order = await createTestOrder(adminUser._id, testProduct._id);
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/payment`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('VNPay - return URL và IPN', () => {
+    let order;
+
+    beforeEach(async () => {
+      order = await createTestOrder(testUser._id, testProduct._id, vndOrder);
+    });
+
+    it('TC-INT-PAY-006: Xác nhận thanh toán từ return URL có chữ ký hợp lệ', async () => {
+      const res = await request(app)
+        .put(`/api/orders/${order._id}/pay`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(vnpayParams(order));
+
+      expect(res.status).toBe(200);
+      expect(res.body.order.isPaid).toBe(true);
+      expect(res.body.order.payments[0]).toMatchObject({
+        kind: 'capture',
+        providerReference: '14000001',
+      });
+    });
+
+    it('TC-INT-PAY-007: Từ chối return URL bị sửa số tiền', async () => {
+      const res = await request(app)
+        .put(`/api/orders/${order._id}/pay`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ ...vnpayParams(order), vnp_Amount: '100' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid payment signature');
+    });
+
+    it('TC-INT-PAY-008: IPN đánh dấu đơn đã thanh toán đúng một lần', async () => {
+      const first = await request(app)
+        .get('/api/payments/VNPay/ipn')
+        .query(vnpayParams(order));
+      const second = await request(app)
+        .get('/api/payments/VNPay/ipn')
+        .query(vnpayParams(order));
+
+      expect(first.body).toEqual({ RspCode: '00', Message: 'Confirm Success' });
+      expect(second.body.RspCode).toBe('02');
+      const paidOrder = await Order.findById(order._id);
+      expect(paidOrder.isPaid).toBe(true);
+      expect(paidOrder.payments).toHaveLength(1);
+    });
+
+    it('TC-INT-PAY-009: IPN với chữ ký sai không thay đổi đơn hàng', async () => {
+      const res = await request(app)
+        .get('/api/payments/VNPay/ipn')
+        .query({ ...vnpayParams(order), vnp_SecureHash: 'bad' });
+
+      expect(res.body.RspCode).toBe('97');
+      const unpaidOrder = await Order.findById(order._id);
+      expect(unpaidOrder.isPaid).toBe(false);
+    });
+
+    it('TC-INT-PAY-013: IPN cho đơn đã hủy ghi nhận thanh toán và tạo yêu cầu hoàn tiền', async () => {
+      await Order.updateOne({ _id: order._id }, { status: 'Cancelled' });
+
+      const res = await request(app)
+        .get('/api/payments/VNPay/ipn')
+        .query(vnpayParams(order));
+
+      expect(res.body.RspCode).toBe('00');
+      const paidOrder = await Order.findById(order._id);
+      expect(paidOrder.isPaid).toBe(true);
+      expect(paidOrder.status).toBe('Cancelled');
+      const refundRequests = await RefundRequest.find({ order: order._id });
+      expect(refundRequests).toHaveLength(1);
+      expect(refundRequests[0]).toMatchObject({
+        amount: order.totalPrice,
+        providerReference: '14000001',
+        reason: 'Paid after the order was cancelled',
+      });
+    });
+  });
+
+  describe('POST /api/orders/:id/refunds - Hoàn tiền qua nhà cung cấp', () => {
+    it('TC-INT-PAY-010: Hoàn tiền PayPal gọi API refund của PayPal', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id);
+      await request(app)
+        .put(`/api/orders/${order._id}/pay`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(mockPayPalCapture(order, { id: 'PAYPAL-REFUND-ME' }));
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 1000 });
+
+      expect(res.status).toBe(201);
+      const refund = paypalRefunds()[paypalRefunds().length - 1];
+      expect(refund).toMatchObject({
+        captureId: 'CAPTURE-PAYPAL-REFUND-ME',
+        amount: { value: '1000.00', currency_code: 'USD' },
+      });
+      expect(res.body.order.payments[1].providerReference).toBe(refund.id);
+    });
+
+    it('TC-INT-PAY-011: Ghi nhận hoàn tiền thủ công khi có mã tham chiếu', async () => {
+      const order = await createTestOrder(testUser._id, testProduct._id, {
+        paymentMethod: 'COD',
+        status: 'Shipping',
+      });
+      await request(app)
+        .put(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Delivered' });
+
+      const res = await request(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 1000, providerReference: 'CASH-001' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.order.payments.map((x) => x.kind)).toEqual([
+        'cod_collection',
+        'refund',
+      ]);
+    });
+  });
+});
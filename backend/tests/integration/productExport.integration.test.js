@@ -0,0 +1,85 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Brand from '../../models/brandModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Product Export Integration Tests', () => {
+  let userToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    userToken = generateTestToken(await createTestUser());
+    adminToken = generateTestToken(await createAdminUser());
+    const nike = await Brand.create({ name: 'Nike', slug: 'nike' });
+    await createTestProduct({ name: 'Nike Shirt', slug: 'nike-shirt', brand: 'Nike', brandId: nike._id });
+    await createTestProduct({ name: 'Plain Shirt, White', slug: 'plain-shirt', countInStock: 0 });
+  });
+
+  describe('GET /api/products/export - Xuất sản phẩm', () => {
+    it('TC-INT-EXP-001: Xuất CSV theo cột của file nhập', async () => {
+      const res = await request(app)
+        .get('/api/products/export?format=csv')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/csv');
+      expect(res.headers['content-disposition']).toMatch(/attachment; filename="products-.*\.csv"/);
+      const lines = res.text.replace(/^\uFEFF/, '').trim().split('\n');
+      expect(lines[0]).toBe('name,slug,image,brand,category,description,price,countInStock,weight');
+      expect(lines).toHaveLength(3);
+      expect(lines[2].startsWith('"Plain Shirt, White",plain-shirt,')).toBe(true);
+    });
+
+    it('TC-INT-EXP-002: Xuất JSON có lọc theo thương hiệu và tồn kho', async () => {
+      const byBrand = await request(app)
+        .get('/api/products/export?format=json&brand=nike')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(JSON.parse(byBrand.text).map((x) => x.slug)).toEqual(['nike-shirt']);
+
+      const outOfStock = await request(app)
+        .get('/api/products/export?format=json&stock=out')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(JSON.parse(outOfStock.text).map((x) => x.slug)).toEqual(['plain-shirt']);
+    });
+
+    it('TC-INT-EXP-003: Từ chối định dạng khác hoặc khi không phải admin', async () => {
+      const xml = await request(app)
+        .get('/api/products/export?format=xml')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(xml.status).toBe(400);
+      expect(xml.body.message).toBe('Export format must be csv or json');
+
+      const notAdmin = await request(app)
+        .get('/api/products/export')
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(notAdmin.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/products/feed.xml - Feed sản phẩm', () => {
+    it('TC-INT-EXP-004: Feed công khai có tình trạng, giá, thương hiệu và ảnh', async () => {
+      const res = await request(app).get('/api/products/feed.xml');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('application/xml');
+      expect(res.text).toContain('<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">');
+      expect(res.text.match(/<item>/g)).toHaveLength(2);
+      expect(res.text).toContain('<g:id>plain-shirt</g:id>');
+      expect(res.text).toContain('<g:availability>out_of_stock</g:availability>');
+      expect(res.text).toContain('<g:brand>Nike</g:brand>');
+      expect(res.text).toContain('<g:image_link>');
+      expect(res.text.trim().endsWith('</rss>')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Product from '../../models/productModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Product Image Gallery Integration Tests', () => {
+  let testProduct;
+  let userToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    const testUser = await createTestUser();
+    const adminUser = await createAdminUser();
+    testProduct = await createTestProduct({
+      images: [
+        { url: '/images/front.jpg', alt: 'Front' },
+        { url: '/images/back.jpg', alt: 'Back' },
+      ],
+    });
+    userToken = generateTestToken(testUser);
+    adminToken = generateTestToken(adminUser);
+  });
+
+  const productBody = (images) => ({
+    name: 'Test Product',
+    slug: testProduct.slug,
+    price: 100000,
+    image: '/images/test.jpg',
+    category: 'Test Category',
+    brand: 'Test Brand',
+    countInStock: 10,
+    description: 'Test description',
+    images,
+  });
+
+  describe('PUT /api/products/:id - Admin sắp xếp thư viện ảnh', () => {
+    it('TC-INT-IMG-001: Lưu thứ tự ảnh và dùng ảnh đầu làm ảnh chính', async () => {
+      const res = await request(app)
+        .put(`/api/products/${testProduct._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(
+          productBody([
+            { url: '/images/back.jpg', alt: 'Back view' },
+            { url: '/images/front.jpg', alt: 'Front' },
+          ])
+        );
+
+      expect(res.status).toBe(200);
+      const product = await Product.findById(testProduct._id);
+      expect(product.images.map((x) => x.url)).toEqual([
+        '/images/back.jpg',
+        '/images/front.jpg',
+      ]);
+      expect(product.images[0].alt).toBe('Back view');
+      expect(product.image).toBe('/images/back.jpg');
+    });
+
+    it('TC-INT-IMG-002: Xóa hết ảnh thì giữ ảnh chính được gửi lên', async () => {
+      const res = await request(app)
+        .put(`/api/products/${testProduct._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(productBody([]));
+
+      expect(res.status).toBe(200);
+      const product = await Product.findById(testProduct._id);
+      expect(product.images).toHaveLength(0);
+      expect(product.image).toBe('/images/test.jpg');
+    });
+
+    it('TC-INT-IMG-003: Từ chối ảnh không có đường dẫn', async () => {
+      const res = await request(app)
+        .put(`/api/products/${testProduct._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(productBody([{ alt: 'Missing' }]));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Image 1 has no url');
+    });
+  });
+
+  describe('GET /api/products/slug/:slug - srcset của ảnh', () => {
+    it('TC-INT-IMG-006: Trả về srcset theo định dạng cho ảnh đã xử lý', async () => {
+      const sizes = [
+        { name: 'card', format: 'webp', width: 400, url: '/uploads/a-card.webp' },
+        { name: 'detail', format: 'webp', width: 1000, url: '/uploads/a-detail.webp' },
+        { name: 'card', format: 'jpeg', width: 400, url: '/uploads/a-card.jpg' },
+        { name: 'detail', format: 'jpeg', width: 1000, url: '/uploads/a-detail.jpg' },
+      ];
+      await request(app)
+        .put(`/api/products/${testProduct._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(
+          productBody([
+            { url: '/uploads/a-detail.jpg', alt: 'Front', sizes },
+            { url: '/images/back.jpg', alt: 'Back' },
+          ])
+        );
+
+      const res = await request(app).get(`/api/products/slug/${testProduct.slug}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.srcset).toEqual({
+        webp: '/uploads/a-card.webp 400w, /uploads/a-detail.webp 1000w',
+        jpeg: '/uploads/a-card.jpg 400w, /uploads/a-detail.jpg 1000w',
+      });
+      expect(res.body.images[1].srcset).toBeNull();
+    });
+  });
+
+  describe('POST /api/upload - Tải ảnh lên', () => {
+    it('TC-INT-IMG-004: Chỉ admin được tải ảnh lên', async () => {
+      const res = await request(app)
+        .post('/api/upload/images')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('TC-INT-IMG-005: Báo lỗi khi không có tệp', async () => {
+      const res = await request(app)
+        .post('/api/upload/images')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('No file uploaded');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Product from '../../models/productModel.js';
+import Category from '../../models/categoryModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+const row = (fields) => ({
+  image: 'https://example.com/product.jpg',
+  brand: 'HM',
+  category: 'Shirts',
+  description: 'not available',
+  price: 18.99,
+  countInStock: 10,
+  ...fields,
+});
+
+const json = (rows) => Buffer.from(JSON.stringify(rows));
+
+describe('Product Import Integration Tests', () => {
+  let userToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    userToken = generateTestToken(await createTestUser());
+    adminToken = generateTestToken(await createAdminUser());
+    await createTestProduct({ name: 'Twill Overshirt', slug: 'ikbkpg', price: 10 });
+  });
+
+  // The import runs in the background; poll it like the admin screen does
+  const waitForImport = async (id) => {
+    for (let i = 0; i < 50; i += 1) {
+      const res = await request(app)
+        .get(`/api/products/import/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      if (['Completed', 'Failed'].includes(res.body.status)) {
+        return res.body;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(`Import ${id} did not finish`);
+  };
+
+  const upload = (buffer, fileName, dryRun = false) =>
+    request(app)
+      .post('/api/products/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .field('dryRun', String(dryRun))
+      .attach('file', buffer, fileName);
+
+  describe('POST /api/products/import - Nhập sản phẩm', () => {
+    it('TC-INT-IMP-001: Tạo sản phẩm mới và cập nhật sản phẩm theo slug', async () => {
+      const res = await upload(
+        json([
+          row({ name: 'Twill Overshirt', slug: 'ikbkpg', price: 20 }),
+          row({ name: 'Linen Shirt', slug: 'linen-shirt' }),
+        ]),
+        'cloths.json'
+      );
+
+      expect(res.status).toBe(202);
+      expect(res.body.import.rows).toBeUndefined();
+      const result = await waitForImport(res.body.import._id);
+      expect(result).toMatchObject({ status: 'Completed', total: 2, processed: 2, created: 1, updated: 1, failures: [] });
+      const updated = await Product.findOne({ slug: 'ikbkpg' });
+      expect(updated.price).toBe(20);
+      expect(updated.images[0].url).toBe('https://example.com/product.jpg');
+      const created = await Product.findOne({ slug: 'linen-shirt' });
+      expect(created.images.map((x) => x.url)).toEqual(['https://example.com/product.jpg']);
+      expect(created.rating).toBe(0);
+    });
+
+    it('TC-INT-IMP-002: Chạy thử không lưu gì', async () => {
+      const res = await upload(
+        json([row({ name: 'Linen Shirt', slug: 'linen-shirt' })]),
+        'cloths.json',
+        true
+      );
+
+      const result = await waitForImport(res.body.import._id);
+      expect(result).toMatchObject({ status: 'Completed', dryRun: true, created: 1, updated: 0 });
+      expect(await Product.exists({ slug: 'linen-shirt' })).toBeNull();
+    });
+
+    it('TC-INT-IMP-003: Báo lỗi từng dòng, các dòng khác vẫn được nhập', async () => {
+      const csv =
+        'name,slug,image,brand,category,description,price,countInStock\n' +
+        'Linen Shirt,linen-shirt,https://example.com/a.jpg,HM,Shirts,Linen,12,3\n' +
+        'Cargo Pants,cargo,https://example.com/b.jpg,HM,Pants,Cargo,-5,3\n' +
+        'Linen Shirt 2,linen-shirt,https://example.com/c.jpg,HM,Shirts,Linen,12,3\n' +
+        'Twill Overshirt,other-slug,https://example.com/d.jpg,HM,Shirts,Twill,12,3\n';
+      const res = await upload(Buffer.from(csv), 'products.csv');
+
+      const result = await waitForImport(res.body.import._id);
+      expect(result.created).toBe(1);
+      expect(result.failures).toEqual([
+        { row: 2, slug: 'cargo', message: 'Price must be a number of 0 or more' },
+        { row: 3, slug: 'linen-shirt', message: 'Slug linen-shirt is already used by row 1' },
+        {
+          row: 4,
+          slug: 'other-slug',
+          message: 'Name Twill Overshirt is already used by product ikbkpg',
+        },
+      ]);
+    });
+
+    it('TC-INT-IMP-004: Gắn sản phẩm vào danh mục có sẵn', async () => {
+      const shirts = await Category.create({ name: 'Shirts', slug: 'shirts' });
+      const res = await upload(json([row({ name: 'Linen Shirt', category: 'shirts' })]), 'cloths.json');
+
+      await waitForImport(res.body.import._id);
+      const created = await Product.findOne({ slug: 'linen-shirt' });
+      expect(created.categoryId.toString()).toBe(shirts._id.toString());
+      expect(created.category).toBe('Shirts');
+    });
+
+    it('TC-INT-IMP-005: Từ chối file không đọc được', async () => {
+      const res = await upload(Buffer.from('{'), 'cloths.json');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid JSON file');
+    });
+
+    it('TC-INT-IMP-006: Không cho nhập khi không phải admin', async () => {
+      const res = await request(app)
+        .post('/api/products/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .attach('file', json([row({ name: 'Linen Shirt' })]), 'cloths.json');
+
+      expect(res.status).toBe(401);
+    });
+  });
+});
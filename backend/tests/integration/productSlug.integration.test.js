@@ -0,0 +1,122 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Product from '../../models/productModel.js';
+import { regenerateProductSlugs } from '../../services/productSlugs.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createAdminUser,
+  createTestProduct,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Product Slug Integration Tests', () => {
+  let adminToken;
+  let product;
+
+  beforeEach(async () => {
+    adminToken = generateTestToken(await createAdminUser());
+    product = await createTestProduct({ name: 'Twill Overshirt', slug: 'ikbkpg' });
+  });
+
+  const update = (target, fields) =>
+    request(app)
+      .put(`/api/products/${target._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: target.name,
+        slug: target.slug,
+        price: 100000,
+        image: '/images/test.jpg',
+        category: 'Test Category',
+        brand: 'Test Brand',
+        countInStock: 10,
+        description: 'Test description',
+        ...fields,
+      });
+
+  describe('Tạo slug tự động', () => {
+    it('TC-INT-SLG-001: Sản phẩm mới có slug theo tên', async () => {
+      const res = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.product.slug).toMatch(/^sample-name-\d+$/);
+    });
+
+    it('TC-INT-SLG-002: Slug trống được tạo từ tên tiếng Việt', async () => {
+      const res = await update(product, { name: 'Áo sơ mi Đỏ', slug: '' });
+
+      expect(res.status).toBe(200);
+      expect((await Product.findById(product._id)).slug).toBe('ao-so-mi-do');
+    });
+
+    it('TC-INT-SLG-003: Slug trùng được thêm hậu tố', async () => {
+      await createTestProduct({ name: 'Ao So Mi Do', slug: 'ao-so-mi-do' });
+      const deleted = await createTestProduct({
+        name: 'Ao So Mi Do Cu',
+        slug: 'ao-so-mi-do-2',
+      });
+      await deleted.softDelete();
+
+      await update(product, { name: 'Áo sơ mi đỏ', slug: '' });
+
+      expect((await Product.findById(product._id)).slug).toBe('ao-so-mi-do-3');
+    });
+
+    it('TC-INT-SLG-004: Slug nhập tay được chuẩn hóa', async () => {
+      await update(product, { slug: ' Twill Overshirt Nâu ' });
+
+      expect((await Product.findById(product._id)).slug).toBe('twill-overshirt-nau');
+    });
+  });
+
+  describe('Chuyển hướng slug cũ', () => {
+    it('TC-INT-SLG-005: Slug cũ trả về slug mới để chuyển hướng', async () => {
+      await update(product, { slug: '' });
+
+      const current = await request(app).get('/api/products/slug/twill-overshirt');
+      const old = await request(app).get('/api/products/slug/ikbkpg');
+
+      expect(current.status).toBe(200);
+      expect(current.body.name).toBe('Twill Overshirt');
+      expect(old.status).toBe(200);
+      expect(old.body).toEqual({ redirect: 'twill-overshirt' });
+      const saved = await Product.findById(product._id);
+      expect(saved.previousSlugs).toEqual(['ikbkpg']);
+    });
+
+    it('TC-INT-SLG-006: Slug cũ không bị sản phẩm khác lấy', async () => {
+      await update(product, { slug: '' });
+      const other = await createTestProduct({ name: 'Other Shirt', slug: 'other-shirt' });
+
+      await update(other, { slug: 'ikbkpg' });
+
+      expect((await Product.findById(other._id)).slug).toBe('ikbkpg-2');
+    });
+
+    it('TC-INT-SLG-007: Khách không được chuyển hướng tới bản nháp', async () => {
+      await update(product, { slug: '', status: 'Draft' });
+
+      const res = await request(app).get('/api/products/slug/ikbkpg');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('TC-INT-SLG-008: Tạo lại slug ngẫu nhiên từ tên', async () => {
+      await createTestProduct({ name: 'Linen Shirt', slug: 'linen-shirt' });
+
+      const result = await regenerateProductSlugs();
+
+      expect(result).toEqual({ renamed: 1 });
+      const saved = await Product.findById(product._id);
+      expect(saved.slug).toBe('twill-overshirt');
+      expect(saved.previousSlugs).toEqual(['ikbkpg']);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Product from '../../models/productModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+  mockOrderPayload,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Product Status Integration Tests', () => {
+  let user;
+  let userToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    user = await createTestUser();
+    userToken = generateTestToken(user);
+    adminToken = generateTestToken(await createAdminUser());
+    await createTestProduct({ name: 'Live Shirt', slug: 'live-shirt' });
+    await createTestProduct({ name: 'Draft Shirt', slug: 'draft-shirt', status: 'Draft' });
+    await createTestProduct({
+      name: 'Soon Shirt',
+      slug: 'soon-shirt',
+      publishAt: new Date(Date.now() + DAY),
+    });
+    await createTestProduct({
+      name: 'Old Shirt',
+      slug: 'old-shirt',
+      publishAt: new Date(Date.now() - DAY),
+    });
+  });
+
+  describe('Trang công khai chỉ hiện sản phẩm đã xuất bản', () => {
+    it('TC-INT-PST-001: Danh sách và tìm kiếm ẩn bản nháp và sản phẩm hẹn giờ', async () => {
+      const list = await request(app).get('/api/products');
+      expect(list.body.map((x) => x.slug).sort()).toEqual(['live-shirt', 'old-shirt']);
+
+      const search = await request(app).get('/api/products/search?pageSize=10');
+      expect(search.body.products.map((x) => x.slug).sort()).toEqual(['live-shirt', 'old-shirt']);
+      expect(search.body.countProducts).toBe(2);
+    });
+
+    it('TC-INT-PST-002: Khách không xem được bản nháp, admin xem trước được', async () => {
+      const publicRes = await request(app).get('/api/products/slug/draft-shirt');
+      expect(publicRes.status).toBe(404);
+
+      const customerRes = await request(app)
+        .get('/api/products/slug/draft-shirt')
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(customerRes.status).toBe(404);
+
+      const adminRes = await request(app)
+        .get('/api/products/slug/draft-shirt')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(adminRes.status).toBe(200);
+      expect(adminRes.body.status).toBe('Draft');
+    });
+
+    it('TC-INT-PST-006: Tra cứu theo id ẩn sản phẩm chưa xuất bản với khách', async () => {
+      const draft = await Product.findOne({ slug: 'draft-shirt' });
+      const soon = await Product.findOne({ slug: 'soon-shirt' });
+
+      const draftRes = await request(app).get(`/api/products/${draft._id}`);
+      expect(draftRes.status).toBe(404);
+      const soonRes = await request(app)
+        .get(`/api/products/${soon._id}`)
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(soonRes.status).toBe(404);
+
+      const adminRes = await request(app)
+        .get(`/api/products/${draft._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(adminRes.status).toBe(200);
+      expect(adminRes.body.status).toBe('Draft');
+    });
+
+    it('TC-INT-PST-003: Không đặt hàng được sản phẩm chưa xuất bản', async () => {
+      const draft = await Product.findOne({ slug: 'draft-shirt' });
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(mockOrderPayload(draft._id));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Draft Shirt is not available');
+    });
+  });
+
+  describe('Admin quản lý trạng thái', () => {
+    it('TC-INT-PST-004: Sản phẩm mới là bản nháp', async () => {
+      const res = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.body.product.status).toBe('Draft');
+      const list = await request(app).get('/api/products');
+      expect(list.body.map((x) => x._id)).not.toContain(res.body.product._id);
+    });
+
+    it('TC-INT-PST-005: Xuất bản theo lịch', async () => {
+      const draft = await Product.findOne({ slug: 'draft-shirt' });
+      const publishAt = new Date(Date.now() + DAY).toISOString();
+      const res = await request(app)
+        .put(`/api/products/${draft._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: draft.name,
+          slug: draft.slug,
+          price: draft.price,
+          image: draft.image,
+          category: draft.category,
+          brand: draft.brand,
+          countInStock: draft.countInStock,
+          description: draft.description,
+          status: 'Published',
+          publishAt,
+        });
+
+      expect(res.status).toBe(200);
+      const updated = await Product.findById(draft._id);
+      expect(updated.status).toBe('Published');
+      expect(updated.publishAt.toISOString()).toBe(publishAt);
+      const hidden = await request(app).get('/api/products/slug/draft-shirt');
+      expect(hidden.status).toBe(404);
+    });
+  });
+});
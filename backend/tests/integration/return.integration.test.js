@@ -0,0 +1,199 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Product from '../../models/productModel.js';
+import RefundRequest from '../../models/refundRequestModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+  createTestOrder,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Return API Integration Tests', () => {
+  let testUser;
+  let adminUser;
+  let testProduct;
+  let userToken;
+  let adminToken;
+  let deliveredOrder;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    adminUser = await createAdminUser();
+    testProduct = await createTestProduct();
+    userToken = generateTestToken(testUser);
+    adminToken = generateTestToken(adminUser);
+    deliveredOrder = await createTestOrder(testUser._id, testProduct._id, {
+      status: 'Delivered',
+      isDelivered: true,
+      deliveredAt: Date.now(),
+      isPaid: true,
+      paidAt: Date.now(),
+    });
+  });
+
+  const requestReturn = (order, items, token = userToken) =>
+    request(app)
+      .post('/api/returns')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ order: order._id, items });
+
+  const lineOf = (order) => order.orderItems[0]._id.toString();
+
+  describe('POST /api/returns - Khách hàng yêu cầu trả hàng', () => {
+    it('TC-INT-RET-001: Tạo yêu cầu trả hàng và tính số tiền hoàn', async () => {
+      const res = await requestReturn(deliveredOrder, [
+        { orderItem: lineOf(deliveredOrder), quantity: 1, reason: 'Wrong size' },
+      ]);
+
+      expect(res.status).toBe(201);
+      expect(res.body.message).toBe('Return Requested');
+      expect(res.body.return.status).toBe('Requested');
+      expect(res.body.return.items[0]).toMatchObject({
+        name: 'Test Product',
+        price: 100000,
+        quantity: 1,
+        reason: 'Wrong size',
+      });
+      // 100000 + thuế tương ứng 20000 * 100000 / 200000
+      expect(res.body.return.refundAmount).toBe(110000);
+    });
+
+    it('TC-INT-RET-002: Không thể trả hàng cho đơn chưa giao', async () => {
+      const pendingOrder = await createTestOrder(testUser._id, testProduct._id);
+
+      const res = await requestReturn(pendingOrder, [
+        { orderItem: lineOf(pendingOrder), quantity: 1, reason: 'Wrong size' },
+      ]);
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Only delivered orders can be returned');
+    });
+
+    it('TC-INT-RET-003: Không thể trả nhiều hơn số lượng đã mua', async () => {
+      await requestReturn(deliveredOrder, [
+        { orderItem: lineOf(deliveredOrder), quantity: 1, reason: 'Wrong size' },
+      ]);
+
+      const res = await requestReturn(deliveredOrder, [
+        { orderItem: lineOf(deliveredOrder), quantity: 2, reason: 'Damaged' },
+      ]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Only 1 of Test Product can be returned');
+    });
+
+    it('TC-INT-RET-004: Không thể trả hàng đơn của người khác', async () => {
+      const otherUser = await createTestUser({ email: 'other@example.com' });
+
+      const res = await requestReturn(
+        deliveredOrder,
+        [{ orderItem: lineOf(deliveredOrder), quantity: 1, reason: 'Wrong size' }],
+        generateTestToken(otherUser)
+      );
+
+      expect(res.status).toBe(403);
+    });
+
+    it('TC-INT-RET-009: Mã đơn hàng không hợp lệ trả về 404', async () => {
+      const res = await requestReturn({ _id: 'not-an-id' }, []);
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe('Order Not Found');
+    });
+  });
+
+  describe('PUT /api/returns/:id - Admin xử lý yêu cầu trả hàng', () => {
+    let returnId;
+
+    beforeEach(async () => {
+      const res = await requestReturn(deliveredOrder, [
+        { orderItem: lineOf(deliveredOrder), quantity: 2, reason: 'Damaged' },
+      ]);
+      returnId = res.body.return._id;
+    });
+
+    it('TC-INT-RET-005: Duyệt, nhận hàng, nhập lại kho và tạo yêu cầu hoàn tiền', async () => {
+      const approveRes = await request(app)
+        .put(`/api/returns/${returnId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Send it back' });
+      expect(approveRes.status).toBe(200);
+      expect(approveRes.body.return.status).toBe('Approved');
+
+      const receiveRes = await request(app)
+        .put(`/api/returns/${returnId}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(receiveRes.status).toBe(200);
+      expect(receiveRes.body.return.status).toBe('Received');
+      expect(receiveRes.body.refundRequest.amount).toBe(220000);
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(12);
+      const refunds = await RefundRequest.find({ return: returnId });
+      expect(refunds).toHaveLength(1);
+    });
+
+    it('TC-INT-RET-006: Không thể nhận hàng khi chưa duyệt', async () => {
+      const res = await request(app)
+        .put(`/api/returns/${returnId}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(res.status).toBe(409);
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(10);
+    });
+
+    it('TC-INT-RET-007: Từ chối yêu cầu cho phép khách gửi lại yêu cầu mới', async () => {
+      const rejectRes = await request(app)
+        .put(`/api/returns/${returnId}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Outside policy' });
+      expect(rejectRes.body.return.status).toBe('Rejected');
+
+      const res = await requestReturn(deliveredOrder, [
+        { orderItem: lineOf(deliveredOrder), quantity: 2, reason: 'Damaged' },
+      ]);
+      expect(res.status).toBe(201);
+    });
+
+    it('TC-INT-RET-008: User thường không thể duyệt yêu cầu trả hàng', async () => {
+      const res = await request(app)
+        .put(`/api/returns/${returnId}/approve`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({});
+
+      expect(res.status).toBe(401);
+    });
+
+    it('TC-INT-RET-010: Nhận hàng đồng thời chỉ nhập kho và hoàn tiền một lần', async () => {
+      await request(app)
+        .put(`/api/returns/${returnId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      const receive = () =>
+        request(app)
+          .put(`/api/returns/${returnId}/receive`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({});
+      const results = await Promise.all([receive(), receive()]);
+
+      expect(results.map((x) => x.status).sort()).toEqual([200, 409]);
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(12);
+      const refunds = await RefundRequest.find({ return: returnId });
+      expect(refunds).toHaveLength(1);
+    });
+  });
+});
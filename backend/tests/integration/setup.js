@@ -6,11 +6,14 @@ import User from '../../models/userModel.js';
 import Product from '../../models/productModel.js';
 import Order from '../../models/orderModel.js';
 import Cart from '../../models/cartModel.js';
+import { setupPayPalMock } from '../mocks/paypalServer.js';
 
 let mongoServer;
 
 // Setup test database
 export const setupIntegrationDB = () => {
+  setupPayPalMock();
+
   beforeAll(async () => {
     mongoServer = await MongoMemoryServer.create();
     const mongoUri = mongoServer.getUri();
@@ -177,9 +180,9 @@ export const mockOrderPayload = (productId) => ({
   },
   paymentMethod: 'PayPal',
   itemsPrice: 200000,
-  shippingPrice: 30000,
-  taxPrice: 20000,
-  totalPrice: 250000,
+  shippingPrice: 0,
+  taxPrice: 30000,
+  totalPrice: 230000,
 });
 
 // Mock cart data for API requests
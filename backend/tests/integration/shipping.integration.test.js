@@ -0,0 +1,172 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import ShippingZone from '../../models/shippingZoneModel.js';
+import Coupon from '../../models/couponModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+  mockOrderPayload,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Shipping API Integration Tests', () => {
+  let testUser;
+  let adminUser;
+  let testProduct;
+  let userToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    adminUser = await createAdminUser();
+    testProduct = await createTestProduct({ weight: 1.5 });
+    userToken = generateTestToken(testUser);
+    adminToken = generateTestToken(adminUser);
+    await ShippingZone.create({
+      name: 'Vietnam',
+      countries: ['Vietnam'],
+      methods: [
+        { code: 'standard', name: 'Standard', rates: [{ maxWeight: 5, price: 20000 }] },
+        { code: 'express', name: 'Express', estimatedDays: '1 day', rates: [{ price: 50000 }] },
+      ],
+    });
+  });
+
+  describe('POST /api/shipping/quote - Báo giá vận chuyển', () => {
+    it('TC-INT-SHP-001: Liệt kê phương thức và giá theo cân nặng và vùng', async () => {
+      const { orderItems, shippingAddress } = mockOrderPayload(testProduct._id);
+
+      const res = await request(app)
+        .post('/api/shipping/quote')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderItems, shippingAddress });
+
+      expect(res.status).toBe(200);
+      expect(res.body.weight).toBe(3);
+      expect(res.body.methods).toEqual([
+        { code: 'standard', name: 'Standard', estimatedDays: '', price: 20000 },
+        { code: 'express', name: 'Express', estimatedDays: '1 day', price: 50000 },
+      ]);
+    });
+
+    it('TC-INT-SHP-002: Dùng phí mặc định khi địa chỉ ngoài mọi vùng', async () => {
+      const { orderItems, shippingAddress } = mockOrderPayload(testProduct._id);
+
+      const res = await request(app)
+        .post('/api/shipping/quote')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderItems, shippingAddress: { ...shippingAddress, country: 'France' } });
+
+      expect(res.body.methods).toHaveLength(1);
+      expect(res.body.methods[0]).toMatchObject({ code: 'standard', price: 0 });
+    });
+
+    it('TC-INT-SHP-008: Báo giá theo tiền hàng sau khi trừ mã giảm giá', async () => {
+      await Coupon.create({ code: 'BIG', type: 'fixed', value: 199950 });
+      await Coupon.create({ code: 'FREESHIP', type: 'free_shipping', value: 0 });
+      const { orderItems, shippingAddress } = mockOrderPayload(testProduct._id);
+      const quote = (couponCode, address) =>
+        request(app)
+          .post('/api/shipping/quote')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ orderItems, shippingAddress: address, couponCode });
+
+      // 200000 - 199950 còn 50, dưới ngưỡng miễn phí vận chuyển
+      const discounted = await quote('BIG', { ...shippingAddress, country: 'France' });
+      expect(discounted.body.methods[0]).toMatchObject({ code: 'standard', price: 10 });
+
+      const freeShipping = await quote('FREESHIP', shippingAddress);
+      expect(freeShipping.body.methods.map((x) => x.price)).toEqual([0, 0]);
+    });
+  });
+
+  describe('POST /api/orders - Đơn hàng với phương thức vận chuyển', () => {
+    it('TC-INT-SHP-003: Lưu phương thức và phí vận chuyển đã chọn', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ ...mockOrderPayload(testProduct._id), shippingMethod: 'express' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.order.shippingMethod).toEqual({
+        code: 'express',
+        name: 'Express',
+        estimatedDays: '1 day',
+      });
+      expect(res.body.order.shippingPrice).toBe(50000);
+      expect(res.body.order.totalPrice).toBe(280000);
+    });
+
+    it('TC-INT-SHP-004: Từ chối phương thức không có trong vùng', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ ...mockOrderPayload(testProduct._id), shippingMethod: 'pickup' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Shipping method is not available for this order');
+    });
+  });
+
+  describe('/api/shipping/zones - Admin quản lý vùng vận chuyển', () => {
+    it('TC-INT-SHP-005: Admin tạo và cập nhật vùng vận chuyển', async () => {
+      const createRes = await request(app)
+        .post('/api/shipping/zones')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(createRes.body.zone.isActive).toBe(false);
+
+      const res = await request(app)
+        .put(`/api/shipping/zones/${createRes.body.zone._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Hanoi',
+          countries: 'Vietnam',
+          cities: 'Hanoi, Hai Phong',
+          methods: [{ code: 'pickup', rates: [{ price: 0 }] }],
+          isActive: true,
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.zone).toMatchObject({
+        name: 'Hanoi',
+        countries: ['Vietnam'],
+        cities: ['Hanoi', 'Hai Phong'],
+        methods: [{ code: 'pickup', name: 'In-store pickup', rates: [{ price: 0 }] }],
+      });
+    });
+
+    it('TC-INT-SHP-006: Từ chối vùng có phương thức trùng hoặc thiếu bảng giá', async () => {
+      const zone = await ShippingZone.findOne();
+      const put = (methods) =>
+        request(app)
+          .put(`/api/shipping/zones/${zone._id}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ name: 'Vietnam', countries: ['Vietnam'], methods });
+
+      const duplicate = await put([
+        { code: 'standard', rates: [{ price: 1 }] },
+        { code: 'standard', rates: [{ price: 2 }] },
+      ]);
+      const noRates = await put([{ code: 'express', rates: [] }]);
+
+      expect(duplicate.status).toBe(400);
+      expect(noRates.status).toBe(400);
+      expect(noRates.body.message).toBe('Invalid rates for express shipping');
+    });
+
+    it('TC-INT-SHP-007: User thường không thể quản lý vùng vận chuyển', async () => {
+      const res = await request(app)
+        .get('/api/shipping/zones')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.status).toBe(401);
+    });
+  });
+});
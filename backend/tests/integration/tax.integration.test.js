@@ -0,0 +1,131 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import TaxRule from '../../models/taxRuleModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+  mockOrderPayload,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Tax Rule API Integration Tests', () => {
+  let testUser;
+  let adminUser;
+  let testProduct;
+  let userToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    adminUser = await createAdminUser();
+    testProduct = await createTestProduct();
+    userToken = generateTestToken(testUser);
+    adminToken = generateTestToken(adminUser);
+  });
+
+  const placeOrder = (shippingAddress) =>
+    request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        ...mockOrderPayload(testProduct._id),
+        shippingAddress: { ...mockOrderPayload(testProduct._id).shippingAddress, ...shippingAddress },
+      });
+
+  describe('POST /api/orders - Tính thuế theo địa chỉ giao hàng', () => {
+    it('TC-INT-TAX-001: Dùng thuế suất của quốc gia và lưu chi tiết thuế', async () => {
+      await TaxRule.create({ name: 'VAT', country: 'Vietnam', rate: 10 });
+
+      const res = await placeOrder({ country: 'Vietnam' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.order.taxPrice).toBe(20000);
+      expect(res.body.order.totalPrice).toBe(220000);
+      expect(res.body.order.taxBreakdown).toMatchObject([
+        { name: 'VAT', rate: 10, inclusive: false, taxableAmount: 200000, amount: 20000 },
+      ]);
+    });
+
+    it('TC-INT-TAX-002: Thuế theo thành phố ưu tiên hơn thuế quốc gia', async () => {
+      await TaxRule.create({ name: 'VAT', country: 'Vietnam', rate: 10 });
+      await TaxRule.create({ name: 'Hanoi', country: 'Vietnam', city: 'Hanoi', rate: 8 });
+
+      const res = await placeOrder({ country: 'Vietnam', city: 'hanoi' });
+
+      expect(res.body.order.taxPrice).toBe(16000);
+      expect(res.body.order.taxBreakdown[0].name).toBe('Hanoi');
+    });
+
+    it('TC-INT-TAX-003: Thuế đã gồm trong giá không cộng vào tổng tiền', async () => {
+      await TaxRule.create({ name: 'VAT', country: 'Vietnam', rate: 25, inclusive: true });
+
+      const res = await placeOrder({ country: 'Vietnam' });
+
+      expect(res.body.order.taxPrice).toBe(0);
+      expect(res.body.order.totalPrice).toBe(200000);
+      expect(res.body.order.taxBreakdown[0]).toMatchObject({ inclusive: true, amount: 40000 });
+    });
+
+    it('TC-INT-TAX-004: Dùng thuế suất mặc định khi không có quy tắc phù hợp', async () => {
+      await TaxRule.create({ name: 'VAT', country: 'France', rate: 20 });
+
+      const res = await placeOrder({ country: 'Vietnam' });
+
+      expect(res.body.order.taxPrice).toBe(30000);
+      expect(res.body.order.taxBreakdown[0]).toMatchObject({ name: 'Tax', rate: 15 });
+    });
+  });
+
+  describe('/api/tax-rules - Admin quản lý bảng thuế', () => {
+    it('TC-INT-TAX-005: Admin tạo, sửa và xóa quy tắc thuế', async () => {
+      const createRes = await request(app)
+        .post('/api/tax-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ country: 'Vietnam', region: 'North', rate: 8 });
+      expect(createRes.status).toBe(201);
+      expect(createRes.body.taxRule).toMatchObject({
+        name: 'Vietnam tax',
+        region: 'North',
+        rate: 8,
+        isActive: true,
+      });
+
+      const id = createRes.body.taxRule._id;
+      const updateRes = await request(app)
+        .put(`/api/tax-rules/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'North VAT', country: 'Vietnam', rate: 9, inclusive: true });
+      expect(updateRes.body.taxRule).toMatchObject({ name: 'North VAT', region: '', rate: 9 });
+
+      const deleteRes = await request(app)
+        .delete(`/api/tax-rules/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(deleteRes.body.message).toBe('Tax Rule Deleted');
+    });
+
+    it('TC-INT-TAX-006: Từ chối thuế suất không hợp lệ', async () => {
+      const res = await request(app)
+        .post('/api/tax-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ country: 'Vietnam', rate: 150 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Tax rate must be between 0 and 100');
+    });
+
+    it('TC-INT-TAX-007: User thường không thể xem bảng thuế', async () => {
+      const res = await request(app)
+        .get('/api/tax-rules')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.status).toBe(401);
+    });
+  });
+});
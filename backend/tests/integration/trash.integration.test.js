@@ -0,0 +1,225 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Product from '../../models/productModel.js';
+import User from '../../models/userModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+  createTestOrder,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Trash Integration Tests', () => {
+  let admin;
+  let adminToken;
+  let customer;
+  let product;
+
+  beforeEach(async () => {
+    admin = await createAdminUser();
+    adminToken = generateTestToken(admin);
+    customer = await createTestUser({
+      name: 'Nguyen Van A',
+      email: 'customer@example.com',
+    });
+    product = await createTestProduct({ name: 'Trash Shirt', slug: 'trash-shirt' });
+  });
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+
+  describe('Sản phẩm', () => {
+    it('TC-INT-DEL-001: Xóa sản phẩm chuyển vào thùng rác và ẩn khỏi cửa hàng', async () => {
+      const res = await asAdmin(request(app).delete(`/api/products/${product._id}`));
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Product Deleted');
+      expect(await Product.findById(product._id)).toBeNull();
+      const deleted = await Product.findById(product._id).setOptions({
+        withDeleted: true,
+      });
+      expect(deleted.deletedAt).toBeInstanceOf(Date);
+      expect(deleted.deletedBy.toString()).toBe(admin._id.toString());
+
+      const page = await request(app).get('/api/products/slug/trash-shirt');
+      expect(page.status).toBe(404);
+      const list = await request(app).get('/api/products');
+      expect(list.body.map((x) => x.slug)).not.toContain('trash-shirt');
+      const adminList = await asAdmin(request(app).get('/api/products/admin'));
+      expect(adminList.body.countProducts).toBe(0);
+    });
+
+    it('TC-INT-DEL-002: Thùng rác liệt kê sản phẩm đã xóa và người xóa', async () => {
+      await asAdmin(request(app).delete(`/api/products/${product._id}`));
+
+      const res = await asAdmin(request(app).get('/api/products/trash'));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0].slug).toBe('trash-shirt');
+      expect(res.body[0].deletedBy.name).toBe('Admin User');
+    });
+
+    it('TC-INT-DEL-003: Khôi phục sản phẩm', async () => {
+      await asAdmin(request(app).delete(`/api/products/${product._id}`));
+
+      const res = await asAdmin(
+        request(app).post(`/api/products/${product._id}/restore`)
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Product Restored');
+      const restored = await Product.findById(product._id);
+      expect(restored.deletedAt).toBeNull();
+      expect(restored.deletedBy).toBeNull();
+      const page = await request(app).get('/api/products/slug/trash-shirt');
+      expect(page.status).toBe(200);
+    });
+
+    it('TC-INT-DEL-004: Chỉ khôi phục hoặc xóa hẳn sản phẩm trong thùng rác', async () => {
+      const restore = await asAdmin(
+        request(app).post(`/api/products/${product._id}/restore`)
+      );
+      const purge = await asAdmin(
+        request(app).delete(`/api/products/${product._id}/purge`)
+      );
+
+      expect(restore.status).toBe(404);
+      expect(purge.status).toBe(404);
+      expect(await Product.findById(product._id)).not.toBeNull();
+    });
+
+    it('TC-INT-DEL-005: Xóa hẳn sản phẩm chưa có đơn hàng', async () => {
+      await asAdmin(request(app).delete(`/api/products/${product._id}`));
+
+      const res = await asAdmin(
+        request(app).delete(`/api/products/${product._id}/purge`)
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Product Purged');
+      expect(
+        await Product.findById(product._id).setOptions({ withDeleted: true })
+      ).toBeNull();
+    });
+
+    it('TC-INT-DEL-006: Sản phẩm đã có đơn hàng không xóa hẳn được, đơn hàng vẫn hiển thị', async () => {
+      const order = await createTestOrder(customer._id, product._id);
+      await asAdmin(request(app).delete(`/api/products/${product._id}`));
+
+      const purge = await asAdmin(
+        request(app).delete(`/api/products/${product._id}/purge`)
+      );
+      const orderRes = await request(app)
+        .get(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${generateTestToken(customer)}`);
+
+      expect(purge.status).toBe(400);
+      expect(purge.body.message).toBe('Ordered products can not be purged');
+      expect(orderRes.status).toBe(200);
+      expect(orderRes.body.orderItems[0].product).toBe(product._id.toString());
+      expect(orderRes.body.orderItems[0].name).toBe(order.orderItems[0].name);
+    });
+  });
+
+  describe('Tên sản phẩm', () => {
+    it('TC-INT-DEL-011: Không đặt tên trùng với sản phẩm trong thùng rác', async () => {
+      await product.softDelete(admin);
+      const other = await createTestProduct({ name: 'Other Shirt', slug: 'other-shirt' });
+
+      const res = await asAdmin(request(app).put(`/api/products/${other._id}`)).send({
+        name: 'Trash Shirt',
+        slug: 'other-shirt',
+        price: 100000,
+        image: '/images/test.jpg',
+        category: 'Test Category',
+        brand: 'Test Brand',
+        countInStock: 10,
+        description: 'Test description',
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('A product named Trash Shirt already exists');
+      expect((await Product.findById(other._id)).name).toBe('Other Shirt');
+    });
+  });
+
+  describe('Người dùng', () => {
+    it('TC-INT-DEL-007: Người dùng đã xóa không đăng nhập được và vẫn hiện trên đơn hàng', async () => {
+      const order = await createTestOrder(customer._id, product._id);
+
+      const res = await asAdmin(request(app).delete(`/api/users/${customer._id}`));
+      const signin = await request(app)
+        .post('/api/users/signin')
+        .send({ email: 'customer@example.com', password: 'password123' });
+      const users = await asAdmin(request(app).get('/api/users'));
+      const orders = await asAdmin(request(app).get('/api/orders'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('User Deleted');
+      expect(signin.status).toBe(401);
+      expect(users.body.map((x) => x.email)).not.toContain('customer@example.com');
+      const listed = orders.body.find((x) => x._id === order._id.toString());
+      expect(listed.user.name).toBe('Nguyen Van A');
+      expect(listed.user.deletedAt).toBeTruthy();
+    });
+
+    it('TC-INT-DEL-008: Email của người dùng đã xóa không đăng ký lại được', async () => {
+      await asAdmin(request(app).delete(`/api/users/${customer._id}`));
+
+      const res = await request(app).post('/api/users/signup').send({
+        name: 'Someone Else',
+        email: 'customer@example.com',
+        password: 'password123',
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Email is already registered');
+    });
+
+    it('TC-INT-DEL-009: Khôi phục người dùng từ thùng rác', async () => {
+      await asAdmin(request(app).delete(`/api/users/${customer._id}`));
+
+      const trash = await asAdmin(request(app).get('/api/users/trash'));
+      const res = await asAdmin(
+        request(app).post(`/api/users/${customer._id}/restore`)
+      );
+      const signin = await request(app)
+        .post('/api/users/signin')
+        .send({ email: 'customer@example.com', password: 'password123' });
+
+      expect(trash.body).toHaveLength(1);
+      expect(trash.body[0].password).toBeUndefined();
+      expect(trash.body[0].deletedBy.name).toBe('Admin User');
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('User Restored');
+      expect(signin.status).toBe(200);
+    });
+
+    it('TC-INT-DEL-010: Chỉ xóa hẳn người dùng chưa có đơn hàng', async () => {
+      const buyer = await createTestUser({ email: 'buyer@example.com' });
+      await createTestOrder(buyer._id, product._id);
+      await asAdmin(request(app).delete(`/api/users/${customer._id}`));
+      await asAdmin(request(app).delete(`/api/users/${buyer._id}`));
+
+      const purged = await asAdmin(
+        request(app).delete(`/api/users/${customer._id}/purge`)
+      );
+      const kept = await asAdmin(request(app).delete(`/api/users/${buyer._id}/purge`));
+
+      expect(purged.status).toBe(200);
+      expect(purged.body.message).toBe('User Purged');
+      expect(
+        await User.findById(customer._id).setOptions({ withDeleted: true })
+      ).toBeNull();
+      expect(kept.status).toBe(400);
+      expect(kept.body.message).toBe('Users with orders can not be purged');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import sharp from 'sharp';
+import createApp from '../../app.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createAdminUser,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+const photo = () =>
+  sharp({
+    create: { width: 1200, height: 800, channels: 3, background: '#336699' },
+  })
+    .png()
+    .toBuffer();
+
+describe('Upload Storage Integration Tests', () => {
+  const env = { ...process.env };
+  let adminToken;
+  let uploadDir;
+  let PNG;
+
+  beforeAll(async () => {
+    PNG = await photo();
+  });
+
+  beforeEach(async () => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    process.env.STORAGE_DRIVER = 'local';
+    process.env.UPLOAD_DIR = uploadDir;
+    adminToken = generateTestToken(await createAdminUser());
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('POST /api/upload/images - Lưu ảnh trên ổ đĩa', () => {
+    it('TC-INT-UPL-001: Lưu các cỡ ảnh vào thư mục upload theo mã băm', async () => {
+      const res = await request(app)
+        .post('/api/upload/images')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('files', PNG, 'front.png');
+
+      expect(res.status).toBe(200);
+      expect(res.body.images).toHaveLength(1);
+      const { url, publicId, sizes } = res.body.images[0];
+      expect(url).toBe(`/uploads/${publicId}`);
+      expect(publicId).toMatch(/^[0-9a-f]{64}-detail-jpeg\.jpg$/);
+      expect(sizes).toHaveLength(6);
+      expect(fs.readdirSync(uploadDir).sort()).toEqual(
+        sizes.map((x) => x.publicId).sort()
+      );
+    });
+
+    it('TC-INT-UPL-002: Tải cùng một ảnh hai lần chỉ lưu một tệp', async () => {
+      const res = await request(app)
+        .post('/api/upload/images')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('files', PNG, 'front.png')
+        .attach('files', PNG, 'copy.png');
+
+      expect(res.status).toBe(200);
+      expect(res.body.images[0]).toEqual(res.body.images[1]);
+      expect(fs.readdirSync(uploadDir)).toHaveLength(6);
+    });
+
+    it('TC-INT-UPL-003: Từ chối tệp không phải ảnh và không lưu tệp nào', async () => {
+      const res = await request(app)
+        .post('/api/upload/images')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('files', PNG, 'front.png')
+        .attach('files', Buffer.from('#!/bin/sh'), 'script.png');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('script.png is not a JPEG, PNG, GIF or WebP image');
+      expect(fs.readdirSync(uploadDir)).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/upload - Tải một ảnh', () => {
+    it('TC-INT-UPL-004: Trả về đường dẫn ảnh như trước', async () => {
+      const res = await request(app)
+        .post('/api/upload')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('file', PNG, 'front.png');
+
+      expect(res.status).toBe(200);
+      expect(res.body.secure_url).toBe(`/uploads/${res.body.publicId}`);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import request from 'supertest';
+import createApp from '../../app.js';
+import Product from '../../models/productModel.js';
+import {
+  setupIntegrationDB,
+  generateTestToken,
+  createTestUser,
+  createAdminUser,
+  createTestProduct,
+  mockOrderPayload,
+} from './setup.js';
+
+const app = createApp();
+
+// Setup test database
+setupIntegrationDB();
+
+describe('Product Variant Integration Tests', () => {
+  let testUser;
+  let adminUser;
+  let testProduct;
+  let userToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    adminUser = await createAdminUser();
+    testProduct = await createTestProduct({
+      countInStock: 5,
+      variants: [
+        { sku: 'TP-M-RED', size: 'M', color: 'Red', countInStock: 3 },
+        {
+          sku: 'TP-L-RED',
+          size: 'L',
+          color: 'Red',
+          price: 120000,
+          countInStock: 2,
+          image: '/images/test-l.jpg',
+        },
+      ],
+    });
+    userToken = generateTestToken(testUser);
+    adminToken = generateTestToken(adminUser);
+  });
+
+  const variantOf = (sku) =>
+    testProduct.variants.find((x) => x.sku === sku)._id.toString();
+
+  const orderPayload = (variant, quantity = 2) => {
+    const payload = mockOrderPayload(testProduct._id);
+    payload.orderItems[0] = { ...payload.orderItems[0], variant, quantity };
+    return payload;
+  };
+
+  describe('POST /api/orders - Đặt hàng theo biến thể', () => {
+    it('TC-INT-VAR-001: Dùng giá, ảnh của biến thể và trừ kho biến thể', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderPayload(variantOf('TP-L-RED')));
+
+      expect(res.status).toBe(201);
+      expect(res.body.order.orderItems[0]).toMatchObject({
+        variant: variantOf('TP-L-RED'),
+        sku: 'TP-L-RED',
+        size: 'L',
+        color: 'Red',
+        price: 120000,
+        image: '/images/test-l.jpg',
+      });
+      expect(res.body.order.itemsPrice).toBe(240000);
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(3);
+      expect(product.variants.map((x) => x.countInStock)).toEqual([3, 0]);
+    });
+
+    it('TC-INT-VAR-002: Bắt buộc chọn biến thể', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(mockOrderPayload(testProduct._id));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Please choose a size or color for Test Product');
+    });
+
+    it('TC-INT-VAR-003: Từ chối khi biến thể không đủ hàng', async () => {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderPayload(variantOf('TP-L-RED'), 3));
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Insufficient stock for Test Product (L / Red)');
+      expect(res.body.errors[0].available).toBe(2);
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(5);
+    });
+
+    it('TC-INT-VAR-004: Hủy đơn trả lại kho cho đúng biến thể', async () => {
+      const createRes = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(orderPayload(variantOf('TP-M-RED')));
+
+      await request(app)
+        .post(`/api/orders/${createRes.body.order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Changed my mind' });
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(5);
+      expect(product.variants.map((x) => x.countInStock)).toEqual([3, 2]);
+    });
+  });
+
+  describe('PUT /api/products/:id - Admin sửa ma trận biến thể', () => {
+    const productBody = (variants) => ({
+      name: 'Test Product',
+      slug: testProduct.slug,
+      price: 100000,
+      image: '/images/test.jpg',
+      category: 'Test Category',
+      brand: 'Test Brand',
+      countInStock: 99,
+      description: 'Test description',
+      variants,
+    });
+
+    it('TC-INT-VAR-005: Lưu biến thể và tính tổng tồn kho', async () => {
+      const res = await request(app)
+        .put(`/api/products/${testProduct._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(
+          productBody([
+            { _id: variantOf('TP-M-RED'), sku: 'TP-M-RED', size: 'M', color: 'Red', countInStock: 4 },
+            { sku: 'TP-M-BLUE', size: 'M', color: 'Blue', countInStock: 6 },
+          ])
+        );
+
+      expect(res.status).toBe(200);
+      const product = await Product.findById(testProduct._id);
+      expect(product.countInStock).toBe(10);
+      expect(product.variants.map((x) => x.sku)).toEqual(['TP-M-RED', 'TP-M-BLUE']);
+      expect(product.variants[0]._id.toString()).toBe(variantOf('TP-M-RED'));
+    });
+
+    it('TC-INT-VAR-006: Từ chối biến thể trùng SKU', async () => {
+      const res = await request(app)
+        .put(`/api/products/${testProduct._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(
+          productBody([
+            { sku: 'TP-1', size: 'M', countInStock: 1 },
+            { sku: 'TP-1', size: 'L', countInStock: 1 },
+          ])
+        );
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Each variant needs its own SKU');
+    });
+  });
+});
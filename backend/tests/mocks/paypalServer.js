@@ -0,0 +1,124 @@
+/**
+ * PayPal Mock Server
+ *
+ * Server giả lập PayPal REST API (OAuth token + Orders API) để test
+ * việc xác minh thanh toán mà không cần gọi PayPal thật.
+ */
+
+import express from 'express';
+
+const orders = new Map();
+const refunds = [];
+let server;
+let sequence = 0;
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+app.post('/v1/oauth2/token', (req, res) => {
+  if (!req.headers.authorization) {
+    res.status(401).send({ error: 'invalid_client' });
+    return;
+  }
+  res.send({ access_token: 'mock-access-token', token_type: 'Bearer' });
+});
+
+app.get('/v2/checkout/orders/:id', (req, res) => {
+  if (req.headers.authorization !== 'Bearer mock-access-token') {
+    res.status(401).send({ name: 'AUTHENTICATION_FAILURE' });
+    return;
+  }
+  const order = orders.get(req.params.id);
+  if (!order) {
+    res.status(404).send({ name: 'RESOURCE_NOT_FOUND' });
+    return;
+  }
+  res.send(order);
+});
+
+app.post('/v2/payments/captures/:id/refund', (req, res) => {
+  if (req.headers.authorization !== 'Bearer mock-access-token') {
+    res.status(401).send({ name: 'AUTHENTICATION_FAILURE' });
+    return;
+  }
+  const captured = [...orders.values()].some((order) =>
+    order.purchase_units[0].payments.captures.some((x) => x.id === req.params.id)
+  );
+  if (!captured) {
+    res.status(404).send({ name: 'RESOURCE_NOT_FOUND' });
+    return;
+  }
+  const refund = {
+    id: `REFUND-${refunds.length + 1}`,
+    status: 'COMPLETED',
+    captureId: req.params.id,
+    amount: req.body.amount,
+  };
+  refunds.push(refund);
+  res.status(201).send(refund);
+});
+
+// Refunds PayPal received through the mock, oldest first
+export const paypalRefunds = () => refunds;
+
+// Register a PayPal order as the Orders API would return it after capture
+export const createPayPalOrder = ({
+  id = `PAYPAL-MOCK-${++sequence}`,
+  customId,
+  amount,
+  currency = 'USD',
+  status = 'COMPLETED',
+  email = 'buyer@example.com',
+} = {}) => {
+  const value = Number(amount).toFixed(2);
+  orders.set(id, {
+    id,
+    status,
+    payer: { email_address: email },
+    update_time: new Date().toISOString(),
+    purchase_units: [
+      {
+        custom_id: customId,
+        amount: { currency_code: currency, value },
+        payments: {
+          captures: [
+            {
+              id: `CAPTURE-${id}`,
+              status: status === 'COMPLETED' ? 'COMPLETED' : 'PENDING',
+              amount: { currency_code: currency, value },
+              update_time: new Date().toISOString(),
+            },
+          ],
+        },
+      },
+    ],
+  });
+  return id;
+};
+
+// Body the browser posts to PUT /api/orders/:id/pay after a successful capture
+export const mockPayPalCapture = (order, overrides = {}) => {
+  const id = createPayPalOrder({
+    customId: order._id.toString(),
+    amount: order.totalPrice,
+    ...overrides,
+  });
+  return { id, status: overrides.status || 'COMPLETED' };
+};
+
+// Start the mock server for the test file and point the backend at it
+export const setupPayPalMock = () => {
+  beforeAll(async () => {
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    process.env.PAYPAL_API_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    orders.clear();
+    refunds.length = 0;
+    await new Promise((resolve) => server.close(resolve));
+  });
+};
@@ -17,6 +17,7 @@ import User from '../../models/userModel.js';
 import Product from '../../models/productModel.js';
 import Order from '../../models/orderModel.js';
 import Cart from '../../models/cartModel.js';
+import { mockPayPalCapture, setupPayPalMock } from '../mocks/paypalServer.js';
 
 let mongoServer;
 let app;
@@ -29,6 +30,8 @@ let userToken;
 let adminToken;
 
 // Setup
+setupPayPalMock();
+
 beforeAll(async () => {
   mongoServer = await MongoMemoryServer.create();
   const mongoUri = mongoServer.getUri();
@@ -312,12 +315,7 @@ describe('SMOKE: Payment API', () => {
     const res = await request(app)
       .put(`/api/orders/${testOrder._id}/pay`)
       .set('Authorization', `Bearer ${userToken}`)
-      .send({
-        id: 'SMOKE_PAYPAL_123',
-        status: 'COMPLETED',
-        update_time: new Date().toISOString(),
-        email_address: 'smoke@paypal.com',
-      });
+      .send(mockPayPalCapture(testOrder, { id: 'SMOKE_PAYPAL_123' }));
 
     expect(res.status).toBe(200);
     expect(res.body.order.isPaid).toBe(true);
@@ -474,12 +472,7 @@ describe('SMOKE: Critical Checkout Flow', () => {
     const payRes = await request(app)
       .put(`/api/orders/${orderId}/pay`)
       .set('Authorization', `Bearer ${userToken}`)
-      .send({
-        id: 'SMOKE_FLOW_PAY_123',
-        status: 'COMPLETED',
-        update_time: new Date().toISOString(),
-        email_address: 'flow@test.com',
-      });
+      .send(mockPayPalCapture(orderRes.body.order, { id: 'SMOKE_FLOW_PAY_123' }));
 
     expect(payRes.status).toBe(200);
     expect(payRes.body.order.isPaid).toBe(true);
@@ -525,7 +518,15 @@ describe('SMOKE: Critical Checkout Flow', () => {
     expect(orderRes.body.order.isPaid).toBe(false);
     const orderId = orderRes.body.order._id;
 
-    // Step 2: Admin delivers order (COD gets paid on delivery)
+    // Step 2: Admin moves the order through Processing and Shipping
+    for (const status of ['Processing', 'Shipping']) {
+      await request(app)
+        .put(`/api/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status });
+    }
+
+    // Step 3: Admin delivers order (COD gets paid on delivery)
     const deliverRes = await request(app)
       .put(`/api/orders/${orderId}/status`)
       .set('Authorization', `Bearer ${adminToken}`)
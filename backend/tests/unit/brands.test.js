@@ -0,0 +1,25 @@
+import { brandFields } from '../../services/brands.js';
+
+describe('Brand Service Tests', () => {
+  describe('TC-BRD-001: brandFields', () => {
+    it('should derive the slug from the name and trim the fields', () => {
+      expect(
+        brandFields({ name: ' Việt Tiến ', logo: ' /uploads/logo.png ', description: ' Shirts ' })
+      ).toEqual({
+        name: 'Việt Tiến',
+        slug: 'viet-tien',
+        logo: '/uploads/logo.png',
+        description: 'Shirts',
+      });
+    });
+
+    it('should keep a slug given by the admin, made URL safe', () => {
+      expect(brandFields({ name: 'Nike', slug: 'Nike Vietnam' }).slug).toBe('nike-vietnam');
+    });
+
+    it('should reject a missing name or a name without letters or digits', () => {
+      expect(() => brandFields({ name: ' ' })).toThrow('Name is required');
+      expect(() => brandFields({ name: '&&' })).toThrow('Slug is required');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import {
+  buildCategoryTree,
+  categoryFields,
+  categoryPath,
+  descendantIds,
+} from '../../services/categories.js';
+import { slugify } from '../../services/slugs.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Men > Shirts > Overshirts, Men > Pants, Women
+const men = { _id: id(), name: 'Men', slug: 'men', parent: null, sortOrder: 1 };
+const women = { _id: id(), name: 'Women', slug: 'women', parent: null, sortOrder: 0 };
+const shirts = { _id: id(), name: 'Shirts', slug: 'shirts', parent: men._id, sortOrder: 0 };
+const pants = { _id: id(), name: 'Pants', slug: 'pants', parent: men._id, sortOrder: 0 };
+const overshirts = {
+  _id: id(),
+  name: 'Overshirts',
+  slug: 'overshirts',
+  parent: shirts._id,
+  sortOrder: 0,
+};
+const categories = [men, women, shirts, pants, overshirts];
+
+describe('Category Service Tests', () => {
+  describe('TC-CAT-001: buildCategoryTree', () => {
+    it('should nest children by sort order, then by name', () => {
+      const tree = buildCategoryTree(categories);
+      expect(tree.map((x) => x.name)).toEqual(['Women', 'Men']);
+      expect(tree[1].children.map((x) => x.name)).toEqual(['Pants', 'Shirts']);
+      expect(tree[1].children[1].children.map((x) => x.name)).toEqual(['Overshirts']);
+      expect(tree[0].children).toEqual([]);
+    });
+  });
+
+  describe('TC-CAT-002: descendantIds and categoryPath', () => {
+    it('should include the category and everything below it', () => {
+      expect(descendantIds(categories, men._id).sort()).toEqual(
+        [men, shirts, pants, overshirts].map((x) => x._id.toString()).sort()
+      );
+      expect(descendantIds(categories, pants._id)).toEqual([pants._id.toString()]);
+    });
+
+    it('should list the ancestors from the top down', () => {
+      expect(categoryPath(categories, overshirts._id).map((x) => x.name)).toEqual([
+        'Men',
+        'Shirts',
+        'Overshirts',
+      ]);
+      expect(categoryPath(categories, id())).toEqual([]);
+    });
+  });
+
+  describe('TC-CAT-003: categoryFields', () => {
+    it('should derive the slug from the name and trim the fields', () => {
+      expect(
+        categoryFields(
+          { name: ' Áo Sơ Mi ', description: ' Shirts ', parent: men._id.toString(), sortOrder: '2' },
+          categories
+        )
+      ).toEqual({
+        name: 'Áo Sơ Mi',
+        slug: 'ao-so-mi',
+        description: 'Shirts',
+        parent: men._id.toString(),
+        sortOrder: 2,
+      });
+    });
+
+    it('should reject a missing name, parent or an invalid sort order', () => {
+      expect(() => categoryFields({ name: ' ' }, categories)).toThrow('Name is required');
+      expect(() => categoryFields({ name: 'A', parent: id() }, categories)).toThrow(
+        'Parent category not found'
+      );
+      expect(() => categoryFields({ name: 'A', sortOrder: '1.5' }, categories)).toThrow(
+        'Sort order must be a whole number'
+      );
+    });
+
+    it('should not move a category under itself or its descendants', () => {
+      expect(() =>
+        categoryFields({ name: 'Men', parent: overshirts._id }, categories, men._id)
+      ).toThrow('A category cannot be moved under itself');
+      expect(() =>
+        categoryFields({ name: 'Men', parent: men._id }, categories, men._id)
+      ).toThrow('A category cannot be moved under itself');
+    });
+  });
+
+  describe('TC-CAT-004: slugify', () => {
+    it('should make lowercase ASCII slugs', () => {
+      expect(slugify('  Quần Jeans & Shorts ')).toBe('quan-jeans-shorts');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import {
+  couponDiscount,
+  eligibleItems,
+  normalizeCode,
+  validateCouponFields,
+} from '../../services/coupons.js';
+
+const items = [
+  { price: 100, quantity: 2, category: 'Shirts', brand: 'Nike' },
+  { price: 50, quantity: 1, category: 'Pants', brand: 'Adidas' },
+];
+
+const coupon = (overrides = {}) => ({
+  code: 'SALE',
+  type: 'percentage',
+  value: 10,
+  categories: [],
+  brands: [],
+  ...overrides,
+});
+
+describe('Coupon Tests', () => {
+  describe('TC-CPN-001: eligibleItems', () => {
+    it('should apply to every item without restrictions', () => {
+      expect(eligibleItems(coupon(), items)).toHaveLength(2);
+    });
+
+    it('should only keep items of the given categories', () => {
+      expect(eligibleItems(coupon({ categories: ['Pants'] }), items)).toEqual([items[1]]);
+    });
+
+    it('should require both the category and the brand to match', () => {
+      const restricted = coupon({ categories: ['Shirts'], brands: ['Adidas'] });
+      expect(eligibleItems(restricted, items)).toEqual([]);
+    });
+  });
+
+  describe('TC-CPN-002: couponDiscount', () => {
+    it('should take a percentage off the eligible items', () => {
+      expect(couponDiscount(coupon(), items)).toEqual({ discount: 25, freeShipping: false });
+      expect(couponDiscount(coupon({ brands: ['Adidas'] }), items).discount).toBe(5);
+    });
+
+    it('should cap a fixed discount at the eligible amount', () => {
+      expect(couponDiscount(coupon({ type: 'fixed', value: 30 }), items).discount).toBe(30);
+      const pantsOnly = coupon({ type: 'fixed', value: 80, categories: ['Pants'] });
+      expect(couponDiscount(pantsOnly, items).discount).toBe(50);
+    });
+
+    it('should give free shipping without discounting items', () => {
+      expect(couponDiscount(coupon({ type: 'free_shipping', value: 0 }), items)).toEqual({
+        discount: 0,
+        freeShipping: true,
+      });
+    });
+  });
+
+  describe('TC-CPN-003: validateCouponFields', () => {
+    it('should accept valid coupons', () => {
+      expect(() => validateCouponFields({ code: 'a', type: 'percentage', value: 100 })).not.toThrow();
+      expect(() => validateCouponFields({ code: 'a', type: 'free_shipping' })).not.toThrow();
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => validateCouponFields({ code: ' ', type: 'fixed', value: 1 })).toThrow(
+        'Coupon code is required'
+      );
+      expect(() => validateCouponFields({ code: 'a', type: 'bogus' })).toThrow('Invalid coupon type');
+      expect(() => validateCouponFields({ code: 'a', type: 'percentage', value: 150 })).toThrow(
+        'Percentage must be between 0 and 100'
+      );
+      expect(() => validateCouponFields({ code: 'a', type: 'fixed', value: 0 })).toThrow(
+        'Discount amount must be greater than 0'
+      );
+    });
+  });
+
+  describe('TC-CPN-004: normalizeCode', () => {
+    it('should trim and upper-case codes', () => {
+      expect(normalizeCode(' summer10 ')).toBe('SUMMER10');
+      expect(normalizeCode(undefined)).toBe('');
+    });
+  });
+});
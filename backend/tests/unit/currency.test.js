@@ -0,0 +1,92 @@
+import {
+  convertPrices,
+  currencyDecimals,
+  parseExchangeRates,
+  roundCurrency,
+  toChargedCurrency,
+} from '../../services/currency.js';
+
+describe('Currency Service Tests', () => {
+  describe('TC-CUR-001: roundCurrency', () => {
+    it('should round VND to whole dong', () => {
+      expect(currencyDecimals('VND')).toBe(0);
+      expect(roundCurrency(262499.5, 'VND')).toBe(262500);
+      expect(roundCurrency(262499.49, 'VND')).toBe(262499);
+    });
+
+    it('should round other currencies to cents', () => {
+      expect(currencyDecimals('EUR')).toBe(2);
+      expect(roundCurrency(10.005, 'EUR')).toBe(10.01);
+    });
+  });
+
+  describe('TC-CUR-002: convertPrices', () => {
+    const prices = {
+      itemsPrice: 10.5,
+      discountPrice: 1.05,
+      shippingPrice: 0.33,
+      taxPrice: 1.42,
+      totalPrice: 11.2,
+    };
+
+    it('should convert every amount and sum the rounded lines', () => {
+      const charged = convertPrices(prices, { currency: 'VND', rate: 25000.5 });
+
+      expect(charged).toEqual({
+        itemsPrice: 262505,
+        discountPrice: 26251,
+        shippingPrice: 8250,
+        taxPrice: 35501,
+        totalPrice: 262505 - 26251 + 8250 + 35501,
+      });
+    });
+
+    it('should keep the base amounts at rate 1', () => {
+      expect(convertPrices(prices, { currency: 'USD', rate: 1 })).toEqual(prices);
+    });
+  });
+
+  describe('TC-CUR-003: parseExchangeRates', () => {
+    it('should read a CSV file with a header in any column order', () => {
+      expect(parseExchangeRates('rate,currency\n25000,vnd\r\n0.92,EUR\n', 'csv')).toEqual([
+        { currency: 'VND', rate: 25000 },
+        { currency: 'EUR', rate: 0.92 },
+      ]);
+    });
+
+    it('should read JSON arrays and objects', () => {
+      expect(parseExchangeRates('[{"currency":"VND","rate":25000}]', 'json')).toEqual([
+        { currency: 'VND', rate: 25000 },
+      ]);
+      expect(parseExchangeRates('{"EUR":0.92}', 'json')).toEqual([
+        { currency: 'EUR', rate: 0.92 },
+      ]);
+    });
+
+    it('should name the invalid entry', () => {
+      expect(() => parseExchangeRates('currency,rate\nVND,25000\nEUR,abc', 'csv')).toThrow(
+        'Entry 2: Invalid exchange rate for EUR'
+      );
+      expect(() => parseExchangeRates('{"USD":1}', 'json')).toThrow(
+        'Entry 1: USD is the base currency'
+      );
+    });
+
+    it('should reject unknown formats and empty files', () => {
+      expect(() => parseExchangeRates('VND 25000', 'txt')).toThrow(
+        'Exchange rates must be a JSON or CSV file'
+      );
+      expect(() => parseExchangeRates('currency,rate\n', 'csv')).toThrow(
+        'The file has no exchange rates'
+      );
+      expect(() => parseExchangeRates('{', 'json')).toThrow('Invalid JSON file');
+    });
+  });
+
+  describe('TC-CUR-004: toChargedCurrency', () => {
+    it('should convert refunds of orders charged in another currency', () => {
+      expect(toChargedCurrency({ currency: 'VND', exchangeRate: 25000 }, 1.5)).toBe(37500);
+      expect(toChargedCurrency({ currency: 'USD', exchangeRate: 1 }, 1.5)).toBe(1.5);
+    });
+  });
+});
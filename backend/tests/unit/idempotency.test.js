@@ -0,0 +1,28 @@
+import { hashRequest } from '../../services/idempotency.js';
+
+const req = (overrides = {}) => ({
+  method: 'POST',
+  originalUrl: '/api/orders',
+  body: { paymentMethod: 'PayPal', orderItems: [{ _id: 'p1', quantity: 2 }] },
+  ...overrides,
+});
+
+describe('Idempotency Tests', () => {
+  describe('TC-IDEM-001: hashRequest', () => {
+    it('should give the same hash for the same request', () => {
+      expect(hashRequest(req())).toBe(hashRequest(req()));
+    });
+
+    it('should give a different hash when the body changes', () => {
+      const changed = req({
+        body: { paymentMethod: 'PayPal', orderItems: [{ _id: 'p1', quantity: 3 }] },
+      });
+      expect(hashRequest(changed)).not.toBe(hashRequest(req()));
+    });
+
+    it('should give a different hash for another endpoint', () => {
+      const pay = req({ method: 'PUT', originalUrl: '/api/orders/o1/pay' });
+      expect(hashRequest(pay)).not.toBe(hashRequest(req()));
+    });
+  });
+});
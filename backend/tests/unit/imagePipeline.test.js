@@ -0,0 +1,124 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import cloudinary from '../../cloudinary.js';
+import {
+  IMAGE_SIZES,
+  resizeImage,
+  srcsetOf,
+  storeImage,
+} from '../../services/imagePipeline.js';
+
+const photo = (width, height) =>
+  sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 30, b: 30 } },
+  })
+    .jpeg()
+    .withMetadata({ exif: { IFD0: { Make: 'Test Camera' } } })
+    .toBuffer();
+
+const fileOf = (buffer, originalname = 'photo.jpg') => ({
+  buffer,
+  originalname,
+  mimetype: 'image/jpeg',
+  size: buffer.length,
+});
+
+describe('Image Pipeline Tests', () => {
+  const env = { ...process.env };
+  let uploadDir;
+
+  beforeEach(() => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    process.env.STORAGE_DRIVER = 'local';
+    process.env.UPLOAD_DIR = uploadDir;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('TC-PIP-001: resizeImage', () => {
+    it('should make every size in WebP and JPEG without metadata', async () => {
+      const renditions = await resizeImage(await photo(1200, 900));
+
+      expect(renditions).toHaveLength(IMAGE_SIZES.length * 2);
+      const card = renditions.find((x) => x.name === 'card' && x.format === 'webp');
+      const meta = await sharp(card.buffer).metadata();
+      expect(meta.format).toBe('webp');
+      expect(meta.width).toBe(400);
+      expect(meta.height).toBe(300);
+      const detail = renditions.find((x) => x.name === 'detail' && x.format === 'jpeg');
+      expect((await sharp(detail.buffer).metadata()).exif).toBeUndefined();
+    });
+
+    it('should not enlarge small images', async () => {
+      const renditions = await resizeImage(await photo(300, 200));
+      expect(renditions.find((x) => x.name === 'detail').width).toBe(300);
+      expect(renditions.find((x) => x.name === 'thumbnail').width).toBe(150);
+    });
+  });
+
+  describe('TC-PIP-002: storeImage', () => {
+    it('should store every size and use the detail JPEG as url', async () => {
+      const image = await storeImage(fileOf(await photo(1200, 900)));
+
+      expect(image.sizes).toHaveLength(6);
+      expect(image.url).toMatch(/^\/uploads\/[0-9a-f]{64}-detail-jpeg\.jpg$/);
+      expect(image.publicId).toBe(path.basename(image.url));
+      expect(fs.readdirSync(uploadDir)).toHaveLength(6);
+    });
+
+    it('should give each format its own Cloudinary asset', async () => {
+      // Like Cloudinary with overwrite: false, an id that is already used
+      // returns the asset stored first
+      const assets = new Map();
+      const upload = cloudinary.uploader.upload;
+      cloudinary.uploader.upload = async (file, { public_id: publicId }) => {
+        if (!assets.has(publicId)) {
+          const format = file.slice('data:image/'.length, file.indexOf(';'));
+          assets.set(publicId, {
+            public_id: publicId,
+            secure_url: `https://res.cloudinary.com/test/${publicId}.${format}`,
+          });
+        }
+        return assets.get(publicId);
+      };
+      process.env.STORAGE_DRIVER = 'cloudinary';
+
+      try {
+        const image = await storeImage(fileOf(await photo(1200, 900)));
+
+        expect(new Set(image.sizes.map((x) => x.publicId)).size).toBe(6);
+        image.sizes.forEach((size) => {
+          expect(size.url.endsWith(`.${size.format}`)).toBe(true);
+        });
+        expect(image.url).toMatch(/-detail-jpeg\.jpeg$/);
+      } finally {
+        cloudinary.uploader.upload = upload;
+      }
+    });
+
+    it('should reject damaged images', async () => {
+      const broken = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 1, 2, 3]);
+      await expect(storeImage(fileOf(broken, 'broken.jpg'))).rejects.toThrow(
+        'broken.jpg could not be read as an image'
+      );
+    });
+  });
+
+  describe('TC-PIP-003: srcsetOf', () => {
+    it('should list the sizes of each format', () => {
+      expect(
+        srcsetOf([
+          { format: 'webp', width: 150, url: '/a-t.webp' },
+          { format: 'jpeg', width: 150, url: '/a-t.jpg' },
+          { format: 'webp', width: 400, url: '/a-c.webp' },
+        ])
+      ).toEqual({ webp: '/a-t.webp 150w, /a-c.webp 400w', jpeg: '/a-t.jpg 150w' });
+      expect(srcsetOf([])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  ORDER_STATUSES,
+  canTransition,
+  transitionOrder,
+} from '../../services/orderStatus.js';
+
+const mockOrder = (status = 'Pending') => ({ status, statusHistory: [] });
+const admin = { _id: '507f1f77bcf86cd799439011', name: 'Admin User' };
+
+describe('Order Status State Machine Tests', () => {
+  describe('TC-STS-001: Transition graph', () => {
+    it('should cover every status of the order schema', () => {
+      expect(ORDER_STATUSES).toEqual([
+        'Pending',
+        'Processing',
+        'Shipping',
+        'Delivered',
+        'Cancelled',
+      ]);
+    });
+
+    it('should allow the forward path one step at a time', () => {
+      expect(canTransition('Pending', 'Processing')).toBe(true);
+      expect(canTransition('Processing', 'Shipping')).toBe(true);
+      expect(canTransition('Shipping', 'Delivered')).toBe(true);
+    });
+
+    it('should not allow skipping steps or going back', () => {
+      expect(canTransition('Pending', 'Delivered')).toBe(false);
+      expect(canTransition('Pending', 'Shipping')).toBe(false);
+      expect(canTransition('Delivered', 'Pending')).toBe(false);
+      expect(canTransition('Shipping', 'Processing')).toBe(false);
+    });
+
+    it('should only allow cancelling before Shipping', () => {
+      expect(canTransition('Pending', 'Cancelled')).toBe(true);
+      expect(canTransition('Processing', 'Cancelled')).toBe(true);
+      expect(canTransition('Shipping', 'Cancelled')).toBe(false);
+      expect(canTransition('Delivered', 'Cancelled')).toBe(false);
+    });
+
+    it('should treat Delivered and Cancelled as final', () => {
+      ORDER_STATUSES.forEach((status) => {
+        expect(canTransition('Delivered', status)).toBe(false);
+        expect(canTransition('Cancelled', status)).toBe(false);
+      });
+    });
+  });
+
+  describe('TC-STS-002: transitionOrder', () => {
+    it('should update status and record history', () => {
+      const order = mockOrder('Pending');
+
+      transitionOrder(order, 'Processing', { user: admin, note: 'Packed' });
+
+      expect(order.status).toBe('Processing');
+      expect(order.statusHistory).toHaveLength(1);
+      expect(order.statusHistory[0]).toMatchObject({
+        status: 'Processing',
+        from: 'Pending',
+        changedBy: admin._id,
+        changedByName: 'Admin User',
+        note: 'Packed',
+      });
+    });
+
+    it('should record System as author when no user is given', () => {
+      const order = mockOrder('Pending');
+
+      transitionOrder(order, 'Cancelled');
+
+      expect(order.statusHistory[0].changedByName).toBe('System');
+    });
+
+    it('should throw 409 for an illegal transition', () => {
+      const order = mockOrder('Delivered');
+
+      expect(() => transitionOrder(order, 'Pending', { user: admin })).toThrow(
+        expect.objectContaining({
+          status: 409,
+          message: 'Cannot change order status from Delivered to Pending',
+        })
+      );
+      expect(order.status).toBe('Delivered');
+      expect(order.statusHistory).toHaveLength(0);
+    });
+
+    it('should throw 400 for an unknown status', () => {
+      const order = mockOrder('Pending');
+
+      expect(() => transitionOrder(order, 'Lost')).toThrow(
+        expect.objectContaining({ status: 400 })
+      );
+      expect(() => transitionOrder(order, { $ne: null })).toThrow(
+        expect.objectContaining({ status: 400 })
+      );
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { summarizePayments } from '../../services/payments.js';
+
+describe('Payments Ledger Tests', () => {
+  describe('TC-PAY-LEDGER-001: summarizePayments', () => {
+    it('should return zeros for an order without payments', () => {
+      expect(summarizePayments([])).toEqual({
+        amountPaid: 0,
+        amountRefunded: 0,
+        balance: 0,
+      });
+      expect(summarizePayments()).toEqual({
+        amountPaid: 0,
+        amountRefunded: 0,
+        balance: 0,
+      });
+    });
+
+    it('should count captures and COD collections as paid', () => {
+      const summary = summarizePayments([
+        { kind: 'capture', amount: 100.1 },
+        { kind: 'cod_collection', amount: 50.2 },
+      ]);
+
+      expect(summary.amountPaid).toBe(150.3);
+      expect(summary.balance).toBe(150.3);
+    });
+
+    it('should subtract partial refunds from the balance', () => {
+      const summary = summarizePayments([
+        { kind: 'capture', amount: 230 },
+        { kind: 'refund', amount: 30 },
+        { kind: 'refund', amount: 100 },
+      ]);
+
+      expect(summary).toEqual({
+        amountPaid: 230,
+        amountRefunded: 130,
+        balance: 100,
+      });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import {
+  chargeCurrencyFor,
+  getPaymentProvider,
+  listPaymentMethods,
+  requirePaymentProvider,
+} from '../../services/paymentProviders/index.js';
+import vnpayProvider, {
+  buildPaymentUrl,
+  canonicalQuery,
+  formatVnpDate,
+  signParams,
+  verifySignature,
+} from '../../services/paymentProviders/vnpay.js';
+
+const SECRET = 'VNPAYTESTSECRET';
+// VNPay orders are charged in VND, their own amounts are in USD
+const mockOrder = {
+  _id: '507f1f77bcf86cd799439011',
+  totalPrice: 9.2,
+  currency: 'VND',
+  exchangeRate: 25000,
+  charged: { totalPrice: 230000 },
+  isPaid: false,
+};
+const usdOrder = {
+  ...mockOrder,
+  totalPrice: 115,
+  currency: 'USD',
+  exchangeRate: 1,
+  charged: { totalPrice: 115 },
+};
+
+// Parameters VNPay appends to the return URL after a successful payment
+const returnParams = (overrides = {}) => {
+  const params = {
+    vnp_Amount: '23000000',
+    vnp_BankCode: 'NCB',
+    vnp_OrderInfo: `Thanh toan don hang ${mockOrder._id}`,
+    vnp_PayDate: '20240102030405',
+    vnp_ResponseCode: '00',
+    vnp_TmnCode: 'TESTTMN',
+    vnp_TransactionNo: '14000001',
+    vnp_TransactionStatus: '00',
+    vnp_TxnRef: mockOrder._id,
+    ...overrides,
+  };
+  return { ...params, vnp_SecureHash: signParams(params, SECRET) };
+};
+
+describe('Payment Provider Tests', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.VNPAY_TMN_CODE = 'TESTTMN';
+    process.env.VNPAY_HASH_SECRET = SECRET;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe('TC-PROV-001: Registry', () => {
+    it('should list enabled providers only', () => {
+      expect(listPaymentMethods().map((x) => x.code)).toEqual([
+        'PayPal',
+        'COD',
+        'VNPay',
+      ]);
+
+      delete process.env.VNPAY_HASH_SECRET;
+      expect(listPaymentMethods().map((x) => x.code)).toEqual(['PayPal', 'COD']);
+    });
+
+    it('should reject unknown or disabled payment methods', () => {
+      expect(getPaymentProvider('COD').code).toBe('COD');
+      expect(() => requirePaymentProvider('Bitcoin')).toThrow(
+        'Unsupported payment method'
+      );
+      delete process.env.VNPAY_TMN_CODE;
+      expect(() => requirePaymentProvider('VNPay')).toThrow(
+        expect.objectContaining({ status: 400 })
+      );
+    });
+
+    it('should charge VNPay orders in VND and PayPal orders in USD', () => {
+      expect(chargeCurrencyFor('VNPay', 'USD')).toBe('VND');
+      expect(chargeCurrencyFor('PayPal', 'VND')).toBe('USD');
+      expect(chargeCurrencyFor('COD', 'EUR')).toBe('EUR');
+      expect(chargeCurrencyFor('Bitcoin', 'EUR')).toBe('EUR');
+    });
+  });
+
+  describe('TC-PROV-002: VNPay signature', () => {
+    it('should sign the sorted, form-encoded query with HMAC-SHA512', () => {
+      const params = { vnp_TxnRef: 'a b', vnp_Amount: 100, vnp_SecureHash: 'x' };
+      const expected = crypto
+        .createHmac('sha512', SECRET)
+        .update('vnp_Amount=100&vnp_TxnRef=a+b')
+        .digest('hex');
+
+      expect(canonicalQuery(params)).toBe('vnp_Amount=100&vnp_TxnRef=a+b');
+      expect(signParams(params, SECRET)).toBe(expected);
+    });
+
+    it('should verify signed callbacks and reject tampered ones', () => {
+      const params = returnParams();
+
+      expect(verifySignature(params)).toBe(true);
+      expect(verifySignature({ ...params, vnp_Amount: '100' })).toBe(false);
+      expect(verifySignature({ ...params, vnp_SecureHash: undefined })).toBe(false);
+      expect(verifySignature(params, 'OTHER')).toBe(false);
+    });
+
+    it('should build a payment URL whose signature verifies', () => {
+      const url = new URL(
+        buildPaymentUrl(mockOrder, { now: new Date('2024-01-01T17:30:00Z') })
+      );
+      const params = Object.fromEntries(url.searchParams);
+
+      expect(params.vnp_Amount).toBe('23000000');
+      expect(params.vnp_TxnRef).toBe(mockOrder._id);
+      expect(params.vnp_CreateDate).toBe('20240102003000');
+      expect(verifySignature(params)).toBe(true);
+    });
+
+    it('should format dates in Vietnam time', () => {
+      expect(formatVnpDate(new Date('2024-03-04T05:06:07Z'))).toBe('20240304120607');
+    });
+  });
+
+  describe('TC-PROV-003: VNPay return and IPN', () => {
+    it('should accept a signed successful return for the order total', async () => {
+      const payment = await vnpayProvider.handleReturn(mockOrder, returnParams());
+
+      expect(payment).toMatchObject({
+        kind: 'capture',
+        providerReference: '14000001',
+        paymentResult: { id: '14000001', status: 'COMPLETED' },
+      });
+    });
+
+    it('should reject failed, foreign or underpaid returns', async () => {
+      await expect(
+        vnpayProvider.handleReturn(mockOrder, returnParams({ vnp_ResponseCode: '24' }))
+      ).rejects.toThrow('VNPay payment failed');
+      await expect(
+        vnpayProvider.handleReturn(mockOrder, returnParams({ vnp_TxnRef: 'other' }))
+      ).rejects.toThrow('Payment does not belong to this order');
+      await expect(
+        vnpayProvider.handleReturn(mockOrder, returnParams({ vnp_Amount: '100' }))
+      ).rejects.toThrow('Payment amount does not match the order total');
+    });
+
+    it('should answer IPN checks with VNPay response codes', async () => {
+      expect(
+        await vnpayProvider.handleIpn(mockOrder, { ...returnParams(), vnp_Amount: '1' })
+      ).toEqual({ RspCode: '97', Message: 'Invalid signature' });
+      expect(await vnpayProvider.handleIpn(null, returnParams())).toMatchObject({
+        RspCode: '01',
+      });
+      expect(
+        await vnpayProvider.handleIpn(mockOrder, returnParams({ vnp_Amount: '1' }))
+      ).toMatchObject({ RspCode: '04' });
+      expect(
+        await vnpayProvider.handleIpn({ ...mockOrder, isPaid: true }, returnParams())
+      ).toMatchObject({ RspCode: '02' });
+    });
+
+    it('should never charge an order placed in USD', async () => {
+      expect(() => buildPaymentUrl(usdOrder)).toThrow(
+        'VNPay can only charge orders placed in VND'
+      );
+      await expect(
+        vnpayProvider.handleReturn(usdOrder, returnParams({ vnp_Amount: '11500' }))
+      ).rejects.toThrow('Payment amount does not match the order total');
+      expect(
+        await vnpayProvider.handleIpn(usdOrder, returnParams({ vnp_Amount: '11500' }))
+      ).toMatchObject({ RspCode: '04' });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { createPayPalClient, verifyPayPalCapture } from '../../services/paymentProviders/paypal.js';
+import {
+  createPayPalOrder,
+  mockPayPalCapture,
+  setupPayPalMock,
+} from '../mocks/paypalServer.js';
+
+setupPayPalMock();
+
+const mockOrder = { _id: '507f1f77bcf86cd799439011', totalPrice: 230.5 };
+
+describe('PayPal Capture Verification Tests', () => {
+  describe('TC-PAYPAL-001: createPayPalClient', () => {
+    it('should fetch an order from the configured base URL', async () => {
+      const id = createPayPalOrder({ customId: 'abc', amount: 10 });
+
+      const paypalOrder = await createPayPalClient().getOrder(id);
+
+      expect(paypalOrder.id).toBe(id);
+      expect(paypalOrder.purchase_units[0].amount.value).toBe('10.00');
+    });
+  });
+
+  describe('TC-PAYPAL-002: verifyPayPalCapture', () => {
+    it('should return the payment result of a matching capture', async () => {
+      const { id } = mockPayPalCapture(mockOrder, { email: 'payer@test.com' });
+
+      const result = await verifyPayPalCapture(mockOrder, id);
+
+      expect(result).toMatchObject({
+        id,
+        captureId: `CAPTURE-${id}`,
+        status: 'COMPLETED',
+        email_address: 'payer@test.com',
+      });
+    });
+
+    it('should reject a capture for a different amount', async () => {
+      const { id } = mockPayPalCapture(mockOrder, { amount: 230.49 });
+
+      await expect(verifyPayPalCapture(mockOrder, id)).rejects.toMatchObject({
+        status: 400,
+        message: 'Payment amount does not match the order total',
+      });
+    });
+
+    it('should reject an order placed in another currency', async () => {
+      const vndOrder = { ...mockOrder, currency: 'VND', charged: { totalPrice: 5762500 } };
+      const { id } = mockPayPalCapture(mockOrder);
+
+      await expect(verifyPayPalCapture(vndOrder, id)).rejects.toMatchObject({
+        status: 409,
+        message: 'PayPal can only charge orders placed in USD',
+      });
+    });
+
+    it('should reject a capture of another order', async () => {
+      const { id } = mockPayPalCapture({ ...mockOrder, _id: 'other' });
+
+      await expect(verifyPayPalCapture(mockOrder, id)).rejects.toMatchObject({
+        message: 'PayPal payment does not belong to this order',
+      });
+    });
+
+    it('should reject a missing or unknown PayPal order id', async () => {
+      await expect(verifyPayPalCapture(mockOrder)).rejects.toMatchObject({
+        status: 400,
+      });
+      await expect(
+        verifyPayPalCapture(mockOrder, 'UNKNOWN')
+      ).rejects.toMatchObject({ message: 'PayPal order not found' });
+    });
+
+    it('should answer 502 when PayPal cannot be reached', async () => {
+      const client = {
+        getOrder: () => Promise.reject(new Error('ECONNREFUSED')),
+      };
+
+      await expect(
+        verifyPayPalCapture(mockOrder, 'ANY', client)
+      ).rejects.toMatchObject({ status: 502 });
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import {
+  calculatePrices,
+  calculateTax,
+  discountedItemsPrice,
+  matchTaxRule,
+  findPriceMismatches,
+  round2,
+  FREE_SHIPPING_THRESHOLD,
+  SHIPPING_FEE,
+} from '../../services/pricing.js';
+
+describe('Pricing Service Tests', () => {
+  describe('TC-PRC-001: calculatePrices', () => {
+    it('should charge shipping below the free shipping threshold', () => {
+      const prices = calculatePrices([{ price: 20, quantity: 2 }]);
+
+      expect(prices.itemsPrice).toBe(40);
+      expect(prices.shippingPrice).toBe(SHIPPING_FEE);
+      expect(prices.taxPrice).toBe(6);
+      expect(prices.totalPrice).toBe(56);
+    });
+
+    it('should give free shipping above the threshold', () => {
+      const prices = calculatePrices([
+        { price: FREE_SHIPPING_THRESHOLD, quantity: 1 },
+        { price: 0.5, quantity: 1 },
+      ]);
+
+      expect(prices.itemsPrice).toBe(100.5);
+      expect(prices.shippingPrice).toBe(0);
+      expect(prices.taxPrice).toBe(15.08);
+      expect(prices.totalPrice).toBe(115.58);
+    });
+
+    it('should round every amount to 2 decimals', () => {
+      const prices = calculatePrices([{ price: 18.99, quantity: 3 }]);
+
+      expect(prices.itemsPrice).toBe(56.97);
+      expect(prices.taxPrice).toBe(8.55);
+      expect(prices.totalPrice).toBe(75.52);
+    });
+  });
+
+  describe('TC-PRC-004: calculatePrices with a discount', () => {
+    it('should take the discount off before shipping and tax', () => {
+      const prices = calculatePrices([{ price: 120, quantity: 1 }], { discount: 30 });
+
+      expect(prices.itemsPrice).toBe(120);
+      expect(prices.discountPrice).toBe(30);
+      expect(prices.shippingPrice).toBe(SHIPPING_FEE);
+      expect(prices.taxPrice).toBe(13.5);
+      expect(prices.totalPrice).toBe(113.5);
+    });
+
+    it('should never discount more than the items', () => {
+      const prices = calculatePrices([{ price: 20, quantity: 1 }], { discount: 50 });
+
+      expect(prices.discountPrice).toBe(20);
+      expect(prices.taxPrice).toBe(0);
+      expect(prices.totalPrice).toBe(SHIPPING_FEE);
+    });
+
+    it('should waive shipping for free shipping coupons', () => {
+      const prices = calculatePrices([{ price: 20, quantity: 2 }], { freeShipping: true });
+
+      expect(prices.discountPrice).toBe(0);
+      expect(prices.shippingPrice).toBe(0);
+      expect(prices.totalPrice).toBe(46);
+    });
+  });
+
+  describe('TC-PRC-005: matchTaxRule', () => {
+    const rules = [
+      { name: 'VN VAT', country: 'Vietnam', rate: 10 },
+      { name: 'HCM', country: 'Vietnam', city: 'Ho Chi Minh', rate: 8 },
+      { name: 'VN Books', country: 'Vietnam', category: 'Books', rate: 5 },
+    ];
+
+    it('should match the country case-insensitively', () => {
+      expect(matchTaxRule(rules, { country: 'vietnam', city: 'Hanoi' }).name).toBe('VN VAT');
+    });
+
+    it('should prefer the most specific rule', () => {
+      const address = { country: 'Vietnam', city: 'Ho Chi Minh' };
+      expect(matchTaxRule(rules, address).name).toBe('HCM');
+      expect(matchTaxRule(rules, address, { category: 'Books' }).name).toBe('VN Books');
+    });
+
+    it('should return null when no rule matches the country', () => {
+      expect(matchTaxRule(rules, { country: 'France' })).toBeNull();
+    });
+  });
+
+  describe('TC-PRC-006: calculateTax', () => {
+    const address = { country: 'Vietnam' };
+
+    it('should fall back to the default rate without rules', () => {
+      expect(calculateTax([{ price: 40, quantity: 1 }])).toEqual({
+        taxPrice: 6,
+        taxBreakdown: [
+          { name: 'Tax', rate: 15, inclusive: false, taxableAmount: 40, amount: 6 },
+        ],
+      });
+    });
+
+    it('should report inclusive taxes without adding them', () => {
+      const taxRules = [{ name: 'VAT', country: 'Vietnam', rate: 10, inclusive: true }];
+      const { taxPrice, taxBreakdown } = calculateTax([{ price: 110, quantity: 1 }], {
+        taxRules,
+        shippingAddress: address,
+      });
+
+      expect(taxPrice).toBe(0);
+      expect(taxBreakdown[0]).toMatchObject({ taxableAmount: 110, amount: 10 });
+    });
+
+    it('should tax each category with its own rule after the discount', () => {
+      const taxRules = [
+        { name: 'VAT', country: 'Vietnam', rate: 10 },
+        { name: 'Books', country: 'Vietnam', category: 'Books', rate: 5 },
+      ];
+      const { taxPrice, taxBreakdown } = calculateTax(
+        [
+          { price: 60, quantity: 1, category: 'Shirts' },
+          { price: 40, quantity: 1, category: 'Books' },
+        ],
+        { taxRules, shippingAddress: address, discount: 50 }
+      );
+
+      expect(taxBreakdown).toEqual([
+        { name: 'VAT', rate: 10, inclusive: false, taxableAmount: 30, amount: 3 },
+        { name: 'Books', rate: 5, inclusive: false, taxableAmount: 20, amount: 1 },
+      ]);
+      expect(taxPrice).toBe(4);
+    });
+  });
+
+  describe('TC-PRC-002: findPriceMismatches', () => {
+    const quote = { itemsPrice: 40, shippingPrice: 10, taxPrice: 6, totalPrice: 56 };
+
+    it('should return no mismatches when prices match', () => {
+      expect(findPriceMismatches({ ...quote }, quote)).toEqual([]);
+    });
+
+    it('should ignore prices the client did not send', () => {
+      expect(findPriceMismatches({ totalPrice: 56 }, quote)).toEqual([]);
+    });
+
+    it('should list every field that differs', () => {
+      expect(
+        findPriceMismatches({ itemsPrice: 40, taxPrice: 0, totalPrice: 50 }, quote)
+      ).toEqual(['taxPrice', 'totalPrice']);
+    });
+
+    it('should compare string amounts after rounding', () => {
+      expect(findPriceMismatches({ totalPrice: '56.001' }, quote)).toEqual([]);
+    });
+  });
+
+  describe('TC-PRC-007: discountedItemsPrice', () => {
+    it('should take the discount off the items, never below 0', () => {
+      const items = [{ price: 60, quantity: 2 }];
+      expect(discountedItemsPrice(items, 30)).toBe(90);
+      expect(discountedItemsPrice(items, 500)).toBe(0);
+      expect(discountedItemsPrice(items)).toBe(120);
+    });
+  });
+
+  describe('TC-PRC-003: round2', () => {
+    it('should round half up', () => {
+      expect(round2(0.125)).toBe(0.13);
+      expect(round2(2.344)).toBe(2.34);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  EXPORT_FIELDS,
+  csvRow,
+  escapeXml,
+  exportRecord,
+  feedItem,
+} from '../../services/productExport.js';
+import { parseProductRows } from '../../services/productImport.js';
+
+const product = {
+  _id: 'abc',
+  name: 'Twill Overshirt, "Oversized"',
+  slug: 'twill-overshirt',
+  image: '/uploads/overshirt.jpg',
+  brand: 'H&M',
+  category: 'Shirts',
+  description: 'Cotton twill\nwith pockets',
+  price: 18.5,
+  countInStock: 0,
+  weight: 0.4,
+  rating: 4,
+};
+
+describe('Product Export Service Tests', () => {
+  describe('TC-EXP-001: exportRecord and csvRow', () => {
+    it('should keep only the columns the import reads', () => {
+      expect(Object.keys(exportRecord(product))).toEqual(EXPORT_FIELDS);
+      expect(exportRecord({ name: 'A' }).weight).toBe('');
+    });
+
+    it('should quote values with commas, quotes or line breaks', () => {
+      expect(csvRow(['a', 'b,c', 'say "hi"', 1, null])).toBe('a,"b,c","say ""hi""",1,\n');
+    });
+
+    it('should be read back by the product import', () => {
+      const text =
+        csvRow(EXPORT_FIELDS) + csvRow(Object.values(exportRecord(product)));
+      const [row] = parseProductRows(text, 'csv');
+      expect(row.name).toBe(product.name);
+      expect(row.description).toBe(product.description);
+      expect(Number(row.price)).toBe(product.price);
+    });
+  });
+
+  describe('TC-EXP-002: feedItem', () => {
+    it('should escape the values and make links absolute', () => {
+      const item = feedItem(product, 'https://shop.example.com');
+      expect(item).toContain('<g:id>twill-overshirt</g:id>');
+      expect(item).toContain('<g:title>Twill Overshirt, &quot;Oversized&quot;</g:title>');
+      expect(item).toContain('<g:link>https://shop.example.com/product/twill-overshirt</g:link>');
+      expect(item).toContain(
+        '<g:image_link>https://shop.example.com/uploads/overshirt.jpg</g:image_link>'
+      );
+      expect(item).toContain('<g:brand>H&amp;M</g:brand>');
+    });
+
+    it('should give availability and price in the base currency', () => {
+      expect(feedItem(product, 'https://shop.example.com')).toContain(
+        '<g:availability>out_of_stock</g:availability>'
+      );
+      const item = feedItem(
+        { ...product, image: 'https://cdn.example.com/a.jpg', countInStock: 3 },
+        'https://shop.example.com'
+      );
+      expect(item).toContain('<g:availability>in_stock</g:availability>');
+      expect(item).toContain('<g:price>18.50 USD</g:price>');
+      expect(item).toContain('<g:image_link>https://cdn.example.com/a.jpg</g:image_link>');
+    });
+
+    it('should escape XML special characters', () => {
+      expect(escapeXml(`<a href="x">Tom's & Co</a>`)).toBe(
+        '&lt;a href=&quot;x&quot;&gt;Tom&apos;s &amp; Co&lt;/a&gt;'
+      );
+    });
+  });
+});
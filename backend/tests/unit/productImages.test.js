@@ -0,0 +1,60 @@
+import { imageFields, removedImages } from '../../services/productImages.js';
+
+describe('Product Image Service Tests', () => {
+  describe('TC-IMG-001: imageFields', () => {
+    it('should trim the fields and keep the gallery order', () => {
+      expect(
+        imageFields([
+          { url: ' /images/b.jpg ', alt: ' Back ' },
+          { url: 'https://cdn.test/a.jpg', publicId: 'a', _id: 'ignored' },
+        ])
+      ).toEqual([
+        { url: '/images/b.jpg', alt: 'Back', publicId: '', sizes: [] },
+        { url: 'https://cdn.test/a.jpg', alt: '', publicId: 'a', sizes: [] },
+      ]);
+    });
+
+    it('should keep the sizes returned by the upload and drop broken ones', () => {
+      const [image] = imageFields([
+        {
+          url: '/uploads/a-detail.jpg',
+          sizes: [
+            { name: 'card', format: 'webp', width: '400', url: '/uploads/a-card.webp', publicId: 'a-card.webp' },
+            { name: 'card', format: 'jpeg', width: 0, url: '/uploads/a-card.jpg' },
+            { name: 'detail', format: 'jpeg', width: 1000 },
+          ],
+        },
+      ]);
+      expect(image.sizes).toEqual([
+        { name: 'card', format: 'webp', width: 400, url: '/uploads/a-card.webp', publicId: 'a-card.webp' },
+      ]);
+    });
+
+    it('should accept a missing gallery as empty', () => {
+      expect(imageFields(undefined)).toEqual([]);
+    });
+
+    it('should reject images without url and duplicates', () => {
+      expect(() => imageFields('a.jpg')).toThrow('Images must be a list');
+      expect(() => imageFields([{ url: 'a.jpg' }, { alt: 'x' }])).toThrow(
+        'Image 2 has no url'
+      );
+      expect(() => imageFields([{ url: 'a.jpg' }, { url: 'a.jpg' }])).toThrow(
+        'Each image can only be listed once'
+      );
+    });
+  });
+
+  describe('TC-IMG-002: removedImages', () => {
+    it('should return the images that are no longer in the gallery', () => {
+      const previous = [
+        { url: 'a.jpg', publicId: 'a' },
+        { url: 'b.jpg', publicId: 'b' },
+      ];
+      expect(removedImages(previous, [{ url: 'b.jpg' }])).toEqual([
+        { url: 'a.jpg', publicId: 'a' },
+      ]);
+      expect(removedImages(previous, previous)).toEqual([]);
+    });
+  });
+});
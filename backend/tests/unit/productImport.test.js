@@ -0,0 +1,103 @@
+import {
+  parseProductRows,
+  productImportFields,
+} from '../../services/productImport.js';
+
+const row = {
+  name: 'Twill Overshirt',
+  slug: 'ikbkpg',
+  image: 'https://example.com/overshirt.jpg',
+  brand: 'HM',
+  category: 'HM',
+  description: 'not available',
+  price: 18.99,
+  countInStock: 59,
+  rating: 2,
+  numReviews: 18,
+  reviews: [],
+};
+
+describe('Product Import Service Tests', () => {
+  describe('TC-IMP-001: parseProductRows', () => {
+    it('should read a JSON list shaped like cloths.json', () => {
+      expect(parseProductRows(JSON.stringify([row]), 'json')).toEqual([row]);
+      expect(parseProductRows(JSON.stringify({ products: [row] }), 'json')).toEqual([row]);
+    });
+
+    it('should read CSV rows by header, with quoted commas', () => {
+      const text =
+        '\uFEFFname,slug,image,price\n' +
+        'Twill Overshirt,ikbkpg,"https://example.com/a.jpg?set=a,b",18.99\n\n';
+      expect(parseProductRows(text, 'csv')).toEqual([
+        {
+          name: 'Twill Overshirt',
+          slug: 'ikbkpg',
+          image: 'https://example.com/a.jpg?set=a,b',
+          price: '18.99',
+        },
+      ]);
+    });
+
+    it('should reject unreadable or empty files', () => {
+      expect(() => parseProductRows('{', 'json')).toThrow('Invalid JSON file');
+      expect(() => parseProductRows('{"name":"A"}', 'json')).toThrow(
+        'The JSON file must hold a list of products'
+      );
+      expect(() => parseProductRows('[]', 'json')).toThrow('The file has no products');
+      expect(() => parseProductRows('slug,price\na,1', 'csv')).toThrow(
+        'CSV file needs a header row with a name column'
+      );
+      expect(() => parseProductRows('name\nA', 'xml')).toThrow(
+        'Products must be a JSON or CSV file'
+      );
+    });
+  });
+
+  describe('TC-IMP-002: productImportFields', () => {
+    it('should keep the product fields and ignore ratings and reviews', () => {
+      expect(productImportFields(row)).toEqual({
+        name: 'Twill Overshirt',
+        slug: 'ikbkpg',
+        image: 'https://example.com/overshirt.jpg',
+        brand: 'HM',
+        category: 'HM',
+        description: 'not available',
+        price: 18.99,
+        countInStock: 59,
+      });
+    });
+
+    it('should make the slug from the name and read CSV numbers', () => {
+      const fields = productImportFields({
+        ...row,
+        slug: '',
+        name: 'Áo Thun Basic',
+        price: '10',
+        countInStock: '3',
+        weight: '0.5',
+      });
+      expect(fields.slug).toBe('ao-thun-basic');
+      expect(fields.price).toBe(10);
+      expect(fields.countInStock).toBe(3);
+      expect(fields.weight).toBe(0.5);
+    });
+
+    it('should reject missing fields and invalid numbers', () => {
+      expect(() => productImportFields('Twill')).toThrow('Row is not a product');
+      expect(() => productImportFields({ ...row, name: ' ' })).toThrow('Name is required');
+      expect(() => productImportFields({ ...row, image: '' })).toThrow('Image is required');
+      expect(() => productImportFields({ ...row, price: '' })).toThrow(
+        'Price must be a number of 0 or more'
+      );
+      expect(() => productImportFields({ ...row, price: -1 })).toThrow(
+        'Price must be a number of 0 or more'
+      );
+      expect(() => productImportFields({ ...row, countInStock: 1.5 })).toThrow(
+        'Count in stock must be a whole number of 0 or more'
+      );
+      expect(() => productImportFields({ ...row, weight: 'heavy' })).toThrow(
+        'Weight must be a number of 0 or more'
+      );
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import {
+  isPublished,
+  productStatusFields,
+  publishedFilter,
+  statusFilter,
+} from '../../services/productStatus.js';
+
+const now = new Date('2026-03-01T10:00:00Z');
+const past = new Date('2026-02-01T00:00:00Z');
+const future = new Date('2026-04-01T00:00:00Z');
+
+describe('Product Status Service Tests', () => {
+  describe('TC-PST-001: isPublished', () => {
+    it('should show published products and products without a status', () => {
+      expect(isPublished({ status: 'Published' }, now)).toBe(true);
+      expect(isPublished({}, now)).toBe(true);
+      expect(isPublished({ status: 'Published', publishAt: past }, now)).toBe(true);
+    });
+
+    it('should hide drafts, archived and scheduled products', () => {
+      expect(isPublished({ status: 'Draft' }, now)).toBe(false);
+      expect(isPublished({ status: 'Archived' }, now)).toBe(false);
+      expect(isPublished({ status: 'Published', publishAt: future }, now)).toBe(false);
+    });
+
+    it('should query the same products', () => {
+      expect(publishedFilter(now)).toEqual({
+        status: { $nin: ['Draft', 'Archived'] },
+        publishAt: { $not: { $gt: now } },
+      });
+    });
+  });
+
+  describe('TC-PST-002: productStatusFields', () => {
+    it('should read the status and publish date', () => {
+      expect(
+        productStatusFields({ status: 'Published', publishAt: '2026-04-01T00:00:00Z' })
+      ).toEqual({ status: 'Published', publishAt: future });
+      expect(productStatusFields({ status: 'Draft', publishAt: '' })).toEqual({
+        status: 'Draft',
+        publishAt: null,
+      });
+    });
+
+    it('should keep the current values the form leaves out', () => {
+      expect(productStatusFields({}, { status: 'Draft', publishAt: future })).toEqual({
+        status: 'Draft',
+        publishAt: future,
+      });
+      expect(productStatusFields({})).toEqual({ status: 'Published', publishAt: null });
+    });
+
+    it('should reject an unknown status or date', () => {
+      expect(() => productStatusFields({ status: 'Live' })).toThrow('Invalid product status');
+      expect(() => productStatusFields({ status: 'Published', publishAt: 'soon' })).toThrow(
+        'Invalid publish date'
+      );
+    });
+  });
+
+  describe('TC-PST-003: statusFilter', () => {
+    it('should count products without a status as published', () => {
+      expect(statusFilter('all')).toEqual({});
+      expect(statusFilter('Published')).toEqual({ status: { $nin: ['Draft', 'Archived'] } });
+      expect(statusFilter('Draft')).toEqual({ status: 'Draft' });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import {
+  assertReturnable,
+  buildReturnItems,
+  calculateRefundAmount,
+  returnedQuantities,
+  transitionReturn,
+  RETURN_WINDOW_DAYS,
+} from '../../services/returns.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const mockOrder = (overrides = {}) => ({
+  status: 'Delivered',
+  deliveredAt: new Date(),
+  itemsPrice: 400,
+  taxPrice: 60,
+  shippingPrice: 0,
+  orderItems: [
+    { _id: 'line-1', product: 'product-1', name: 'Shirt', price: 100, quantity: 2 },
+    { _id: 'line-2', product: 'product-2', name: 'Pants', price: 200, quantity: 1 },
+  ],
+  ...overrides,
+});
+
+describe('Returns Service Tests', () => {
+  describe('TC-RET-001: assertReturnable', () => {
+    it('should accept a delivered order inside the return window', () => {
+      expect(() => assertReturnable(mockOrder())).not.toThrow();
+    });
+
+    it('should reject orders that are not delivered', () => {
+      expect(() => assertReturnable(mockOrder({ status: 'Shipping' }))).toThrow(
+        expect.objectContaining({ status: 409 })
+      );
+    });
+
+    it('should reject orders delivered before the return window', () => {
+      const order = mockOrder({
+        deliveredAt: new Date(Date.now() - (RETURN_WINDOW_DAYS + 1) * DAY),
+      });
+      expect(() => assertReturnable(order)).toThrow(
+        expect.objectContaining({ status: 409 })
+      );
+    });
+  });
+
+  describe('TC-RET-002: buildReturnItems', () => {
+    it('should snapshot name and price from the order line', () => {
+      const items = buildReturnItems(mockOrder(), [
+        { orderItem: 'line-1', quantity: 1, reason: 'Too small', price: 1 },
+      ]);
+
+      expect(items).toEqual([
+        {
+          orderItem: 'line-1',
+          product: 'product-1',
+          name: 'Shirt',
+          price: 100,
+          quantity: 1,
+          reason: 'Too small',
+        },
+      ]);
+    });
+
+    it('should not return more than was ordered', () => {
+      expect(() =>
+        buildReturnItems(mockOrder(), [
+          { orderItem: 'line-2', quantity: 2, reason: 'Broken' },
+        ])
+      ).toThrow('Only 1 of Pants can be returned');
+    });
+
+    it('should count quantities of previous returns that were not rejected', () => {
+      const previousReturns = [
+        { status: 'Approved', items: [{ orderItem: 'line-1', quantity: 1 }] },
+        { status: 'Rejected', items: [{ orderItem: 'line-1', quantity: 1 }] },
+      ];
+
+      expect(() =>
+        buildReturnItems(
+          mockOrder(),
+          [{ orderItem: 'line-1', quantity: 2, reason: 'Faded' }],
+          previousReturns
+        )
+      ).toThrow('Only 1 of Shirt can be returned');
+    });
+
+    it('should require a reason per line', () => {
+      expect(() =>
+        buildReturnItems(mockOrder(), [{ orderItem: 'line-1', quantity: 1 }])
+      ).toThrow('Return reason is required for Shirt');
+    });
+
+    it('should reject unknown lines and empty requests', () => {
+      expect(() =>
+        buildReturnItems(mockOrder(), [{ orderItem: 'nope', quantity: 1, reason: 'x' }])
+      ).toThrow('Order item not found: nope');
+      expect(() => buildReturnItems(mockOrder(), [])).toThrow('Return has no items');
+    });
+  });
+
+  describe('TC-RET-003: calculateRefundAmount', () => {
+    it('should refund the lines plus their share of tax', () => {
+      const amount = calculateRefundAmount(mockOrder(), [
+        { price: 100, quantity: 1 },
+      ]);
+
+      // 100 + 60 * 100 / 400
+      expect(amount).toBe(115);
+    });
+
+    it('should not refund tax when the order had none', () => {
+      const amount = calculateRefundAmount(mockOrder({ taxPrice: 0 }), [
+        { price: 200, quantity: 1 },
+      ]);
+
+      expect(amount).toBe(200);
+    });
+
+    it('should refund the discounted price of the lines', () => {
+      // 400 - 100 discount, tax is 15% of 300
+      const order = mockOrder({ discountPrice: 100, taxPrice: 45 });
+      const amount = calculateRefundAmount(order, [{ price: 100, quantity: 2 }]);
+
+      // (200 - 100 * 200 / 400) + 45 * 200 / 400
+      expect(amount).toBe(172.5);
+    });
+  });
+
+  describe('TC-RET-004: returnedQuantities & transitionReturn', () => {
+    it('should sum quantities per order line', () => {
+      const quantities = returnedQuantities([
+        { status: 'Requested', items: [{ orderItem: 'line-1', quantity: 1 }] },
+        { status: 'Received', items: [{ orderItem: 'line-1', quantity: 1 }] },
+      ]);
+
+      expect(quantities.get('line-1')).toBe(2);
+    });
+
+    it('should only receive approved returns', () => {
+      const ret = { status: 'Requested' };
+
+      expect(() => transitionReturn(ret, 'Received')).toThrow(
+        expect.objectContaining({ status: 409 })
+      );
+      transitionReturn(ret, 'Approved', { user: { _id: 'admin' }, note: 'OK' });
+      expect(ret.status).toBe('Approved');
+      expect(ret.adminNote).toBe('OK');
+    });
+  });
+});
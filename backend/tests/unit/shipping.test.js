@@ -0,0 +1,121 @@
+import {
+  chooseShippingOption,
+  matchShippingZone,
+  methodPrice,
+  orderWeight,
+  shippingOptions,
+  DEFAULT_ITEM_WEIGHT,
+  SHIPPING_FEE,
+} from '../../services/shipping.js';
+
+const zones = [
+  {
+    name: 'Vietnam',
+    countries: ['Vietnam'],
+    cities: [],
+    methods: [
+      {
+        code: 'standard',
+        name: 'Standard',
+        rates: [
+          { maxWeight: 1, price: 2 },
+          { maxWeight: 5, price: 4 },
+        ],
+      },
+      { code: 'express', name: 'Express', freeOver: 200, rates: [{ price: 9 }] },
+    ],
+  },
+  {
+    name: 'Hanoi',
+    countries: ['Vietnam'],
+    cities: ['Hanoi'],
+    methods: [{ code: 'pickup', name: 'In-store pickup', rates: [{ price: 0 }] }],
+  },
+];
+
+describe('Shipping Service Tests', () => {
+  describe('TC-SHP-001: orderWeight', () => {
+    it('should use the default weight for products without one', () => {
+      expect(
+        orderWeight([
+          { quantity: 2, weight: 1.5 },
+          { quantity: 1, weight: 0 },
+        ])
+      ).toBe(3 + DEFAULT_ITEM_WEIGHT);
+    });
+  });
+
+  describe('TC-SHP-002: matchShippingZone', () => {
+    it('should prefer a zone listing the city', () => {
+      expect(matchShippingZone(zones, { country: 'vietnam', city: 'Hanoi' }).name).toBe('Hanoi');
+      expect(matchShippingZone(zones, { country: 'Vietnam', city: 'Hue' }).name).toBe('Vietnam');
+    });
+
+    it('should return null outside every zone', () => {
+      expect(matchShippingZone(zones, { country: 'France' })).toBeNull();
+    });
+  });
+
+  describe('TC-SHP-003: methodPrice', () => {
+    const [standard, express] = zones[0].methods;
+
+    it('should use the first bracket covering the weight', () => {
+      expect(methodPrice(standard, 0.8, 50)).toBe(2);
+      expect(methodPrice(standard, 3, 50)).toBe(4);
+    });
+
+    it('should be unavailable above the heaviest bracket', () => {
+      expect(methodPrice(standard, 6, 50)).toBeNull();
+    });
+
+    it('should be free above freeOver', () => {
+      expect(methodPrice(express, 10, 250)).toBe(0);
+      expect(methodPrice(express, 10, 150)).toBe(9);
+    });
+  });
+
+  describe('TC-SHP-004: shippingOptions', () => {
+    it('should list the methods of the zone that can carry the parcel', () => {
+      const options = shippingOptions([{ quantity: 1, weight: 6, price: 50 }], {
+        zones,
+        shippingAddress: { country: 'Vietnam', city: 'Hue' },
+        itemsPrice: 50,
+      });
+
+      expect(options).toEqual([
+        { code: 'express', name: 'Express', estimatedDays: undefined, price: 9 },
+      ]);
+    });
+
+    it('should fall back to the default standard rate', () => {
+      const options = shippingOptions([{ quantity: 1, price: 50 }], {
+        shippingAddress: { country: 'France' },
+        itemsPrice: 50,
+      });
+
+      expect(options).toHaveLength(1);
+      expect(options[0]).toMatchObject({ code: 'standard', price: SHIPPING_FEE });
+    });
+  });
+
+  describe('TC-SHP-005: chooseShippingOption', () => {
+    const options = [
+      { code: 'standard', price: 2 },
+      { code: 'express', price: 9 },
+    ];
+
+    it('should pick the chosen method or the first one', () => {
+      expect(chooseShippingOption(options, 'express').price).toBe(9);
+      expect(chooseShippingOption(options).code).toBe('standard');
+    });
+
+    it('should reject methods that are not available', () => {
+      expect(() => chooseShippingOption(options, 'pickup')).toThrow(
+        'Shipping method is not available for this order'
+      );
+      expect(() => chooseShippingOption([], 'standard')).toThrow(
+        'No shipping method is available for this address'
+      );
+    });
+  });
+});
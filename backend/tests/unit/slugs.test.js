@@ -0,0 +1,69 @@
+import {
+  availableSlug,
+  isSlugOf,
+  slugify,
+} from '../../services/slugs.js';
+import { slugFields } from '../../services/productSlugs.js';
+
+describe('Slug Service Tests', () => {
+  describe('TC-SLG-001: slugify', () => {
+    it('should transliterate Vietnamese names', () => {
+      expect(slugify('Áo sơ mi đỏ')).toBe('ao-so-mi-do');
+      expect(slugify('ĐẦM DỰ TIỆC Nữ')).toBe('dam-du-tiec-nu');
+      expect(slugify('Giày thể thao Bitis Hunter')).toBe('giay-the-thao-bitis-hunter');
+    });
+
+    it('should give an empty slug when nothing is left', () => {
+      expect(slugify('!!!')).toBe('');
+      expect(slugify(undefined)).toBe('');
+    });
+  });
+
+  describe('TC-SLG-002: isSlugOf', () => {
+    it('should accept the slug of the name with or without a suffix', () => {
+      expect(isSlugOf('ao-so-mi-do', 'Áo sơ mi đỏ')).toBe(true);
+      expect(isSlugOf('ao-so-mi-do-3', 'Áo sơ mi đỏ')).toBe(true);
+    });
+
+    it('should reject other slugs', () => {
+      expect(isSlugOf('ikbkpg', 'Twill Overshirt')).toBe(false);
+      expect(isSlugOf('ao-so-mi-do-xanh', 'Áo sơ mi đỏ')).toBe(false);
+      expect(isSlugOf('', '!!!')).toBe(false);
+    });
+  });
+
+  describe('TC-SLG-003: availableSlug', () => {
+    it('should append the first free suffix', async () => {
+      const taken = new Set(['twill-overshirt', 'twill-overshirt-2']);
+      const isTaken = async (slug) => taken.has(slug);
+      expect(await availableSlug('twill-overshirt', isTaken)).toBe('twill-overshirt-3');
+      expect(await availableSlug('linen-shirt', isTaken)).toBe('linen-shirt');
+    });
+  });
+
+  describe('TC-SLG-004: slugFields', () => {
+    it('should keep the current slug with the previous ones', () => {
+      const product = { slug: 'ikbkpg', previousSlugs: ['old'] };
+      expect(slugFields(product, 'twill-overshirt')).toEqual({
+        slug: 'twill-overshirt',
+        previousSlugs: ['old', 'ikbkpg'],
+      });
+    });
+
+    it('should leave unchanged slugs alone', () => {
+      const product = { slug: 'twill-overshirt', previousSlugs: ['ikbkpg'] };
+      expect(slugFields(product, 'twill-overshirt')).toEqual({
+        slug: 'twill-overshirt',
+        previousSlugs: ['ikbkpg'],
+      });
+    });
+
+    it('should take a previous slug back', () => {
+      const product = { slug: 'twill-overshirt', previousSlugs: ['ikbkpg'] };
+      expect(slugFields(product, 'ikbkpg')).toEqual({
+        slug: 'ikbkpg',
+        previousSlugs: ['twill-overshirt'],
+      });
+    });
+  });
+});
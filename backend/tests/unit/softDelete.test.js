@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { deletedScope, softDeletePlugin } from '../../services/softDelete.js';
+
+const schema = new mongoose.Schema({ name: String });
+schema.plugin(softDeletePlugin);
+const Item = mongoose.model('SoftDeleteItem', schema);
+
+// Runs the pre hooks of a query without a database
+const runHooks = (op, target) =>
+  new Promise((resolve, reject) => {
+    Item.hooks.execPre(op, target, [], (err) => (err ? reject(err) : resolve()));
+  });
+
+describe('Soft Delete Tests', () => {
+  describe('TC-DEL-001: deletedScope', () => {
+    it('should hide deleted records by default', () => {
+      expect(deletedScope({ name: 'a' })).toEqual({ deletedAt: null });
+    });
+
+    it('should include or only select deleted records when asked', () => {
+      expect(deletedScope({}, { withDeleted: true })).toEqual({});
+      expect(deletedScope({}, { onlyDeleted: true })).toEqual({
+        deletedAt: { $ne: null },
+      });
+    });
+
+    it('should leave queries on deletedAt as they are', () => {
+      expect(deletedScope({ deletedAt: { $lt: new Date() } })).toEqual({});
+    });
+  });
+
+  describe('TC-DEL-002: softDeletePlugin', () => {
+    it('should scope find queries', async () => {
+      const query = Item.find({ name: 'a' });
+      await runHooks('find', query);
+      expect(query.getFilter()).toEqual({ name: 'a', deletedAt: null });
+    });
+
+    it('should follow the query options', async () => {
+      const all = Item.findOne({ name: 'a' }).setOptions({ withDeleted: true });
+      const trash = Item.countDocuments().setOptions({ onlyDeleted: true });
+      await runHooks('findOne', all);
+      await runHooks('countDocuments', trash);
+      expect(all.getFilter()).toEqual({ name: 'a' });
+      expect(trash.getFilter()).toEqual({ deletedAt: { $ne: null } });
+    });
+
+    it('should scope aggregations', async () => {
+      const aggregate = Item.aggregate([{ $group: { _id: null } }]);
+      await runHooks('aggregate', aggregate);
+      expect(aggregate.pipeline()[0]).toEqual({ $match: { deletedAt: null } });
+    });
+
+    it('should record who deleted a record and clear it on restore', async () => {
+      const user = { _id: new mongoose.Types.ObjectId() };
+      const item = new Item({ name: 'a' });
+      let saves = 0;
+      item.save = async () => {
+        saves += 1;
+        return item;
+      };
+
+      await item.softDelete(user);
+      expect(item.deletedAt).toBeInstanceOf(Date);
+      expect(item.deletedBy.toString()).toBe(user._id.toString());
+
+      await item.restore();
+      expect(item.deletedAt).toBeNull();
+      expect(item.deletedBy).toBeNull();
+      expect(saves).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { contentHash, getStorage, imageTypeOf } from '../../services/storage/index.js';
+import localStorage from '../../services/storage/local.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+
+const fileOf = (buffer, originalname = 'photo.png') => ({
+  buffer,
+  originalname,
+  mimetype: 'image/png',
+  size: buffer.length,
+});
+
+describe('Storage Service Tests', () => {
+  const env = { ...process.env };
+  let uploadDir;
+
+  beforeEach(() => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    process.env.UPLOAD_DIR = uploadDir;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('TC-STO-001: imageTypeOf', () => {
+    it('should recognize images by their content', () => {
+      expect(imageTypeOf(fileOf(PNG)).extension).toBe('png');
+      expect(
+        imageTypeOf(fileOf(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'a.png')).mimetype
+      ).toBe('image/jpeg');
+      expect(
+        imageTypeOf(fileOf(Buffer.from('RIFF\0\0\0\0WEBPVP8 '), 'a.webp')).extension
+      ).toBe('webp');
+    });
+
+    it('should reject other files whatever their name', () => {
+      expect(() => imageTypeOf(fileOf(Buffer.from('<svg></svg>'), 'logo.png'))).toThrow(
+        'logo.png is not a JPEG, PNG, GIF or WebP image'
+      );
+      expect(() => imageTypeOf(fileOf(Buffer.from('RIFF\0\0\0\0WAVE'), 'a.webp'))).toThrow(
+        'a.webp is not a JPEG, PNG, GIF or WebP image'
+      );
+    });
+
+    it('should reject files that are too large', () => {
+      expect(() =>
+        imageTypeOf({ ...fileOf(PNG, 'big.png'), size: 6 * 1024 * 1024 })
+      ).toThrow('big.png is larger than 5 MB');
+    });
+  });
+
+  describe('TC-STO-002: getStorage', () => {
+    it('should use the configured driver', () => {
+      process.env.STORAGE_DRIVER = 'cloudinary';
+      expect(getStorage().code).toBe('cloudinary');
+      process.env.STORAGE_DRIVER = 'ftp';
+      expect(() => getStorage()).toThrow('Unknown storage driver: ftp');
+    });
+
+    it('should fall back to the local disk without Cloudinary settings', () => {
+      delete process.env.STORAGE_DRIVER;
+      delete process.env.CLOUDINARY_CLOUD_NAME;
+      expect(getStorage().code).toBe('local');
+    });
+  });
+
+  describe('TC-STO-003: local storage', () => {
+    const save = (buffer) =>
+      localStorage.save({
+        buffer,
+        hash: contentHash(buffer),
+        extension: 'png',
+        mimetype: 'image/png',
+      });
+
+    it('should store a file once under its content hash', async () => {
+      const first = await save(PNG);
+      const second = await save(PNG);
+
+      const name = `${contentHash(PNG)}.png`;
+      expect(first).toEqual({ url: `/uploads/${name}`, publicId: name });
+      expect(second).toEqual(first);
+      expect(fs.readdirSync(uploadDir)).toEqual([name]);
+    });
+
+    it('should remove files and ignore missing ones', async () => {
+      const { publicId } = await save(PNG);
+      await localStorage.remove(publicId);
+      await localStorage.remove(publicId);
+      expect(fs.readdirSync(uploadDir)).toEqual([]);
+    });
+
+    it('should not remove files outside of the upload directory', async () => {
+      const outside = path.join(path.dirname(uploadDir), `keep-${Date.now()}.txt`);
+      fs.writeFileSync(outside, 'keep');
+      await localStorage.remove(`../${path.basename(outside)}`);
+      expect(fs.existsSync(outside)).toBe(true);
+      fs.unlinkSync(outside);
+    });
+  });
+});
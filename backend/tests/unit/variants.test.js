@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import {
+  findVariant,
+  totalVariantStock,
+  variantFields,
+  variantLabel,
+} from '../../services/variants.js';
+
+describe('Variant Service Tests', () => {
+  describe('TC-VAR-001: variantFields', () => {
+    it('should trim the fields and keep an empty price as no override', () => {
+      expect(
+        variantFields([
+          { sku: ' TS-M-RED ', size: 'M ', color: ' Red', price: '', countInStock: '3' },
+          { sku: 'TS-L-RED', size: 'L', color: 'Red', price: '12.5', countInStock: 0 },
+        ])
+      ).toEqual([
+        { sku: 'TS-M-RED', size: 'M', color: 'Red', price: undefined, countInStock: 3, image: '' },
+        { sku: 'TS-L-RED', size: 'L', color: 'Red', price: 12.5, countInStock: 0, image: '' },
+      ]);
+    });
+
+    it('should reject missing SKUs, options and invalid stock', () => {
+      expect(() => variantFields([{ size: 'M', countInStock: 1 }])).toThrow(
+        'SKU is required for variant M'
+      );
+      expect(() => variantFields([{ sku: 'A', countInStock: 1 }])).toThrow(
+        'Variant A needs a size or a color'
+      );
+      expect(() => variantFields([{ sku: 'A', size: 'M', countInStock: 1.5 }])).toThrow(
+        'Invalid stock for variant M'
+      );
+    });
+
+    it('should reject duplicate SKUs and option combinations', () => {
+      expect(() =>
+        variantFields([
+          { sku: 'A', size: 'M', countInStock: 1 },
+          { sku: 'a', size: 'L', countInStock: 1 },
+        ])
+      ).toThrow('Each variant needs its own SKU');
+      expect(() =>
+        variantFields([
+          { sku: 'A', size: 'M', color: 'Red', countInStock: 1 },
+          { sku: 'B', size: 'm', color: 'red', countInStock: 1 },
+        ])
+      ).toThrow('Each size and color combination can only be listed once');
+    });
+  });
+
+  describe('TC-VAR-002: findVariant', () => {
+    const variantId = new mongoose.Types.ObjectId();
+    const product = {
+      name: 'T-Shirt',
+      variants: [{ _id: variantId, sku: 'TS-M', size: 'M', countInStock: 2 }],
+    };
+
+    it('should find the chosen variant', () => {
+      expect(findVariant(product, variantId.toString()).sku).toBe('TS-M');
+    });
+
+    it('should require a variant for products that have them', () => {
+      expect(() => findVariant(product)).toThrow(
+        'Please choose a size or color for T-Shirt'
+      );
+      expect(() => findVariant(product, new mongoose.Types.ObjectId())).toThrow(
+        'Variant Not Found for T-Shirt'
+      );
+    });
+
+    it('should ignore variants for products without them', () => {
+      expect(findVariant({ name: 'Cap', variants: [] })).toBeNull();
+      expect(() => findVariant({ name: 'Cap', variants: [] }, variantId)).toThrow(
+        'Cap has no variants'
+      );
+    });
+  });
+
+  describe('TC-VAR-003: labels and totals', () => {
+    it('should label variants and sum their stock', () => {
+      expect(variantLabel({ size: 'M', color: 'Red' })).toBe('M / Red');
+      expect(variantLabel({ size: '', color: 'Red' })).toBe('Red');
+      expect(totalVariantStock([{ countInStock: 2 }, { countInStock: 5 }])).toBe(7);
+    });
+  });
+});
@@ -21,6 +21,7 @@ import {
   createTestOrder,
   createTestCart,
 } from '../integration/setup.js';
+import { mockPayPalCapture } from '../mocks/paypalServer.js';
 import Order from '../../models/orderModel.js';
 import Cart from '../../models/cartModel.js';
 
@@ -115,8 +116,8 @@ describe('White-box Security Testing - Order Management', () => {
         .send(orderData);
       
       expect(res.status).toBe(201);
-      // Data được lưu, cần sanitize khi hiển thị
-      expect(res.body.order.orderItems[0].name).toBe(xssPayload);
+      // Tên sản phẩm lấy từ Product trên server, bỏ qua dữ liệu client gửi lên
+      expect(res.body.order.orderItems[0].name).toBe(testProduct.name);
     });
 
     it('WB-ORD-SEC-002b: XSS trong địa chỉ giao hàng', async () => {
@@ -163,8 +164,11 @@ describe('White-box Security Testing - Order Management', () => {
         .set('Authorization', `Bearer ${userToken}`)
         .send(orderData);
       
-      // Hệ thống nên validate giá không âm
-      expect(res.status).toBe(201); // BUG: Nên reject giá âm
+      // Giá được tính lại từ Product trên server, giá âm từ client bị bỏ qua
+      expect(res.status).toBe(201);
+      expect(res.body.order.orderItems[0].price).toBe(testProduct.price);
+      expect(res.body.order.totalPrice).toBeGreaterThan(0);
+      expect(res.body.repriced).toBe(true);
     });
 
     it('WB-ORD-SEC-002e: Số lượng = 0 hoặc âm', async () => {
@@ -179,7 +183,8 @@ describe('White-box Security Testing - Order Management', () => {
         .set('Authorization', `Bearer ${userToken}`)
         .send(orderData);
       
-      expect(res.status).toBe(201); // BUG: Nên validate quantity > 0
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(`Invalid quantity for ${testProduct.name}`);
     });
   });
 
@@ -205,7 +210,7 @@ describe('White-box Security Testing - Order Management', () => {
       const res = await request(app)
         .put(`/api/orders/${order._id}/pay`)
         .set('Authorization', `Bearer ${userToken}`)
-        .send({ id: 'PAY123', status: 'COMPLETED', update_time: new Date().toISOString(), email_address: 'test@test.com' });
+        .send(mockPayPalCapture(order, { id: 'PAY123' }));
       
       expect(res.status).toBe(200);
       expect(res.body.order.isPaid).toBe(true);
@@ -219,7 +224,7 @@ describe('White-box Security Testing - Order Management', () => {
       const res = await request(app)
         .put(`/api/orders/${otherOrder._id}/pay`)
         .set('Authorization', `Bearer ${userToken}`)
-        .send({ id: 'PAY123', status: 'COMPLETED' });
+        .send(mockPayPalCapture(otherOrder));
       
       // BUG: Hiện tại cho phép - cần fix để chỉ owner mới được thanh toán
       expect(res.status).toBe(200); // Nên là 403 Forbidden
@@ -254,9 +259,9 @@ describe('White-box Security Testing - Order Management', () => {
         .set('Authorization', `Bearer ${userToken}`)
         .send({ id: 'FAKE_PAYMENT_ID', status: 'COMPLETED' });
       
-      // Hệ thống nên verify với PayPal API
-      expect(res.status).toBe(200); // BUG: Không verify payment
-      expect(res.body.order.paymentResult.id).toBe('FAKE_PAYMENT_ID');
+      // Payment ID được verify với PayPal API
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('PayPal order not found');
     });
 
     it('WB-ORD-SEC-004b: Giả mạo payment status', async () => {
@@ -264,10 +269,11 @@ describe('White-box Security Testing - Order Management', () => {
       const res = await request(app)
         .put(`/api/orders/${order._id}/pay`)
         .set('Authorization', `Bearer ${userToken}`)
-        .send({ id: 'PAY123', status: 'FAKE_STATUS' });
+        .send({ ...mockPayPalCapture(order), status: 'FAKE_STATUS' });
       
+      // Status lấy từ PayPal, bỏ qua giá trị client gửi lên
       expect(res.status).toBe(200);
-      expect(res.body.order.paymentResult.status).toBe('FAKE_STATUS');
+      expect(res.body.order.paymentResult.status).toBe('COMPLETED');
     });
 
     it('WB-ORD-SEC-004c: Thanh toán lại đơn hàng đã thanh toán', async () => {
@@ -280,10 +286,10 @@ describe('White-box Security Testing - Order Management', () => {
       const res = await request(app)
         .put(`/api/orders/${order._id}/pay`)
         .set('Authorization', `Bearer ${userToken}`)
-        .send({ id: 'NEW_PAY', status: 'COMPLETED' });
+        .send(mockPayPalCapture(order, { id: 'NEW_PAY' }));
       
-      // BUG: Cho phép thanh toán lại - nên reject
-      expect(res.status).toBe(200);
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Order is already paid');
     });
 
     it('WB-ORD-SEC-004d: XSS trong payment email', async () => {
@@ -292,10 +298,11 @@ describe('White-box Security Testing - Order Management', () => {
       const res = await request(app)
         .put(`/api/orders/${order._id}/pay`)
         .set('Authorization', `Bearer ${userToken}`)
-        .send({ id: 'PAY123', status: 'COMPLETED', email_address: xssEmail });
+        .send({ ...mockPayPalCapture(order), email_address: xssEmail });
       
+      // Email lấy từ PayPal, không lưu dữ liệu client gửi lên
       expect(res.status).toBe(200);
-      expect(res.body.order.paymentResult.email_address).toBe(xssEmail);
+      expect(res.body.order.paymentResult.email_address).toBe('buyer@example.com');
     });
   });
 
@@ -376,8 +383,9 @@ describe('White-box Security Testing - Order Management', () => {
         .set('Authorization', `Bearer ${adminToken}`)
         .send({ status: 'InvalidStatus' });
       
-      // Mongoose enum validation sẽ reject
-      expect(res.status).toBe(500);
+      // State machine reject status không nằm trong enum
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid order status');
     });
 
     it('WB-ORD-SEC-006d: XSS trong status field', async () => {
@@ -387,8 +395,8 @@ describe('White-box Security Testing - Order Management', () => {
         .set('Authorization', `Bearer ${adminToken}`)
         .send({ status: "<script>alert('xss')</script>" });
       
-      // Enum validation sẽ reject
-      expect(res.status).toBe(500);
+      // State machine reject status không nằm trong enum
+      expect(res.status).toBe(400);
     });
 
     it('WB-ORD-SEC-006e: NoSQL Injection trong status', async () => {
@@ -398,7 +406,7 @@ describe('White-box Security Testing - Order Management', () => {
         .set('Authorization', `Bearer ${adminToken}`)
         .send({ status: { $ne: null } });
       
-      expect(res.status).toBe(500);
+      expect(res.status).toBe(400);
     });
   });
 
@@ -510,6 +518,7 @@ describe('White-box Security Testing - Order Management', () => {
   describe('WB-ORD-SEC-010: COD Payment - Business Logic', () => {
     it('WB-ORD-SEC-010a: COD tự động đánh dấu paid khi Delivered', async () => {
       const codOrder = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'COD',
         isPaid: false,
       });
@@ -526,6 +535,7 @@ describe('White-box Security Testing - Order Management', () => {
 
     it('WB-ORD-SEC-010b: PayPal không tự động paid khi Delivered', async () => {
       const paypalOrder = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'PayPal',
         isPaid: false,
       });
@@ -541,6 +551,7 @@ describe('White-box Security Testing - Order Management', () => {
 
     it('WB-ORD-SEC-010c: Cart bị xóa sau khi COD delivered', async () => {
       const codOrder = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'COD',
         isPaid: false,
       });
@@ -14,6 +14,7 @@ import {
   createTestOrder,
   createTestCart,
 } from '../integration/setup.js';
+import { mockPayPalCapture } from '../mocks/paypalServer.js';
 import Order from '../../models/orderModel.js';
 import Cart from '../../models/cartModel.js';
 
@@ -65,12 +66,7 @@ describe('White-box Testing - Order Routes', () => {
       const order = await createTestOrder(regularUser._id, testProduct._id);
       await createTestCart(regularUser._id, testProduct._id);
       
-      const paymentResult = {
-        id: 'PAY-123',
-        status: 'COMPLETED',
-        update_time: new Date().toISOString(),
-        email_address: 'test@test.com',
-      };
+      const paymentResult = mockPayPalCapture(order, { id: 'PAY-123' });
 
       const res = await request(app)
         .put(`/api/orders/${order._id}/pay`)
@@ -103,7 +99,7 @@ describe('White-box Testing - Order Routes', () => {
       await request(app)
         .put(`/api/orders/${order._id}/pay`)
         .set('Authorization', `Bearer ${userToken}`)
-        .send({ id: 'PAY-123', status: 'COMPLETED' });
+        .send(mockPayPalCapture(order));
 
       // Verify cart is deleted after payment
       cart = await Cart.findOne({ user: regularUser._id });
@@ -142,7 +138,7 @@ describe('White-box Testing - Order Routes', () => {
 
     // Path 3: Update to Shipping (not Delivered, not Cancelled)
     it('WB-008: Path - Update to Shipping', async () => {
-      const order = await createTestOrder(regularUser._id, testProduct._id);
+      const order = await createTestOrder(regularUser._id, testProduct._id, { status: 'Processing' });
       
       const res = await request(app)
         .put(`/api/orders/${order._id}/status`)
@@ -156,6 +152,7 @@ describe('White-box Testing - Order Routes', () => {
     // Path 4: Update to Delivered with PayPal (already paid)
     it('WB-009: Path - Delivered with PayPal (already paid)', async () => {
       const order = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'PayPal',
         isPaid: true,
         paidAt: new Date(),
@@ -175,6 +172,7 @@ describe('White-box Testing - Order Routes', () => {
     // Path 5: Update to Delivered with COD (not paid) - should mark as paid
     it('WB-010: Path - Delivered with COD (marks as paid)', async () => {
       const order = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'COD',
         isPaid: false,
       });
@@ -195,6 +193,7 @@ describe('White-box Testing - Order Routes', () => {
     // Path 6: Update to Delivered with COD (already paid)
     it('WB-011: Path - Delivered with COD (already paid)', async () => {
       const order = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'COD',
         isPaid: true,
         paidAt: new Date(),
@@ -231,6 +230,7 @@ describe('White-box Testing - Order Routes', () => {
     // Condition: paymentMethod === 'COD' (true) && !isPaid (true)
     it('WB-013: COD=true, isPaid=false -> should mark as paid', async () => {
       const order = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'COD',
         isPaid: false,
       });
@@ -246,6 +246,7 @@ describe('White-box Testing - Order Routes', () => {
     // Condition: paymentMethod === 'COD' (true) && !isPaid (false)
     it('WB-014: COD=true, isPaid=true -> should not change payment', async () => {
       const order = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'COD',
         isPaid: true,
         paidAt: new Date(),
@@ -264,6 +265,7 @@ describe('White-box Testing - Order Routes', () => {
     // Condition: paymentMethod === 'COD' (false) && !isPaid (true)
     it('WB-015: PayPal, isPaid=false -> should not auto-mark as paid', async () => {
       const order = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'PayPal',
         isPaid: false,
       });
@@ -280,6 +282,7 @@ describe('White-box Testing - Order Routes', () => {
     // Condition: paymentMethod === 'COD' (false) && !isPaid (false)
     it('WB-016: PayPal, isPaid=true -> normal delivery', async () => {
       const order = await createTestOrder(regularUser._id, testProduct._id, {
+        status: 'Shipping',
         paymentMethod: 'PayPal',
         isPaid: true,
         paidAt: new Date(),
@@ -354,16 +357,17 @@ describe('White-box Testing - Order Routes', () => {
    */
   describe('Boundary Testing', () => {
     it('WB-019: Order with minimum price (0)', async () => {
+      const freeProduct = await createTestProduct({ name: 'Free Item', slug: 'free', price: 0 });
       const orderData = {
         orderItems: [
-          { _id: testProduct._id.toString(), slug: 'free', name: 'Free Item', quantity: 1, image: '/free.jpg', price: 0 },
+          { _id: freeProduct._id.toString(), slug: 'free', name: 'Free Item', quantity: 1, image: '/free.jpg', price: 0 },
         ],
         shippingAddress: { fullName: 'Test', address: '123 St', city: 'City', postalCode: '12345', country: 'VN' },
         paymentMethod: 'PayPal',
         itemsPrice: 0,
-        shippingPrice: 0,
+        shippingPrice: 10,
         taxPrice: 0,
-        totalPrice: 0,
+        totalPrice: 10,
       };
 
       const res = await request(app)
@@ -372,13 +376,16 @@ describe('White-box Testing - Order Routes', () => {
         .send(orderData);
 
       expect(res.status).toBe(201);
-      expect(res.body.order.totalPrice).toBe(0);
+      expect(res.body.order.itemsPrice).toBe(0);
+      // Shipping is still charged below the free-shipping threshold
+      expect(res.body.order.totalPrice).toBe(10);
     });
 
     it('WB-020: Order with high quantity', async () => {
+      const bulkProduct = await createTestProduct({ name: 'Bulk Item', slug: 'bulk', countInStock: 10000 });
       const orderData = {
         orderItems: [
-          { _id: testProduct._id.toString(), slug: 'bulk', name: 'Bulk Item', quantity: 9999, image: '/bulk.jpg', price: 1 },
+          { _id: bulkProduct._id.toString(), slug: 'bulk', name: 'Bulk Item', quantity: 9999, image: '/bulk.jpg', price: 1 },
         ],
         shippingAddress: { fullName: 'Test', address: '123 St', city: 'City', postalCode: '12345', country: 'VN' },
         paymentMethod: 'COD',
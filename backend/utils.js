@@ -41,6 +41,22 @@ const authorization = req.headers.authorization;
 };
 
 
+// For routes open to everyone that show more to signed in users, e.g. drafts
+// to admins. Sets req.user when the request has a valid token, never rejects.
+export const optionalAuth = (req, res, next) => {
+  const authorization = req.headers.authorization;
+  if (!authorization) {
+    return next();
+  }
+  jwt.verify(authorization.slice(7), process.env.JWT_SECRET, (err, decode) => {
+    if (!err) {
+      req.user = decode;
+    }
+    next();
+  });
+};
+
+
 // middleware to check if user is an admin.
 export const isAdmin = (req, res, next) => {
   // verifies that req.user exists and has the isAdmin property set to true.
@@ -50,4 +66,20 @@ export const isAdmin = (req, res, next) => {
   } else {
         res.status(401).send({ message: 'Invalid Admin Token' });
   }
-};
\ No newline at end of file
+};
+
+// Error carrying an HTTP status code. Thrown from route handlers or services,
+// it is turned into a `{ message, ...details }` response by the error middleware.
+export class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Case- and whitespace-insensitive comparison for names typed by people,
+// e.g. countries and cities in addresses and admin tables.
+export const sameText = (a, b) =>
+  String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
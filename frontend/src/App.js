@@ -19,6 +19,7 @@ import NavDropdown from "react-bootstrap/NavDropdown";
 import "react-toastify/dist/ReactToastify.css";
 import ShippingAddressScreen from "./screens/ShippingAddressScreen";
 import SignupScreen from "./screens/SignupScreen";
+import ShippingMethodScreen from "./screens/ShippingMethodScreen";
 import PaymentMethodScreen from "./screens/PaymentMethodScreen";
 import PlaceOrderScreen from "./screens/PlaceOrderScreen";
 import OrderScreen from "./screens/OrderScreen";
@@ -28,6 +29,7 @@ import { getError } from "./utils";
 import axios from "axios";
 import { Toast } from "react-bootstrap";
 import SearchBox from "./components/SearchBox";
+import CategoryTree from "./components/CategoryTree";
 import SearchScreen from "./screens/SearchScreen";
 import { ToastContainer } from "react-toastify";
 import ProtectedRoute from "./components/ProtectedRoute";
@@ -38,6 +40,18 @@ import ProductEditScreen from "./screens/ProductEditScreen";
 import OrderListScreen from "./screens/OrderListScreen";
 import UserListScreen from "./screens/UserListScreen";
 import UserEditScreen from "./screens/UserEditScreen";
+import CouponListScreen from "./screens/CouponListScreen";
+import CouponEditScreen from "./screens/CouponEditScreen";
+import TaxRuleListScreen from "./screens/TaxRuleListScreen";
+import ShippingZoneListScreen from "./screens/ShippingZoneListScreen";
+import ShippingZoneEditScreen from "./screens/ShippingZoneEditScreen";
+import ExchangeRateListScreen from "./screens/ExchangeRateListScreen";
+import CategoryListScreen from "./screens/CategoryListScreen";
+import BrandListScreen from "./screens/BrandListScreen";
+import ProductImportScreen from "./screens/ProductImportScreen";
+import ProductExportScreen from "./screens/ProductExportScreen";
+import TrashScreen from "./screens/TrashScreen";
+import InvoiceScreen from "./screens/InvoiceScreen";
 import AboutUs from "./screens/AboutUsScreen";
 import HowToScreen from "./screens/HowToScreen";
 
@@ -63,7 +77,7 @@ function AppContent() {
   useEffect(() => {
     const fetchCategories = async () => {
       try {
-        const { data } = await axios.get(`/api/products/categories`);
+        const { data } = await axios.get("/api/categories");
         setCategories(data);
       } catch (err) {
         Toast.error(getError(err));
@@ -72,6 +86,18 @@ function AppContent() {
     fetchCategories();
   }, []);
 
+  useEffect(() => {
+    const fetchCurrencies = async () => {
+      try {
+        const { data } = await axios.get("/api/currencies");
+        ctxDispatch({ type: "CURRENCIES_LOADED", payload: data });
+      } catch (err) {
+        console.error("Failed to load currencies:", err);
+      }
+    };
+    fetchCurrencies();
+  }, [ctxDispatch]);
+
   useEffect(() => {
     const loadCartFromDB = async () => {
       if (userInfo && userInfo.token) {
@@ -146,6 +172,25 @@ function AppContent() {
                       <Navbar.Brand>How To..</Navbar.Brand>
                     </LinkContainer>
 
+                    {state.currencies.length > 1 && (
+                      <NavDropdown title={state.currency} id="currency-nav-dropdown">
+                        {state.currencies.map((x) => (
+                          <NavDropdown.Item
+                            key={x.currency}
+                            active={x.currency === state.currency}
+                            onClick={() =>
+                              ctxDispatch({
+                                type: "SET_CURRENCY",
+                                payload: x.currency,
+                              })
+                            }
+                          >
+                            {x.currency}
+                          </NavDropdown.Item>
+                        ))}
+                      </NavDropdown>
+                    )}
+
                     <Link to="/cart" className="nav-link">
                       Cart
                       {cart.cartItems.length > 0 && (
@@ -197,6 +242,14 @@ function AppContent() {
                       <NavDropdown.Item>Products</NavDropdown.Item>
                     </LinkContainer>
 
+                    <LinkContainer to="/admin/categories">
+                      <NavDropdown.Item>Categories</NavDropdown.Item>
+                    </LinkContainer>
+
+                    <LinkContainer to="/admin/brands">
+                      <NavDropdown.Item>Brands</NavDropdown.Item>
+                    </LinkContainer>
+
                     <LinkContainer to="/admin/orders">
                       <NavDropdown.Item>Orders</NavDropdown.Item>
                     </LinkContainer>
@@ -204,6 +257,26 @@ function AppContent() {
                     <LinkContainer to="/admin/users">
                       <NavDropdown.Item>Users</NavDropdown.Item>
                     </LinkContainer>
+
+                    <LinkContainer to="/admin/coupons">
+                      <NavDropdown.Item>Coupons</NavDropdown.Item>
+                    </LinkContainer>
+
+                    <LinkContainer to="/admin/tax-rules">
+                      <NavDropdown.Item>Tax Rules</NavDropdown.Item>
+                    </LinkContainer>
+
+                    <LinkContainer to="/admin/shipping-zones">
+                      <NavDropdown.Item>Shipping Zones</NavDropdown.Item>
+                    </LinkContainer>
+
+                    <LinkContainer to="/admin/exchange-rates">
+                      <NavDropdown.Item>Exchange Rates</NavDropdown.Item>
+                    </LinkContainer>
+
+                    <LinkContainer to="/admin/trash">
+                      <NavDropdown.Item>Trash</NavDropdown.Item>
+                    </LinkContainer>
                   </NavDropdown>
                 )}
               </Nav>
@@ -225,19 +298,10 @@ function AppContent() {
             <Nav.Item>
               <strong>Categories</strong>
             </Nav.Item>
-            {categories.map((category) => (
-              <Nav.Item key={category}>
-                <LinkContainer
-                  to={{
-                    pathname: "/search",
-                    search: `?category=${category}`,
-                  }}
-                  onClick={() => setSidebarIsOpen(false)}
-                >
-                  <Nav.Link>{category}</Nav.Link>
-                </LinkContainer>
-              </Nav.Item>
-            ))}
+            <CategoryTree
+              categories={categories}
+              onSelect={() => setSidebarIsOpen(false)}
+            />
           </Nav>
         </div>
       )}
@@ -250,6 +314,7 @@ function AppContent() {
             <Route path="/about" element={<AboutUs />} />
             <Route path="/howto" element={<HowToScreen />} />
             <Route path="/search" element={<SearchScreen />} />
+            <Route path="/brand/:slug" element={<SearchScreen />} />
             <Route path="/signin" element={<SigninScreen />} />
             <Route path="/signup" element={<SignupScreen />} />
 
@@ -270,6 +335,14 @@ function AppContent() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/order/:id/invoice"
+              element={
+                <ProtectedRoute>
+                  <InvoiceScreen />
+                </ProtectedRoute>
+              }
+            />
 
             <Route
               path="/orderhistory"
@@ -281,6 +354,10 @@ function AppContent() {
             />
 
             <Route path="/shipping" element={<ShippingAddressScreen />} />
+            <Route
+              path="/shipping-method"
+              element={<ShippingMethodScreen />}
+            />
             <Route path="/payment" element={<PaymentMethodScreen />} />
 
             {/* Admin Routes */}
@@ -311,6 +388,24 @@ function AppContent() {
               }
             />
 
+            <Route
+              path="/admin/products/import"
+              element={
+                <AdminRoute>
+                  <ProductImportScreen />
+                </AdminRoute>
+              }
+            />
+
+            <Route
+              path="/admin/products/export"
+              element={
+                <AdminRoute>
+                  <ProductExportScreen />
+                </AdminRoute>
+              }
+            />
+
             <Route
               path="/admin/product/:id"
               element={
@@ -320,6 +415,24 @@ function AppContent() {
               }
             />
 
+            <Route
+              path="/admin/categories"
+              element={
+                <AdminRoute>
+                  <CategoryListScreen />
+                </AdminRoute>
+              }
+            />
+
+            <Route
+              path="/admin/brands"
+              element={
+                <AdminRoute>
+                  <BrandListScreen />
+                </AdminRoute>
+              }
+            />
+
             <Route
               path="/admin/users"
               element={
@@ -338,6 +451,69 @@ function AppContent() {
               }
             />
 
+            <Route
+              path="/admin/coupons"
+              element={
+                <AdminRoute>
+                  <CouponListScreen />
+                </AdminRoute>
+              }
+            />
+
+            <Route
+              path="/admin/coupon/:id"
+              element={
+                <AdminRoute>
+                  <CouponEditScreen />
+                </AdminRoute>
+              }
+            />
+
+            <Route
+              path="/admin/tax-rules"
+              element={
+                <AdminRoute>
+                  <TaxRuleListScreen />
+                </AdminRoute>
+              }
+            />
+
+            <Route
+              path="/admin/shipping-zones"
+              element={
+                <AdminRoute>
+                  <ShippingZoneListScreen />
+                </AdminRoute>
+              }
+            />
+
+            <Route
+              path="/admin/shipping-zone/:id"
+              element={
+                <AdminRoute>
+                  <ShippingZoneEditScreen />
+                </AdminRoute>
+              }
+            />
+
+            <Route
+              path="/admin/exchange-rates"
+              element={
+                <AdminRoute>
+                  <ExchangeRateListScreen />
+                </AdminRoute>
+              }
+            />
+
+            <Route
+              path="/admin/trash"
+              element={
+                <AdminRoute>
+                  <TrashScreen />
+                </AdminRoute>
+              }
+            />
+
             <Route path="/" element={<HomeScreen />} />
           </Routes>
         </Container>
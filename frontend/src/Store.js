@@ -5,6 +5,7 @@
 
 import { createContext, useReducer } from 'react';
 import Axios from 'axios';
+import { cartItemKey } from './utils';
 
 // Creates a React context named 'Store'. Contexts are used to share values like state and functions throughout a component tree.
 // allows components to consume the global state using 'useContext(Store)'. 
@@ -20,12 +21,18 @@ const initialState = {              // initializes initialState with an object.
     localStorage.getItem ('userInfo')       // retrieve the value associated with the key 'userInfo' from the browser's local storage.
       ? JSON.parse (localStorage.getItem ('userInfo')) // If truthy, there is a stored user information string. It uses JSON.parse to convert this string into a JavaScript object.
       : null ,    // If falsy, it means there is no stored user information, and it assigns null to userInfo.
+    // Display currency picked in the navbar and the rates to convert to it
+    currency: localStorage.getItem ('currency') || 'USD',
+    currencies: [],
     cart:         // Defines second property named cart
     {
       // Defines a property named shippingAddress within the cart object. and retrieves the value associated with the key 'shippingAddress' from local storage. 
       shippingAddress: localStorage.getItem ('shippingAddress')
         ? JSON.parse(localStorage.getItem ('shippingAddress'))
         : {},
+      shippingMethod: localStorage.getItem ('shippingMethod')
+        ? localStorage.getItem ('shippingMethod')
+        : '',
       paymentMethod: localStorage.getItem ('paymentMethod')
         ? localStorage.getItem ('paymentMethod')
         : '',
@@ -52,8 +59,8 @@ function reducer(state, action) {
 
     case 'CART_ADD_ITEM':
       const newItem = action.payload;   // Extracts the payload from the action (info about the item to add)
-      const existItem = state.cart.cartItems.find (      // Compares the item's id (_id) with the id of the new item.
-        (item) => item._id === newItem._id
+      const existItem = state.cart.cartItems.find (      // Compares the item's key (product id, plus the variant id if any) with the key of the new item.
+        (item) => cartItemKey(item) === cartItemKey(newItem)
       );
 
       // If the item already exists in the cart, it updates the quantity of the existing item by mapping over the cartItems array and replacing the existing item with the new item.
@@ -61,7 +68,7 @@ function reducer(state, action) {
       // The updated cartItems array is then saved to local storage as a JSON string. (so when refreshing the page the items will still be there).
       const cartItems = existItem
         ? state.cart.cartItems.map ( (item) =>
-            item._id === existItem._id ? newItem : item )
+            cartItemKey(item) === cartItemKey(existItem) ? newItem : item )
         : [...state.cart.cartItems, newItem]; //using the spread (...) operator to create a new array by combining the existing items in state.cart.cartItems 
         // (represents the current array of items in the shopping cart), with a new item (newItem). 
       localStorage.setItem ('cartItems', JSON.stringify(cartItems));     // parameters - key is the local storage, and the string value to save in this key
@@ -90,7 +97,7 @@ function reducer(state, action) {
     case 'CART_REMOVE_ITEM': {
       // filter out the cartItems array, if the item id is not equal to the current id, return it otherwise remove it
       const cartItems = state.cart.cartItems.filter(
-        (item) => item._id !== action.payload._id
+        (item) => cartItemKey(item) !== cartItemKey(action.payload)
       );
       // Saves the updated cartItems array to local storage after converting it to a JSON string.
       localStorage.setItem('cartItems', JSON.stringify(cartItems));
@@ -148,6 +155,7 @@ function reducer(state, action) {
       return {
         ...state,
         cart: {
+          ...state.cart,
           cartItems: loadedCartItems,
           shippingAddress: loadedShippingAddress,
           paymentMethod: loadedPaymentMethod,
@@ -156,6 +164,21 @@ function reducer(state, action) {
 
 
 
+    // Falls back to the base currency when the saved one is no longer offered
+    case 'CURRENCIES_LOADED': {
+      const { base, currencies } = action.payload;
+      const currency = currencies.some((x) => x.currency === state.currency)
+        ? state.currency
+        : base;
+      localStorage.setItem('currency', currency);
+      return { ...state, currencies, currency };
+    }
+
+    case 'SET_CURRENCY':
+      localStorage.setItem('currency', action.payload);
+      return { ...state, currency: action.payload };
+
+
     // Handles the action type for user sign-in.
     case 'USER_SIGNIN':
       // Updates the state with the user information received from the payload.
@@ -169,12 +192,14 @@ function reducer(state, action) {
       localStorage.removeItem('cartItems');
       localStorage.removeItem('shippingAddress');
       localStorage.removeItem('paymentMethod');
+      localStorage.removeItem('shippingMethod');
       return {
         ...state,
         userInfo: null, // reset the userInfo property in the new state to null, indicating that there is no user information after signing out.
         cart: {
           cartItems: [],
           shippingAddress: {},
+          shippingMethod: '',
           paymentMethod: '',
         },
       };
@@ -210,6 +235,19 @@ function reducer(state, action) {
       };
 
 
+    // save the chosen shipping method code (standard / express / pickup); it is
+    // priced again on the backend, so it is only kept locally
+    case 'SAVE_SHIPPING_METHOD':
+      localStorage.setItem('shippingMethod', action.payload);
+      return {
+        ...state,
+        cart: {
+          ...state.cart,
+          shippingMethod: action.payload,
+        },
+      };
+
+
     //save payment method in local storage
     case 'SAVE_PAYMENT_METHOD':
       localStorage.setItem('paymentMethod', action.payload);
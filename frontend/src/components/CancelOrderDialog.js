@@ -0,0 +1,73 @@
+import React, { useContext, useState } from 'react';
+import axios from 'axios';
+import Modal from 'react-bootstrap/Modal';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import { toast } from 'react-toastify';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+// Statuses in which a customer may still cancel their own order.
+export const CANCELLABLE_STATUSES = ['Pending', 'Processing'];
+
+// Modal asking the customer for a cancellation reason, then cancelling the order.
+// onCancelled receives the updated order returned by the backend.
+export default function CancelOrderDialog({ order, show, onHide, onCancelled }) {
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const { data } = await axios.post(
+        `/api/orders/${order._id}/cancel`,
+        { reason },
+        { headers: { authorization: `Bearer ${userInfo.token}` } }
+      );
+      setLoading(false);
+      toast.success(
+        data.refundRequest
+          ? 'Order cancelled, your refund has been requested'
+          : 'Order cancelled'
+      );
+      setReason('');
+      onCancelled(data.order);
+    } catch (err) {
+      setLoading(false);
+      toast.error(getError(err));
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide}>
+      <Form onSubmit={submitHandler}>
+        <Modal.Header closeButton>
+          <Modal.Title>Cancel Order</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group controlId="cancelReason">
+            <Form.Label>Why do you want to cancel this order?</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              required
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="light" onClick={onHide}>
+            Keep Order
+          </Button>
+          <Button type="submit" variant="danger" disabled={loading || !reason.trim()}>
+            Cancel Order
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+}
@@ -0,0 +1,30 @@
+import React from 'react';
+import Nav from 'react-bootstrap/Nav';
+import { LinkContainer } from 'react-router-bootstrap';
+
+// Sidebar links to the search page of each category, subcategories indented
+// under their parent. onSelect is called when a category is picked.
+export default function CategoryTree({ categories, onSelect, depth = 0 }) {
+  return categories.map((category) => (
+    <React.Fragment key={category._id}>
+      <Nav.Item style={{ paddingLeft: `${depth}rem` }}>
+        <LinkContainer
+          to={{
+            pathname: '/search',
+            search: `?category=${category.slug}`,
+          }}
+          onClick={onSelect}
+        >
+          <Nav.Link>{category.name}</Nav.Link>
+        </LinkContainer>
+      </Nav.Item>
+      {category.children.length > 0 && (
+        <CategoryTree
+          categories={category.children}
+          onSelect={onSelect}
+          depth={depth + 1}
+        />
+      )}
+    </React.Fragment>
+  ));
+}
@@ -3,7 +3,7 @@ import Row from 'react-bootstrap/Row';
 import Col from 'react-bootstrap/Col';
 
 // This functional component represents the checkout steps in the shopping cart process.
-// It takes a props object, which includes step1, step2, step3, and step4 properties to indicate the current step's status.
+// It takes a props object, which includes step1 to step5 properties to indicate the current step's status.
 
 export default function CheckoutSteps(props) {
   return (
@@ -14,8 +14,9 @@ export default function CheckoutSteps(props) {
           If the step is completed, it is marked as 'active'. */}
       <Col className= {props.step1 ? 'active' : ''} >Sign-In</Col>
       <Col className= {props.step2 ? 'active' : ''} >Shipping</Col>
-      <Col className= {props.step3 ? 'active' : ''} >Payment</Col>
-      <Col className= {props.step4 ? 'active' : ''} >Place Order</Col>
+      <Col className= {props.step3 ? 'active' : ''} >Delivery</Col>
+      <Col className= {props.step4 ? 'active' : ''} >Payment</Col>
+      <Col className= {props.step5 ? 'active' : ''} >Place Order</Col>
     </Row>
   );
 }
@@ -0,0 +1,177 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import Card from 'react-bootstrap/Card';
+import ListGroup from 'react-bootstrap/ListGroup';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import { toast } from 'react-toastify';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+const PAYMENT_KIND_LABELS = {
+  capture: 'Payment',
+  cod_collection: 'Cash collected',
+  refund: 'Refund',
+};
+
+// Payments ledger of an order with its derived totals. Admins can also
+// settle pending refund requests or record a manual refund from here.
+// onRefunded receives the updated order returned by the backend.
+export default function PaymentLedger({ order, onRefunded }) {
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [refundRequests, setRefundRequests] = useState([]);
+  const [amount, setAmount] = useState('');
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchRefundRequests = async () => {
+      try {
+        const { data } = await axios.get(`/api/orders/${order._id}/refunds`, {
+          headers: { authorization: `Bearer ${userInfo.token}` },
+        });
+        setRefundRequests(data);
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    };
+    if (userInfo.isAdmin) {
+      fetchRefundRequests();
+    }
+  }, [order._id, order.payments, userInfo]);
+
+  const refund = async (body) => {
+    try {
+      setLoading(true);
+      const { data } = await axios.post(
+        `/api/orders/${order._id}/refunds`,
+        body,
+        { headers: { authorization: `Bearer ${userInfo.token}` } }
+      );
+      setLoading(false);
+      setAmount('');
+      setNote('');
+      toast.success('Refund recorded');
+      onRefunded(data.order);
+    } catch (err) {
+      setLoading(false);
+      toast.error(getError(err));
+    }
+  };
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    refund({ amount: Number(amount), note });
+  };
+
+  const pendingRequests = refundRequests.filter((x) => x.status === 'Requested');
+
+  return (
+    <Card className="mb-3">
+      <Card.Body>
+        <Card.Title>Payments</Card.Title>
+        <ListGroup variant="flush">
+          {order.payments.map((payment) => (
+            <ListGroup.Item key={payment._id}>
+              <Row>
+                <Col md={4}>{PAYMENT_KIND_LABELS[payment.kind]}</Col>
+                <Col md={4}>
+                  {new Date(payment.createdAt).toLocaleString()}
+                </Col>
+                <Col md={4}>
+                  {payment.kind === 'refund' ? '-' : ''}$
+                  {payment.amount.toFixed(2)}
+                </Col>
+              </Row>
+              {(payment.providerReference || payment.note) && (
+                <div className="text-muted">
+                  {[payment.providerReference, payment.note]
+                    .filter(Boolean)
+                    .join(' - ')}
+                </div>
+              )}
+            </ListGroup.Item>
+          ))}
+          <ListGroup.Item>
+            <Row>
+              <Col>Paid</Col>
+              <Col>${order.amountPaid.toFixed(2)}</Col>
+            </Row>
+            <Row>
+              <Col>Refunded</Col>
+              <Col>${order.amountRefunded.toFixed(2)}</Col>
+            </Row>
+            <Row>
+              <Col>
+                <strong>Balance</strong>
+              </Col>
+              <Col>
+                <strong>${order.balance.toFixed(2)}</strong>
+              </Col>
+            </Row>
+          </ListGroup.Item>
+          {userInfo.isAdmin &&
+            pendingRequests.map((request) => (
+              <ListGroup.Item key={request._id}>
+                <Row className="align-items-center">
+                  <Col md={8}>
+                    Refund requested: ${request.amount.toFixed(2)}
+                    {request.reason && (
+                      <div className="text-muted">{request.reason}</div>
+                    )}
+                  </Col>
+                  <Col md={4}>
+                    <Button
+                      type="button"
+                      size="sm"
+                      disabled={loading}
+                      onClick={() => refund({ refundRequest: request._id })}
+                    >
+                      Refund
+                    </Button>
+                  </Col>
+                </Row>
+              </ListGroup.Item>
+            ))}
+          {userInfo.isAdmin && order.balance > 0 && (
+            <ListGroup.Item>
+              <Form onSubmit={submitHandler}>
+                <Row>
+                  <Col md={4}>
+                    <Form.Control
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      max={order.balance}
+                      placeholder="Amount"
+                      aria-label="Refund amount"
+                      value={amount}
+                      onChange={(e) => setAmount(e.target.value)}
+                      required
+                    />
+                  </Col>
+                  <Col md={5}>
+                    <Form.Control
+                      placeholder="Note"
+                      aria-label="Refund note"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                    />
+                  </Col>
+                  <Col md={3}>
+                    <Button type="submit" variant="outline-danger" disabled={loading}>
+                      Refund
+                    </Button>
+                  </Col>
+                </Row>
+              </Form>
+            </ListGroup.Item>
+          )}
+        </ListGroup>
+      </Card.Body>
+    </Card>
+  );
+}
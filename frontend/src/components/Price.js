@@ -0,0 +1,37 @@
+import React, { useContext } from 'react';
+import { Store } from '../Store';
+import { BASE_CURRENCY, convertPrice, formatPrice } from '../utils';
+
+// A base-currency amount in the currency picked in the navbar. Orders pass
+// the currency and rate they were charged at instead.
+export default function Price({ amount, currency, rate }) {
+  const { state } = useContext(Store);
+  const selected = currency
+    ? state.currencies.find((x) => x.currency === currency) || {
+        currency,
+        rate,
+        decimals: currency === 'VND' ? 0 : 2,
+      }
+    : state.currencies.find((x) => x.currency === state.currency);
+  if (!selected || selected.currency === BASE_CURRENCY) {
+    return <>{formatPrice(amount)}</>;
+  }
+  return (
+    <>
+      {formatPrice(
+        convertPrice(amount, { ...selected, rate: rate || selected.rate }),
+        selected.currency
+      )}
+    </>
+  );
+}
+
+// One of the amounts of a quote or an order, as converted by the backend.
+// Orders placed before multi-currency only have the base amounts.
+export function ChargedPrice({ prices, field }) {
+  return prices.charged && prices.charged[field] != null ? (
+    <>{formatPrice(prices.charged[field], prices.currency)}</>
+  ) : (
+    <>{formatPrice(prices[field])}</>
+  );
+}
@@ -5,6 +5,8 @@ import Rating from './Rating';
 import axios from 'axios';
 import { useContext, useState } from 'react';
 import { Store } from '../Store';
+import Price from './Price';
+import ResponsiveImage from './ResponsiveImage';
 
 
 
@@ -66,7 +68,13 @@ function Product (props) {
     <Card>
           {/* <Link> from react-router-dom used to navigate to the individual product page. */}
       <Link to={`/product/${product.slug}`}>
-        <img src={product.image} className="card-img-top" alt={product.name} />
+        <ResponsiveImage
+          src={product.image}
+          srcset={product.srcset}
+          sizes="(max-width: 576px) 100vw, (max-width: 992px) 50vw, 25vw"
+          className="card-img-top"
+          alt={product.name}
+        />
       </Link>
 
       <Card.Body>
@@ -76,13 +84,20 @@ function Product (props) {
 
         <Rating rating={product.rating} numReviews={product.numReviews} />
 
-        <Card.Text>${product.price}</Card.Text>
+        <Card.Text>
+          <Price amount={product.price} />
+        </Card.Text>
 
         {/* Conditionally render either a disabled button (if out of stock) or an "Add to Cart" button */}
         {product.countInStock === 0 ? (
           <Button variant="light" disabled>
             Out of stock
           </Button>
+        ) : product.variants && product.variants.length > 0 ? (
+          // Size and color are chosen on the product page
+          <Link to={`/product/${product.slug}`} className="btn btn-primary">
+            Choose options
+          </Link>
         ) : (
 
             // onClick triggers addToCartHandler when the button is clicked
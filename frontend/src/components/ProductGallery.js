@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import Carousel from 'react-bootstrap/Carousel';
+import Modal from 'react-bootstrap/Modal';
+import ResponsiveImage from './ResponsiveImage';
+
+// Product images as a carousel with a thumbnail strip. Hovering the current
+// image zooms in where the pointer is, clicking it opens the full size image.
+// selected is the url to show, e.g. the image of the picked variant.
+export default function ProductGallery({ images, selected, name }) {
+  const [index, setIndex] = useState(0);
+  const [zoomOrigin, setZoomOrigin] = useState(null);
+  const [showFull, setShowFull] = useState(false);
+
+  useEffect(() => {
+    const selectedIndex = images.findIndex((x) => x.url === selected);
+    if (selectedIndex >= 0) {
+      setIndex(selectedIndex);
+    }
+  }, [images, selected]);
+
+  const zoomHandler = (e) => {
+    const { left, top, width, height } = e.currentTarget.getBoundingClientRect();
+    setZoomOrigin(
+      `${((e.clientX - left) / width) * 100}% ${((e.clientY - top) / height) * 100}%`
+    );
+  };
+
+  const current = images[index] || images[0];
+
+  return (
+    <div>
+      <Carousel
+        activeIndex={index}
+        onSelect={(selectedIndex) => setIndex(selectedIndex)}
+        interval={null}
+        indicators={false}
+        controls={images.length > 1}
+        variant="dark"
+      >
+        {images.map((image) => (
+          <Carousel.Item key={image.url}>
+            <div
+              className="gallery-zoom"
+              onMouseMove={zoomHandler}
+              onMouseLeave={() => setZoomOrigin(null)}
+              onClick={() => setShowFull(true)}
+            >
+              <ResponsiveImage
+                className="img-large"
+                src={image.url}
+                srcset={image.srcset}
+                sizes="(max-width: 768px) 100vw, 50vw"
+                alt={image.alt || name}
+                style={
+                  zoomOrigin && image === current
+                    ? { transform: 'scale(2)', transformOrigin: zoomOrigin }
+                    : undefined
+                }
+              />
+            </div>
+          </Carousel.Item>
+        ))}
+      </Carousel>
+
+      {images.length > 1 && (
+        <div className="gallery-thumbnails">
+          {images.map((image, i) => (
+            <button
+              type="button"
+              key={image.url}
+              className={i === index ? 'active' : ''}
+              onClick={() => setIndex(i)}
+              aria-label={`Show image ${i + 1}`}
+            >
+              <ResponsiveImage
+                src={image.url}
+                srcset={image.srcset}
+                sizes="60px"
+                alt={image.alt || name}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+
+      <Modal show={showFull} onHide={() => setShowFull(false)} size="xl" centered>
+        <Modal.Header closeButton>
+          <Modal.Title>{(current && current.alt) || name}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body className="text-center">
+          {current && (
+            <img className="img-large" src={current.url} alt={current.alt || name}></img>
+          )}
+        </Modal.Body>
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import React from 'react';
+
+// An image with the resized copies made by the backend: WebP for browsers
+// that support it, JPEG otherwise. sizes tells the browser how wide the image
+// is displayed so it downloads the smallest copy that is sharp enough.
+// Images that were not resized are shown as a plain img.
+export default function ResponsiveImage({ src, srcset, sizes, alt, ...props }) {
+  if (!srcset) {
+    return <img src={src} alt={alt} {...props}></img>;
+  }
+  return (
+    <picture>
+      <source type="image/webp" srcSet={srcset.webp} sizes={sizes} />
+      <img src={src} srcSet={srcset.jpeg} sizes={sizes} alt={alt} {...props}></img>
+    </picture>
+  );
+}
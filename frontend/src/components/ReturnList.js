@@ -0,0 +1,128 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import Button from 'react-bootstrap/Button';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import LoadingBox from './LoadingBox';
+import MessageBox from './MessageBox';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+// Admin actions available for a return in each status.
+const RETURN_ACTIONS = {
+  Requested: [
+    { action: 'approve', label: 'Approve', variant: 'success' },
+    { action: 'reject', label: 'Reject', variant: 'danger' },
+  ],
+  Approved: [{ action: 'receive', label: 'Receive', variant: 'primary' }],
+};
+
+// Admin table of return requests with approve / reject / receive actions.
+export default function ReturnList() {
+  const navigate = useNavigate();
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [loadingUpdate, setLoadingUpdate] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const { data } = await axios.get('/api/returns', {
+          headers: { Authorization: `Bearer ${userInfo.token}` },
+        });
+        setReturns(data);
+        setLoading(false);
+      } catch (err) {
+        setError(getError(err));
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [userInfo]);
+
+  const actionHandler = async (ret, action) => {
+    const note = window.prompt('Note for the customer (optional)') || undefined;
+    try {
+      setLoadingUpdate(true);
+      const { data } = await axios.put(
+        `/api/returns/${ret._id}/${action}`,
+        { note },
+        { headers: { Authorization: `Bearer ${userInfo.token}` } }
+      );
+      setLoadingUpdate(false);
+      toast.success(data.message);
+      setReturns(
+        returns.map((x) =>
+          x._id === ret._id ? { ...data.return, user: ret.user } : x
+        )
+      );
+    } catch (err) {
+      setLoadingUpdate(false);
+      toast.error(getError(err));
+    }
+  };
+
+  return loading ? (
+    <LoadingBox></LoadingBox>
+  ) : error ? (
+    <MessageBox variant="danger">{error}</MessageBox>
+  ) : returns.length === 0 ? (
+    <MessageBox>No return requests</MessageBox>
+  ) : (
+    <table className="table">
+      <thead>
+        <tr>
+          <th>DATE</th>
+          <th>USER</th>
+          <th>ITEMS</th>
+          <th>REFUND</th>
+          <th>STATUS</th>
+          <th>ACTIONS</th>
+        </tr>
+      </thead>
+      <tbody>
+        {returns.map((ret) => (
+          <tr key={ret._id}>
+            <td>{ret.createdAt.substring(0, 10)}</td>
+            <td>{ret.user ? ret.user.name : 'DELETED USER'}</td>
+            <td>
+              {ret.items.map((item) => (
+                <div key={item._id}>
+                  {item.quantity} x {item.name}: {item.reason}
+                </div>
+              ))}
+            </td>
+            <td>{ret.refundAmount.toFixed(2)}</td>
+            <td>{ret.status}</td>
+            <td>
+              {(RETURN_ACTIONS[ret.status] || []).map((x) => (
+                <Button
+                  key={x.action}
+                  type="button"
+                  size="sm"
+                  variant={x.variant}
+                  className="me-1"
+                  disabled={loadingUpdate}
+                  onClick={() => actionHandler(ret, x.action)}
+                >
+                  {x.label}
+                </Button>
+              ))}
+              <Button
+                type="button"
+                size="sm"
+                variant="light"
+                onClick={() => navigate(`/order/${ret.order}`)}
+              >
+                Order
+              </Button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
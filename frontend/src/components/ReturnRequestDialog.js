@@ -0,0 +1,132 @@
+import React, { useContext, useState } from 'react';
+import axios from 'axios';
+import Modal from 'react-bootstrap/Modal';
+import Form from 'react-bootstrap/Form';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Button from 'react-bootstrap/Button';
+import { toast } from 'react-toastify';
+import { Store } from '../Store';
+import { getError, variantLabel } from '../utils';
+
+// Quantity of each order line that can still be returned, given the
+// returns already requested for the order (rejected ones don't count).
+export const remainingQuantities = (order, returns) => {
+  const remaining = {};
+  order.orderItems.forEach((item) => {
+    remaining[item._id] = item.quantity;
+  });
+  returns
+    .filter((ret) => ret.status !== 'Rejected')
+    .forEach((ret) =>
+      ret.items.forEach((item) => {
+        remaining[item.orderItem] -= item.quantity;
+      })
+    );
+  return remaining;
+};
+
+// Modal letting the customer pick a quantity and a reason per order line.
+// onRequested receives the created return.
+export default function ReturnRequestDialog({
+  order,
+  returns,
+  show,
+  onHide,
+  onRequested,
+}) {
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [lines, setLines] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const remaining = remainingQuantities(order, returns);
+
+  const updateLine = (id, field, value) =>
+    setLines({ ...lines, [id]: { ...lines[id], [field]: value } });
+
+  const items = Object.entries(lines)
+    .filter(([, line]) => Number(line.quantity) > 0)
+    .map(([orderItem, line]) => ({
+      orderItem,
+      quantity: Number(line.quantity),
+      reason: line.reason || '',
+    }));
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const { data } = await axios.post(
+        '/api/returns',
+        { order: order._id, items },
+        { headers: { authorization: `Bearer ${userInfo.token}` } }
+      );
+      setLoading(false);
+      toast.success('Return requested');
+      setLines({});
+      onRequested(data.return);
+    } catch (err) {
+      setLoading(false);
+      toast.error(getError(err));
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Form onSubmit={submitHandler}>
+        <Modal.Header closeButton>
+          <Modal.Title>Request Return</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {order.orderItems.map((item) => (
+            <Row key={item._id} className="align-items-center mb-3">
+              <Col md={4}>
+                {item.name}
+                {item.variant && (
+                  <div className="text-muted">{variantLabel(item)}</div>
+                )}
+              </Col>
+              <Col md={3}>
+                <Form.Select
+                  aria-label={`Quantity of ${item.name} to return`}
+                  value={(lines[item._id] && lines[item._id].quantity) || 0}
+                  onChange={(e) =>
+                    updateLine(item._id, 'quantity', e.target.value)
+                  }
+                  disabled={remaining[item._id] < 1}
+                >
+                  {[...Array(Math.max(remaining[item._id], 0) + 1).keys()].map(
+                    (x) => (
+                      <option key={x} value={x}>
+                        {x}
+                      </option>
+                    )
+                  )}
+                </Form.Select>
+              </Col>
+              <Col md={5}>
+                <Form.Control
+                  placeholder="Reason"
+                  value={(lines[item._id] && lines[item._id].reason) || ''}
+                  onChange={(e) => updateLine(item._id, 'reason', e.target.value)}
+                  required={
+                    !!lines[item._id] && Number(lines[item._id].quantity) > 0
+                  }
+                />
+              </Col>
+            </Row>
+          ))}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="light" onClick={onHide}>
+            Close
+          </Button>
+          <Button type="submit" disabled={loading || items.length === 0}>
+            Request Return
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+}
@@ -0,0 +1,21 @@
+import React from 'react';
+import Price from './Price';
+
+// One line per tax rule applied to an order or a quote. Inclusive taxes are
+// already part of the item prices, so they are only reported. Amounts are
+// shown in the currency (and at the rate) the order is charged in.
+export default function TaxBreakdown({ taxBreakdown, currency, rate }) {
+  if (!taxBreakdown || taxBreakdown.length === 0) {
+    return null;
+  }
+  return (
+    <div className="text-muted small">
+      {taxBreakdown.map((tax) => (
+        <div key={`${tax.name}-${tax.rate}-${tax.inclusive}`}>
+          {tax.name} {tax.rate}%{tax.inclusive ? ' (included)' : ''}:{' '}
+          <Price amount={tax.amount} currency={currency} rate={rate} />
+        </div>
+      ))}
+    </div>
+  );
+}
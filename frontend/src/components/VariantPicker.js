@@ -0,0 +1,62 @@
+import React from 'react';
+import Form from 'react-bootstrap/Form';
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// Size and color selects of a product with variants. onChange receives the
+// variant matching the picked options, or null when there is none.
+export default function VariantPicker({ variants, variant, onChange }) {
+  const sizes = unique(variants.map((x) => x.size));
+  const colors = unique(variants.map((x) => x.color));
+  const size = variant ? variant.size : '';
+  const color = variant ? variant.color : '';
+
+  const pick = (options) => {
+    const picked = { size, color, ...options };
+    // Keep the other option when it exists for the new one, otherwise take
+    // the first variant offering the new option
+    onChange(
+      variants.find((x) => x.size === picked.size && x.color === picked.color) ||
+        variants.find((x) =>
+          Object.entries(options).every(([key, value]) => x[key] === value)
+        ) ||
+        null
+    );
+  };
+
+  return (
+    <>
+      {sizes.length > 0 && (
+        <Form.Group className="mb-2" controlId="variantSize">
+          <Form.Label>Size</Form.Label>
+          <Form.Select value={size} onChange={(e) => pick({ size: e.target.value })}>
+            {!variant && <option value="">Select...</option>}
+            {sizes.map((x) => (
+              <option key={x} value={x}>
+                {x}
+              </option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      )}
+      {colors.length > 0 && (
+        <Form.Group className="mb-2" controlId="variantColor">
+          <Form.Label>Color</Form.Label>
+          <Form.Select value={color} onChange={(e) => pick({ color: e.target.value })}>
+            {!variant && <option value="">Select...</option>}
+            {colors
+              .filter(
+                (x) =>
+                  !size || variants.some((v) => v.size === size && v.color === x)
+              )
+              .map((x) => (
+                <option key={x} value={x}>
+                  {x}
+                </option>
+              ))}
+          </Form.Select>
+        </Form.Group>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,241 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Helmet } from 'react-helmet-async';
+import { Link } from 'react-router-dom';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import { toast } from 'react-toastify';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+const emptyBrand = {
+  name: '',
+  slug: '',
+  logo: '',
+  description: '',
+};
+
+// Admin list of brands. The form below the table creates a brand, or updates
+// the one picked with Edit.
+export default function BrandListScreen() {
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [brands, setBrands] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(emptyBrand);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [refresh, setRefresh] = useState(0);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const { data } = await axios.get('/api/brands');
+        setBrands(data);
+        setLoading(false);
+      } catch (err) {
+        setError(getError(err));
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [refresh]);
+
+  const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+
+  const updateField = (field, value) => setForm({ ...form, [field]: value });
+
+  const editHandler = (brand) => {
+    setEditingId(brand._id);
+    setForm({
+      name: brand.name,
+      slug: brand.slug,
+      logo: brand.logo,
+      description: brand.description,
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyBrand);
+  };
+
+  const uploadLogoHandler = async (e) => {
+    const bodyFormData = new FormData();
+    bodyFormData.append('file', e.target.files[0]);
+    e.target.value = '';
+    try {
+      setSaving(true);
+      const { data } = await axios.post('/api/upload', bodyFormData, config);
+      setSaving(false);
+      setForm((current) => ({ ...current, logo: data.secure_url }));
+      toast.success('Logo uploaded successfully');
+    } catch (err) {
+      setSaving(false);
+      toast.error(getError(err));
+    }
+  };
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const { data } = editingId
+        ? await axios.put(`/api/brands/${editingId}`, form, config)
+        : await axios.post('/api/brands', form, config);
+      setSaving(false);
+      toast.success(data.message);
+      resetForm();
+      setRefresh(refresh + 1);
+    } catch (err) {
+      setSaving(false);
+      toast.error(getError(err));
+    }
+  };
+
+  const deleteHandler = async (brand) => {
+    if (window.confirm('Are you sure to delete?')) {
+      try {
+        await axios.delete(`/api/brands/${brand._id}`, config);
+        toast.success('Brand deleted successfully');
+        setRefresh(refresh + 1);
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    }
+  };
+
+  return (
+    <div>
+      <Helmet>
+        <title>Brands</title>
+      </Helmet>
+      <h1>Brands</h1>
+
+      {loading ? (
+        <LoadingBox></LoadingBox>
+      ) : error ? (
+        <MessageBox variant="danger">{error}</MessageBox>
+      ) : brands.length === 0 ? (
+        <MessageBox>No brands yet</MessageBox>
+      ) : (
+        <table className="table table-striped">
+          <thead>
+            <tr>
+              <th>LOGO</th>
+              <th>NAME</th>
+              <th>SLUG</th>
+              <th>ACTIONS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {brands.map((brand) => (
+              <tr key={brand._id}>
+                <td>
+                  {brand.logo && (
+                    <img src={brand.logo} alt={brand.name} className="brand-logo"></img>
+                  )}
+                </td>
+                <td>
+                  <Link to={`/brand/${brand.slug}`}>{brand.name}</Link>
+                </td>
+                <td>{brand.slug}</td>
+                <td>
+                  <Button
+                    type="button"
+                    variant="light"
+                    size="sm"
+                    onClick={() => editHandler(brand)}
+                  >
+                    Edit
+                  </Button>
+                  &nbsp;
+                  <Button
+                    type="button"
+                    variant="light"
+                    size="sm"
+                    onClick={() => deleteHandler(brand)}
+                  >
+                    Delete
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2>{editingId ? 'Edit Brand' : 'New Brand'}</h2>
+      <Form onSubmit={submitHandler}>
+        <Row>
+          <Col md={6}>
+            <Form.Group className="mb-3" controlId="name">
+              <Form.Label>Name</Form.Label>
+              <Form.Control
+                value={form.name}
+                onChange={(e) => updateField('name', e.target.value)}
+                required
+              />
+            </Form.Group>
+          </Col>
+          <Col md={6}>
+            <Form.Group className="mb-3" controlId="slug">
+              <Form.Label>Slug</Form.Label>
+              <Form.Control
+                value={form.slug}
+                onChange={(e) => updateField('slug', e.target.value)}
+                placeholder="Made from the name"
+              />
+            </Form.Group>
+          </Col>
+          <Col md={6}>
+            <Form.Group className="mb-3" controlId="logo">
+              <Form.Label>Logo</Form.Label>
+              <Form.Control
+                value={form.logo}
+                onChange={(e) => updateField('logo', e.target.value)}
+              />
+            </Form.Group>
+          </Col>
+          <Col md={6}>
+            <Form.Group className="mb-3" controlId="logoFile">
+              <Form.Label>Upload Logo</Form.Label>
+              <Form.Control
+                type="file"
+                accept="image/*"
+                onChange={uploadLogoHandler}
+                disabled={saving}
+              />
+            </Form.Group>
+          </Col>
+          <Col md={12}>
+            <Form.Group className="mb-3" controlId="description">
+              <Form.Label>Description</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                value={form.description}
+                onChange={(e) => updateField('description', e.target.value)}
+              />
+            </Form.Group>
+          </Col>
+        </Row>
+        <div className="mb-3">
+          <Button type="submit" disabled={saving}>
+            {editingId ? 'Update' : 'Create'}
+          </Button>
+          {editingId && (
+            <Button type="button" variant="light" className="ms-2" onClick={resetForm}>
+              Cancel
+            </Button>
+          )}
+        </div>
+      </Form>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import ListGroup from 'react-bootstrap/ListGroup';
 import { Helmet } from 'react-helmet-async';    // for managing the document head.
 import { Store } from '../Store';
 import MessageBox from '../components/MessageBox';
+import Price from '../components/Price';
 import Row from 'react-bootstrap/Row';
 import Col from 'react-bootstrap/Col';
 import { Link } from 'react-router-dom';
@@ -11,6 +12,7 @@ import Button from 'react-bootstrap/Button';
 import Card from 'react-bootstrap/Card';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
+import { cartItemKey, variantLabel } from '../utils';
 
 
 // CartScreen mainly deals with updating the cart, removing items, and providing a clear interface for the user to see and manage their shopping cart.
@@ -31,7 +33,12 @@ export default function CartScreen() {
    // send an axois request to the server, to check if the product is in stock.
    // If the product is available, it dispatches an action (CART_ADD_ITEM) to update the cart with the new quantity.
    const { data } = await axios.get(`/api/products/${item._id}`, { quantity });
-    if (data.countInStock < quantity) {
+    // Lines of products with variants are limited by the variant's stock
+    const stock = item.variant
+      ? (data.variants.find((x) => x._id === item.variant) || { countInStock: 0 })
+          .countInStock
+      : data.countInStock;
+    if (stock < quantity) {
       window.alert('Sorry. Product is out of stock');
       return;
     }
@@ -72,7 +79,7 @@ export default function CartScreen() {
           ) : (
             <ListGroup>
               {cartItems.map ( (item) => (
-                <ListGroup.Item key={item._id} className="my-3">
+                <ListGroup.Item key={cartItemKey(item)} className="my-3">
                   <Row className="align-items-center justify-content-between">
                   
                     {/* displays a summary of the cart in a Card */}
@@ -83,6 +90,9 @@ export default function CartScreen() {
                         className="img-fluid rounded img-thumbnail"
                       ></img>{' '}
                       <Link to={`/product/${item.slug}`}>{item.name}</Link>
+                      {item.variant && (
+                        <div className="text-muted">{variantLabel(item)}</div>
+                      )}
                     </Col>
 
                     {/*button to decrese + increase number of items in the cart*/}
@@ -113,7 +123,7 @@ export default function CartScreen() {
 
                     {/* item price */}
                     <Col md={3} className="d-flex align-items-center">
-                      ${item.price}
+                      <Price amount={item.price} />
                     </Col>
 
 
@@ -149,8 +159,8 @@ export default function CartScreen() {
                   0: This is the initial value of the accumulator (a). */}
                     Subtotal 
                     ( {cartItems.reduce ( (a, c) => a + c.quantity, 0) } {' '}
-                    items ) : $
-                    {cartItems.reduce((a, c) => a + c.price * c.quantity, 0).toFixed(3)}    {/* multiplies the price of each item by its quantity before summing them up. */}
+                    items ) :{' '}
+                    <Price amount={cartItems.reduce((a, c) => a + c.price * c.quantity, 0)} />    {/* multiplies the price of each item by its quantity before summing them up. */}
                   </h3>
                 </ListGroup.Item>
 
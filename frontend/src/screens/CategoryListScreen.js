@@ -0,0 +1,242 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Helmet } from 'react-helmet-async';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import { toast } from 'react-toastify';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import { Store } from '../Store';
+import { flattenCategories, getError } from '../utils';
+
+const emptyCategory = {
+  name: '',
+  slug: '',
+  parent: '',
+  description: '',
+  sortOrder: 0,
+};
+
+// Admin category tree, subcategories indented under their parent. The form
+// below the table creates a category, or updates the one picked with Edit.
+export default function CategoryListScreen() {
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(emptyCategory);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [refresh, setRefresh] = useState(0);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const { data } = await axios.get('/api/categories');
+        setCategories(flattenCategories(data));
+        setLoading(false);
+      } catch (err) {
+        setError(getError(err));
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [refresh]);
+
+  const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+
+  const updateField = (field, value) => setForm({ ...form, [field]: value });
+
+  const editHandler = (category) => {
+    setEditingId(category._id);
+    setForm({
+      name: category.name,
+      slug: category.slug,
+      parent: category.parent || '',
+      description: category.description,
+      sortOrder: category.sortOrder,
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyCategory);
+  };
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const { data } = editingId
+        ? await axios.put(`/api/categories/${editingId}`, form, config)
+        : await axios.post('/api/categories', form, config);
+      setSaving(false);
+      toast.success(data.message);
+      resetForm();
+      setRefresh(refresh + 1);
+    } catch (err) {
+      setSaving(false);
+      toast.error(getError(err));
+    }
+  };
+
+  const deleteHandler = async (category) => {
+    if (window.confirm('Are you sure to delete?')) {
+      try {
+        await axios.delete(`/api/categories/${category._id}`, config);
+        toast.success('Category deleted successfully');
+        setRefresh(refresh + 1);
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    }
+  };
+
+  // A category cannot be moved under itself or one of its subcategories
+  const editingIndex = categories.findIndex((x) => x._id === editingId);
+  const isInEditedBranch = (x, i) => {
+    if (editingIndex < 0 || i < editingIndex) {
+      return false;
+    }
+    const next = categories.findIndex(
+      (y, j) => j > editingIndex && y.depth <= categories[editingIndex].depth
+    );
+    return next < 0 || i < next;
+  };
+
+  return (
+    <div>
+      <Helmet>
+        <title>Categories</title>
+      </Helmet>
+      <h1>Categories</h1>
+
+      {loading ? (
+        <LoadingBox></LoadingBox>
+      ) : error ? (
+        <MessageBox variant="danger">{error}</MessageBox>
+      ) : categories.length === 0 ? (
+        <MessageBox>No categories yet</MessageBox>
+      ) : (
+        <table className="table table-striped">
+          <thead>
+            <tr>
+              <th>NAME</th>
+              <th>SLUG</th>
+              <th>SORT ORDER</th>
+              <th>ACTIONS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map((category) => (
+              <tr key={category._id}>
+                <td style={{ paddingLeft: `${category.depth * 1.5 + 0.5}rem` }}>
+                  {category.name}
+                </td>
+                <td>{category.slug}</td>
+                <td>{category.sortOrder}</td>
+                <td>
+                  <Button
+                    type="button"
+                    variant="light"
+                    size="sm"
+                    onClick={() => editHandler(category)}
+                  >
+                    Edit
+                  </Button>
+                  &nbsp;
+                  <Button
+                    type="button"
+                    variant="light"
+                    size="sm"
+                    onClick={() => deleteHandler(category)}
+                  >
+                    Delete
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2>{editingId ? 'Edit Category' : 'New Category'}</h2>
+      <Form onSubmit={submitHandler}>
+        <Row>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="name">
+              <Form.Label>Name</Form.Label>
+              <Form.Control
+                value={form.name}
+                onChange={(e) => updateField('name', e.target.value)}
+                required
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="slug">
+              <Form.Label>Slug</Form.Label>
+              <Form.Control
+                value={form.slug}
+                onChange={(e) => updateField('slug', e.target.value)}
+                placeholder="Made from the name"
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="parent">
+              <Form.Label>Parent</Form.Label>
+              <Form.Select
+                value={form.parent}
+                onChange={(e) => updateField('parent', e.target.value)}
+              >
+                <option value="">None (top level)</option>
+                {categories
+                  .filter((x, i) => !isInEditedBranch(x, i))
+                  .map((x) => (
+                    <option key={x._id} value={x._id}>
+                      {'\u00a0\u00a0'.repeat(x.depth)}
+                      {x.name}
+                    </option>
+                  ))}
+              </Form.Select>
+            </Form.Group>
+          </Col>
+          <Col md={8}>
+            <Form.Group className="mb-3" controlId="description">
+              <Form.Label>Description</Form.Label>
+              <Form.Control
+                value={form.description}
+                onChange={(e) => updateField('description', e.target.value)}
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="sortOrder">
+              <Form.Label>Sort Order</Form.Label>
+              <Form.Control
+                type="number"
+                step="1"
+                value={form.sortOrder}
+                onChange={(e) => updateField('sortOrder', e.target.value)}
+              />
+            </Form.Group>
+          </Col>
+        </Row>
+        <div className="mb-3">
+          <Button type="submit" disabled={saving}>
+            {editingId ? 'Update' : 'Create'}
+          </Button>
+          {editingId && (
+            <Button type="button" variant="light" className="ms-2" onClick={resetForm}>
+              Cancel
+            </Button>
+          )}
+        </div>
+      </Form>
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+import React, { useContext, useEffect, useReducer, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+import Container from 'react-bootstrap/Container';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import { Helmet } from 'react-helmet-async';
+import { toast } from 'react-toastify';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+const reducer = (state, action) => {
+  switch (action.type) {
+    case 'FETCH_REQUEST':
+      return { ...state, loading: true };
+    case 'FETCH_SUCCESS':
+      return { ...state, loading: false };
+    case 'FETCH_FAIL':
+      return { ...state, loading: false, error: action.payload };
+    case 'UPDATE_REQUEST':
+      return { ...state, loadingUpdate: true };
+    case 'UPDATE_SUCCESS':
+    case 'UPDATE_FAIL':
+      return { ...state, loadingUpdate: false };
+    default:
+      return state;
+  }
+};
+
+export default function CouponEditScreen() {
+  const navigate = useNavigate();
+  const { id: couponId } = useParams();
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [{ loading, error, loadingUpdate }, dispatch] = useReducer(reducer, {
+    loading: true,
+    error: '',
+  });
+
+  const [code, setCode] = useState('');
+  const [description, setDescription] = useState('');
+  const [type, setType] = useState('percentage');
+  const [value, setValue] = useState('');
+  const [minOrderValue, setMinOrderValue] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [usageLimit, setUsageLimit] = useState('');
+  const [perUserLimit, setPerUserLimit] = useState('');
+  const [categories, setCategories] = useState('');
+  const [brands, setBrands] = useState('');
+  const [isActive, setIsActive] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        dispatch({ type: 'FETCH_REQUEST' });
+        const { data } = await axios.get(`/api/coupons/${couponId}`, {
+          headers: { Authorization: `Bearer ${userInfo.token}` },
+        });
+        setCode(data.code);
+        setDescription(data.description);
+        setType(data.type);
+        setValue(data.value);
+        setMinOrderValue(data.minOrderValue);
+        setExpiresAt(data.expiresAt ? data.expiresAt.substring(0, 10) : '');
+        setUsageLimit(data.usageLimit ?? '');
+        setPerUserLimit(data.perUserLimit ?? '');
+        setCategories(data.categories.join(', '));
+        setBrands(data.brands.join(', '));
+        setIsActive(data.isActive);
+        dispatch({ type: 'FETCH_SUCCESS' });
+      } catch (err) {
+        dispatch({ type: 'FETCH_FAIL', payload: getError(err) });
+      }
+    };
+    fetchData();
+  }, [couponId, userInfo]);
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    try {
+      dispatch({ type: 'UPDATE_REQUEST' });
+      await axios.put(
+        `/api/coupons/${couponId}`,
+        {
+          code,
+          description,
+          type,
+          value,
+          minOrderValue,
+          expiresAt,
+          usageLimit,
+          perUserLimit,
+          categories,
+          brands,
+          isActive,
+        },
+        { headers: { Authorization: `Bearer ${userInfo.token}` } }
+      );
+      dispatch({ type: 'UPDATE_SUCCESS' });
+      toast.success('Coupon updated successfully');
+      navigate('/admin/coupons');
+    } catch (err) {
+      toast.error(getError(err));
+      dispatch({ type: 'UPDATE_FAIL' });
+    }
+  };
+
+  return (
+    <Container className="small-container">
+      <Helmet>
+        <title>Edit Coupon {code}</title>
+      </Helmet>
+      <h1>Edit Coupon {code}</h1>
+
+      {loading ? (
+        <LoadingBox></LoadingBox>
+      ) : error ? (
+        <MessageBox variant="danger">{error}</MessageBox>
+      ) : (
+        <Form onSubmit={submitHandler}>
+          <Form.Group className="mb-3" controlId="code">
+            <Form.Label>Code</Form.Label>
+            <Form.Control
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="description">
+            <Form.Label>Description</Form.Label>
+            <Form.Control
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="type">
+            <Form.Label>Type</Form.Label>
+            <Form.Select value={type} onChange={(e) => setType(e.target.value)}>
+              <option value="percentage">Percentage</option>
+              <option value="fixed">Fixed amount</option>
+              <option value="free_shipping">Free shipping</option>
+            </Form.Select>
+          </Form.Group>
+          {type !== 'free_shipping' && (
+            <Form.Group className="mb-3" controlId="value">
+              <Form.Label>
+                {type === 'percentage' ? 'Percent Off' : 'Amount Off'}
+              </Form.Label>
+              <Form.Control
+                type="number"
+                min="0"
+                step="0.01"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                required
+              />
+            </Form.Group>
+          )}
+          <Form.Group className="mb-3" controlId="minOrderValue">
+            <Form.Label>Minimum Order Value</Form.Label>
+            <Form.Control
+              type="number"
+              min="0"
+              step="0.01"
+              value={minOrderValue}
+              onChange={(e) => setMinOrderValue(e.target.value)}
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="expiresAt">
+            <Form.Label>Expires At</Form.Label>
+            <Form.Control
+              type="date"
+              value={expiresAt}
+              onChange={(e) => setExpiresAt(e.target.value)}
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="usageLimit">
+            <Form.Label>Usage Limit (empty for unlimited)</Form.Label>
+            <Form.Control
+              type="number"
+              min="0"
+              value={usageLimit}
+              onChange={(e) => setUsageLimit(e.target.value)}
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="perUserLimit">
+            <Form.Label>Uses Per Customer (empty for unlimited)</Form.Label>
+            <Form.Control
+              type="number"
+              min="0"
+              value={perUserLimit}
+              onChange={(e) => setPerUserLimit(e.target.value)}
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="categories">
+            <Form.Label>Categories (comma separated, empty for all)</Form.Label>
+            <Form.Control
+              value={categories}
+              onChange={(e) => setCategories(e.target.value)}
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="brands">
+            <Form.Label>Brands (comma separated, empty for all)</Form.Label>
+            <Form.Control
+              value={brands}
+              onChange={(e) => setBrands(e.target.value)}
+            />
+          </Form.Group>
+          <Form.Check
+            className="mb-3"
+            type="checkbox"
+            id="isActive"
+            label="Active"
+            checked={isActive}
+            onChange={(e) => setIsActive(e.target.checked)}
+          />
+          <div className="mb-3">
+            <Button disabled={loadingUpdate} type="submit">
+              Update
+            </Button>
+            {loadingUpdate && <LoadingBox></LoadingBox>}
+          </div>
+        </Form>
+      )}
+    </Container>
+  );
+}
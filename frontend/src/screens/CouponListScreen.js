@@ -0,0 +1,189 @@
+import React, { useContext, useEffect, useReducer } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Button from 'react-bootstrap/Button';
+import { Helmet } from 'react-helmet-async';
+import { toast } from 'react-toastify';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+const reducer = (state, action) => {
+  switch (action.type) {
+    case 'FETCH_REQUEST':
+      return { ...state, loading: true };
+    case 'FETCH_SUCCESS':
+      return { ...state, coupons: action.payload, loading: false };
+    case 'FETCH_FAIL':
+      return { ...state, loading: false, error: action.payload };
+    case 'CREATE_REQUEST':
+      return { ...state, loadingCreate: true };
+    case 'CREATE_SUCCESS':
+    case 'CREATE_FAIL':
+      return { ...state, loadingCreate: false };
+    case 'DELETE_REQUEST':
+      return { ...state, loadingDelete: true, successDelete: false };
+    case 'DELETE_SUCCESS':
+      return { ...state, loadingDelete: false, successDelete: true };
+    case 'DELETE_FAIL':
+      return { ...state, loadingDelete: false };
+    case 'DELETE_RESET':
+      return { ...state, loadingDelete: false, successDelete: false };
+    default:
+      return state;
+  }
+};
+
+// Shown in the VALUE column for each coupon type.
+const describeValue = (coupon) =>
+  coupon.type === 'percentage'
+    ? `${coupon.value}%`
+    : coupon.type === 'fixed'
+    ? `$${coupon.value}`
+    : 'Free shipping';
+
+export default function CouponListScreen() {
+  const navigate = useNavigate();
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [
+    { loading, error, coupons, loadingCreate, loadingDelete, successDelete },
+    dispatch,
+  ] = useReducer(reducer, {
+    loading: true,
+    error: '',
+    coupons: [],
+  });
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        dispatch({ type: 'FETCH_REQUEST' });
+        const { data } = await axios.get('/api/coupons', {
+          headers: { Authorization: `Bearer ${userInfo.token}` },
+        });
+        dispatch({ type: 'FETCH_SUCCESS', payload: data });
+      } catch (err) {
+        dispatch({ type: 'FETCH_FAIL', payload: getError(err) });
+      }
+    };
+    if (successDelete) {
+      dispatch({ type: 'DELETE_RESET' });
+    } else {
+      fetchData();
+    }
+  }, [userInfo, successDelete]);
+
+  const createHandler = async () => {
+    try {
+      dispatch({ type: 'CREATE_REQUEST' });
+      const { data } = await axios.post(
+        '/api/coupons',
+        {},
+        { headers: { Authorization: `Bearer ${userInfo.token}` } }
+      );
+      dispatch({ type: 'CREATE_SUCCESS' });
+      toast.success('Coupon created successfully');
+      navigate(`/admin/coupon/${data.coupon._id}`);
+    } catch (err) {
+      dispatch({ type: 'CREATE_FAIL' });
+      toast.error(getError(err));
+    }
+  };
+
+  const deleteHandler = async (coupon) => {
+    if (window.confirm('Are you sure to delete?')) {
+      try {
+        dispatch({ type: 'DELETE_REQUEST' });
+        await axios.delete(`/api/coupons/${coupon._id}`, {
+          headers: { Authorization: `Bearer ${userInfo.token}` },
+        });
+        toast.success('Coupon deleted successfully');
+        dispatch({ type: 'DELETE_SUCCESS' });
+      } catch (err) {
+        toast.error(getError(err));
+        dispatch({ type: 'DELETE_FAIL' });
+      }
+    }
+  };
+
+  return (
+    <div>
+      <Helmet>
+        <title>Coupons</title>
+      </Helmet>
+      <Row>
+        <Col>
+          <h1>Coupons</h1>
+        </Col>
+        <Col className="col text-end">
+          <Button type="button" onClick={createHandler}>
+            Create Coupon
+          </Button>
+        </Col>
+      </Row>
+
+      {loadingCreate && <LoadingBox></LoadingBox>}
+      {loadingDelete && <LoadingBox></LoadingBox>}
+
+      {loading ? (
+        <LoadingBox></LoadingBox>
+      ) : error ? (
+        <MessageBox variant="danger">{error}</MessageBox>
+      ) : (
+        <table className="table table-striped">
+          <thead>
+            <tr>
+              <th>CODE</th>
+              <th>VALUE</th>
+              <th>MIN ORDER</th>
+              <th>USED</th>
+              <th>EXPIRES</th>
+              <th>ACTIVE</th>
+              <th>ACTIONS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {coupons.map((coupon) => (
+              <tr key={coupon._id}>
+                <td>{coupon.code}</td>
+                <td>{describeValue(coupon)}</td>
+                <td>{coupon.minOrderValue ? `$${coupon.minOrderValue}` : '-'}</td>
+                <td>
+                  {coupon.usedCount}
+                  {coupon.usageLimit != null && ` / ${coupon.usageLimit}`}
+                </td>
+                <td>
+                  {coupon.expiresAt ? coupon.expiresAt.substring(0, 10) : 'Never'}
+                </td>
+                <td>{coupon.isActive ? 'Yes' : 'No'}</td>
+                <td>
+                  <Button
+                    type="button"
+                    variant="light"
+                    size="sm"
+                    onClick={() => navigate(`/admin/coupon/${coupon._id}`)}
+                  >
+                    Edit
+                  </Button>
+                  &nbsp;
+                  <Button
+                    type="button"
+                    variant="light"
+                    size="sm"
+                    onClick={() => deleteHandler(coupon)}
+                  >
+                    Delete
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
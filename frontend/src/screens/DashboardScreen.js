@@ -94,18 +94,18 @@ export default function DashboardScreen() {
                 <Card.Body>
                   <Card.Title>
                     $
-                    {summary.orders && summary.orders[0]
-                      ? summary.orders[0].totalSales.toFixed(2)
+                    {summary.revenue && summary.revenue[0]
+                      ? summary.revenue[0].netRevenue.toFixed(2)
                       : 0}
                   </Card.Title>
-                  <Card.Text> Sales</Card.Text>
+                  <Card.Text> Net Sales</Card.Text>
                 </Card.Body>
               </Card>
             </Col>
           </Row>
           <div className="my-3">
             <h2>Sales</h2>
-            {summary.dailyOrders.length === 0 ? (
+            {summary.dailySales.length === 0 ? (
               <MessageBox>No Sale</MessageBox>
             ) : (
               <Chart
@@ -115,7 +115,7 @@ export default function DashboardScreen() {
                 loader={<div>Loading Chart...</div>}
                 data={[
                   ['Date', 'Sales'],
-                  ...summary.dailyOrders.map((x) => [x._id, x.sales]),
+                  ...summary.dailySales.map((x) => [x._id, x.sales]),
                 ]}
               ></Chart>
             )}
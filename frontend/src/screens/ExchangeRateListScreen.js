@@ -0,0 +1,206 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Helmet } from 'react-helmet-async';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import { toast } from 'react-toastify';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+// Admin table of exchange rates against the base currency. Rates are set one
+// by one with the form or imported in bulk from a JSON or CSV file.
+export default function ExchangeRateListScreen() {
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [base, setBase] = useState('');
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [currency, setCurrency] = useState('');
+  const [rate, setRate] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [refresh, setRefresh] = useState(0);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const { data } = await axios.get('/api/currencies');
+        setBase(data.base);
+        setRates(data.currencies.filter((x) => x.currency !== data.base));
+        setLoading(false);
+      } catch (err) {
+        setError(getError(err));
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [refresh]);
+
+  const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const { data } = await axios.put(
+        `/api/currencies/${currency}`,
+        { rate },
+        config
+      );
+      setSaving(false);
+      toast.success(data.message);
+      setCurrency('');
+      setRate('');
+      setRefresh(refresh + 1);
+    } catch (err) {
+      setSaving(false);
+      toast.error(getError(err));
+    }
+  };
+
+  const importHandler = async (e) => {
+    const bodyFormData = new FormData();
+    bodyFormData.append('file', e.target.files[0]);
+    e.target.value = '';
+    try {
+      setSaving(true);
+      const { data } = await axios.post(
+        '/api/currencies/import',
+        bodyFormData,
+        config
+      );
+      setSaving(false);
+      toast.success(data.message);
+      setRefresh(refresh + 1);
+    } catch (err) {
+      setSaving(false);
+      toast.error(getError(err));
+    }
+  };
+
+  const deleteHandler = async (x) => {
+    if (window.confirm('Are you sure to delete?')) {
+      try {
+        await axios.delete(`/api/currencies/${x.currency}`, config);
+        setRates(rates.filter((y) => y.currency !== x.currency));
+        toast.success('Exchange rate deleted successfully');
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    }
+  };
+
+  return (
+    <div>
+      <Helmet>
+        <title>Exchange Rates</title>
+      </Helmet>
+      <h1>Exchange Rates</h1>
+      <p className="text-muted">
+        Catalog prices are in {base}. Each rate is the amount of the currency
+        worth 1 {base}; orders keep the rate they were placed at.
+      </p>
+
+      {loading ? (
+        <LoadingBox></LoadingBox>
+      ) : error ? (
+        <MessageBox variant="danger">{error}</MessageBox>
+      ) : rates.length === 0 ? (
+        <MessageBox>No exchange rates, customers can only pay in {base}</MessageBox>
+      ) : (
+        <table className="table table-striped">
+          <thead>
+            <tr>
+              <th>CURRENCY</th>
+              <th>RATE</th>
+              <th>UPDATED</th>
+              <th>ACTIONS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rates.map((x) => (
+              <tr key={x.currency}>
+                <td>{x.currency}</td>
+                <td>{x.rate}</td>
+                <td>{x.updatedAt ? x.updatedAt.substring(0, 10) : '-'}</td>
+                <td>
+                  <Button
+                    type="button"
+                    variant="light"
+                    size="sm"
+                    onClick={() => {
+                      setCurrency(x.currency);
+                      setRate(x.rate);
+                    }}
+                  >
+                    Edit
+                  </Button>
+                  &nbsp;
+                  <Button
+                    type="button"
+                    variant="light"
+                    size="sm"
+                    onClick={() => deleteHandler(x)}
+                  >
+                    Delete
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2>Set Exchange Rate</h2>
+      <Form onSubmit={submitHandler}>
+        <Row>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="currency">
+              <Form.Label>Currency</Form.Label>
+              <Form.Control
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value.toUpperCase())}
+                placeholder="e.g. VND"
+                maxLength={3}
+                required
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="rate">
+              <Form.Label>Rate (per 1 {base})</Form.Label>
+              <Form.Control
+                type="number"
+                min="0"
+                step="any"
+                value={rate}
+                onChange={(e) => setRate(e.target.value)}
+                required
+              />
+            </Form.Group>
+          </Col>
+        </Row>
+        <div className="mb-3">
+          <Button type="submit" disabled={saving}>
+            Save
+          </Button>
+        </div>
+      </Form>
+
+      <Form.Group className="mb-3" controlId="importFile">
+        <Form.Label>Import from a JSON or CSV file (currency,rate)</Form.Label>
+        <Form.Control
+          type="file"
+          accept=".json,.csv"
+          onChange={importHandler}
+          disabled={saving}
+        />
+      </Form.Group>
+      {saving && <LoadingBox></LoadingBox>}
+    </div>
+  );
+}
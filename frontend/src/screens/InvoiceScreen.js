@@ -0,0 +1,165 @@
+import React, { useContext, useEffect, useReducer } from 'react';
+import axios from 'axios';
+import { useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import Button from 'react-bootstrap/Button';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import { ChargedPrice } from '../components/Price';
+import { Store } from '../Store';
+import { BASE_CURRENCY, getError, variantLabel } from '../utils';
+
+const reducer = (state, action) => {
+  switch (action.type) {
+    case 'FETCH_REQUEST':
+      return { ...state, loading: true };
+    case 'FETCH_SUCCESS':
+      return { ...state, loading: false, order: action.payload };
+    case 'FETCH_FAIL':
+      return { ...state, loading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
+
+// Printable invoice of an order with its tax breakdown.
+export default function InvoiceScreen() {
+  const { id: orderId } = useParams();
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [{ loading, error, order }, dispatch] = useReducer(reducer, {
+    loading: true,
+    error: '',
+    order: null,
+  });
+
+  useEffect(() => {
+    const fetchOrder = async () => {
+      try {
+        dispatch({ type: 'FETCH_REQUEST' });
+        const { data } = await axios.get(`/api/orders/${orderId}`, {
+          headers: { authorization: `Bearer ${userInfo.token}` },
+        });
+        dispatch({ type: 'FETCH_SUCCESS', payload: data });
+      } catch (err) {
+        dispatch({ type: 'FETCH_FAIL', payload: getError(err) });
+      }
+    };
+    fetchOrder();
+  }, [orderId, userInfo]);
+
+  if (loading) {
+    return <LoadingBox></LoadingBox>;
+  }
+  if (error) {
+    return <MessageBox variant="danger">{error}</MessageBox>;
+  }
+
+  const { shippingAddress } = order;
+  return (
+    <div>
+      <Helmet>
+        <title>Invoice {orderId}</title>
+      </Helmet>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="my-3">Invoice</h1>
+        <Button
+          type="button"
+          variant="light"
+          className="d-print-none"
+          onClick={() => window.print()}
+        >
+          Print
+        </Button>
+      </div>
+      <p>
+        <strong>Order:</strong> {order._id}
+        <br />
+        <strong>Date:</strong> {order.createdAt.substring(0, 10)}
+        <br />
+        <strong>Bill to:</strong> {shippingAddress.fullName},{' '}
+        {shippingAddress.address}, {shippingAddress.city},{' '}
+        {shippingAddress.region && `${shippingAddress.region}, `}
+        {shippingAddress.postalCode}, {shippingAddress.country}
+        <br />
+        {order.shippingMethod && order.shippingMethod.name && (
+          <>
+            <strong>Delivery:</strong> {order.shippingMethod.name}
+            <br />
+          </>
+        )}
+        <strong>Payment:</strong> {order.paymentMethod}
+        {order.isPaid && ` (paid ${order.paidAt.substring(0, 10)})`}
+      </p>
+      <table className="table">
+        <thead>
+          <tr>
+            <th>ITEM</th>
+            <th className="text-end">QTY</th>
+            <th className="text-end">PRICE</th>
+            <th className="text-end">AMOUNT</th>
+          </tr>
+        </thead>
+        <tbody>
+          {order.orderItems.map((item) => (
+            <tr key={item._id}>
+              <td>
+                {item.name}
+                {item.variant && ` (${variantLabel(item)})`}
+              </td>
+              <td className="text-end">{item.quantity}</td>
+              <td className="text-end">${item.price.toFixed(2)}</td>
+              <td className="text-end">
+                ${(item.price * item.quantity).toFixed(2)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={3}>Items</td>
+            <td className="text-end">${order.itemsPrice.toFixed(2)}</td>
+          </tr>
+          {order.discountPrice > 0 && (
+            <tr>
+              <td colSpan={3}>Discount ({order.coupon.code})</td>
+              <td className="text-end">-${order.discountPrice.toFixed(2)}</td>
+            </tr>
+          )}
+          <tr>
+            <td colSpan={3}>Shipping</td>
+            <td className="text-end">${order.shippingPrice.toFixed(2)}</td>
+          </tr>
+          {order.taxBreakdown.map((tax) => (
+            <tr key={tax._id}>
+              <td colSpan={3}>
+                {tax.name} {tax.rate}%
+                {tax.inclusive ? ' (included in prices)' : ''} on $
+                {tax.taxableAmount.toFixed(2)}
+              </td>
+              <td className="text-end">${tax.amount.toFixed(2)}</td>
+            </tr>
+          ))}
+          <tr>
+            <td colSpan={3}>
+              <strong>Total</strong>
+            </td>
+            <td className="text-end">
+              <strong>${order.totalPrice.toFixed(2)}</strong>
+            </td>
+          </tr>
+          {order.currency && order.currency !== BASE_CURRENCY && (
+            <tr>
+              <td colSpan={3}>
+                Charged in {order.currency} at {order.exchangeRate}
+              </td>
+              <td className="text-end">
+                <ChargedPrice prices={order} field="totalPrice" />
+              </td>
+            </tr>
+          )}
+        </tfoot>
+      </table>
+    </div>
+  );
+}
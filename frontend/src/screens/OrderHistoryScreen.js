@@ -1,9 +1,12 @@
-import React, { useContext, useEffect, useReducer } from 'react';
+import React, { useContext, useEffect, useReducer, useState } from 'react';
 import { Helmet } from 'react-helmet-async';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
 import LoadingBox from '../components/LoadingBox';
 import MessageBox from '../components/MessageBox';
+import CancelOrderDialog, {
+  CANCELLABLE_STATUSES,
+} from '../components/CancelOrderDialog';
 import { Store } from '../Store';
 import { getError } from '../utils';
 import Button from 'react-bootstrap/esm/Button';
@@ -16,6 +19,13 @@ const reducer = (state, action) => {
       return { ...state, orders: action.payload, loading: false };
     case 'FETCH_FAIL':
       return { ...state, loading: false, error: action.payload };
+    case 'CANCEL_SUCCESS':
+      return {
+        ...state,
+        orders: state.orders.map((order) =>
+          order._id === action.payload._id ? action.payload : order
+        ),
+      };
     default:
       return state;
   }
@@ -30,6 +40,7 @@ export default function OrderHistoryScreen() {
     loading: true,
     error: '',
   });
+  const [cancellingOrder, setCancellingOrder] = useState(null);
 
   useEffect(() => {
     const fetchData = async () => {
@@ -92,12 +103,33 @@ export default function OrderHistoryScreen() {
                   >
                     Details
                   </Button>
+                  {CANCELLABLE_STATUSES.includes(order.status) && (
+                    <Button
+                      type="button"
+                      variant="outline-danger"
+                      className="ms-2"
+                      onClick={() => setCancellingOrder(order)}
+                    >
+                      Cancel
+                    </Button>
+                  )}
                 </td>
               </tr>
             ))}
           </tbody>
         </table>
       )}
+      {cancellingOrder && (
+        <CancelOrderDialog
+          order={cancellingOrder}
+          show
+          onHide={() => setCancellingOrder(null)}
+          onCancelled={(updatedOrder) => {
+            setCancellingOrder(null);
+            dispatch({ type: 'CANCEL_SUCCESS', payload: updatedOrder });
+          }}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
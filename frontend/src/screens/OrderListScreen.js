@@ -2,12 +2,15 @@ import axios from 'axios';
 import React, { useContext, useEffect, useReducer } from 'react';
 import Button from 'react-bootstrap/Button';
 import Form from 'react-bootstrap/Form';
+import Tab from 'react-bootstrap/Tab';
+import Tabs from 'react-bootstrap/Tabs';
 import { Helmet } from 'react-helmet-async';
 import { useNavigate } from 'react-router-dom';
 import LoadingBox from '../components/LoadingBox';
 import MessageBox from '../components/MessageBox';
+import ReturnList from '../components/ReturnList';
 import { Store } from '../Store';
-import { getError } from '../utils';
+import { getError, ORDER_STATUS_TRANSITIONS } from '../utils';
 import { toast } from 'react-toastify';
 
 const reducer = (state, action) => {
@@ -89,59 +92,73 @@ export default function OrderListScreen() {
         <title>Orders</title>
       </Helmet>
       <h1>Orders</h1>
-      {loading ? (
-        <LoadingBox></LoadingBox>
-      ) : error ? (
-        <MessageBox variant="danger">{error}</MessageBox>
-      ) : (
-        <table className="table">
-          <thead>
-            <tr>
-              <th>ID</th>
-              <th>USER</th>
-              <th>DATE</th>
-              <th>TOTAL</th>
-              <th>PAID</th>
-              <th>STATUS</th>
-              <th>ACTIONS</th>
-            </tr>
-          </thead>
-          <tbody>
-            {orders.map((order) => (
-              <tr key={order._id}>
-                <td>{order._id}</td>
-                <td>{order.user ? order.user.name : 'DELETED USER'}</td>
-                <td>{order.createdAt.substring(0, 10)}</td>
-                <td>{order.totalPrice.toFixed(2)}</td>
-                <td>{order.isPaid ? 'Yes' : 'No'}</td>
-                <td>
-                  <Form.Select
-                    value={order.status}
-                    onChange={(e) => updateStatusHandler(order, e.target.value)}
-                  >
-                    <option value="Pending">Pending</option>
-                    <option value="Processing">Processing</option>
-                    <option value="Shipping">Shipping</option>
-                    <option value="Delivered">Delivered</option>
-                    <option value="Cancelled">Cancelled</option>
-                  </Form.Select>
-                </td>
-                <td>
-                  <Button
-                    type="button"
-                    variant="light"
-                    onClick={() => {
-                      navigate(`/order/${order._id}`);
-                    }}
-                  >
-                    Details
-                  </Button>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      )}
+      <Tabs defaultActiveKey="orders" className="mb-3" mountOnEnter>
+        <Tab eventKey="orders" title="Orders">
+          {loading ? (
+            <LoadingBox></LoadingBox>
+          ) : error ? (
+            <MessageBox variant="danger">{error}</MessageBox>
+          ) : (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>USER</th>
+                  <th>DATE</th>
+                  <th>TOTAL</th>
+                  <th>PAID</th>
+                  <th>STATUS</th>
+                  <th>ACTIONS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.map((order) => (
+                  <tr key={order._id}>
+                    <td>{order._id}</td>
+                    <td>
+                      {order.user
+                        ? `${order.user.name}${order.user.deletedAt ? ' (deleted)' : ''}`
+                        : 'DELETED USER'}
+                    </td>
+                    <td>{order.createdAt.substring(0, 10)}</td>
+                    <td>{order.totalPrice.toFixed(2)}</td>
+                    <td>{order.isPaid ? 'Yes' : 'No'}</td>
+                    <td>
+                      <Form.Select
+                        value={order.status}
+                        onChange={(e) => updateStatusHandler(order, e.target.value)}
+                      >
+                        <option value={order.status}>{order.status}</option>
+                        {(ORDER_STATUS_TRANSITIONS[order.status] || []).map(
+                          (status) => (
+                            <option key={status} value={status}>
+                              {status}
+                            </option>
+                          )
+                        )}
+                      </Form.Select>
+                    </td>
+                    <td>
+                      <Button
+                        type="button"
+                        variant="light"
+                        onClick={() => {
+                          navigate(`/order/${order._id}`);
+                        }}
+                      >
+                        Details
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </Tab>
+        <Tab eventKey="returns" title="Returns">
+          <ReturnList />
+        </Tab>
+      </Tabs>
     </div>
   );
 }
\ No newline at end of file
@@ -1,16 +1,30 @@
 import axios from 'axios';
-import React, { useContext, useEffect, useReducer } from 'react';
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useReducer,
+  useState,
+} from 'react';
 import { Helmet } from 'react-helmet-async';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import Row from 'react-bootstrap/Row';
 import Col from 'react-bootstrap/Col';
 import ListGroup from 'react-bootstrap/ListGroup';
 import Card from 'react-bootstrap/Card';
+import Button from 'react-bootstrap/Button';
 import { Link } from 'react-router-dom';
 import LoadingBox from '../components/LoadingBox';
 import MessageBox from '../components/MessageBox';
+import CancelOrderDialog, {
+  CANCELLABLE_STATUSES,
+} from '../components/CancelOrderDialog';
+import ReturnRequestDialog from '../components/ReturnRequestDialog';
+import PaymentLedger from '../components/PaymentLedger';
+import TaxBreakdown from '../components/TaxBreakdown';
+import Price, { ChargedPrice } from '../components/Price';
 import { Store } from '../Store';
-import { getError } from '../utils';
+import { getError, variantLabel } from '../utils';
 import { PayPalButtons, usePayPalScriptReducer } from '@paypal/react-paypal-js';
 import { toast } from 'react-toastify';
 
@@ -42,6 +56,7 @@ export default function OrderScreen() {
   const params = useParams();
   const { id: orderId } = params;
   const navigate = useNavigate();
+  const { search } = useLocation();
 
   const [{ loading, error, order, successPay, loadingPay }, dispatch] = useReducer(reducer, {
     loading: true,
@@ -52,13 +67,24 @@ export default function OrderScreen() {
   });
 
   const [{ isPending }, paypalDispatch] = usePayPalScriptReducer();
+  const [showCancel, setShowCancel] = useState(false);
+  const [showReturn, setShowReturn] = useState(false);
+  const [returns, setReturns] = useState([]);
+  // How to pay this order, as returned by the order's payment provider
+  const [payment, setPayment] = useState(null);
+
+  const isOwner = order.user && order.user._id === userInfo._id;
+  const canCancel = isOwner && CANCELLABLE_STATUSES.includes(order.status);
+  const canReturn = isOwner && order.status === 'Delivered';
 
   function createOrder(data, actions) {
     return actions.order
       .create({
         purchase_units: [
           {
-            amount: { value: order.totalPrice },
+            // Lets the backend check the capture belongs to this order
+            custom_id: order._id,
+            amount: { value: order.totalPrice, currency_code: payment.currency },
           },
         ],
       })
@@ -67,27 +93,42 @@ export default function OrderScreen() {
       });
   }
 
-  function onApprove(data, actions) {
-    return actions.order.capture().then(async function (details) {
+  // Sends what the payment provider handed back to the browser to the
+  // backend, which verifies it before marking the order paid
+  const confirmPayment = useCallback(
+    async (details) => {
       try {
         dispatch({ type: 'PAY_REQUEST' });
-        const { data } = await axios.put(`/api/orders/${order._id}/pay`, details, {
-          headers: { authorization: `Bearer ${userInfo.token}` },
+        // Keyed by the provider's payment id, so confirming the same payment
+        // twice (e.g. reloading the VNPay return page) is only applied once.
+        const { data } = await axios.put(`/api/orders/${orderId}/pay`, details, {
+          headers: {
+            authorization: `Bearer ${userInfo.token}`,
+            'Idempotency-Key': `pay-${orderId}-${
+              details.id || details.vnp_TransactionNo || details.vnp_TxnRef
+            }`,
+          },
         });
         dispatch({ type: 'PAY_SUCCESS', payload: data });
-        
+
         // Clear cart after successful payment (backend already clears DB cart)
         ctxDispatch({ type: 'CART_CLEAR' });
         localStorage.removeItem('cartItems');
         localStorage.removeItem('shippingAddress');
+        localStorage.removeItem('shippingMethod');
         localStorage.removeItem('paymentMethod');
-        
+
         toast.success('Order is paid');
       } catch (err) {
         dispatch({ type: 'PAY_FAIL', payload: getError(err) });
         toast.error(getError(err));
       }
-    });
+    },
+    [orderId, userInfo, ctxDispatch]
+  );
+
+  function onApprove(data, actions) {
+    return actions.order.capture().then(confirmPayment);
   }
   function onError(err) {
     toast.error(getError(err));
@@ -114,23 +155,68 @@ export default function OrderScreen() {
       if (successPay) {
         dispatch({ type: 'PAY_RESET' });
       }
+    } else if (
+      !order.isPaid &&
+      order.status !== 'Cancelled' &&
+      order.user &&
+      order.user._id === userInfo._id
+    ) {
+      const initiatePayment = async () => {
+        try {
+          const { data } = await axios.post(
+            `/api/orders/${order._id}/payment`,
+            {},
+            { headers: { authorization: `Bearer ${userInfo.token}` } }
+          );
+          setPayment(data);
+          if (data.flow === 'paypal') {
+            paypalDispatch({
+              type: 'resetOptions',
+              value: {
+                'client-id': data.clientId,
+                currency: data.currency,
+              },
+            });
+            paypalDispatch({ type: 'setLoadingStatus', value: 'pending' });
+          }
+        } catch (err) {
+          toast.error(getError(err));
+        }
+      };
+      initiatePayment();
     } else {
-      const loadPaypalScript = async () => {
-        const { data: clientId } = await axios.get('/api/keys/paypal', {
+      setPayment(null);
+    }
+  }, [order, userInfo, orderId, navigate, paypalDispatch, successPay]);
+
+  // Redirect gateways (VNPay) send the customer back here with signed
+  // query parameters describing the payment
+  useEffect(() => {
+    const params = Object.fromEntries(new URLSearchParams(search));
+    if (!params.vnp_SecureHash || order._id !== orderId) {
+      return;
+    }
+    navigate(`/order/${orderId}`, { replace: true });
+    if (!order.isPaid) {
+      confirmPayment(params);
+    }
+  }, [search, order._id, order.isPaid, orderId, navigate, confirmPayment]);
+
+  useEffect(() => {
+    const fetchReturns = async () => {
+      try {
+        const { data } = await axios.get(`/api/returns/order/${order._id}`, {
           headers: { authorization: `Bearer ${userInfo.token}` },
         });
-        paypalDispatch({
-          type: 'resetOptions',
-          value: {
-            'client-id': clientId,
-            currency: 'USD',
-          },
-        });
-        paypalDispatch({ type: 'setLoadingStatus', value: 'pending' });
-      };
-      loadPaypalScript();
+        setReturns(data);
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    };
+    if (order._id && order.status === 'Delivered') {
+      fetchReturns();
     }
-  }, [order, userInfo, orderId, navigate, paypalDispatch, successPay]);
+  }, [order._id, order.status, userInfo]);
 
   return loading ? (
     <LoadingBox></LoadingBox>
@@ -141,7 +227,14 @@ export default function OrderScreen() {
       <Helmet>
         <title>Order {orderId}</title>
       </Helmet>
-      <h1 className="my-3">Order {orderId}</h1>
+      <Row className="align-items-center">
+        <Col>
+          <h1 className="my-3">Order {orderId}</h1>
+        </Col>
+        <Col xs="auto">
+          <Link to={`/order/${orderId}/invoice`}>Invoice</Link>
+        </Col>
+      </Row>
       <Row>
         <Col md={8}>
           <Card className="mb-3">
@@ -150,8 +243,19 @@ export default function OrderScreen() {
               <Card.Text>
                 <strong>Name:</strong> {order.shippingAddress.fullName} <br />
                 <strong>Address: </strong> {order.shippingAddress.address},
-                {order.shippingAddress.city}, {order.shippingAddress.postalCode}
+                {order.shippingAddress.city},{' '}
+                {order.shippingAddress.region &&
+                  `${order.shippingAddress.region}, `}
+                {order.shippingAddress.postalCode}
                 ,{order.shippingAddress.country}
+                {order.shippingMethod && order.shippingMethod.name && (
+                  <>
+                    <br />
+                    <strong>Delivery:</strong> {order.shippingMethod.name}
+                    {order.shippingMethod.estimatedDays &&
+                      ` (${order.shippingMethod.estimatedDays})`}
+                  </>
+                )}
               </Card.Text>
               <strong>Status:</strong> {order.status}
               {order.isDelivered ? (
@@ -178,6 +282,17 @@ export default function OrderScreen() {
               )}
             </Card.Body>
           </Card>
+          {(order.payments.length > 0 || userInfo.isAdmin) && (
+            <PaymentLedger
+              order={order}
+              onRefunded={(updatedOrder) =>
+                dispatch({
+                  type: 'FETCH_SUCCESS',
+                  payload: { ...updatedOrder, user: order.user },
+                })
+              }
+            />
+          )}
           <Card className="mb-3">
             <Card.Body>
               <Card.Title>Items</Card.Title>
@@ -192,17 +307,76 @@ export default function OrderScreen() {
                           className="img-fluid rounded img-thumbnail"
                         ></img>{' '}
                         <Link to={`/product/${item.slug}`}>{item.name}</Link>
+                        {item.variant && (
+                          <div className="text-muted">{variantLabel(item)}</div>
+                        )}
                       </Col>
                       <Col md={3}>
                         <span>{item.quantity}</span>
                       </Col>
-                      <Col md={3}>${item.price}</Col>
+                      <Col md={3}>
+                        <Price
+                          amount={item.price}
+                          currency={order.currency}
+                          rate={order.exchangeRate}
+                        />
+                      </Col>
                     </Row>
                   </ListGroup.Item>
                 ))}
               </ListGroup>
             </Card.Body>
           </Card>
+          {order.statusHistory && order.statusHistory.length > 0 && (
+            <Card className="mb-3">
+              <Card.Body>
+                <Card.Title>Status History</Card.Title>
+                <ListGroup variant="flush" className="status-timeline">
+                  {order.statusHistory.map((entry) => (
+                    <ListGroup.Item key={entry._id}>
+                      <Row>
+                        <Col md={3}>
+                          <strong>{entry.status}</strong>
+                        </Col>
+                        <Col md={5}>
+                          {new Date(entry.changedAt).toLocaleString()}
+                        </Col>
+                        <Col md={4}>{entry.changedByName}</Col>
+                      </Row>
+                      {entry.note && <div className="text-muted">{entry.note}</div>}
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+              </Card.Body>
+            </Card>
+          )}
+          {returns.length > 0 && (
+            <Card className="mb-3">
+              <Card.Body>
+                <Card.Title>Returns</Card.Title>
+                <ListGroup variant="flush">
+                  {returns.map((ret) => (
+                    <ListGroup.Item key={ret._id}>
+                      <Row>
+                        <Col md={3}>
+                          <strong>{ret.status}</strong>
+                        </Col>
+                        <Col md={5}>
+                          {ret.items
+                            .map((item) => `${item.quantity} x ${item.name}`)
+                            .join(', ')}
+                        </Col>
+                        <Col md={4}>Refund ${ret.refundAmount.toFixed(2)}</Col>
+                      </Row>
+                      {ret.adminNote && (
+                        <div className="text-muted">{ret.adminNote}</div>
+                      )}
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+              </Card.Body>
+            </Card>
+          )}
         </Col>
         <Col md={4}>
           <Card className="mb-3">
@@ -212,20 +386,41 @@ export default function OrderScreen() {
                 <ListGroup.Item>
                   <Row>
                     <Col>Items</Col>
-                    <Col>${order.itemsPrice.toFixed(2)}</Col>
+                    <Col>
+                      <ChargedPrice prices={order} field="itemsPrice" />
+                    </Col>
                   </Row>
                 </ListGroup.Item>
+                {order.discountPrice > 0 && (
+                  <ListGroup.Item>
+                    <Row>
+                      <Col>Discount ({order.coupon.code})</Col>
+                      <Col>
+                        -<ChargedPrice prices={order} field="discountPrice" />
+                      </Col>
+                    </Row>
+                  </ListGroup.Item>
+                )}
                 <ListGroup.Item>
                   <Row>
                     <Col>Shipping</Col>
-                    <Col>${order.shippingPrice.toFixed(2)}</Col>
+                    <Col>
+                      <ChargedPrice prices={order} field="shippingPrice" />
+                    </Col>
                   </Row>
                 </ListGroup.Item>
                 <ListGroup.Item>
                   <Row>
                     <Col>Tax</Col>
-                    <Col>${order.taxPrice.toFixed(2)}</Col>
+                    <Col>
+                      <ChargedPrice prices={order} field="taxPrice" />
+                    </Col>
                   </Row>
+                  <TaxBreakdown
+                    taxBreakdown={order.taxBreakdown}
+                    currency={order.currency}
+                    rate={order.exchangeRate}
+                  />
                 </ListGroup.Item>
                 <ListGroup.Item>
                   <Row>
@@ -233,11 +428,13 @@ export default function OrderScreen() {
                       <strong> Order Total</strong>
                     </Col>
                     <Col>
-                      <strong>${order.totalPrice.toFixed(2)}</strong>
+                      <strong>
+                        <ChargedPrice prices={order} field="totalPrice" />
+                      </strong>
                     </Col>
                   </Row>
                 </ListGroup.Item>
-                {!order.isPaid && order.paymentMethod === 'PayPal' && (
+                {!order.isPaid && payment && payment.flow === 'paypal' && (
                   <ListGroup.Item>
                     {isPending ? (
                       <LoadingBox />
@@ -253,16 +450,76 @@ export default function OrderScreen() {
                     {loadingPay && <LoadingBox></LoadingBox>}
                   </ListGroup.Item>
                 )}
-                {!order.isPaid && order.paymentMethod === 'COD' && (
+                {!order.isPaid && payment && payment.flow === 'redirect' && (
+                  <ListGroup.Item>
+                    <div className="d-grid">
+                      <Button type="button" href={payment.url}>
+                        Pay with {order.paymentMethod}
+                      </Button>
+                    </div>
+                    {loadingPay && <LoadingBox></LoadingBox>}
+                  </ListGroup.Item>
+                )}
+                {!order.isPaid && payment && payment.flow === 'offline' && (
                   <ListGroup.Item>
                     <MessageBox variant="info">Cash on Delivery - Pay when received</MessageBox>
                   </ListGroup.Item>
                 )}
+                {canCancel && (
+                  <ListGroup.Item>
+                    <div className="d-grid">
+                      <Button
+                        type="button"
+                        variant="outline-danger"
+                        onClick={() => setShowCancel(true)}
+                      >
+                        Cancel Order
+                      </Button>
+                    </div>
+                  </ListGroup.Item>
+                )}
+                {canReturn && (
+                  <ListGroup.Item>
+                    <div className="d-grid">
+                      <Button
+                        type="button"
+                        variant="outline-primary"
+                        onClick={() => setShowReturn(true)}
+                      >
+                        Request Return
+                      </Button>
+                    </div>
+                  </ListGroup.Item>
+                )}
               </ListGroup>
             </Card.Body>
           </Card>
         </Col>
       </Row>
+      <CancelOrderDialog
+        order={order}
+        show={showCancel}
+        onHide={() => setShowCancel(false)}
+        onCancelled={(updatedOrder) => {
+          setShowCancel(false);
+          dispatch({
+            type: 'FETCH_SUCCESS',
+            payload: { ...updatedOrder, user: order.user },
+          });
+        }}
+      />
+      {canReturn && (
+        <ReturnRequestDialog
+          order={order}
+          returns={returns}
+          show={showReturn}
+          onHide={() => setShowReturn(false)}
+          onRequested={(ret) => {
+            setShowReturn(false);
+            setReturns([ret, ...returns]);
+          }}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -1,27 +1,56 @@
 import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
 import { Helmet } from 'react-helmet-async';
 import { useNavigate } from 'react-router-dom';
 import Form from 'react-bootstrap/Form';
 import Button from 'react-bootstrap/Button';
 import CheckoutSteps from '../components/CheckoutSteps';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
 import { Store } from '../Store';
+import { getError } from '../utils';
 
 export default function PaymentMethodScreen() {
   const navigate = useNavigate();
   const { state, dispatch: ctxDispatch } = useContext(Store);
   const {
-    cart: { shippingAddress, paymentMethod },
+    cart: { shippingAddress, shippingMethod, paymentMethod },
   } = state;
 
-  const [paymentMethodName, setPaymentMethod] = useState(
-    paymentMethod || 'PayPal'
-  );
+  const [paymentMethodName, setPaymentMethod] = useState(paymentMethod || '');
+  const [methods, setMethods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
 
   useEffect(() => {
     if (!shippingAddress.address) {
       navigate('/shipping');
+    } else if (!shippingMethod) {
+      navigate('/shipping-method');
     }
-  }, [shippingAddress, navigate]);
+  }, [shippingAddress, shippingMethod, navigate]);
+
+  useEffect(() => {
+    const fetchMethods = async () => {
+      try {
+        const { data } = await axios.get('/api/payment-methods');
+        setMethods(data);
+        setLoading(false);
+        // Keep the saved choice only while it is still offered
+        setPaymentMethod((current) =>
+          data.some((x) => x.code === current)
+            ? current
+            : data.length > 0
+            ? data[0].code
+            : ''
+        );
+      } catch (err) {
+        setError(getError(err));
+        setLoading(false);
+      }
+    };
+    fetchMethods();
+  }, []);
   const submitHandler = (e) => {
     e.preventDefault();
     ctxDispatch({ type: 'SAVE_PAYMENT_METHOD', payload: paymentMethodName });
@@ -30,37 +59,40 @@ export default function PaymentMethodScreen() {
   };
   return (
     <div>
-      <CheckoutSteps step1 step2 step3></CheckoutSteps>
+      <CheckoutSteps step1 step2 step3 step4></CheckoutSteps>
       <div className="container small-container">
         <Helmet>
           <title>Payment Method</title>
         </Helmet>
         <h1 className="my-3">Payment Method</h1>
-        <Form onSubmit={submitHandler}>
-          <div className="mb-3">
-            <Form.Check
-              type="radio"
-              id="PayPal"
-              label="PayPal"
-              value="PayPal"
-              checked={paymentMethodName === 'PayPal'}
-              onChange={(e) => setPaymentMethod(e.target.value)}
-            />
-          </div>
-          <div className="mb-3">
-            <Form.Check
-              type="radio"
-              id="COD"
-              label="Cash On Delivery"
-              value="COD"
-              checked={paymentMethodName === 'COD'}
-              onChange={(e) => setPaymentMethod(e.target.value)}
-            />
-          </div>
-          <div className="mb-3">
-            <Button type="submit">Continue</Button>
-          </div>
-        </Form>
+        {loading ? (
+          <LoadingBox></LoadingBox>
+        ) : error ? (
+          <MessageBox variant="danger">{error}</MessageBox>
+        ) : (
+          <Form onSubmit={submitHandler}>
+            {methods.map((method) => (
+              <div className="mb-3" key={method.code}>
+                <Form.Check
+                  type="radio"
+                  id={method.code}
+                  label={method.name}
+                  value={method.code}
+                  checked={paymentMethodName === method.code}
+                  onChange={(e) => setPaymentMethod(e.target.value)}
+                />
+                {method.description && (
+                  <Form.Text className="ms-4">{method.description}</Form.Text>
+                )}
+              </div>
+            ))}
+            <div className="mb-3">
+              <Button type="submit" disabled={!paymentMethodName}>
+                Continue
+              </Button>
+            </div>
+          </Form>
+        )}
       </div>
     </div>
   );
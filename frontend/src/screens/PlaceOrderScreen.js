@@ -5,13 +5,22 @@ import Col from 'react-bootstrap/Col';
 import Card from 'react-bootstrap/Card';
 import Button from 'react-bootstrap/Button';
 import ListGroup from 'react-bootstrap/ListGroup';
+import Form from 'react-bootstrap/Form';
+import InputGroup from 'react-bootstrap/InputGroup';
 import { Store } from '../Store';
 import CheckoutSteps from '../components/CheckoutSteps';
 import Axios from 'axios';
-import React, { useContext, useEffect, useReducer } from 'react';
+import React, { useContext, useEffect, useReducer, useState } from 'react';
 import { toast } from 'react-toastify';
-import { getError } from '../utils';
+import {
+  cartItemKey,
+  getError,
+  newIdempotencyKey,
+  variantLabel,
+} from '../utils';
 import LoadingBox from '../components/LoadingBox';
+import TaxBreakdown from '../components/TaxBreakdown';
+import Price, { ChargedPrice } from '../components/Price';
 
 const reducer = (state, action) => {
   switch (action.type) {
@@ -21,6 +30,12 @@ const reducer = (state, action) => {
       return { ...state, loading: false };
     case 'CREATE_FAIL':
       return { ...state, loading: false };
+    case 'QUOTE_REQUEST':
+      return { ...state, loadingQuote: true };
+    case 'QUOTE_SUCCESS':
+      return { ...state, loadingQuote: false, quote: action.payload };
+    case 'QUOTE_FAIL':
+      return { ...state, loadingQuote: false, quote: null };
     default:
       return state;
   }
@@ -29,20 +44,109 @@ const reducer = (state, action) => {
 export default function PlaceOrderScreen() {
   const navigate = useNavigate();
 
-  const [{ loading }, dispatch] = useReducer(reducer, {
+  const [{ loading, loadingQuote, quote }, dispatch] = useReducer(reducer, {
     loading: false,
+    loadingQuote: false,
+    quote: null,
   });
 
-  const { state, dispatch: ctxDispatch } = useContext(Store);
-  const { cart, userInfo } = state;
+  const { state } = useContext(Store);
+  const { cart, userInfo, currency } = state;
 
-  const round2 = (num) => Math.round(num * 100 + Number.EPSILON) / 100;
-  cart.itemsPrice = round2(
-    cart.cartItems.reduce((a, c) => a + c.quantity * c.price, 0)
-  );
-  cart.shippingPrice = cart.itemsPrice > 100 ? round2(0) : round2(10);
-  cart.taxPrice = round2(0.15 * cart.itemsPrice);
-  cart.totalPrice = cart.itemsPrice + cart.shippingPrice + cart.taxPrice;
+  const [couponInput, setCouponInput] = useState('');
+  // Code of the coupon the backend accepted, sent with the quote and the order
+  const [couponCode, setCouponCode] = useState('');
+
+  // Prices are decided by the backend, we only display its quote. Taxes
+  // depend on the shipping address, shipping on the address and the method.
+  useEffect(() => {
+    const fetchQuote = async () => {
+      try {
+        dispatch({ type: 'QUOTE_REQUEST' });
+        const { data } = await Axios.post(
+          '/api/orders/quote',
+          {
+            orderItems: cart.cartItems,
+            shippingAddress: cart.shippingAddress,
+            shippingMethod: cart.shippingMethod,
+            couponCode: couponCode || undefined,
+            currency,
+            // VNPay orders are charged in VND whatever the currency picked
+            paymentMethod: cart.paymentMethod,
+          },
+          {
+            headers: { authorization: `Bearer ${userInfo.token}` },
+          }
+        );
+        dispatch({ type: 'QUOTE_SUCCESS', payload: data });
+      } catch (err) {
+        dispatch({ type: 'QUOTE_FAIL' });
+        toast.error(getError(err));
+        // The coupon may no longer apply to the cart, quote without it
+        setCouponCode('');
+      }
+    };
+    if (cart.cartItems.length > 0) {
+      fetchQuote();
+    }
+  }, [
+    cart.cartItems,
+    cart.shippingAddress,
+    cart.shippingMethod,
+    cart.paymentMethod,
+    userInfo,
+    couponCode,
+    currency,
+  ]);
+
+  const applyCouponHandler = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await Axios.post(
+        '/api/cart/apply-coupon',
+        {
+          code: couponInput,
+          orderItems: cart.cartItems,
+          shippingAddress: cart.shippingAddress,
+          shippingMethod: cart.shippingMethod,
+          currency,
+        },
+        {
+          headers: { authorization: `Bearer ${userInfo.token}` },
+        }
+      );
+      setCouponCode(data.coupon.code);
+      toast.success(`Coupon ${data.coupon.code} applied`);
+    } catch (err) {
+      toast.error(getError(err));
+    }
+  };
+
+  const removeCouponHandler = () => {
+    setCouponCode('');
+    setCouponInput('');
+  };
+
+  const quotedPrice = (item) => {
+    const line =
+      quote &&
+      quote.orderItems.find(
+        (x) =>
+          x.product === item._id && (x.variant || '') === (item.variant || '')
+      );
+    return line ? (
+      <Price amount={line.price} currency={quote.currency} rate={quote.exchangeRate} />
+    ) : (
+      <Price amount={item.price} />
+    );
+  };
+
+  // One key per checkout attempt: a double click or a retry after a network
+  // error places the order once. A new quote or a rejected attempt starts over.
+  const [idempotencyKey, setIdempotencyKey] = useState(newIdempotencyKey);
+  useEffect(() => {
+    setIdempotencyKey(newIdempotencyKey());
+  }, [quote]);
 
   const placeOrderHandler = async () => {
     try {
@@ -53,36 +157,49 @@ export default function PlaceOrderScreen() {
         {
           orderItems: cart.cartItems,
           shippingAddress: cart.shippingAddress,
+          shippingMethod: cart.shippingMethod,
           paymentMethod: cart.paymentMethod,
-          itemsPrice: cart.itemsPrice,
-          shippingPrice: cart.shippingPrice,
-          taxPrice: cart.taxPrice,
-          totalPrice: cart.totalPrice,
+          couponCode: couponCode || undefined,
+          currency,
+          itemsPrice: quote.itemsPrice,
+          discountPrice: quote.discountPrice,
+          shippingPrice: quote.shippingPrice,
+          taxPrice: quote.taxPrice,
+          totalPrice: quote.totalPrice,
         },
         {
           headers: {
             authorization: `Bearer ${userInfo.token}`,
+            'Idempotency-Key': idempotencyKey,
           },
         }
       );
       // Don't clear cart here - it will be cleared after payment is successful
       dispatch({ type: 'CREATE_SUCCESS' });
+      if (data.repriced) {
+        toast.info('Prices have changed since your quote, please review the order total');
+      }
       navigate(`/order/${data.order._id}`);
     } catch (err) {
       dispatch({ type: 'CREATE_FAIL' });
+      if (err.response) {
+        setIdempotencyKey(newIdempotencyKey());
+      }
       toast.error(getError(err));
     }
   };
 
   useEffect(() => {
-    if (!cart.paymentMethod) {
+    if (!cart.shippingMethod) {
+      navigate('/shipping-method');
+    } else if (!cart.paymentMethod) {
       navigate('/payment');
     }
   }, [cart, navigate]);
 
   return (
     <div>
-      <CheckoutSteps step1 step2 step3 step4></CheckoutSteps>
+      <CheckoutSteps step1 step2 step3 step4 step5></CheckoutSteps>
       <Helmet>
         <title>Preview Order</title>
       </Helmet>
@@ -95,13 +212,29 @@ export default function PlaceOrderScreen() {
               <Card.Text>
                 <strong>Name:</strong> {cart.shippingAddress.fullName} <br />
                 <strong>Address: </strong> {cart.shippingAddress.address},
-                {cart.shippingAddress.city}, {cart.shippingAddress.postalCode},
+                {cart.shippingAddress.city},{' '}
+                {cart.shippingAddress.region && `${cart.shippingAddress.region}, `}
+                {cart.shippingAddress.postalCode},
                 {cart.shippingAddress.country}
               </Card.Text>
               <Link to="/shipping">Edit</Link>
             </Card.Body>
           </Card>
 
+          <Card className="mb-3">
+            <Card.Body>
+              <Card.Title>Delivery</Card.Title>
+              <Card.Text>
+                <strong>Method:</strong>{' '}
+                {quote ? quote.shippingMethod.name : cart.shippingMethod}
+                {quote && quote.shippingMethod.estimatedDays && (
+                  <> ({quote.shippingMethod.estimatedDays})</>
+                )}
+              </Card.Text>
+              <Link to="/shipping-method">Edit</Link>
+            </Card.Body>
+          </Card>
+
           <Card className="mb-3">
             <Card.Body>
               <Card.Title>Payment</Card.Title>
@@ -117,7 +250,7 @@ export default function PlaceOrderScreen() {
               <Card.Title>Items</Card.Title>
               <ListGroup variant="flush">
                 {cart.cartItems.map((item) => (
-                  <ListGroup.Item key={item._id}>
+                  <ListGroup.Item key={cartItemKey(item)}>
                     <Row className="align-items-center">
                       <Col md={6}>
                         <img
@@ -126,11 +259,14 @@ export default function PlaceOrderScreen() {
                           className="img-fluid rounded img-thumbnail"
                         ></img>{' '}
                         <Link to={`/product/${item.slug}`}>{item.name}</Link>
+                        {item.variant && (
+                          <div className="text-muted">{variantLabel(item)}</div>
+                        )}
                       </Col>
                       <Col md={3}>
                         <span>{item.quantity}</span>
                       </Col>
-                      <Col md={3}>${item.price}</Col>
+                      <Col md={3}>{quotedPrice(item)}</Col>
                     </Row>
                   </ListGroup.Item>
                 ))}
@@ -147,20 +283,43 @@ export default function PlaceOrderScreen() {
                 <ListGroup.Item>
                   <Row>
                     <Col>Items</Col>
-                    <Col>${cart.itemsPrice.toFixed(2)}</Col>
+                    <Col>
+                      {quote ? <ChargedPrice prices={quote} field="itemsPrice" /> : '-'}
+                    </Col>
                   </Row>
                 </ListGroup.Item>
+                {quote && quote.discountPrice > 0 && (
+                  <ListGroup.Item>
+                    <Row>
+                      <Col>Discount</Col>
+                      <Col>
+                        -<ChargedPrice prices={quote} field="discountPrice" />
+                      </Col>
+                    </Row>
+                  </ListGroup.Item>
+                )}
                 <ListGroup.Item>
                   <Row>
                     <Col>Shipping</Col>
-                    <Col>${cart.shippingPrice.toFixed(2)}</Col>
+                    <Col>
+                      {quote ? <ChargedPrice prices={quote} field="shippingPrice" /> : '-'}
+                    </Col>
                   </Row>
                 </ListGroup.Item>
                 <ListGroup.Item>
                   <Row>
                     <Col>Tax</Col>
-                    <Col>${cart.taxPrice.toFixed(2)}</Col>
+                    <Col>
+                      {quote ? <ChargedPrice prices={quote} field="taxPrice" /> : '-'}
+                    </Col>
                   </Row>
+                  {quote && (
+                    <TaxBreakdown
+                      taxBreakdown={quote.taxBreakdown}
+                      currency={quote.currency}
+                      rate={quote.exchangeRate}
+                    />
+                  )}
                 </ListGroup.Item>
                 <ListGroup.Item>
                   <Row>
@@ -168,21 +327,65 @@ export default function PlaceOrderScreen() {
                       <strong> Order Total</strong>
                     </Col>
                     <Col>
-                      <strong>${cart.totalPrice.toFixed(2)}</strong>
+                      <strong>
+                        {quote ? <ChargedPrice prices={quote} field="totalPrice" /> : '-'}
+                      </strong>
                     </Col>
                   </Row>
                 </ListGroup.Item>
+                <ListGroup.Item>
+                  {quote && quote.coupon ? (
+                    <Row className="align-items-center">
+                      <Col>
+                        Coupon <strong>{quote.coupon.code}</strong>
+                        {quote.coupon.description && (
+                          <div className="text-muted">
+                            {quote.coupon.description}
+                          </div>
+                        )}
+                      </Col>
+                      <Col xs="auto">
+                        <Button
+                          type="button"
+                          variant="light"
+                          size="sm"
+                          onClick={removeCouponHandler}
+                        >
+                          Remove
+                        </Button>
+                      </Col>
+                    </Row>
+                  ) : (
+                    <Form onSubmit={applyCouponHandler}>
+                      <InputGroup>
+                        <Form.Control
+                          placeholder="Coupon code"
+                          aria-label="Coupon code"
+                          value={couponInput}
+                          onChange={(e) => setCouponInput(e.target.value)}
+                        />
+                        <Button
+                          type="submit"
+                          variant="outline-primary"
+                          disabled={!couponInput || !quote}
+                        >
+                          Apply
+                        </Button>
+                      </InputGroup>
+                    </Form>
+                  )}
+                </ListGroup.Item>
                 <ListGroup.Item>
                   <div className="d-grid">
                     <Button
                       type="button"
                       onClick={placeOrderHandler}
-                      disabled={cart.cartItems.length === 0}
+                      disabled={cart.cartItems.length === 0 || !quote}
                     >
                       Place Order
                     </Button>
                   </div>
-                  {loading && <LoadingBox></LoadingBox>}
+                  {(loading || loadingQuote) && <LoadingBox></LoadingBox>}
                 </ListGroup.Item>
               </ListGroup>
             </Card.Body>
@@ -1,8 +1,14 @@
 import React, { useContext, useEffect, useReducer, useState } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { Link, useNavigate, useParams } from 'react-router-dom';
 import axios from 'axios';
 import { Store } from '../Store';
-import { getError } from '../utils';
+import {
+  flattenCategories,
+  getError,
+  isSlugOf,
+  slugify,
+  toDateTimeInput,
+} from '../utils';
 import Container from 'react-bootstrap/Container';
 import Form from 'react-bootstrap/Form';
 import { Helmet } from 'react-helmet-async';
@@ -10,6 +16,8 @@ import LoadingBox from '../components/LoadingBox';
 import MessageBox from '../components/MessageBox';
 import Button from 'react-bootstrap/Button';
 import { toast } from 'react-toastify';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
 
 const reducer = (state, action) => {
   switch (action.type) {
@@ -36,6 +44,12 @@ const reducer = (state, action) => {
   }
 };
 
+const splitList = (text) =>
+  text
+    .split(',')
+    .map((x) => x.trim())
+    .filter(Boolean);
+
 export default function ProductEditScreen() {
   const navigate = useNavigate();
   const params = useParams();
@@ -50,26 +64,58 @@ export default function ProductEditScreen() {
 
   const [name, setName] = useState('');
   const [slug, setSlug] = useState('');
+  // The backend makes the slug from the name while this is on
+  const [autoSlug, setAutoSlug] = useState(true);
   const [price, setPrice] = useState('');
   const [image, setImage] = useState('');
+  const [images, setImages] = useState([]);
+  const [dragIndex, setDragIndex] = useState(null);
+  // Category name of products not linked to the category tree yet
   const [category, setCategory] = useState('');
+  const [categoryId, setCategoryId] = useState('');
+  const [categories, setCategories] = useState([]);
   const [countInStock, setCountInStock] = useState('');
+  // Brand name of products not linked to a brand yet
   const [brand, setBrand] = useState('');
+  const [brandId, setBrandId] = useState('');
+  const [brands, setBrands] = useState([]);
+  const [weight, setWeight] = useState('');
   const [description, setDescription] = useState('');
+  const [status, setStatus] = useState('Draft');
+  const [publishAt, setPublishAt] = useState('');
+  const [variants, setVariants] = useState([]);
+  const [sizes, setSizes] = useState('');
+  const [colors, setColors] = useState('');
 
   useEffect(() => {
     const fetchData = async () => {
       try {
         dispatch({ type: 'FETCH_REQUEST' });
-        const { data } = await axios.get(`/api/products/${productId}`);
+        // Sent as admin, drafts and archived products are hidden from others
+        const { data } = await axios.get(`/api/products/${productId}`, {
+          headers: { Authorization: `Bearer ${userInfo.token}` },
+        });
         setName(data.name);
         setSlug(data.slug);
+        setAutoSlug(isSlugOf(data.slug, data.name));
         setPrice(data.price);
         setImage(data.image);
-        setCategory(data.category);
+        setImages(data.images || []);
+        setCategory(data.categoryId ? '' : data.category);
+        setCategoryId(data.categoryId || '');
         setCountInStock(data.countInStock);
-        setBrand(data.brand);
+        setBrand(data.brandId ? '' : data.brand);
+        setBrandId(data.brandId || '');
+        setWeight(data.weight || '');
         setDescription(data.description);
+        setStatus(data.status || 'Published');
+        setPublishAt(toDateTimeInput(data.publishAt));
+        setVariants(
+          (data.variants || []).map((variant) => ({
+            ...variant,
+            price: variant.price ?? '',
+          }))
+        );
         dispatch({ type: 'FETCH_SUCCESS' });
       } catch (err) {
         dispatch({
@@ -79,7 +125,31 @@ export default function ProductEditScreen() {
       }
     };
     fetchData();
-  }, [productId]);
+  }, [productId, userInfo]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const { data } = await axios.get('/api/categories');
+        setCategories(flattenCategories(data));
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    };
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    const fetchBrands = async () => {
+      try {
+        const { data } = await axios.get('/api/brands');
+        setBrands(data);
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    };
+    fetchBrands();
+  }, []);
 
   const submitHandler = async (e) => {
     e.preventDefault();
@@ -90,13 +160,20 @@ export default function ProductEditScreen() {
         {
           _id: productId,
           name,
-          slug,
+          slug: autoSlug ? '' : slug,
           price,
           image,
+          images,
           category,
+          categoryId,
           brand,
+          brandId,
           countInStock,
+          variants,
+          weight,
           description,
+          status,
+          publishAt: publishAt ? new Date(publishAt).toISOString() : '',
         },
         {
           headers: { Authorization: `Bearer ${userInfo.token}` },
@@ -113,26 +190,84 @@ export default function ProductEditScreen() {
     }
   };
 
+  const updateVariant = (index, field, value) =>
+    setVariants(
+      variants.map((variant, i) =>
+        i === index ? { ...variant, [field]: value } : variant
+      )
+    );
+
+  // Adds a row for each size and color combination that is not listed yet
+  const generateVariantsHandler = () => {
+    const sizeList = splitList(sizes);
+    const colorList = splitList(colors);
+    const combinations = (sizeList.length > 0 ? sizeList : ['']).flatMap((size) =>
+      (colorList.length > 0 ? colorList : ['']).map((color) => ({ size, color }))
+    );
+    const added = combinations
+      .filter(
+        ({ size, color }) =>
+          (size || color) &&
+          !variants.some(
+            (x) =>
+              x.size.toLowerCase() === size.toLowerCase() &&
+              x.color.toLowerCase() === color.toLowerCase()
+          )
+      )
+      .map(({ size, color }) => ({
+        sku: [slug, size, color].filter(Boolean).join('-').toUpperCase(),
+        size,
+        color,
+        price: '',
+        countInStock: 0,
+        image: '',
+      }));
+    setVariants([...variants, ...added]);
+  };
+
   const uploadFileHandler = async (e) => {
-    const file = e.target.files[0];
     const bodyFormData = new FormData();
-    bodyFormData.append('file', file);
+    [...e.target.files].forEach((file) => bodyFormData.append('files', file));
+    e.target.value = '';
     try {
       dispatch({ type: 'UPLOAD_REQUEST' });
-      const { data } = await axios.post('/api/upload', bodyFormData, {
+      const { data } = await axios.post('/api/upload/images', bodyFormData, {
         headers: {
           authorization: `Bearer ${userInfo.token}`,
         },
       });
-      setImage(data.secure_url);
+      // Files are stored once per content, skip the ones already shown
+      const added = data.images.filter(
+        (x, i) =>
+          !images.some((y) => y.url === x.url) &&
+          data.images.findIndex((y) => y.url === x.url) === i
+      );
+      setImages([...images, ...added.map((x) => ({ ...x, alt: name }))]);
       dispatch({ type: 'UPLOAD_SUCCESS' });
-      toast.success('Image uploaded successfully');
+      toast.success('Images uploaded successfully');
     } catch (err) {
       toast.error(getError(err));
       dispatch({ type: 'UPLOAD_FAIL', payload: getError(err) });
     }
   };
 
+  const updateImage = (index, field, value) =>
+    setImages(
+      images.map((x, i) => (i === index ? { ...x, [field]: value } : x))
+    );
+
+  // Moves the dragged image to the position it is dropped on
+  const dropImageHandler = (index) => {
+    if (dragIndex === null || dragIndex === index) {
+      return;
+    }
+    const reordered = [...images];
+    const [moved] = reordered.splice(dragIndex, 1);
+    reordered.splice(index, 0, moved);
+    setImages(reordered);
+    setDragIndex(null);
+  };
+
   return (
     <Container className="small-container">
       <Helmet>
@@ -157,10 +292,22 @@ export default function ProductEditScreen() {
           <Form.Group className="mb-3" controlId="slug">
             <Form.Label>Slug</Form.Label>
             <Form.Control
-              value={slug}
+              value={autoSlug ? slugify(name) : slug}
               onChange={(e) => setSlug(e.target.value)}
+              disabled={autoSlug}
               required
             />
+            <Form.Check
+              type="checkbox"
+              id="autoSlug"
+              label="Make the slug from the name"
+              checked={autoSlug}
+              onChange={(e) => setAutoSlug(e.target.checked)}
+            />
+            <Form.Text>
+              A number is added when another product has the slug. Links to
+              previous slugs keep leading to the product.
+            </Form.Text>
           </Form.Group>
           <Form.Group className="mb-3" controlId="name">
             <Form.Label>Price</Form.Label>
@@ -172,33 +319,243 @@ export default function ProductEditScreen() {
           </Form.Group>
          
           <Form.Group className="mb-3" controlId="imageFile">
-            <Form.Label>Upload Image</Form.Label>
-            <Form.Control type="file" onChange={uploadFileHandler} />
+            <Form.Label>Upload Images</Form.Label>
+            <Form.Control
+              type="file"
+              accept="image/jpeg,image/png,image/gif,image/webp"
+              multiple
+              onChange={uploadFileHandler}
+            />
             {loadingUpload && <LoadingBox></LoadingBox>}
           </Form.Group>
+          {images.length > 0 && (
+            <div className="mb-3">
+              <Form.Text>
+                Drag the images to reorder them, the first one is the main image.
+                Removed images are deleted when the product is updated.
+              </Form.Text>
+              {images.map((x, index) => (
+                <Row
+                  key={x.url}
+                  className="align-items-center my-2"
+                  draggable
+                  onDragStart={() => setDragIndex(index)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => dropImageHandler(index)}
+                >
+                  <Col xs="auto">
+                    <img
+                      src={x.url}
+                      alt={x.alt}
+                      className="img-fluid rounded img-thumbnail"
+                    ></img>
+                  </Col>
+                  <Col>
+                    <Form.Control
+                      placeholder="Alt text"
+                      aria-label="Alt text"
+                      value={x.alt}
+                      onChange={(e) => updateImage(index, 'alt', e.target.value)}
+                    />
+                  </Col>
+                  <Col xs="auto">
+                    <Button
+                      type="button"
+                      variant="light"
+                      onClick={() =>
+                        setImages(images.filter((y, i) => i !== index))
+                      }
+                    >
+                      <i className="fas fa-trash"></i>
+                    </Button>
+                  </Col>
+                </Row>
+              ))}
+            </div>
+          )}
           <Form.Group className="mb-3" controlId="category">
             <Form.Label>Category</Form.Label>
-            <Form.Control
-              value={category}
-              onChange={(e) => setCategory(e.target.value)}
-              required
-            />
+            <Form.Select
+              value={categoryId}
+              onChange={(e) => setCategoryId(e.target.value)}
+              required={!category}
+            >
+              <option value="">
+                {category ? `${category} (not linked to a category)` : 'Select...'}
+              </option>
+              {categories.map((x) => (
+                <option key={x._id} value={x._id}>
+                  {'\u00a0\u00a0'.repeat(x.depth)}
+                  {x.name}
+                </option>
+              ))}
+            </Form.Select>
           </Form.Group>
           <Form.Group className="mb-3" controlId="brand">
             <Form.Label>Brand</Form.Label>
-            <Form.Control
-              value={brand}
-              onChange={(e) => setBrand(e.target.value)}
-              required
-            />
+            <Form.Select
+              value={brandId}
+              onChange={(e) => setBrandId(e.target.value)}
+              required={!brand}
+            >
+              <option value="">
+                {brand ? `${brand} (not linked to a brand)` : 'Select...'}
+              </option>
+              {brands.map((x) => (
+                <option key={x._id} value={x._id}>
+                  {x.name}
+                </option>
+              ))}
+            </Form.Select>
           </Form.Group>
           <Form.Group className="mb-3" controlId="countInStock">
             <Form.Label>Count In Stock</Form.Label>
             <Form.Control
-              value={countInStock}
+              value={
+                variants.length > 0
+                  ? variants.reduce((a, c) => a + Number(c.countInStock || 0), 0)
+                  : countInStock
+              }
               onChange={(e) => setCountInStock(e.target.value)}
+              disabled={variants.length > 0}
               required
             />
+            {variants.length > 0 && (
+              <Form.Text>The sum of the variants' stock</Form.Text>
+            )}
+          </Form.Group>
+
+          <h2>Variants</h2>
+          <Row className="mb-3">
+            <Col>
+              <Form.Control
+                placeholder="Sizes, e.g. S, M, L"
+                aria-label="Sizes"
+                value={sizes}
+                onChange={(e) => setSizes(e.target.value)}
+              />
+            </Col>
+            <Col>
+              <Form.Control
+                placeholder="Colors, e.g. Red, Blue"
+                aria-label="Colors"
+                value={colors}
+                onChange={(e) => setColors(e.target.value)}
+              />
+            </Col>
+            <Col xs="auto">
+              <Button
+                type="button"
+                variant="light"
+                disabled={!sizes.trim() && !colors.trim()}
+                onClick={generateVariantsHandler}
+              >
+                Generate
+              </Button>
+            </Col>
+          </Row>
+          {variants.length > 0 && (
+            <table className="table table-sm">
+              <thead>
+                <tr>
+                  <th>SIZE</th>
+                  <th>COLOR</th>
+                  <th>SKU</th>
+                  <th>PRICE</th>
+                  <th>STOCK</th>
+                  <th>IMAGE</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {variants.map((variant, index) => (
+                  <tr key={variant._id || index}>
+                    <td>
+                      <Form.Control
+                        size="sm"
+                        aria-label="Size"
+                        value={variant.size}
+                        onChange={(e) => updateVariant(index, 'size', e.target.value)}
+                      />
+                    </td>
+                    <td>
+                      <Form.Control
+                        size="sm"
+                        aria-label="Color"
+                        value={variant.color}
+                        onChange={(e) => updateVariant(index, 'color', e.target.value)}
+                      />
+                    </td>
+                    <td>
+                      <Form.Control
+                        size="sm"
+                        aria-label="SKU"
+                        value={variant.sku}
+                        onChange={(e) => updateVariant(index, 'sku', e.target.value)}
+                        required
+                      />
+                    </td>
+                    <td>
+                      <Form.Control
+                        size="sm"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        placeholder={price}
+                        aria-label="Price"
+                        value={variant.price}
+                        onChange={(e) => updateVariant(index, 'price', e.target.value)}
+                      />
+                    </td>
+                    <td>
+                      <Form.Control
+                        size="sm"
+                        type="number"
+                        min="0"
+                        step="1"
+                        aria-label="Stock"
+                        value={variant.countInStock}
+                        onChange={(e) =>
+                          updateVariant(index, 'countInStock', e.target.value)
+                        }
+                        required
+                      />
+                    </td>
+                    <td>
+                      <Form.Control
+                        size="sm"
+                        placeholder="Product image"
+                        aria-label="Image"
+                        value={variant.image}
+                        onChange={(e) => updateVariant(index, 'image', e.target.value)}
+                      />
+                    </td>
+                    <td>
+                      <Button
+                        type="button"
+                        variant="light"
+                        size="sm"
+                        onClick={() =>
+                          setVariants(variants.filter((x, i) => i !== index))
+                        }
+                      >
+                        <i className="fas fa-trash"></i>
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <Form.Group className="mb-3" controlId="weight">
+            <Form.Label>Weight (kg)</Form.Label>
+            <Form.Control
+              type="number"
+              min="0"
+              step="0.01"
+              value={weight}
+              onChange={(e) => setWeight(e.target.value)}
+            />
           </Form.Group>
           <Form.Group className="mb-3" controlId="description">
             <Form.Label>Description</Form.Label>
@@ -208,6 +565,30 @@ export default function ProductEditScreen() {
               required
             />
           </Form.Group>
+          <Form.Group className="mb-3" controlId="status">
+            <Form.Label>Status</Form.Label>
+            <Form.Select value={status} onChange={(e) => setStatus(e.target.value)}>
+              <option value="Draft">Draft</option>
+              <option value="Published">Published</option>
+              <option value="Archived">Archived</option>
+            </Form.Select>
+            <Form.Text>
+              Only published products are shown to customers.{' '}
+              <Link to={`/product/${slug}`} target="_blank">
+                Preview
+              </Link>
+            </Form.Text>
+          </Form.Group>
+          {status === 'Published' && (
+            <Form.Group className="mb-3" controlId="publishAt">
+              <Form.Label>Publish On (empty to publish now)</Form.Label>
+              <Form.Control
+                type="datetime-local"
+                value={publishAt}
+                onChange={(e) => setPublishAt(e.target.value)}
+              />
+            </Form.Group>
+          )}
           <div className="mb-3">
             <Button disabled={loadingUpdate} type="submit">
               Update
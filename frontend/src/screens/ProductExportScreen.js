@@ -0,0 +1,163 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Helmet } from 'react-helmet-async';
+import { Link } from 'react-router-dom';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import { toast } from 'react-toastify';
+import LoadingBox from '../components/LoadingBox';
+import { Store } from '../Store';
+import { flattenCategories, getError } from '../utils';
+
+// Download of the catalog as CSV or JSON, optionally filtered. The files
+// have the columns of the product import, so they can be edited and
+// imported back.
+export default function ProductExportScreen() {
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [categories, setCategories] = useState([]);
+  const [brands, setBrands] = useState([]);
+  const [format, setFormat] = useState('csv');
+  const [query, setQuery] = useState('');
+  const [category, setCategory] = useState('all');
+  const [brand, setBrand] = useState('all');
+  const [stock, setStock] = useState('all');
+  const [status, setStatus] = useState('all');
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [categoryResult, brandResult] = await Promise.all([
+          axios.get('/api/categories'),
+          axios.get('/api/brands'),
+        ]);
+        setCategories(flattenCategories(categoryResult.data));
+        setBrands(brandResult.data);
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    };
+    fetchData();
+  }, []);
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    try {
+      setDownloading(true);
+      const { data, headers } = await axios.get('/api/products/export', {
+        params: {
+          format,
+          query: query || 'all',
+          category,
+          brand,
+          stock,
+          status,
+        },
+        headers: { Authorization: `Bearer ${userInfo.token}` },
+        responseType: 'blob',
+      });
+      const [, fileName] =
+        /filename="?([^"]+)"?/.exec(headers['content-disposition'] || '') || [];
+      const url = URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName || `products.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setDownloading(false);
+    } catch (err) {
+      setDownloading(false);
+      toast.error(getError(err));
+    }
+  };
+
+  return (
+    <div>
+      <Helmet>
+        <title>Export Products</title>
+      </Helmet>
+      <h1>Export Products</h1>
+      <p className="text-muted">
+        Marketplaces can read the public product feed at{' '}
+        <code>/api/products/feed.xml</code>, which takes the same filters.
+      </p>
+      <Form onSubmit={submitHandler}>
+        <Row>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="query">
+              <Form.Label>Name Contains</Form.Label>
+              <Form.Control value={query} onChange={(e) => setQuery(e.target.value)} />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="category">
+              <Form.Label>Category</Form.Label>
+              <Form.Select value={category} onChange={(e) => setCategory(e.target.value)}>
+                <option value="all">All categories</option>
+                {categories.map((x) => (
+                  <option key={x._id} value={x.slug}>
+                    {'\u00a0\u00a0'.repeat(x.depth)}
+                    {x.name}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="brand">
+              <Form.Label>Brand</Form.Label>
+              <Form.Select value={brand} onChange={(e) => setBrand(e.target.value)}>
+                <option value="all">All brands</option>
+                {brands.map((x) => (
+                  <option key={x._id} value={x.slug}>
+                    {x.name}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="stock">
+              <Form.Label>Stock</Form.Label>
+              <Form.Select value={stock} onChange={(e) => setStock(e.target.value)}>
+                <option value="all">Any</option>
+                <option value="in">In stock</option>
+                <option value="out">Out of stock</option>
+              </Form.Select>
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="status">
+              <Form.Label>Status</Form.Label>
+              <Form.Select value={status} onChange={(e) => setStatus(e.target.value)}>
+                <option value="all">Any</option>
+                <option value="Draft">Draft</option>
+                <option value="Published">Published</option>
+                <option value="Archived">Archived</option>
+              </Form.Select>
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="format">
+              <Form.Label>Format</Form.Label>
+              <Form.Select value={format} onChange={(e) => setFormat(e.target.value)}>
+                <option value="csv">CSV</option>
+                <option value="json">JSON</option>
+              </Form.Select>
+            </Form.Group>
+          </Col>
+        </Row>
+        <div className="mb-3">
+          <Button type="submit" disabled={downloading}>
+            Download
+          </Button>{' '}
+          <Link to="/admin/products">Back to products</Link>
+        </div>
+      </Form>
+      {downloading && <LoadingBox></LoadingBox>}
+    </div>
+  );
+}
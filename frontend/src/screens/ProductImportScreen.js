@@ -0,0 +1,183 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Helmet } from 'react-helmet-async';
+import { Link } from 'react-router-dom';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import ProgressBar from 'react-bootstrap/ProgressBar';
+import { toast } from 'react-toastify';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+const POLL_INTERVAL = 2000;
+
+const isDone = (productImport) =>
+  ['Completed', 'Failed'].includes(productImport.status);
+
+// Bulk import of products from a JSON file shaped like cloths.json or a CSV
+// file with the same columns. Products are matched by slug: new ones are
+// created and existing ones updated. A dry run checks the file first.
+export default function ProductImportScreen() {
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [file, setFile] = useState(null);
+  const [dryRun, setDryRun] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [productImport, setProductImport] = useState(null);
+
+  // The import runs in the background, follow it until it is done
+  useEffect(() => {
+    if (!productImport || isDone(productImport)) {
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await axios.get(
+          `/api/products/import/${productImport._id}`,
+          { headers: { Authorization: `Bearer ${userInfo.token}` } }
+        );
+        setProductImport(data);
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    }, POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [productImport, userInfo]);
+
+  const upload = async (asDryRun) => {
+    const bodyFormData = new FormData();
+    bodyFormData.append('file', file);
+    bodyFormData.append('dryRun', asDryRun);
+    try {
+      setUploading(true);
+      const { data } = await axios.post('/api/products/import', bodyFormData, {
+        headers: { Authorization: `Bearer ${userInfo.token}` },
+      });
+      setUploading(false);
+      setProductImport(data.import);
+    } catch (err) {
+      setUploading(false);
+      toast.error(getError(err));
+    }
+  };
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    upload(dryRun);
+  };
+
+  const running = productImport && !isDone(productImport);
+
+  return (
+    <div>
+      <Helmet>
+        <title>Import Products</title>
+      </Helmet>
+      <h1>Import Products</h1>
+      <p className="text-muted">
+        A JSON list of products like cloths.json, or a CSV file with a header
+        row of name, slug, image, brand, category, description, price,
+        countInStock and optionally weight. Products are matched by slug:
+        new slugs are created, existing ones updated.
+      </p>
+
+      <Form onSubmit={submitHandler}>
+        <Form.Group className="mb-3" controlId="importFile">
+          <Form.Label>Product File</Form.Label>
+          <Form.Control
+            type="file"
+            accept=".json,.csv"
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              setProductImport(null);
+            }}
+            required
+          />
+        </Form.Group>
+        <Form.Check
+          className="mb-3"
+          type="checkbox"
+          id="dryRun"
+          label="Dry run: check the file without saving anything"
+          checked={dryRun}
+          onChange={(e) => setDryRun(e.target.checked)}
+        />
+        <div className="mb-3">
+          <Button type="submit" disabled={!file || uploading || running}>
+            {dryRun ? 'Check File' : 'Import'}
+          </Button>{' '}
+          <Link to="/admin/products">Back to products</Link>
+        </div>
+      </Form>
+      {uploading && <LoadingBox></LoadingBox>}
+
+      {productImport && (
+        <>
+          <h2>
+            {productImport.dryRun ? 'Dry Run' : 'Import'} of{' '}
+            {productImport.fileName}: {productImport.status}
+          </h2>
+          <ProgressBar
+            className="mb-3"
+            now={productImport.processed}
+            max={productImport.total}
+            label={`${productImport.processed} / ${productImport.total}`}
+            animated={running}
+          />
+          {productImport.status === 'Failed' ? (
+            <MessageBox variant="danger">{productImport.message}</MessageBox>
+          ) : (
+            <p>
+              {productImport.dryRun ? 'Would create' : 'Created'}{' '}
+              {productImport.created},{' '}
+              {productImport.dryRun ? 'would update' : 'updated'}{' '}
+              {productImport.updated}, {productImport.failures.length} rows
+              with errors.
+            </p>
+          )}
+          {productImport.dryRun && productImport.status === 'Completed' && (
+            <div className="mb-3">
+              <Button
+                type="button"
+                disabled={uploading}
+                onClick={() => {
+                  setDryRun(false);
+                  upload(false);
+                }}
+              >
+                Import Now
+              </Button>
+              {productImport.failures.length > 0 && (
+                <Form.Text className="ms-2">
+                  Rows with errors are skipped
+                </Form.Text>
+              )}
+            </div>
+          )}
+          {productImport.failures.length > 0 && (
+            <table className="table table-striped">
+              <thead>
+                <tr>
+                  <th>ROW</th>
+                  <th>SLUG</th>
+                  <th>ERROR</th>
+                </tr>
+              </thead>
+              <tbody>
+                {productImport.failures.map((failure) => (
+                  <tr key={`${failure.row}-${failure.message}`}>
+                    <td>{failure.row}</td>
+                    <td>{failure.slug}</td>
+                    <td>{failure.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -8,7 +8,8 @@ import Row from "react-bootstrap/Row";
 import Col from "react-bootstrap/Col";
 import Button from "react-bootstrap/Button";
 import { toast } from "react-toastify";
-import { getError } from "../utils";
+import Badge from "react-bootstrap/Badge";
+import { getError, productStatus } from "../utils";
 import { Helmet } from "react-helmet-async";
 
 const reducer = (state, action) => {
@@ -51,6 +52,13 @@ const reducer = (state, action) => {
   }
 };
 
+const STATUS_VARIANTS = {
+  Draft: "secondary",
+  Scheduled: "info",
+  Published: "success",
+  Archived: "dark",
+};
+
 export default function ProductListScreen() {
   const [{ loading, error, products, pages, loadingCreate, loadingDelete, successDelete }, dispatch] = useReducer(reducer, {
     loading: true,
@@ -115,10 +123,11 @@ export default function ProductListScreen() {
   const deleteHandler = async (product) => {
     if (window.confirm("Are you sure to delete?")) {
       try {
-        await axios.delete(`/api/products/${product._id}`, {
+        // Deleted products go to the trash, where they can be restored
+        const { data } = await axios.delete(`/api/products/${product._id}`, {
           headers: { Authorization: `Bearer ${userInfo.token}` },
         });
-        toast.success("product deleted successfully");
+        toast.success(data.message);
         dispatch({ type: "DELETE_SUCCESS" });
       } catch (err) {
         toast.error(getError(err));
@@ -146,6 +155,20 @@ export default function ProductListScreen() {
               onClick={createHandler}
             >
               Create Product
+            </Button>{" "}
+            <Button
+              type="button"
+              variant="light"
+              onClick={() => navigate("/admin/products/import")}
+            >
+              Import Products
+            </Button>{" "}
+            <Button
+              type="button"
+              variant="light"
+              onClick={() => navigate("/admin/products/export")}
+            >
+              Export Products
             </Button>
           </div>
         </Col>
@@ -169,6 +192,7 @@ export default function ProductListScreen() {
                 <th>CATEGORY</th>
                 <th>BRAND</th>
                 <th>STOCK</th>
+                <th>STATUS</th>
                 <th>ACTIONS</th>
               </tr>
             </thead>
@@ -188,6 +212,11 @@ export default function ProductListScreen() {
                   <td>{product.category}</td>
                   <td>{product.brand}</td>
                   <td>{product.countInStock}</td>
+                  <td>
+                    <Badge bg={STATUS_VARIANTS[productStatus(product)]}>
+                      {productStatus(product)}
+                    </Badge>
+                  </td>
                   <td>
                     <Button
                       type="button"
@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { useContext, useEffect, useReducer, useRef, useState } from 'react';
+import { useContext, useEffect, useMemo, useReducer, useRef, useState } from 'react';
 import { Link, useNavigate, useParams } from 'react-router-dom';
 import Row from 'react-bootstrap/Row';
 import Col from 'react-bootstrap/Col';
@@ -7,11 +7,15 @@ import Card from 'react-bootstrap/Card';
 import ListGroup from 'react-bootstrap/ListGroup';
 import Badge from 'react-bootstrap/Badge';
 import Button from 'react-bootstrap/Button';
+import Breadcrumb from 'react-bootstrap/Breadcrumb';
 import Rating from '../components/Rating';
 import { Helmet } from 'react-helmet-async';
 import LoadingBox from '../components/LoadingBox';
 import MessageBox from '../components/MessageBox';
-import { getError } from '../utils';
+import Price from '../components/Price';
+import VariantPicker from '../components/VariantPicker';
+import ProductGallery from '../components/ProductGallery';
+import { findCategoryPath, getError, productStatus } from '../utils';
 import { Store } from '../Store';
 import Form from 'react-bootstrap/Form';
 import FloatingLabel from 'react-bootstrap/FloatingLabel';
@@ -54,6 +58,10 @@ function ProductScreen() {
   // State variables for rating and comment inputs
   const [rating, setRating] = useState(0);
   const [comment, setComment] = useState('');
+  // Size / color picked for products with variants
+  const [variant, setVariant] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [brands, setBrands] = useState([]);
   const navigate = useNavigate();
 
   // Extracting parameters from the URL using useParams
@@ -70,39 +78,109 @@ function ProductScreen() {
 
 
 
+  // Extracting cart and user information from the global state using useContext
+  const { state, dispatch: ctxDispatch } = useContext(Store);
+  const { cart, userInfo } = state; //diconstructing
+
   // uses the useEffect hook to fetch product data when the component mounts or when the slug parameter changes.
   useEffect(() => {
     const fetchData = async () => {
       dispatch({ type: 'FETCH_REQUEST' });
       try {
         //${slug} is the value of slug user entered in the url
-        const result = await axios.get (`/api/products/slug/${slug}`);
+        // admins also get drafts and archived products, to preview them
+        const result = await axios.get(
+          `/api/products/slug/${slug}`,
+          userInfo && userInfo.isAdmin
+            ? { headers: { Authorization: `Bearer ${userInfo.token}` } }
+            : {}
+        );
+        // an old slug of the product: show its current URL, which fetches it again
+        if (result.data.redirect) {
+          navigate(`/product/${result.data.redirect}`, { replace: true });
+          return;
+        }
         // if the request is successful, it dispatches a 'FETCH_SUCCESS' action with the fetched data.
         dispatch({ type: 'FETCH_SUCCESS', payload: result.data });
+        const variants = result.data.variants || [];
+        setVariant(variants.find((x) => x.countInStock > 0) || variants[0] || null);
       } catch (err) {
         dispatch({ type: 'FETCH_FAIL', payload: getError(err) });
       }
     };
     fetchData();
-  }, [slug]);     // run useEffect when slug change (when user click on a different product)
-
-
-
-  
-  // Extracting cart and user information from the global state using useContext
-  const { state, dispatch: ctxDispatch } = useContext(Store);
-  const { cart, userInfo } = state; //diconstructing
+  }, [slug, userInfo, navigate]);     // run useEffect when slug change (when user click on a different product)
 
+  // Category tree for the breadcrumbs
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const { data } = await axios.get('/api/categories');
+        setCategories(data);
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    };
+    fetchCategories();
+  }, []);
 
+  // Brands, to link the product to the page of its brand
+  useEffect(() => {
+    const fetchBrands = async () => {
+      try {
+        const { data } = await axios.get('/api/brands');
+        setBrands(data);
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    };
+    fetchBrands();
+  }, []);
+
+
+
+
+  const hasVariants = product.variants && product.variants.length > 0;
+  const brand = brands.find((x) => x._id === product.brandId);
+  // What is being sold: the picked variant's price, stock and image override the product's
+  const price = variant && variant.price != null ? variant.price : product.price;
+  const countInStock = hasVariants
+    ? variant
+      ? variant.countInStock
+      : 0
+    : product.countInStock;
+  const image = (variant && variant.image) || product.image;
+  // Gallery images, then the variant images that are not part of it
+  const images = useMemo(() => {
+    if (!product.name) {
+      return [];
+    }
+    const gallery =
+      product.images && product.images.length > 0
+        ? product.images
+        : [{ url: product.image, alt: product.name }];
+    const variantImages = [
+      ...new Set((product.variants || []).map((x) => x.image).filter(Boolean)),
+    ]
+      .filter((url) => !gallery.some((x) => x.url === url))
+      .map((url) => ({ url, alt: product.name }));
+    return [...gallery, ...variantImages];
+  }, [product]);
 
   // Event handler for adding the product to the cart
   const addToCartHandler = async () => {
     //if current product exist in cart, increase quantity by 1 when clicked
-    const existItem = cart.cartItems.find((x) => x._id === product._id);
+    const existItem = cart.cartItems.find(
+      (x) => x._id === product._id && (x.variant || '') === (variant ? variant._id : '')
+    );
     const quantity = existItem ? existItem.quantity + 1 : 1;
     //ajax request to current product to check if the product stock is less than the quantity im going to add to the cart
     const { data } = await axios.get(`/api/products/${product._id}`);
-    if (data.countInStock < quantity) {
+    const stock = variant
+      ? (data.variants.find((x) => x._id === variant._id) || { countInStock: 0 })
+          .countInStock
+      : data.countInStock;
+    if (stock < quantity) {
       window.alert('Sorry. Product is out of stock');
       return;
     }
@@ -110,7 +188,19 @@ function ProductScreen() {
     // Dispatch an action to add the item to the cart
     ctxDispatch({
       type: 'CART_ADD_ITEM',
-      payload: { ...product, quantity },
+      payload: {
+        ...product,
+        quantity,
+        ...(variant && {
+          variant: variant._id,
+          sku: variant.sku,
+          size: variant.size,
+          color: variant.color,
+          price,
+          image,
+          countInStock: variant.countInStock,
+        }),
+      },
     });
     //redirect user to cart screen
     navigate('/cart');
@@ -169,14 +259,31 @@ function ProductScreen() {
     <MessageBox variant="danger">{error}</MessageBox>
   ) : (
     <div>
+      {productStatus(product) !== 'Published' && (
+        <MessageBox variant="warning">
+          Preview: this product is {productStatus(product).toLowerCase()} and
+          hidden from customers
+        </MessageBox>
+      )}
+      <Breadcrumb>
+        <Breadcrumb.Item linkAs={Link} linkProps={{ to: '/' }}>
+          Home
+        </Breadcrumb.Item>
+        {findCategoryPath(categories, product.categoryId).map((category) => (
+          <Breadcrumb.Item
+            key={category._id}
+            linkAs={Link}
+            linkProps={{ to: `/search?category=${category.slug}` }}
+          >
+            {category.name}
+          </Breadcrumb.Item>
+        ))}
+        <Breadcrumb.Item active>{product.name}</Breadcrumb.Item>
+      </Breadcrumb>
       {/* Displaying product details */}
       <Row>
         <Col md={6}>
-          <img
-            className="img-large"
-            src={product.image}
-            alt={product.name}
-          ></img>
+          <ProductGallery images={images} selected={image} name={product.name} />
         </Col>
         <Col md={3}>
           <ListGroup variant="flush">
@@ -192,7 +299,14 @@ function ProductScreen() {
                 numReviews={product.numReviews}
               ></Rating>
             </ListGroup.Item>
-            <ListGroup.Item>Price : ${product.price}</ListGroup.Item>
+            {brand && (
+              <ListGroup.Item>
+                Brand : <Link to={`/brand/${brand.slug}`}>{brand.name}</Link>
+              </ListGroup.Item>
+            )}
+            <ListGroup.Item>
+              Price : <Price amount={price} />
+            </ListGroup.Item>
             <ListGroup.Item>
               Description:
               <p>{product.description}</p>
@@ -206,14 +320,25 @@ function ProductScreen() {
                 <ListGroup.Item>
                   <Row>
                     <Col>Price:</Col>
-                    <Col>${product.price}</Col>
+                    <Col>
+                      <Price amount={price} />
+                    </Col>
                   </Row>
                 </ListGroup.Item>
+                {hasVariants && (
+                  <ListGroup.Item>
+                    <VariantPicker
+                      variants={product.variants}
+                      variant={variant}
+                      onChange={setVariant}
+                    />
+                  </ListGroup.Item>
+                )}
                 <ListGroup.Item>
                   <Row>
                     <Col>Status:</Col>
                     <Col>
-                      {product.countInStock > 0 ? (
+                      {countInStock > 0 ? (
                         <Badge bg="success">In Stock</Badge>
                       ) : (
                         <Badge bg="danger">Unavailable</Badge>
@@ -223,7 +348,7 @@ function ProductScreen() {
                 </ListGroup.Item>
 
                 {/*conditionally render the Add to Cart button*/}
-                {product.countInStock > 0 && (
+                {countInStock > 0 && (
                   <ListGroup.Item>
                     <div className="d-grid">
                       <Button onClick={addToCartHandler} variant="primary">
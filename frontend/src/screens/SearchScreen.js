@@ -1,8 +1,8 @@
 import React, { useEffect, useReducer, useState } from 'react';
-import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { Link, useNavigate, useLocation, useParams } from 'react-router-dom';
 import axios from 'axios';
 import { toast } from 'react-toastify';
-import { getError } from '../utils';
+import { flattenCategories, getError } from '../utils';
 import { Helmet } from 'react-helmet-async';
 import Row from 'react-bootstrap/Row';
 import Col from 'react-bootstrap/Col';
@@ -28,6 +28,7 @@ const reducer = (state, action) => {
         page: action.payload.page,
         pages: action.payload.pages,
         countProducts: action.payload.countProducts,
+        brands: action.payload.brands,
         loading: false,
       };
     case 'FETCH_FAIL':
@@ -79,16 +80,20 @@ export const ratings = [
 ];
 
 
-// Functional component for the SearchScreen
+// Functional component for the SearchScreen, also rendered as the page of a
+// brand (/brand/:slug) with the brand filter fixed
 export default function SearchScreen() {
   
   const navigate = useNavigate();
   const { search } = useLocation();
+  const { slug: brandSlug } = useParams();
+  const basePath = brandSlug ? `/brand/${brandSlug}` : '/search';
 
     // Extracting query parameters from the URL
-  const sp = new URLSearchParams(search); // /search?category=Shirts
+  const sp = new URLSearchParams(search); // /search?category=shirts
 
-  const category = sp.get('category') || 'all'; // return "Shirts"
+  const category = sp.get('category') || 'all'; // return "shirts", the category slug
+  const brand = brandSlug || sp.get('brand') || 'all';
   const query = sp.get('query') || 'all';
   const price = sp.get('price') || 'all';
   const rating = sp.get('rating') || 'all';
@@ -97,10 +102,11 @@ export default function SearchScreen() {
  
 
   // UseReducer to manage state related to product fetching
-  const [{ loading, error, products, pages, countProducts }, dispatch] =
+  const [{ loading, error, products, pages, countProducts, brands }, dispatch] =
     useReducer(reducer, {
       loading: true,
       error: '',
+      brands: [],
     });
 
   
@@ -110,7 +116,7 @@ export default function SearchScreen() {
     const fetchData = async () => {
       try {
         const { data } = await axios.get(
-          `/api/products/search?page=${page}&query=${query}&category=${category}&price=${price}&rating=${rating}&order=${order}`
+          `/api/products/search?page=${page}&query=${query}&category=${category}&brand=${brand}&price=${price}&rating=${rating}&order=${order}`
         );
         dispatch({ type: 'FETCH_SUCCESS', payload: data });
       } catch (err) {
@@ -121,7 +127,7 @@ export default function SearchScreen() {
       }
     };
     fetchData();
-  }, [category, error, order, page, price, query, rating]); //dependecy array (include all variables used in quary string)
+  }, [brand, category, error, order, page, price, query, rating]); //dependecy array (include all variables used in quary string)
 
 
 
@@ -131,8 +137,8 @@ export default function SearchScreen() {
   useEffect(() => {
     const fetchCategories = async () => {
       try {
-        const { data } = await axios.get(`/api/products/categories`);
-        setCategories(data);
+        const { data } = await axios.get('/api/categories');
+        setCategories(flattenCategories(data));
       } catch (err) {
         toast.error(getError(err));
       }
@@ -143,15 +149,42 @@ export default function SearchScreen() {
 
 
 
+  // Logo and description shown on top of a brand page
+  const [brandInfo, setBrandInfo] = useState(null);
+  useEffect(() => {
+    const fetchBrand = async () => {
+      try {
+        const { data } = await axios.get(`/api/brands/slug/${brandSlug}`);
+        setBrandInfo(data);
+      } catch (err) {
+        setBrandInfo(null);
+      }
+    };
+    if (brandSlug) {
+      fetchBrand();
+    } else {
+      setBrandInfo(null);
+    }
+  }, [brandSlug]);
+
+
+
+
+  const selectedCategory = categories.find((c) => c.slug === category);
+  const selectedBrand = brands.find((b) => b.slug === brand);
+
   // Function to generate a filter URL based on selected filters
   const getFilterUrl = (filter) => {
     const filterPage = filter.page || page;
     const filterCategory = filter.category || category;
+    const filterBrand = filter.brand || brand;
     const filterQuery = filter.query || query;
     const filterRating = filter.rating || rating;
     const filterPrice = filter.price || price;
     const sortOrder = filter.order || order;
-    return `/search?category=${filterCategory}&query=${filterQuery}&price=${filterPrice}&rating=${filterRating}&order=${sortOrder}&page=${filterPage}`;
+    // The brand of a brand page is part of its path
+    const brandParam = brandSlug ? '' : `&brand=${filterBrand}`;
+    return `${basePath}?category=${filterCategory}${brandParam}&query=${filterQuery}&price=${filterPrice}&rating=${filterRating}&order=${sortOrder}&page=${filterPage}`;
   };
 
 
@@ -160,8 +193,25 @@ export default function SearchScreen() {
   return (
     <div>
       <Helmet>
-        <title>Search Products</title>
+        <title>{brandInfo ? brandInfo.name : 'Search Products'}</title>
       </Helmet>
+      {brandInfo && (
+        <Row className="align-items-center mb-3">
+          {brandInfo.logo && (
+            <Col xs="auto">
+              <img
+                src={brandInfo.logo}
+                alt={brandInfo.name}
+                className="brand-logo"
+              ></img>
+            </Col>
+          )}
+          <Col>
+            <h1>{brandInfo.name}</h1>
+            {brandInfo.description && <p>{brandInfo.description}</p>}
+          </Col>
+        </Row>
+      )}
       <Row>
         <Col md={3}>
           <h3>Department</h3>
@@ -183,17 +233,42 @@ export default function SearchScreen() {
                  */}
               </li>
               {categories.map((c) => (
-                <li key={c}>
+                <li key={c._id} style={{ marginLeft: `${c.depth}rem` }}>
                   <Link
-                    className={c === category ? 'text-bold' : ''}
-                    to={getFilterUrl({ category: c })}
+                    className={c.slug === category ? 'text-bold' : ''}
+                    to={getFilterUrl({ category: c.slug })}
                   >
-                    {c}
+                    {c.name}
                   </Link>
                 </li>
               ))}
             </ul>
           </div>
+          {!brandSlug && (
+            <div>
+              <h3>Brand</h3>
+              <ul>
+                <li>
+                  <Link
+                    className={'all' === brand ? 'text-bold' : ''}
+                    to={getFilterUrl({ brand: 'all' })}
+                  >
+                    Any
+                  </Link>
+                </li>
+                {brands.map((b) => (
+                  <li key={b.slug}>
+                    <Link
+                      className={b.slug === brand ? 'text-bold' : ''}
+                      to={getFilterUrl({ brand: b.slug })}
+                    >
+                      {b.name} ({b.count})
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
           <div>
             <h3>Price</h3>
             <ul>
@@ -250,21 +325,29 @@ export default function SearchScreen() {
             <MessageBox variant="danger">{error}</MessageBox>
           ) : (
             <>
+              {selectedCategory && selectedCategory.description && (
+                <p>{selectedCategory.description}</p>
+              )}
               <Row className="justify-content-between mb-3">
                 <Col md={6}>
                   <div>
                     {countProducts === 0 ? 'No' : countProducts} Results
                     {query !== 'all' && ' : ' + query}
-                    {category !== 'all' && ' : ' + category}
+                    {category !== 'all' &&
+                      ' : ' + (selectedCategory ? selectedCategory.name : category)}
+                    {!brandSlug &&
+                      brand !== 'all' &&
+                      ' : ' + (selectedBrand ? selectedBrand.name : brand)}
                     {price !== 'all' && ' : Price ' + price}
                     {rating !== 'all' && ' : Rating ' + rating + ' & up'}
                     {query !== 'all' ||
                     category !== 'all' ||
+                    (!brandSlug && brand !== 'all') ||
                     rating !== 'all' ||
                     price !== 'all' ? (
                       <Button
                         variant="light"
-                        onClick={() => navigate('/search')}
+                        onClick={() => navigate(basePath)}
                       >
                         <i className="fas fa-times-circle"></i>
                       </Button>
@@ -303,10 +386,7 @@ export default function SearchScreen() {
                   <LinkContainer
                     key={x + 1}
                     className="mx-1"
-                    to={{
-                      pathname: '/search',
-                      search: getFilterUrl({ page: x + 1 }).substring(7),
-                    }}
+                    to={getFilterUrl({ page: x + 1 })}
                   >
                     <Button
                       className={Number(page) === x + 1 ? 'text-bold' : ''}
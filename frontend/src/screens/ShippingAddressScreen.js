@@ -31,6 +31,7 @@ export default function ShippingAddressScreen() {
   }, [userInfo, navigate]);
 
   const [country, setCountry] = useState(shippingAddress.country || "");
+  const [region, setRegion] = useState(shippingAddress.region || "");
 
   const submitHandler = (e) => {
     e.preventDefault();
@@ -42,6 +43,7 @@ export default function ShippingAddressScreen() {
         city,
         postalCode,
         country,
+        region,
       },
     });
     localStorage.setItem(
@@ -52,9 +54,10 @@ export default function ShippingAddressScreen() {
         city,
         postalCode,
         country,
+        region,
       })
     );
-    navigate("/payment");
+    navigate("/shipping-method");
   };
 
   return (
@@ -117,6 +120,15 @@ export default function ShippingAddressScreen() {
               required
             />
           </Form.Group>
+          <Form.Group className="mb-3" controlId="region">
+            <Form.Label>State / Province</Form.Label>
+            <Form.Control
+              type="text"
+              value={region}
+              onChange={(e) => setRegion(e.target.value)}
+              placeholder="Optional"
+            />
+          </Form.Group>
           <div className="mb-3">
             <Button variant="primary" type="submit">
               Continue
@@ -0,0 +1,118 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Helmet } from 'react-helmet-async';
+import { useNavigate } from 'react-router-dom';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import CheckoutSteps from '../components/CheckoutSteps';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import Price from '../components/Price';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+export default function ShippingMethodScreen() {
+  const navigate = useNavigate();
+  const { state, dispatch: ctxDispatch } = useContext(Store);
+  const {
+    userInfo,
+    cart: { cartItems, shippingAddress, shippingMethod },
+  } = state;
+
+  const [shippingMethodCode, setShippingMethod] = useState(shippingMethod || '');
+  const [methods, setMethods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!shippingAddress.address) {
+      navigate('/shipping');
+    }
+  }, [shippingAddress, navigate]);
+
+  // Methods and prices depend on the address and on the weight of the cart
+  useEffect(() => {
+    const fetchMethods = async () => {
+      try {
+        const { data } = await axios.post(
+          '/api/shipping/quote',
+          { orderItems: cartItems, shippingAddress },
+          { headers: { authorization: `Bearer ${userInfo.token}` } }
+        );
+        setMethods(data.methods);
+        setLoading(false);
+        // Keep the saved choice only while it is still offered
+        setShippingMethod((current) =>
+          data.methods.some((x) => x.code === current)
+            ? current
+            : data.methods.length > 0
+            ? data.methods[0].code
+            : ''
+        );
+      } catch (err) {
+        setError(getError(err));
+        setLoading(false);
+      }
+    };
+    if (userInfo && cartItems.length > 0) {
+      fetchMethods();
+    }
+  }, [cartItems, shippingAddress, userInfo]);
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    ctxDispatch({ type: 'SAVE_SHIPPING_METHOD', payload: shippingMethodCode });
+    navigate('/payment');
+  };
+
+  return (
+    <div>
+      <CheckoutSteps step1 step2 step3></CheckoutSteps>
+      <div className="container small-container">
+        <Helmet>
+          <title>Delivery Method</title>
+        </Helmet>
+        <h1 className="my-3">Delivery Method</h1>
+        {cartItems.length === 0 ? (
+          <MessageBox>Cart is empty</MessageBox>
+        ) : loading ? (
+          <LoadingBox></LoadingBox>
+        ) : error ? (
+          <MessageBox variant="danger">{error}</MessageBox>
+        ) : methods.length === 0 ? (
+          <MessageBox variant="danger">
+            No shipping method is available for this address
+          </MessageBox>
+        ) : (
+          <Form onSubmit={submitHandler}>
+            {methods.map((method) => (
+              <div className="mb-3" key={method.code}>
+                <Form.Check
+                  type="radio"
+                  id={method.code}
+                  label={
+                    <>
+                      {method.name} -{' '}
+                      {method.price === 0 ? 'Free' : <Price amount={method.price} />}
+                    </>
+                  }
+                  value={method.code}
+                  checked={shippingMethodCode === method.code}
+                  onChange={(e) => setShippingMethod(e.target.value)}
+                />
+                {method.estimatedDays && (
+                  <Form.Text className="ms-4">{method.estimatedDays}</Form.Text>
+                )}
+              </div>
+            ))}
+            <div className="mb-3">
+              <Button type="submit" disabled={!shippingMethodCode}>
+                Continue
+              </Button>
+            </div>
+          </Form>
+        )}
+      </div>
+    </div>
+  );
+}
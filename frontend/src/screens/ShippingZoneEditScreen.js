@@ -0,0 +1,324 @@
+import React, { useContext, useEffect, useReducer, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+import Container from 'react-bootstrap/Container';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Card from 'react-bootstrap/Card';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import { Helmet } from 'react-helmet-async';
+import { toast } from 'react-toastify';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+const reducer = (state, action) => {
+  switch (action.type) {
+    case 'FETCH_REQUEST':
+      return { ...state, loading: true };
+    case 'FETCH_SUCCESS':
+      return { ...state, loading: false };
+    case 'FETCH_FAIL':
+      return { ...state, loading: false, error: action.payload };
+    case 'UPDATE_REQUEST':
+      return { ...state, loadingUpdate: true };
+    case 'UPDATE_SUCCESS':
+    case 'UPDATE_FAIL':
+      return { ...state, loadingUpdate: false };
+    default:
+      return state;
+  }
+};
+
+const METHOD_CODES = [
+  { code: 'standard', name: 'Standard' },
+  { code: 'express', name: 'Express' },
+  { code: 'pickup', name: 'In-store pickup' },
+];
+
+export default function ShippingZoneEditScreen() {
+  const navigate = useNavigate();
+  const { id: zoneId } = useParams();
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [{ loading, error, loadingUpdate }, dispatch] = useReducer(reducer, {
+    loading: true,
+    error: '',
+  });
+
+  const [name, setName] = useState('');
+  const [countries, setCountries] = useState('');
+  const [cities, setCities] = useState('');
+  const [methods, setMethods] = useState([]);
+  const [isActive, setIsActive] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        dispatch({ type: 'FETCH_REQUEST' });
+        const { data } = await axios.get(`/api/shipping/zones/${zoneId}`, {
+          headers: { Authorization: `Bearer ${userInfo.token}` },
+        });
+        setName(data.name);
+        setCountries(data.countries.join(', '));
+        setCities(data.cities.join(', '));
+        setMethods(
+          data.methods.map((method) => ({
+            ...method,
+            freeOver: method.freeOver ?? '',
+            rates: method.rates.map((rate) => ({
+              maxWeight: rate.maxWeight ?? '',
+              price: rate.price,
+            })),
+          }))
+        );
+        setIsActive(data.isActive);
+        dispatch({ type: 'FETCH_SUCCESS' });
+      } catch (err) {
+        dispatch({ type: 'FETCH_FAIL', payload: getError(err) });
+      }
+    };
+    fetchData();
+  }, [zoneId, userInfo]);
+
+  const updateMethod = (index, field, value) =>
+    setMethods(
+      methods.map((method, i) =>
+        i === index ? { ...method, [field]: value } : method
+      )
+    );
+
+  const updateRate = (index, rateIndex, field, value) =>
+    updateMethod(
+      index,
+      'rates',
+      methods[index].rates.map((rate, i) =>
+        i === rateIndex ? { ...rate, [field]: value } : rate
+      )
+    );
+
+  const unusedCodes = METHOD_CODES.filter(
+    (x) => !methods.some((method) => method.code === x.code)
+  );
+
+  const addMethodHandler = () => {
+    const { code, name } = unusedCodes[0];
+    setMethods([
+      ...methods,
+      { code, name, estimatedDays: '', freeOver: '', rates: [{ maxWeight: '', price: 0 }] },
+    ]);
+  };
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    try {
+      dispatch({ type: 'UPDATE_REQUEST' });
+      await axios.put(
+        `/api/shipping/zones/${zoneId}`,
+        { name, countries, cities, methods, isActive },
+        { headers: { Authorization: `Bearer ${userInfo.token}` } }
+      );
+      dispatch({ type: 'UPDATE_SUCCESS' });
+      toast.success('Shipping zone updated successfully');
+      navigate('/admin/shipping-zones');
+    } catch (err) {
+      toast.error(getError(err));
+      dispatch({ type: 'UPDATE_FAIL' });
+    }
+  };
+
+  return (
+    <Container className="small-container">
+      <Helmet>
+        <title>Edit Shipping Zone {name}</title>
+      </Helmet>
+      <h1>Edit Shipping Zone {name}</h1>
+
+      {loading ? (
+        <LoadingBox></LoadingBox>
+      ) : error ? (
+        <MessageBox variant="danger">{error}</MessageBox>
+      ) : (
+        <Form onSubmit={submitHandler}>
+          <Form.Group className="mb-3" controlId="name">
+            <Form.Label>Name</Form.Label>
+            <Form.Control
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="countries">
+            <Form.Label>Countries (comma separated)</Form.Label>
+            <Form.Control
+              value={countries}
+              onChange={(e) => setCountries(e.target.value)}
+              required
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="cities">
+            <Form.Label>Cities (comma separated, empty for the whole country)</Form.Label>
+            <Form.Control
+              value={cities}
+              onChange={(e) => setCities(e.target.value)}
+            />
+          </Form.Group>
+
+          {methods.map((method, index) => (
+            <Card className="mb-3" key={method.code}>
+              <Card.Body>
+                <Row className="mb-2">
+                  <Col>
+                    <Form.Select
+                      aria-label="Shipping method"
+                      value={method.code}
+                      onChange={(e) => updateMethod(index, 'code', e.target.value)}
+                    >
+                      {METHOD_CODES.filter(
+                        (x) =>
+                          x.code === method.code ||
+                          unusedCodes.some((y) => y.code === x.code)
+                      ).map((x) => (
+                        <option key={x.code} value={x.code}>
+                          {x.name}
+                        </option>
+                      ))}
+                    </Form.Select>
+                  </Col>
+                  <Col xs="auto">
+                    <Button
+                      type="button"
+                      variant="light"
+                      onClick={() =>
+                        setMethods(methods.filter((x, i) => i !== index))
+                      }
+                    >
+                      Remove
+                    </Button>
+                  </Col>
+                </Row>
+                <Row className="mb-2">
+                  <Col>
+                    <Form.Control
+                      placeholder="Display name"
+                      aria-label="Display name"
+                      value={method.name}
+                      onChange={(e) => updateMethod(index, 'name', e.target.value)}
+                    />
+                  </Col>
+                  <Col>
+                    <Form.Control
+                      placeholder="Estimated delivery, e.g. 3-5 days"
+                      aria-label="Estimated delivery"
+                      value={method.estimatedDays}
+                      onChange={(e) =>
+                        updateMethod(index, 'estimatedDays', e.target.value)
+                      }
+                    />
+                  </Col>
+                  <Col>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder="Free over"
+                      aria-label="Free over"
+                      value={method.freeOver}
+                      onChange={(e) =>
+                        updateMethod(index, 'freeOver', e.target.value)
+                      }
+                    />
+                  </Col>
+                </Row>
+                {method.rates.map((rate, rateIndex) => (
+                  <Row className="mb-2" key={rateIndex}>
+                    <Col>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        placeholder="Up to kg (empty for any weight)"
+                        aria-label="Maximum weight"
+                        value={rate.maxWeight}
+                        onChange={(e) =>
+                          updateRate(index, rateIndex, 'maxWeight', e.target.value)
+                        }
+                      />
+                    </Col>
+                    <Col>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        placeholder="Price"
+                        aria-label="Price"
+                        value={rate.price}
+                        onChange={(e) =>
+                          updateRate(index, rateIndex, 'price', e.target.value)
+                        }
+                        required
+                      />
+                    </Col>
+                    <Col xs="auto">
+                      <Button
+                        type="button"
+                        variant="light"
+                        disabled={method.rates.length === 1}
+                        onClick={() =>
+                          updateMethod(
+                            index,
+                            'rates',
+                            method.rates.filter((x, i) => i !== rateIndex)
+                          )
+                        }
+                      >
+                        <i className="fas fa-trash"></i>
+                      </Button>
+                    </Col>
+                  </Row>
+                ))}
+                <Button
+                  type="button"
+                  variant="light"
+                  size="sm"
+                  onClick={() =>
+                    updateMethod(index, 'rates', [
+                      ...method.rates,
+                      { maxWeight: '', price: 0 },
+                    ])
+                  }
+                >
+                  Add Rate
+                </Button>
+              </Card.Body>
+            </Card>
+          ))}
+          {unusedCodes.length > 0 && (
+            <div className="mb-3">
+              <Button type="button" variant="light" onClick={addMethodHandler}>
+                Add Shipping Method
+              </Button>
+            </div>
+          )}
+
+          <Form.Check
+            className="mb-3"
+            type="checkbox"
+            id="isActive"
+            label="Active"
+            checked={isActive}
+            onChange={(e) => setIsActive(e.target.checked)}
+          />
+          <div className="mb-3">
+            <Button disabled={loadingUpdate} type="submit">
+              Update
+            </Button>
+            {loadingUpdate && <LoadingBox></LoadingBox>}
+          </div>
+        </Form>
+      )}
+    </Container>
+  );
+}
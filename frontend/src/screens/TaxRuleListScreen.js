@@ -0,0 +1,265 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Helmet } from 'react-helmet-async';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import { toast } from 'react-toastify';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+const emptyRule = {
+  name: '',
+  country: '',
+  region: '',
+  city: '',
+  category: '',
+  rate: '',
+  inclusive: false,
+  isActive: true,
+};
+
+// Admin tax table: the form below the table creates a rule, or updates the
+// one picked with Edit.
+export default function TaxRuleListScreen() {
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [taxRules, setTaxRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(emptyRule);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const { data } = await axios.get('/api/tax-rules', {
+          headers: { Authorization: `Bearer ${userInfo.token}` },
+        });
+        setTaxRules(data);
+        setLoading(false);
+      } catch (err) {
+        setError(getError(err));
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [userInfo]);
+
+  const updateField = (field, value) => setForm({ ...form, [field]: value });
+
+  const editHandler = (rule) => {
+    setEditingId(rule._id);
+    setForm({ ...emptyRule, ...rule });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyRule);
+  };
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+      const { data } = editingId
+        ? await axios.put(`/api/tax-rules/${editingId}`, form, config)
+        : await axios.post('/api/tax-rules', form, config);
+      setTaxRules(
+        editingId
+          ? taxRules.map((x) => (x._id === editingId ? data.taxRule : x))
+          : [...taxRules, data.taxRule]
+      );
+      setSaving(false);
+      toast.success(data.message);
+      resetForm();
+    } catch (err) {
+      setSaving(false);
+      toast.error(getError(err));
+    }
+  };
+
+  const deleteHandler = async (rule) => {
+    if (window.confirm('Are you sure to delete?')) {
+      try {
+        await axios.delete(`/api/tax-rules/${rule._id}`, {
+          headers: { Authorization: `Bearer ${userInfo.token}` },
+        });
+        setTaxRules(taxRules.filter((x) => x._id !== rule._id));
+        toast.success('Tax rule deleted successfully');
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    }
+  };
+
+  return (
+    <div>
+      <Helmet>
+        <title>Tax Rules</title>
+      </Helmet>
+      <h1>Tax Rules</h1>
+      <p className="text-muted">
+        The most specific active rule matching the shipping address and the
+        product category is used. Items without a matching rule are taxed at
+        the default rate.
+      </p>
+
+      {loading ? (
+        <LoadingBox></LoadingBox>
+      ) : error ? (
+        <MessageBox variant="danger">{error}</MessageBox>
+      ) : (
+        <table className="table table-striped">
+          <thead>
+            <tr>
+              <th>NAME</th>
+              <th>COUNTRY</th>
+              <th>REGION</th>
+              <th>CITY</th>
+              <th>CATEGORY</th>
+              <th>RATE</th>
+              <th>PRICING</th>
+              <th>ACTIVE</th>
+              <th>ACTIONS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {taxRules.map((rule) => (
+              <tr key={rule._id}>
+                <td>{rule.name}</td>
+                <td>{rule.country}</td>
+                <td>{rule.region || 'All'}</td>
+                <td>{rule.city || 'All'}</td>
+                <td>{rule.category || 'All'}</td>
+                <td>{rule.rate}%</td>
+                <td>{rule.inclusive ? 'Inclusive' : 'Exclusive'}</td>
+                <td>{rule.isActive ? 'Yes' : 'No'}</td>
+                <td>
+                  <Button
+                    type="button"
+                    variant="light"
+                    size="sm"
+                    onClick={() => editHandler(rule)}
+                  >
+                    Edit
+                  </Button>
+                  &nbsp;
+                  <Button
+                    type="button"
+                    variant="light"
+                    size="sm"
+                    onClick={() => deleteHandler(rule)}
+                  >
+                    Delete
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2>{editingId ? 'Edit Tax Rule' : 'New Tax Rule'}</h2>
+      <Form onSubmit={submitHandler}>
+        <Row>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="name">
+              <Form.Label>Name</Form.Label>
+              <Form.Control
+                value={form.name}
+                onChange={(e) => updateField('name', e.target.value)}
+                placeholder="e.g. VAT"
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="country">
+              <Form.Label>Country</Form.Label>
+              <Form.Control
+                value={form.country}
+                onChange={(e) => updateField('country', e.target.value)}
+                required
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="rate">
+              <Form.Label>Rate (%)</Form.Label>
+              <Form.Control
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={form.rate}
+                onChange={(e) => updateField('rate', e.target.value)}
+                required
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="region">
+              <Form.Label>State / Province</Form.Label>
+              <Form.Control
+                value={form.region}
+                onChange={(e) => updateField('region', e.target.value)}
+                placeholder="All"
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="city">
+              <Form.Label>City</Form.Label>
+              <Form.Control
+                value={form.city}
+                onChange={(e) => updateField('city', e.target.value)}
+                placeholder="All"
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3" controlId="category">
+              <Form.Label>Category</Form.Label>
+              <Form.Control
+                value={form.category}
+                onChange={(e) => updateField('category', e.target.value)}
+                placeholder="All"
+              />
+            </Form.Group>
+          </Col>
+        </Row>
+        <Form.Check
+          className="mb-3"
+          type="checkbox"
+          id="inclusive"
+          label="Prices already include this tax"
+          checked={form.inclusive}
+          onChange={(e) => updateField('inclusive', e.target.checked)}
+        />
+        <Form.Check
+          className="mb-3"
+          type="checkbox"
+          id="isActive"
+          label="Active"
+          checked={form.isActive}
+          onChange={(e) => updateField('isActive', e.target.checked)}
+        />
+        <div className="mb-3">
+          <Button type="submit" disabled={saving}>
+            {editingId ? 'Update' : 'Create'}
+          </Button>
+          {editingId && (
+            <Button type="button" variant="light" className="ms-2" onClick={resetForm}>
+              Cancel
+            </Button>
+          )}
+        </div>
+      </Form>
+    </div>
+  );
+}
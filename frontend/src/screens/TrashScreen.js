@@ -0,0 +1,185 @@
+import React, { useContext, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Helmet } from 'react-helmet-async';
+import Button from 'react-bootstrap/Button';
+import { toast } from 'react-toastify';
+import LoadingBox from '../components/LoadingBox';
+import MessageBox from '../components/MessageBox';
+import { Store } from '../Store';
+import { getError } from '../utils';
+
+// Deleted products and users. They are hidden from the store and the admin
+// lists but kept for the orders that reference them, until they are
+// restored or purged for good.
+export default function TrashScreen() {
+  const { state } = useContext(Store);
+  const { userInfo } = state;
+  const [products, setProducts] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [refresh, setRefresh] = useState(0);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const config = {
+          headers: { Authorization: `Bearer ${userInfo.token}` },
+        };
+        const [productResult, userResult] = await Promise.all([
+          axios.get('/api/products/trash', config),
+          axios.get('/api/users/trash', config),
+        ]);
+        setProducts(productResult.data);
+        setUsers(userResult.data);
+        setLoading(false);
+      } catch (err) {
+        setError(getError(err));
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [userInfo, refresh]);
+
+  const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+
+  // `kind` is products or users, the API path of the record
+  const restoreHandler = async (kind, record) => {
+    try {
+      const { data } = await axios.post(
+        `/api/${kind}/${record._id}/restore`,
+        {},
+        config
+      );
+      toast.success(data.message);
+      setRefresh(refresh + 1);
+    } catch (err) {
+      toast.error(getError(err));
+    }
+  };
+
+  const purgeHandler = async (kind, record) => {
+    if (window.confirm(`Delete ${record.name} forever? This can not be undone.`)) {
+      try {
+        const { data } = await axios.delete(
+          `/api/${kind}/${record._id}/purge`,
+          config
+        );
+        toast.success(data.message);
+        setRefresh(refresh + 1);
+      } catch (err) {
+        toast.error(getError(err));
+      }
+    }
+  };
+
+  const deletedCells = (record) => (
+    <>
+      <td>{record.deletedAt.substring(0, 10)}</td>
+      <td>{record.deletedBy ? record.deletedBy.name : ''}</td>
+    </>
+  );
+
+  const actionCell = (kind, record) => (
+    <td>
+      <Button
+        type="button"
+        variant="light"
+        size="sm"
+        onClick={() => restoreHandler(kind, record)}
+      >
+        Restore
+      </Button>
+      &nbsp;
+      <Button
+        type="button"
+        variant="light"
+        size="sm"
+        onClick={() => purgeHandler(kind, record)}
+      >
+        Delete Forever
+      </Button>
+    </td>
+  );
+
+  return (
+    <div>
+      <Helmet>
+        <title>Trash</title>
+      </Helmet>
+      <h1>Trash</h1>
+      <p className="text-muted">
+        Products and users that were ordered or placed orders can be restored
+        but not deleted forever, their orders still show them.
+      </p>
+
+      {loading ? (
+        <LoadingBox></LoadingBox>
+      ) : error ? (
+        <MessageBox variant="danger">{error}</MessageBox>
+      ) : (
+        <>
+          <h2>Products</h2>
+          {products.length === 0 ? (
+            <MessageBox>No deleted products</MessageBox>
+          ) : (
+            <table className="table table-striped">
+              <thead>
+                <tr>
+                  <th>NAME</th>
+                  <th>PRICE</th>
+                  <th>CATEGORY</th>
+                  <th>BRAND</th>
+                  <th>DELETED</th>
+                  <th>BY</th>
+                  <th>ACTIONS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {products.map((product) => (
+                  <tr key={product._id}>
+                    <td>{product.name}</td>
+                    <td>{product.price}</td>
+                    <td>{product.category}</td>
+                    <td>{product.brand}</td>
+                    {deletedCells(product)}
+                    {actionCell('products', product)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h2>Users</h2>
+          {users.length === 0 ? (
+            <MessageBox>No deleted users</MessageBox>
+          ) : (
+            <table className="table table-striped">
+              <thead>
+                <tr>
+                  <th>NAME</th>
+                  <th>EMAIL</th>
+                  <th>IS ADMIN</th>
+                  <th>DELETED</th>
+                  <th>BY</th>
+                  <th>ACTIONS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((user) => (
+                  <tr key={user._id}>
+                    <td>{user.name}</td>
+                    <td>{user.email}</td>
+                    <td>{user.isAdmin ? 'YES' : 'NO'}</td>
+                    {deletedCells(user)}
+                    {actionCell('users', user)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
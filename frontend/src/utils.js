@@ -3,3 +3,110 @@ export const getError = (error) => {
     ? error.response.data.message
     : error.message;
 };
+
+// Mirrors the transition graph enforced by backend/services/orderStatus.js,
+// used to only offer the statuses an order can move to.
+export const ORDER_STATUS_TRANSITIONS = {
+  Pending: ['Processing', 'Cancelled'],
+  Processing: ['Shipping', 'Cancelled'],
+  Shipping: ['Delivered'],
+  Delivered: [],
+  Cancelled: [],
+};
+
+// Key sent in the Idempotency-Key header so a retried request (double click,
+// flaky network) is replayed by the backend instead of running twice.
+export const newIdempotencyKey = () =>
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// The shop's prices are in this currency; others are converted with the
+// exchange rates maintained by admins (see backend/services/currency.js).
+export const BASE_CURRENCY = 'USD';
+
+// Same rounding as the backend: whole units for zero-decimal currencies
+// such as VND, cents otherwise.
+export const convertPrice = (amount, { rate, decimals }) => {
+  const factor = 10 ** decimals;
+  return Math.round(amount * rate * factor + Number.EPSILON) / factor;
+};
+
+export const formatPrice = (amount, currency = BASE_CURRENCY) =>
+  new Intl.NumberFormat(currency === 'VND' ? 'vi-VN' : 'en-US', {
+    style: 'currency',
+    currency,
+  }).format(amount);
+
+// Cart lines are a product, or one variant of it for products with sizes
+// and colors.
+export const cartItemKey = (item) =>
+  item.variant ? `${item._id}-${item.variant}` : item._id;
+
+// "M / Red" label of the variant of a cart or order line.
+export const variantLabel = (item) =>
+  [item.size, item.color].filter(Boolean).join(' / ');
+
+// Categories of the tree from /api/categories in display order, each with
+// its depth, e.g. for indented selects.
+export const flattenCategories = (tree, depth = 0) =>
+  tree.flatMap((category) => [
+    { ...category, depth },
+    ...flattenCategories(category.children, depth + 1),
+  ]);
+
+// A category and its ancestors from the top of the tree down, or an empty
+// list when it is not in the tree.
+export const findCategoryPath = (tree, id) => {
+  for (const category of tree) {
+    if (category._id === id) {
+      return [category];
+    }
+    const path = findCategoryPath(category.children, id);
+    if (path.length > 0) {
+      return [category, ...path];
+    }
+  }
+  return [];
+};
+
+// Lifecycle status of a product as shown to admins; published products with
+// a publish date still to come are scheduled. Products saved before statuses
+// existed have none and are published.
+export const productStatus = (product) => {
+  const status = product.status || 'Published';
+  return status === 'Published' &&
+    product.publishAt &&
+    new Date(product.publishAt) > new Date()
+    ? 'Scheduled'
+    : status;
+};
+
+// Value of a datetime-local input for a date, in the browser's time zone
+export const toDateTimeInput = (date) => {
+  if (!date) {
+    return '';
+  }
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000)
+    .toISOString()
+    .substring(0, 16);
+};
+
+// Slug the backend makes from a product name, for a preview in the form:
+// lowercase ASCII words joined by dashes, Vietnamese accents dropped.
+export const slugify = (text) =>
+  String(text || '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Whether the slug was made from the name, with or without a -2, -3... suffix
+export const isSlugOf = (slug, name) => {
+  const base = slugify(name);
+  return Boolean(base) && new RegExp(`^${base}(-\\d+)?$`).test(slug);
+};